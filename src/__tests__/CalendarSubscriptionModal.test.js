@@ -251,11 +251,48 @@ describe('CalendarSubscriptionModal Integration Tests', () => {
           name: 'Test Calendar',
           url: 'https://example.com/test.ics',
           color: '#86f5e0',
-          enabled: true
+          enabled: true,
+          syncPastDays: 30,
+          syncFutureDays: 180
         })
       })
     })
 
+    it('should submit a custom sync window for recurring events', async () => {
+      calendarManager.addCalendarSubscription.mockResolvedValue('new-id')
+
+      render(<CalendarSubscriptionModal isOpen={true} onClose={mockOnClose} />)
+
+      await waitFor(() => {
+        expect(
+          screen.getByRole('button', { name: /add new calendar subscription/i })
+        ).toBeInTheDocument()
+      })
+      fireEvent.click(
+        screen.getByRole('button', { name: /add new calendar subscription/i })
+      )
+
+      fireEvent.change(screen.getByLabelText(/calendar name/i), {
+        target: { value: 'Work' }
+      })
+      fireEvent.change(screen.getByLabelText(/ics url/i), {
+        target: { value: 'https://example.com/work.ics' }
+      })
+      fireEvent.change(screen.getByLabelText(/days back/i), {
+        target: { value: '7' }
+      })
+      fireEvent.change(screen.getByLabelText(/days ahead/i), {
+        target: { value: '99999' }
+      })
+      fireEvent.click(screen.getByRole('button', { name: /add calendar$/i }))
+
+      await waitFor(() => {
+        expect(calendarManager.addCalendarSubscription).toHaveBeenCalledWith(
+          expect.objectContaining({ syncPastDays: 7, syncFutureDays: 3650 })
+        )
+      })
+    })
+
     it('should display error message when adding subscription fails', async () => {
       calendarManager.addCalendarSubscription.mockRejectedValue(
         new Error('Invalid URL')
@@ -0,0 +1,226 @@
+import React from 'react'
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react'
+import '@testing-library/jest-dom'
+import 'fake-indexeddb/auto'
+import { useNavigate } from 'react-router-dom'
+import Layout from '../components/Layout'
+import { clear, STORES } from '../utils/indexedDBManager'
+import { getTasksMatrix } from '../utils/tasksManager'
+import { getAllEvents } from '../utils/scheduleManager'
+import { createHabit, getHabit } from '../utils/habitsManager'
+import { createRoutine } from '../utils/routinesManager'
+import { loadNotesFromStorage } from '../utils/notes/noteOperations'
+import {
+  fuzzyScore,
+  rankPaletteItems,
+  EXACT_MATCH_SCORE
+} from '../utils/commandPalette'
+
+// Mock localStorage
+const localStorageMock = (() => {
+  let store = {}
+  return {
+    getItem: (key) => store[key] || null,
+    setItem: (key, value) => {
+      store[key] = value.toString()
+    },
+    removeItem: (key) => {
+      delete store[key]
+    },
+    clear: () => {
+      store = {}
+    }
+  }
+})()
+
+Object.defineProperty(window, 'localStorage', {
+  value: localStorageMock
+})
+
+const renderLayout = () =>
+  render(
+    <Layout onExport={jest.fn()} onImport={jest.fn()}>
+      <div>Content</div>
+    </Layout>
+  )
+
+const openPalette = () => {
+  fireEvent.keyDown(document, { key: 'k', ctrlKey: true })
+  return screen.getByRole('combobox', { name: 'Search or capture' })
+}
+
+describe('Command Palette', () => {
+  const navigate = useNavigate()
+
+  beforeEach(async () => {
+    navigate.mockClear()
+    localStorage.clear()
+    await clear(STORES.TASKS)
+    await clear(STORES.SCHEDULE)
+    await clear(STORES.HABITS)
+    await clear(STORES.ROUTINES)
+  })
+
+  test('opens with Ctrl+K and the search button, and closes with Escape', async () => {
+    renderLayout()
+    const searchButton = screen.getByRole('button', { name: 'Search' })
+
+    const input = openPalette()
+    expect(
+      screen.getByRole('dialog', { name: 'Command palette' })
+    ).toBeInTheDocument()
+    expect(input).toHaveFocus()
+
+    fireEvent.keyDown(input, { key: 'Escape' })
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument()
+
+    searchButton.focus()
+    fireEvent.click(searchButton)
+    expect(screen.getByRole('combobox')).toHaveFocus()
+    fireEvent.keyDown(screen.getByRole('combobox'), { key: 'Escape' })
+    expect(searchButton).toHaveFocus()
+  })
+
+  test('adds a task from the quick capture line', async () => {
+    renderLayout()
+    const input = openPalette()
+
+    fireEvent.change(input, { target: { value: 'buy milk #errands !urgent' } })
+    const option = screen.getByRole('option', { name: /Add task "buy milk"/ })
+    expect(input).toHaveAttribute('aria-activedescendant', option.id)
+    fireEvent.keyDown(input, { key: 'Enter' })
+
+    await waitFor(() =>
+      expect(screen.getByRole('status')).toHaveTextContent(
+        'Added task "buy milk"'
+      )
+    )
+    const matrix = await getTasksMatrix()
+    expect(matrix.urgent_important).toEqual([
+      expect.objectContaining({ text: 'buy milk', tags: ['errands'] })
+    ])
+  })
+
+  test('adds a note and an event', async () => {
+    renderLayout()
+    let input = openPalette()
+
+    fireEvent.change(input, { target: { value: 'idea for the garden' } })
+    fireEvent.click(
+      screen.getByRole('option', { name: /Add note "idea for the garden"/ })
+    )
+    await waitFor(() =>
+      expect(loadNotesFromStorage()).toEqual([
+        expect.objectContaining({ title: 'idea for the garden' })
+      ])
+    )
+
+    input = openPalette()
+    fireEvent.change(input, { target: { value: 'dentist tomorrow 3pm' } })
+    fireEvent.click(
+      screen.getByRole('option', { name: /Add event "dentist" at 15:00/ })
+    )
+    await waitFor(async () =>
+      expect(await getAllEvents()).toEqual([
+        expect.objectContaining({ title: 'dentist', startTime: '15:00' })
+      ])
+    )
+  })
+
+  test('jumps to pages and routines with the arrow keys', async () => {
+    const routineId = await createRoutine({ title: 'Morning routine' })
+    renderLayout()
+    let input = openPalette()
+
+    fireEvent.change(input, { target: { value: 'sched' } })
+    expect(screen.getAllByRole('option')[0]).toHaveTextContent('Go to Schedule')
+    fireEvent.keyDown(input, { key: 'Enter' })
+    expect(navigate).toHaveBeenCalledWith('/schedule')
+
+    input = openPalette()
+    fireEvent.change(input, { target: { value: 'morning' } })
+    await screen.findByRole('option', { name: /Start routine/ })
+    const options = screen.getAllByRole('option')
+    expect(options[0]).toHaveTextContent('Start routine "Morning routine"')
+
+    // Wraps around from the last option
+    fireEvent.keyDown(input, { key: 'ArrowUp' })
+    expect(input).toHaveAttribute(
+      'aria-activedescendant',
+      options[options.length - 1].id
+    )
+    fireEvent.keyDown(input, { key: 'ArrowDown' })
+    expect(input).toHaveAttribute('aria-activedescendant', options[0].id)
+    fireEvent.keyDown(input, { key: 'Enter' })
+
+    expect(navigate).toHaveBeenLastCalledWith('/routines', {
+      state: { routineId }
+    })
+  })
+
+  test('checks in a habit once a day', async () => {
+    const habitId = await createHabit({ name: 'Stretch' })
+    renderLayout()
+    let input = openPalette()
+
+    fireEvent.change(input, { target: { value: 'stretch' } })
+    await screen.findByRole('option', { name: /Check in "Stretch"/ })
+    fireEvent.keyDown(input, { key: 'Enter' })
+    await waitFor(() =>
+      expect(screen.getByRole('status')).toHaveTextContent(
+        'Checked in "Stretch"'
+      )
+    )
+    expect((await getHabit(habitId)).streak).toBe(1)
+
+    input = openPalette()
+    fireEvent.change(input, { target: { value: 'stretch' } })
+    await screen.findByRole('option', { name: /Check in "Stretch"/ })
+    await act(async () => {
+      fireEvent.keyDown(input, { key: 'Enter' })
+    })
+    await waitFor(() =>
+      expect(screen.getByRole('status')).toHaveTextContent(
+        '"Stretch" is already checked in today'
+      )
+    )
+  })
+})
+
+describe('Command Palette matching', () => {
+  test('scores names that contain the query above looser matches', () => {
+    expect(fuzzyScore('sched', 'Schedule')).toBeGreaterThanOrEqual(
+      EXACT_MATCH_SCORE
+    )
+    expect(fuzzyScore('SCHED', 'Schedule')).toBeGreaterThanOrEqual(
+      EXACT_MATCH_SCORE
+    )
+    expect(fuzzyScore('brdmp', 'Brain Dump')).toBeLessThan(EXACT_MATCH_SCORE)
+    expect(fuzzyScore('brdmp', 'Brain Dump')).toBeGreaterThan(0)
+    expect(fuzzyScore('xyz', 'Brain Dump')).toBeNull()
+    expect(fuzzyScore('', 'Tasks')).toBe(0)
+  })
+
+  test('prefers word starts and earlier matches', () => {
+    expect(fuzzyScore('run', 'Morning run')).toBeGreaterThan(
+      fuzzyScore('run', 'Brunch')
+    )
+    expect(fuzzyScore('stat', 'Stats')).toBeGreaterThan(
+      fuzzyScore('stat', 'Reading statistics')
+    )
+  })
+
+  test('ranks matching items best first', () => {
+    const items = [
+      { id: 1, name: 'Settings' },
+      { id: 2, name: 'Stats' },
+      { id: 3, name: 'Tasks' }
+    ]
+
+    expect(rankPaletteItems(items, 'stat').map((item) => item.id)).toEqual([2])
+    expect(rankPaletteItems(items, 'sts').map((item) => item.id)).toEqual([
+      2, 1
+    ])
+    expect(rankPaletteItems(items, '')).toHaveLength(3)
+  })
+})
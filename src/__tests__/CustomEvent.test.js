@@ -155,4 +155,16 @@ describe('CustomEvent Component', () => {
       container.querySelector('.event-pre-activities')
     ).not.toBeInTheDocument()
   })
+
+  it('should show a conflict badge for overlapping events', () => {
+    const event = {
+      title: 'Overlapping Event',
+      resource: { type: 'task', conflicts: ['Standup'] }
+    }
+
+    render(<CustomEvent event={event} />)
+    expect(
+      screen.getByRole('img', { name: 'Conflicts with Standup' })
+    ).toBeInTheDocument()
+  })
 })
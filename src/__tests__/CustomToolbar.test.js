@@ -152,4 +152,35 @@ describe('CustomToolbar Component', () => {
     rerender(<CustomToolbar {...defaultProps} date={new Date('2026-12-25')} />)
     expect(screen.getByText(/25\/12\/2026/)).toBeInTheDocument()
   })
+
+  it('should only show .ics buttons when handlers are provided', () => {
+    const { rerender } = render(<CustomToolbar {...defaultProps} />)
+    expect(screen.queryByText('Import .ics')).not.toBeInTheDocument()
+
+    const onImportICS = jest.fn()
+    const onExportICS = jest.fn()
+    rerender(
+      <CustomToolbar
+        {...defaultProps}
+        onImportICS={onImportICS}
+        onExportICS={onExportICS}
+      />
+    )
+
+    fireEvent.click(screen.getByLabelText('Import events from an .ics file'))
+    fireEvent.click(screen.getByLabelText('Export schedule as an .ics file'))
+    expect(onImportICS).toHaveBeenCalledTimes(1)
+    expect(onExportICS).toHaveBeenCalledTimes(1)
+  })
+
+  it('should show the plan button when a handler is provided', () => {
+    const { rerender } = render(<CustomToolbar {...defaultProps} />)
+    expect(screen.queryByLabelText('Plan my day')).not.toBeInTheDocument()
+
+    const onPlanDay = jest.fn()
+    rerender(<CustomToolbar {...defaultProps} onPlanDay={onPlanDay} />)
+
+    fireEvent.click(screen.getByLabelText('Plan my day'))
+    expect(onPlanDay).toHaveBeenCalledTimes(1)
+  })
 })
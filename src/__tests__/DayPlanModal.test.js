@@ -0,0 +1,119 @@
+import React from 'react'
+import { render, screen, fireEvent } from '@testing-library/react'
+import '@testing-library/jest-dom'
+import DayPlanModal from '../components/Schedule/DayPlanModal'
+
+// Mock Icon component
+jest.mock('../components/common/Icon', () => {
+  return function Icon({ name }) {
+    return <span data-testid={`icon-${name}`}>{name}</span>
+  }
+})
+
+describe('DayPlanModal Component', () => {
+  const plan = {
+    day: '2025-09-16',
+    items: [
+      {
+        taskId: 't1',
+        title: 'Write report',
+        day: '2025-09-16',
+        startTime: '09:00',
+        endTime: '10:30',
+        duration: 90,
+        isEstimated: true,
+        quadrantLabel: 'Do First',
+        energy: 'high'
+      },
+      {
+        taskId: 't2',
+        title: 'Sort inbox',
+        day: '2025-09-16',
+        startTime: '14:00',
+        endTime: '14:30',
+        duration: 30,
+        isEstimated: false,
+        energy: 'low'
+      }
+    ],
+    unplaced: [{ taskId: 't3', title: 'Tax return', duration: 240 }]
+  }
+
+  let onAccept
+  let onReject
+
+  beforeEach(() => {
+    onAccept = jest.fn()
+    onReject = jest.fn()
+  })
+
+  const renderModal = (props = {}) =>
+    render(
+      <DayPlanModal
+        plan={plan}
+        onAccept={onAccept}
+        onReject={onReject}
+        {...props}
+      />
+    )
+
+  it('lists proposed blocks and tasks that did not fit', () => {
+    renderModal()
+
+    expect(screen.getByText('Write report')).toBeInTheDocument()
+    expect(screen.getByText(/09:00–10:30 · 90 min/)).toHaveTextContent(
+      'Do First · High energy'
+    )
+    expect(screen.getByText(/\(default estimate\)/)).toHaveTextContent(
+      'Low energy'
+    )
+    expect(screen.getByText('Tax return · 240 min')).toBeInTheDocument()
+  })
+
+  it('accepts every block by default', () => {
+    renderModal()
+
+    fireEvent.click(screen.getByRole('button', { name: /Add 2 to schedule/ }))
+    expect(onAccept).toHaveBeenCalledWith([
+      expect.objectContaining({ taskId: 't1', startTime: '09:00' }),
+      expect.objectContaining({ taskId: 't2', startTime: '14:00' })
+    ])
+  })
+
+  it('leaves out unchecked blocks and keeps durations when moved', () => {
+    renderModal()
+
+    fireEvent.click(screen.getByLabelText('Include Sort inbox'))
+    fireEvent.change(screen.getByLabelText('Start time for Write report'), {
+      target: { value: '10:15' }
+    })
+    fireEvent.click(screen.getByRole('button', { name: /Add 1 to schedule/ }))
+
+    expect(onAccept).toHaveBeenCalledWith([
+      expect.objectContaining({
+        taskId: 't1',
+        startTime: '10:15',
+        endTime: '11:45'
+      })
+    ])
+  })
+
+  it('cannot accept an empty selection', () => {
+    renderModal({ plan: { ...plan, items: [], unplaced: [] } })
+
+    expect(
+      screen.getByText('No open tasks fit into this day')
+    ).toBeInTheDocument()
+    expect(
+      screen.getByRole('button', { name: /Add 0 to schedule/ })
+    ).toBeDisabled()
+  })
+
+  it('rejects the plan', () => {
+    renderModal()
+
+    fireEvent.click(screen.getByRole('button', { name: 'Discard plan' }))
+    expect(onReject).toHaveBeenCalled()
+    expect(onAccept).not.toHaveBeenCalled()
+  })
+})
@@ -328,4 +328,246 @@ describe('EventModal Component', () => {
     })
     expect(mockOnSave).not.toHaveBeenCalled()
   })
+
+  test('sends the recurrence rule chosen in the editor', async () => {
+    mockOnSave.mockResolvedValue(undefined)
+
+    render(
+      <EventModal
+        isOpen={true}
+        onClose={mockOnClose}
+        onSave={mockOnSave}
+        eventType='meeting'
+      />
+    )
+
+    fireEvent.change(screen.getByLabelText(/Title/i), {
+      target: { value: 'Standup' }
+    })
+    fireEvent.change(screen.getByLabelText('Repeat'), {
+      target: { value: 'weekly' }
+    })
+    fireEvent.click(screen.getByLabelText('Fri'))
+
+    fireEvent.click(screen.getByRole('button', { name: /Schedule/i }))
+
+    await waitFor(() => {
+      expect(mockOnSave).toHaveBeenCalledWith(
+        expect.objectContaining({
+          title: 'Standup',
+          recurrence: expect.objectContaining({
+            frequency: 'weekly',
+            byDay: ['TU', 'FR']
+          })
+        })
+      )
+    })
+  })
+
+  test('rejects an invalid custom RRULE', async () => {
+    render(
+      <EventModal
+        isOpen={true}
+        onClose={mockOnClose}
+        onSave={mockOnSave}
+        eventType='meeting'
+      />
+    )
+
+    fireEvent.change(screen.getByLabelText(/Title/i), {
+      target: { value: 'Standup' }
+    })
+    fireEvent.change(screen.getByLabelText('Repeat'), {
+      target: { value: 'custom' }
+    })
+    fireEvent.change(screen.getByLabelText('RRULE'), {
+      target: { value: 'FREQ=SOMETIMES' }
+    })
+    fireEvent.click(screen.getByRole('button', { name: /Schedule/i }))
+
+    expect(
+      await screen.findByText(/Invalid recurrence: Unsupported RRULE frequency/)
+    ).toBeInTheDocument()
+    expect(mockOnSave).not.toHaveBeenCalled()
+  })
+
+  test('asks which occurrences to change when editing a recurring event', async () => {
+    mockOnSave.mockResolvedValue(undefined)
+    const occurrence = {
+      id: 5,
+      title: 'Standup',
+      day: '2025-09-17',
+      startTime: '09:00',
+      endTime: '09:15',
+      type: 'meeting',
+      recurrence: { frequency: 'daily', rrule: 'FREQ=DAILY' },
+      isOccurrence: true,
+      recurringEventId: 5,
+      occurrenceDay: '2025-09-17'
+    }
+
+    render(
+      <EventModal
+        isOpen={true}
+        onClose={mockOnClose}
+        onSave={mockOnSave}
+        eventType='meeting'
+        initialData={occurrence}
+      />
+    )
+
+    fireEvent.click(screen.getByLabelText('All events'))
+    fireEvent.click(screen.getByRole('button', { name: /Save/i }))
+
+    await waitFor(() => {
+      expect(mockOnSave).toHaveBeenCalledWith(
+        expect.objectContaining({
+          id: 5,
+          isOccurrence: true,
+          recurringEventId: 5,
+          occurrenceDay: '2025-09-17',
+          editScope: 'all'
+        })
+      )
+    })
+  })
+
+  describe('buffer overlap warning', () => {
+    const initialData = {
+      id: 5,
+      title: 'Client visit',
+      day: '2025-09-16',
+      startTime: '10:30',
+      endTime: '11:30',
+      type: 'meeting',
+      travelTime: 30
+    }
+
+    test('shows the warning returned for the current buffers', async () => {
+      const getBufferWarning = jest
+        .fn()
+        .mockResolvedValue('Travel overlaps "Standup"')
+
+      render(
+        <EventModal
+          isOpen={true}
+          onClose={mockOnClose}
+          onSave={mockOnSave}
+          eventType='meeting'
+          initialData={initialData}
+          getBufferWarning={getBufferWarning}
+        />
+      )
+
+      expect(await screen.findByRole('status')).toHaveTextContent(
+        'Travel overlaps "Standup"'
+      )
+      expect(getBufferWarning).toHaveBeenCalledWith({
+        id: 5,
+        day: '2025-09-16',
+        startTime: '10:30',
+        endTime: '11:30',
+        travelTime: 30,
+        preparationTime: 0
+      })
+    })
+
+    test('clears the warning when the buffers are removed', async () => {
+      const getBufferWarning = jest.fn().mockResolvedValue('Overlap')
+
+      render(
+        <EventModal
+          isOpen={true}
+          onClose={mockOnClose}
+          onSave={mockOnSave}
+          eventType='meeting'
+          initialData={initialData}
+          getBufferWarning={getBufferWarning}
+        />
+      )
+      await screen.findByRole('status')
+
+      fireEvent.change(screen.getByLabelText(/Travel Time/i), {
+        target: { value: '0' }
+      })
+
+      await waitFor(() => {
+        expect(screen.queryByRole('status')).not.toBeInTheDocument()
+      })
+      expect(getBufferWarning).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('conflict warning', () => {
+    const initialData = {
+      id: 5,
+      title: 'Late review',
+      day: '2025-09-16',
+      startTime: '23:00',
+      endTime: '01:00',
+      type: 'meeting',
+      occurrenceDay: '2025-09-16',
+      displayTimeZone: 'Europe/Paris'
+    }
+
+    test('shows overlapping events before saving', async () => {
+      const getConflictWarning = jest
+        .fn()
+        .mockResolvedValue('Overlaps "Night flight"')
+
+      render(
+        <EventModal
+          isOpen={true}
+          onClose={mockOnClose}
+          onSave={mockOnSave}
+          eventType='meeting'
+          initialData={initialData}
+          getConflictWarning={getConflictWarning}
+        />
+      )
+
+      expect(await screen.findByRole('status')).toHaveTextContent(
+        'Overlaps "Night flight"'
+      )
+      expect(getConflictWarning).toHaveBeenCalledWith({
+        id: 5,
+        occurrenceDay: '2025-09-16',
+        displayTimeZone: 'Europe/Paris',
+        day: '2025-09-16',
+        startTime: '23:00',
+        endTime: '01:00',
+        travelTime: 0,
+        preparationTime: 0
+      })
+    })
+
+    test('rechecks when the time changes', async () => {
+      const getConflictWarning = jest.fn(async ({ endTime }) =>
+        endTime === '01:00' ? 'Overlaps "Night flight"' : null
+      )
+
+      render(
+        <EventModal
+          isOpen={true}
+          onClose={mockOnClose}
+          onSave={mockOnSave}
+          eventType='meeting'
+          initialData={initialData}
+          getConflictWarning={getConflictWarning}
+        />
+      )
+      await screen.findByRole('status')
+
+      fireEvent.change(screen.getByLabelText(/End Time/i), {
+        target: { value: '23:30' }
+      })
+
+      await waitFor(() => {
+        expect(screen.queryByRole('status')).not.toBeInTheDocument()
+      })
+      expect(getConflictWarning).toHaveBeenLastCalledWith(
+        expect.objectContaining({ startTime: '23:00', endTime: '23:30' })
+      )
+    })
+  })
 })
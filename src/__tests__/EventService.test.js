@@ -5,11 +5,9 @@
 
 import EventService from '../services/EventService'
 import * as scheduleManager from '../utils/scheduleManager'
-import * as indexedDBManager from '../utils/indexedDBManager'
 
 // Mock dependencies
 jest.mock('../utils/scheduleManager')
-jest.mock('../utils/indexedDBManager')
 jest.mock('../utils/logger', () => ({
   default: {
     error: jest.fn(),
@@ -418,8 +416,64 @@ describe('EventService', () => {
     })
   })
 
+  describe('recurring events', () => {
+    const occurrence = {
+      id: 7,
+      title: 'Standup',
+      recurringEventId: 7,
+      occurrenceDay: '2024-01-16',
+      isOccurrence: true
+    }
+
+    test('updates an occurrence with the chosen scope', async () => {
+      scheduleManager.updateRecurringEvent.mockResolvedValue(8)
+
+      const result = await EventService.updateRecurringEvent(
+        occurrence,
+        'following'
+      )
+
+      expect(scheduleManager.updateRecurringEvent).toHaveBeenCalledWith(
+        occurrence,
+        'following'
+      )
+      expect(result).toBe(8)
+    })
+
+    test('throws when the recurring event ID is missing', async () => {
+      await expect(
+        EventService.updateRecurringEvent({ id: 7 }, 'this')
+      ).rejects.toThrow('Recurring event ID is required for update')
+      expect(scheduleManager.updateRecurringEvent).not.toHaveBeenCalled()
+    })
+
+    test('deletes an occurrence with the chosen scope', async () => {
+      scheduleManager.deleteRecurringEvent.mockResolvedValue(undefined)
+
+      await EventService.deleteRecurringEvent(occurrence, 'this')
+
+      expect(scheduleManager.deleteRecurringEvent).toHaveBeenCalledWith(
+        occurrence,
+        'this'
+      )
+    })
+
+    test('logs and rethrows delete failures', async () => {
+      const error = new Error('Delete failed')
+      scheduleManager.deleteRecurringEvent.mockRejectedValue(error)
+
+      await expect(
+        EventService.deleteRecurringEvent(occurrence, 'all')
+      ).rejects.toThrow('Delete failed')
+      expect(logger.error).toHaveBeenCalledWith(
+        'EventService.deleteRecurringEvent error:',
+        error
+      )
+    })
+  })
+
   describe('clearTestData', () => {
-    test('deletes all test data events in parallel', async () => {
+    test('deletes all test data events in one batch', async () => {
       const mockEvents = [
         { id: 1, title: 'Normal Event', isTestData: false },
         { id: 2, title: 'Test Event 1', isTestData: true },
@@ -427,23 +481,14 @@ describe('EventService', () => {
         { id: 4, title: 'Another Normal Event', isTestData: false }
       ]
 
-      indexedDBManager.getAll.mockResolvedValue(mockEvents)
-      indexedDBManager.deleteById.mockResolvedValue(undefined)
+      scheduleManager.getAllEvents.mockResolvedValue(mockEvents)
+      scheduleManager.deleteEvents.mockResolvedValue(2)
 
       const result = await EventService.clearTestData()
 
-      expect(indexedDBManager.getAll).toHaveBeenCalledWith(
-        indexedDBManager.STORES.SCHEDULE
-      )
-      expect(indexedDBManager.deleteById).toHaveBeenCalledTimes(2)
-      expect(indexedDBManager.deleteById).toHaveBeenCalledWith(
-        indexedDBManager.STORES.SCHEDULE,
-        2
-      )
-      expect(indexedDBManager.deleteById).toHaveBeenCalledWith(
-        indexedDBManager.STORES.SCHEDULE,
-        3
-      )
+      expect(scheduleManager.getAllEvents).toHaveBeenCalled()
+      expect(scheduleManager.deleteEvents).toHaveBeenCalledTimes(1)
+      expect(scheduleManager.deleteEvents).toHaveBeenCalledWith([2, 3])
       expect(result).toBe(2)
     })
 
@@ -453,26 +498,23 @@ describe('EventService', () => {
         { id: 2, title: 'Test Event', isTestData: true }
       ]
 
-      indexedDBManager.getAll.mockResolvedValue(mockEvents)
-      indexedDBManager.deleteById.mockResolvedValue(undefined)
+      scheduleManager.getAllEvents.mockResolvedValue(mockEvents)
+      scheduleManager.deleteEvents.mockResolvedValue(1)
 
       const result = await EventService.clearTestData()
 
-      expect(indexedDBManager.deleteById).toHaveBeenCalledTimes(1)
-      expect(indexedDBManager.deleteById).toHaveBeenCalledWith(
-        indexedDBManager.STORES.SCHEDULE,
-        2
-      )
+      expect(scheduleManager.deleteEvents).toHaveBeenCalledWith([2])
       expect(result).toBe(1)
     })
 
     test('handles null/undefined events array safely', async () => {
-      indexedDBManager.getAll.mockResolvedValue(null)
+      scheduleManager.getAllEvents.mockResolvedValue(null)
+      scheduleManager.deleteEvents.mockResolvedValue(0)
 
       const result = await EventService.clearTestData()
 
       expect(result).toBe(0)
-      expect(indexedDBManager.deleteById).not.toHaveBeenCalled()
+      expect(scheduleManager.deleteEvents).toHaveBeenCalledWith([])
     })
 
     test('filters out events without ID', async () => {
@@ -481,36 +523,33 @@ describe('EventService', () => {
         { id: 2, title: 'Has ID', isTestData: true }
       ]
 
-      indexedDBManager.getAll.mockResolvedValue(mockEvents)
-      indexedDBManager.deleteById.mockResolvedValue(undefined)
+      scheduleManager.getAllEvents.mockResolvedValue(mockEvents)
+      scheduleManager.deleteEvents.mockResolvedValue(1)
 
       const result = await EventService.clearTestData()
 
-      expect(indexedDBManager.deleteById).toHaveBeenCalledTimes(1)
+      expect(scheduleManager.deleteEvents).toHaveBeenCalledWith([2])
       expect(result).toBe(1)
     })
 
-    test('tracks successful vs failed deletions', async () => {
+    test('returns the number of successful deletions', async () => {
       const mockEvents = [
         { id: 1, title: 'Test 1', isTestData: true },
         { id: 2, title: 'Test 2', isTestData: true },
         { id: 3, title: 'Test 3', isTestData: true }
       ]
 
-      indexedDBManager.getAll.mockResolvedValue(mockEvents)
-      indexedDBManager.deleteById
-        .mockResolvedValueOnce(undefined)
-        .mockRejectedValueOnce(new Error('Delete failed'))
-        .mockResolvedValueOnce(undefined)
+      scheduleManager.getAllEvents.mockResolvedValue(mockEvents)
+      scheduleManager.deleteEvents.mockResolvedValue(2)
 
       const result = await EventService.clearTestData()
 
       expect(result).toBe(2) // Only 2 successful deletions
     })
 
-    test('returns zero and logs error on getAll failure', async () => {
+    test('returns zero and logs error on load failure', async () => {
       const error = new Error('Database error')
-      indexedDBManager.getAll.mockRejectedValue(error)
+      scheduleManager.getAllEvents.mockRejectedValue(error)
 
       const result = await EventService.clearTestData()
 
@@ -523,22 +562,84 @@ describe('EventService', () => {
   })
 
   describe('getAllEvents', () => {
-    test('returns all events from database', async () => {
+    test('returns all events from the schedule repository', async () => {
       const mockEvents = [
         { id: 1, title: 'Event 1' },
         { id: 2, title: 'Event 2' }
       ]
-      indexedDBManager.getAll.mockResolvedValue(mockEvents)
+      scheduleManager.getAllEvents.mockResolvedValue(mockEvents)
 
       const result = await EventService.getAllEvents()
 
-      expect(indexedDBManager.getAll).toHaveBeenCalledWith(
-        indexedDBManager.STORES.SCHEDULE
-      )
+      expect(scheduleManager.getAllEvents).toHaveBeenCalled()
       expect(result).toEqual(mockEvents)
     })
   })
 
+  describe('conflicts, slots and summaries', () => {
+    test('checks conflicts through the repository', async () => {
+      const conflicts = [{ id: 7, title: 'Busy' }]
+      scheduleManager.checkConflicts.mockResolvedValue(conflicts)
+
+      const result = await EventService.checkConflicts(
+        '2024-01-15',
+        '10:00',
+        '11:00',
+        3
+      )
+
+      expect(scheduleManager.checkConflicts).toHaveBeenCalledWith(
+        '2024-01-15',
+        '10:00',
+        '11:00',
+        3
+      )
+      expect(result).toEqual(conflicts)
+    })
+
+    test('finds conflicts of a draft through the repository', async () => {
+      const draft = { day: '2024-01-15', startTime: '23:00', endTime: '01:00' }
+      const conflicts = [{ id: 8, title: 'Night flight' }]
+      scheduleManager.findEventConflicts.mockResolvedValue(conflicts)
+
+      expect(await EventService.findConflicts(draft)).toEqual(conflicts)
+      expect(scheduleManager.findEventConflicts).toHaveBeenCalledWith(draft)
+    })
+
+    test('returns no conflicts on error', async () => {
+      scheduleManager.findEventConflicts.mockRejectedValue(new Error('DB'))
+      scheduleManager.getConflictsForRange.mockRejectedValue(new Error('DB'))
+
+      expect(await EventService.findConflicts({})).toEqual([])
+      expect(
+        await EventService.getConflictsForRange('2024-01-15', '2024-01-21')
+      ).toEqual({})
+    })
+
+    test('returns an empty slot list on error', async () => {
+      scheduleManager.getAvailableSlots.mockRejectedValue(new Error('DB'))
+
+      expect(await EventService.getAvailableSlots('2024-01-15', 30)).toEqual([])
+    })
+
+    test('returns null when the summary cannot be loaded', async () => {
+      scheduleManager.getTodaySummary.mockRejectedValue(new Error('DB'))
+
+      expect(await EventService.getTodaySummary()).toBeNull()
+    })
+
+    test('subscribes to repository change notifications', () => {
+      const unsubscribe = jest.fn()
+      const listener = jest.fn()
+      scheduleManager.subscribeToScheduleChanges.mockReturnValue(unsubscribe)
+
+      expect(EventService.subscribe(listener)).toBe(unsubscribe)
+      expect(scheduleManager.subscribeToScheduleChanges).toHaveBeenCalledWith(
+        listener
+      )
+    })
+  })
+
   describe('Date normalization', () => {
     test('accepts YYYY-MM-DD string format', async () => {
       scheduleManager.getEventsForDay.mockResolvedValue([])
@@ -4,9 +4,24 @@
  */
 
 import React from 'react'
-import { render, screen } from '@testing-library/react'
+import { render, screen, act } from '@testing-library/react'
 import { BrowserRouter } from 'react-router-dom'
 import Home from '../pages/Home.jsx'
+import EventService from '../services/EventService'
+import { getDueTasks, subscribeToTaskChanges } from '../utils/tasksManager'
+
+jest.mock('../services/EventService', () => ({
+  __esModule: true,
+  default: {
+    getTodaySummary: jest.fn().mockResolvedValue(null),
+    subscribe: jest.fn(() => jest.fn())
+  }
+}))
+
+jest.mock('../utils/tasksManager', () => ({
+  getDueTasks: jest.fn().mockResolvedValue({ overdue: [], dueToday: [] }),
+  subscribeToTaskChanges: jest.fn(() => jest.fn())
+}))
 
 // Helper to render component with router
 const renderWithRouter = (component) => {
@@ -149,4 +164,81 @@ describe('Home Component', () => {
       expect(cards.length).toBeGreaterThan(0)
     })
   })
+
+  describe('Today Summary', () => {
+    const summary = {
+      day: '2025-01-15',
+      totalEvents: 2,
+      totalDuration: 90,
+      byType: { meeting: 1, task: 1 },
+      events: [
+        { id: 2, title: 'Write report', startTime: '13:00', day: '2025-01-15' },
+        { id: 1, title: 'Standup', startTime: '09:00', day: '2025-01-15' }
+      ]
+    }
+
+    test("shows today's events in start-time order", async () => {
+      EventService.getTodaySummary.mockResolvedValueOnce(summary)
+      renderWithRouter(<Home />)
+
+      expect(await screen.findByText('2 events · 1h 30m planned')).toBeTruthy()
+      const items = screen.getAllByRole('listitem')
+      expect(items[0]).toHaveTextContent('09:00 Standup')
+      expect(items[1]).toHaveTextContent('13:00 Write report')
+    })
+
+    test('reloads the summary when the schedule changes', async () => {
+      EventService.getTodaySummary
+        .mockResolvedValueOnce({ ...summary, totalEvents: 0, events: [] })
+        .mockResolvedValueOnce(summary)
+      renderWithRouter(<Home />)
+      expect(await screen.findByText('Nothing scheduled')).toBeTruthy()
+
+      const listener = EventService.subscribe.mock.calls.at(-1)[0]
+      await act(async () => {
+        await listener({ type: 'created', ids: [1] })
+      })
+
+      expect(screen.getByText('2 events · 1h 30m planned')).toBeTruthy()
+    })
+  })
+
+  describe('Due Tasks', () => {
+    const dueTasks = {
+      overdue: [{ id: 'a', text: 'Pay rent', dueDate: '2000-01-01' }],
+      dueToday: []
+    }
+
+    test('says when nothing is due', async () => {
+      renderWithRouter(<Home />)
+
+      expect(await screen.findByText('Nothing due today')).toBeTruthy()
+    })
+
+    test('lists overdue tasks with a link to the matrix', async () => {
+      getDueTasks.mockResolvedValueOnce(dueTasks)
+      renderWithRouter(<Home />)
+
+      expect(await screen.findByText('1 overdue')).toBeTruthy()
+      expect(screen.getByText(/Pay rent/)).toBeTruthy()
+      expect(
+        screen.getByRole('link', { name: 'Open the task matrix' })
+      ).toHaveAttribute('href', '/tasks')
+    })
+
+    test('reloads when tasks change', async () => {
+      getDueTasks
+        .mockResolvedValueOnce({ overdue: [], dueToday: [] })
+        .mockResolvedValueOnce(dueTasks)
+      renderWithRouter(<Home />)
+      expect(await screen.findByText('Nothing due today')).toBeTruthy()
+
+      const listener = subscribeToTaskChanges.mock.calls.at(-1)[0]
+      await act(async () => {
+        await listener({ type: 'updated', ids: ['a'] })
+      })
+
+      expect(screen.getByText('1 overdue')).toBeTruthy()
+    })
+  })
 })
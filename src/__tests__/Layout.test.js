@@ -295,7 +295,10 @@ describe('Layout Component - Global Navbar (TAB-NAV)', () => {
 
       const searchButton = screen.getByRole('button', { name: /search/i })
       expect(searchButton).toBeInTheDocument()
-      expect(searchButton).toHaveAttribute('title', 'Search (Coming soon)')
+      expect(searchButton).toHaveAttribute(
+        'title',
+        'Search and quick capture (Ctrl+K)'
+      )
     })
 
     test('theme toggle button is present', () => {
@@ -0,0 +1,71 @@
+import React from 'react'
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import '@testing-library/jest-dom'
+import 'fake-indexeddb/auto'
+import { useNavigate } from 'react-router-dom'
+import ResumeRunBanner from '../components/Layout/ResumeRunBanner'
+import { clear, STORES } from '../utils/indexedDBManager'
+import {
+  saveRoutineState,
+  getActiveRoutineState
+} from '../utils/routinesManager'
+import { createRunnerState } from '../utils/routineRunner'
+
+const routine = {
+  id: 'routine_morning',
+  title: 'Morning routine',
+  steps: [
+    { label: 'Water', duration: 30 },
+    { label: 'Stretch', duration: 300 }
+  ]
+}
+
+describe('ResumeRunBanner', () => {
+  const navigate = useNavigate()
+
+  beforeEach(async () => {
+    navigate.mockClear()
+    await clear(STORES.ROUTINE_RUNS)
+  })
+
+  test('shows nothing without an interrupted run', async () => {
+    const { container } = render(<ResumeRunBanner />)
+    await waitFor(() => expect(container).toBeEmptyDOMElement())
+  })
+
+  test('offers to resume an interrupted run', async () => {
+    await saveRoutineState({
+      ...createRunnerState(routine),
+      isRunning: true,
+      currentStepIndex: 1
+    })
+    render(<ResumeRunBanner />)
+
+    const banner = await screen.findByRole('region', {
+      name: 'Interrupted routine'
+    })
+    expect(banner).toHaveTextContent(
+      '“Morning routine” was interrupted at step 2 of 2 (Stretch).'
+    )
+
+    fireEvent.click(
+      screen.getByRole('button', { name: 'Resume where you left off' })
+    )
+    expect(navigate).toHaveBeenCalledWith('/routines', {
+      state: { resumeRun: true }
+    })
+    expect(screen.queryByRole('region')).not.toBeInTheDocument()
+    expect(await getActiveRoutineState()).not.toBeNull()
+  })
+
+  test('discards an interrupted run', async () => {
+    await saveRoutineState({ ...createRunnerState(routine), isRunning: true })
+    render(<ResumeRunBanner />)
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Discard' }))
+
+    expect(screen.queryByRole('region')).not.toBeInTheDocument()
+    await waitFor(async () => expect(await getActiveRoutineState()).toBeNull())
+    expect(navigate).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,72 @@
+import React from 'react'
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import '@testing-library/jest-dom'
+import 'fake-indexeddb/auto'
+import * as router from 'react-router-dom'
+import Routines from '../pages/Routines'
+import { createRoutine } from '../utils/routinesManager'
+import { clear, getStatsByType, STORES } from '../utils/indexedDBManager'
+import { ROUTINE_TIME_STAT_TYPE } from '../utils/routineHistory'
+
+// jsdom has no matchMedia; the page reads the reduced motion preference
+window.matchMedia = () => ({
+  matches: false,
+  addEventListener: jest.fn(),
+  removeEventListener: jest.fn()
+})
+
+describe('Routines Component', () => {
+  let routineId
+
+  beforeEach(async () => {
+    await clear(STORES.ROUTINES)
+    await clear(STORES.STATS)
+    routineId = await createRoutine({
+      title: 'Morning',
+      steps: [
+        { id: 'wake', label: 'Wake up', duration: 60 },
+        { id: 'stretch', label: 'Stretch', duration: 120 },
+        { id: 'shower', label: 'Shower', duration: 300 }
+      ]
+    })
+    // Start the routine as if it was picked in the command palette
+    jest.spyOn(router, 'useLocation').mockReturnValue({
+      pathname: '/routines',
+      state: { routineId },
+      key: 'start'
+    })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('records the reason picked or typed when skipping a step', async () => {
+    render(<Routines />)
+
+    expect(
+      await screen.findByRole('button', { name: 'Complete current step' })
+    ).toBeInTheDocument()
+    const reason = screen.getByLabelText('Skip reason (optional)')
+
+    fireEvent.change(reason, { target: { value: 'No time' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Skip current step' }))
+    expect(reason).toHaveValue('')
+
+    fireEvent.change(reason, { target: { value: 'Sore back' } })
+    fireEvent.keyDown(window, { key: 's' })
+
+    fireEvent.click(screen.getByRole('button', { name: 'Skip current step' }))
+
+    expect(await screen.findByText('- No time')).toBeInTheDocument()
+    expect(screen.getByText('- Sore back')).toBeInTheDocument()
+    await waitFor(async () => {
+      const [run] = await getStatsByType(ROUTINE_TIME_STAT_TYPE)
+      expect(run.steps.map((step) => step.reason)).toEqual([
+        'No time',
+        'Sore back',
+        null
+      ])
+    })
+  })
+})
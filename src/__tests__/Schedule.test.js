@@ -1,5 +1,12 @@
 import React from 'react'
-import { render, screen, waitFor } from '@testing-library/react'
+import {
+  render,
+  screen,
+  waitFor,
+  fireEvent,
+  act,
+  within
+} from '@testing-library/react'
 import '@testing-library/jest-dom'
 import Schedule from '../pages/Schedule'
 
@@ -26,6 +33,7 @@ jest.mock('../components/Schedule/CustomToolbar', () => {
     onNavigate,
     onView,
     onScheduleEvent,
+    onPlanDay,
     EVENT_TYPES
   }) {
     return (
@@ -59,6 +67,7 @@ jest.mock('../components/Schedule/CustomToolbar', () => {
           >
             + Schedule
           </button>
+          <button onClick={onPlanDay}>Plan my day</button>
         </div>
       </div>
     )
@@ -89,11 +98,28 @@ jest.mock('../services/EventService', () => ({
     getEventsForDays: jest.fn().mockResolvedValue([]),
     createEvent: jest.fn(),
     updateEvent: jest.fn(),
+    moveEvent: jest.fn(),
+    updateRecurringEvent: jest.fn(),
+    reattachOccurrence: jest.fn(),
     deleteEvent: jest.fn(),
-    clearTestData: jest.fn().mockResolvedValue(0)
+    clearTestData: jest.fn().mockResolvedValue(0),
+    getConflictsForRange: jest.fn().mockResolvedValue({}),
+    findConflicts: jest.fn().mockResolvedValue([]),
+    subscribe: jest.fn(() => jest.fn())
   }
 }))
 
+// Mock .ics import/export
+jest.mock('../utils/calendarSubscriptionManager', () => ({
+  importICSFile: jest.fn()
+}))
+jest.mock('../utils/icsExporter', () => ({
+  exportScheduleICS: jest.fn()
+}))
+jest.mock('../utils/autoScheduler', () => ({
+  planDay: jest.fn()
+}))
+
 // Mock logger
 jest.mock('../utils/logger', () => ({
   createLogger: jest.fn(() => ({
@@ -104,11 +130,16 @@ jest.mock('../utils/logger', () => ({
   }))
 }))
 
+// Props of the last rendered calendar, to simulate drag and drop
+let mockCalendarProps = {}
+
 // Mock react-big-calendar to avoid rendering issues in tests
 jest.mock('react-big-calendar', () => {
   const React = require('react')
   return {
-    Calendar: ({ components, date }) => {
+    Calendar: (props) => {
+      mockCalendarProps = props
+      const { components, date } = props
       const Toolbar = components?.toolbar
       return (
         <div className='rbc-calendar'>
@@ -131,6 +162,10 @@ jest.mock('react-big-calendar', () => {
     }
   }
 })
+jest.mock(
+  'react-big-calendar/lib/addons/dragAndDrop',
+  () => (Calendar) => Calendar
+)
 
 describe('Schedule Component with React Big Calendar', () => {
   const EventService = require('../services/EventService').default
@@ -145,6 +180,7 @@ describe('Schedule Component with React Big Calendar', () => {
     EventService.getEventsForWeek.mockResolvedValue([])
     EventService.getEventsForRange.mockResolvedValue([])
     EventService.getEventsForDays.mockResolvedValue([])
+    EventService.findConflicts.mockResolvedValue([])
   })
 
   afterEach(() => {
@@ -218,4 +254,257 @@ describe('Schedule Component with React Big Calendar', () => {
       expect(EventService.getEventsForDate).toHaveBeenCalled()
     })
   })
+
+  test('loads conflicts for the days of the loaded events', async () => {
+    EventService.getEventsForDate.mockResolvedValue([
+      {
+        id: 1,
+        title: 'Late call',
+        day: '2025-09-16',
+        startTime: '23:30',
+        endTime: '00:30',
+        type: 'meeting'
+      }
+    ])
+
+    render(<Schedule />)
+
+    await waitFor(() => {
+      expect(EventService.getConflictsForRange).toHaveBeenCalledWith(
+        '2025-09-16',
+        '2025-09-16'
+      )
+    })
+  })
+
+  test('reloads events when the schedule repository reports a change', async () => {
+    render(<Schedule />)
+    await waitFor(() => {
+      expect(EventService.getEventsForDate).toHaveBeenCalledTimes(1)
+    })
+
+    const listener = EventService.subscribe.mock.calls.at(-1)[0]
+    await act(async () => {
+      await listener({ type: 'created', ids: [42] })
+    })
+
+    await waitFor(() => {
+      expect(EventService.getEventsForDate).toHaveBeenCalledTimes(2)
+    })
+  })
+
+  test('imports a selected .ics file and reports the result', async () => {
+    const { importICSFile } = require('../utils/calendarSubscriptionManager')
+    importICSFile.mockResolvedValue({ imported: 2, duplicates: 1, skipped: 0 })
+
+    render(<Schedule />)
+    await waitFor(() => {
+      expect(EventService.getEventsForDate).toHaveBeenCalled()
+    })
+
+    const file = {
+      name: 'invite.ics',
+      text: jest.fn().mockResolvedValue('BEGIN:VCALENDAR\nEND:VCALENDAR')
+    }
+    fireEvent.change(screen.getByTestId('ics-file-input'), {
+      target: { files: [file] }
+    })
+
+    await waitFor(() => {
+      expect(screen.getByRole('status')).toHaveTextContent(
+        'Imported 2 events, skipped 1 already in your schedule'
+      )
+    })
+    expect(importICSFile).toHaveBeenCalledWith('BEGIN:VCALENDAR\nEND:VCALENDAR')
+  })
+
+  test('previews a day plan and creates only the accepted blocks', async () => {
+    const { planDay } = require('../utils/autoScheduler')
+    const item = (taskId, title, startTime, endTime) => ({
+      taskId,
+      title,
+      day: '2025-09-16',
+      startTime,
+      endTime,
+      duration: 30,
+      isEstimated: true,
+      energy: 'high'
+    })
+    planDay.mockResolvedValue({
+      day: '2025-09-16',
+      items: [
+        item('t1', 'Write report', '09:30', '10:00'),
+        item('t2', 'Call bank', '10:00', '10:30')
+      ],
+      unplaced: []
+    })
+
+    render(<Schedule />)
+    fireEvent.click(await screen.findByText('Plan my day'))
+
+    expect(planDay).toHaveBeenCalledWith('2025-09-16')
+    fireEvent.click(await screen.findByLabelText('Include Call bank'))
+    fireEvent.click(screen.getByRole('button', { name: /Add 1 to schedule/ }))
+
+    await waitFor(() => {
+      expect(screen.getByRole('status')).toHaveTextContent('Scheduled 1 task')
+    })
+    expect(EventService.createEvent).toHaveBeenCalledTimes(1)
+    expect(EventService.createEvent).toHaveBeenCalledWith({
+      title: 'Write report',
+      type: 'task',
+      day: '2025-09-16',
+      startTime: '09:30',
+      endTime: '10:00',
+      taskId: 't1'
+    })
+  })
+
+  describe('drag and drop', () => {
+    const standup = {
+      id: 7,
+      title: 'Standup',
+      type: 'meeting',
+      day: '2025-09-16',
+      startTime: '09:00',
+      endTime: '09:30',
+      displayTimeZone: 'UTC'
+    }
+    const rbcEvent = (event, extra = {}) => ({
+      id: event.id,
+      title: event.title,
+      resource: { originalEvent: event, isLocked: false, ...extra }
+    })
+    const drop = (event, start, end) =>
+      act(() =>
+        mockCalendarProps.onEventDrop({
+          event,
+          start: new Date(start),
+          end: new Date(end)
+        })
+      )
+
+    test('locks read-only calendar events', async () => {
+      render(<Schedule />)
+      await screen.findByText('Plan my day')
+
+      const external = rbcEvent(
+        { ...standup, isExternal: true },
+        {
+          isLocked: true
+        }
+      )
+      expect(mockCalendarProps.draggableAccessor(rbcEvent(standup))).toBe(true)
+      expect(mockCalendarProps.draggableAccessor(external)).toBe(false)
+      expect(mockCalendarProps.resizableAccessor(external)).toBe(false)
+
+      await drop(external, '2025-09-16T11:00:00', '2025-09-16T11:30:00')
+      expect(EventService.moveEvent).not.toHaveBeenCalled()
+    })
+
+    test('moves an event and undoes the move', async () => {
+      render(<Schedule />)
+      await screen.findByText('Plan my day')
+
+      await drop(
+        rbcEvent(standup),
+        '2025-09-17T10:00:00',
+        '2025-09-17T10:30:00'
+      )
+
+      expect(EventService.moveEvent).toHaveBeenCalledWith(
+        7,
+        '2025-09-17',
+        '10:00',
+        undefined
+      )
+      const toast = await screen.findByText(
+        'Moved "Standup" to 2025-09-17 10:00–10:30'
+      )
+      fireEvent.click(within(toast).getByRole('button', { name: 'Undo' }))
+
+      await waitFor(() => {
+        expect(EventService.updateEvent).toHaveBeenCalledWith(standup)
+      })
+    })
+
+    test('resizes an event to the new end time', async () => {
+      render(<Schedule />)
+      await screen.findByText('Plan my day')
+
+      await act(() =>
+        mockCalendarProps.onEventResize({
+          event: rbcEvent(standup),
+          start: new Date('2025-09-16T09:00:00'),
+          end: new Date('2025-09-16T10:15:00')
+        })
+      )
+
+      expect(EventService.moveEvent).toHaveBeenCalledWith(
+        7,
+        '2025-09-16',
+        '09:00',
+        '10:15'
+      )
+    })
+
+    test('previews conflicts before moving', async () => {
+      EventService.findConflicts.mockResolvedValue([
+        {
+          title: 'Lunch',
+          day: '2025-09-16',
+          startTime: '12:00',
+          endTime: '13:00'
+        }
+      ])
+      render(<Schedule />)
+      await screen.findByText('Plan my day')
+
+      await drop(
+        rbcEvent(standup),
+        '2025-09-16T12:00:00',
+        '2025-09-16T12:30:00'
+      )
+
+      expect(
+        screen.getByText(/Overlaps "Lunch" \(2025-09-16 12:00–13:00\)/)
+      ).toBeInTheDocument()
+      expect(EventService.moveEvent).not.toHaveBeenCalled()
+
+      fireEvent.click(screen.getByRole('button', { name: 'Move anyway' }))
+      await waitFor(() => {
+        expect(EventService.moveEvent).toHaveBeenCalled()
+      })
+    })
+
+    test('moves only the dragged occurrence of a series', async () => {
+      EventService.updateRecurringEvent.mockResolvedValue(42)
+      const occurrence = {
+        ...standup,
+        isOccurrence: true,
+        recurringEventId: 7,
+        occurrenceDay: '2025-09-16'
+      }
+      render(<Schedule />)
+      await screen.findByText('Plan my day')
+
+      await drop(
+        rbcEvent(occurrence),
+        '2025-09-16T11:00:00',
+        '2025-09-16T11:30:00'
+      )
+
+      expect(EventService.updateRecurringEvent).toHaveBeenCalledWith(
+        expect.objectContaining({
+          startTime: '11:00',
+          occurrenceDay: '2025-09-16'
+        }),
+        'this'
+      )
+      fireEvent.click(await screen.findByRole('button', { name: 'Undo' }))
+      await waitFor(() => {
+        expect(EventService.reattachOccurrence).toHaveBeenCalledWith(42)
+      })
+    })
+  })
 })
@@ -4,7 +4,7 @@
  */
 
 import React from 'react'
-import { render, screen } from '@testing-library/react'
+import { render, screen, fireEvent } from '@testing-library/react'
 import '@testing-library/jest-dom'
 import Settings from '../pages/Settings'
 
@@ -93,6 +93,33 @@ describe('Settings Component', () => {
     ).toBeInTheDocument()
   })
 
+  test('saves the task promotion setting', () => {
+    const { updateSetting } = require('../utils/settingsManager')
+    render(<Settings />)
+
+    const daysInput = screen.getByLabelText('Days Before Due Date')
+    expect(daysInput).toBeDisabled()
+
+    fireEvent.click(screen.getByLabelText('Promote Tasks That Are Due Soon'))
+
+    expect(updateSetting).toHaveBeenCalledWith('tasks', { autoPromote: true })
+    expect(daysInput).toBeEnabled()
+  })
+
+  test('archives completed tasks by default and saves the change', () => {
+    const { updateSetting } = require('../utils/settingsManager')
+    render(<Settings />)
+
+    const archive = screen.getByLabelText('Archive Completed Tasks')
+    expect(archive).toBeChecked()
+    expect(screen.getByLabelText('Days After Completion')).toHaveValue(7)
+
+    fireEvent.click(archive)
+
+    expect(updateSetting).toHaveBeenCalledWith('tasks', { autoArchive: false })
+    expect(screen.getByLabelText('Days After Completion')).toBeDisabled()
+  })
+
   test('component renders without crashing', () => {
     const { container } = render(<Settings />)
     expect(container).toBeTruthy()
@@ -448,4 +448,60 @@ describe('SolidEventCard Component', () => {
       expect(() => render(<SolidEventCard event={event} />)).not.toThrow()
     })
   })
+
+  describe('Buffers', () => {
+    it('should render a buffer block for buffer background events', () => {
+      const event = {
+        title: 'Travel: Client visit',
+        resource: { type: 'meeting', bufferType: 'travel', minutes: 30 }
+      }
+
+      render(<SolidEventCard event={event} />)
+      const block = screen.getByRole('note')
+      expect(block).toHaveClass('event-buffer', 'event-buffer-travel')
+      expect(block).toHaveAccessibleName('Travel: Client visit (30 min)')
+      expect(screen.queryByRole('article')).not.toBeInTheDocument()
+    })
+
+    it('should warn when a buffer overlaps the previous event', () => {
+      const event = {
+        title: 'Preparation: Client visit',
+        resource: {
+          type: 'meeting',
+          bufferType: 'preparation',
+          minutes: 15,
+          overlapsEvent: 'Standup'
+        }
+      }
+
+      render(<SolidEventCard event={event} />)
+      expect(screen.getByRole('note')).toHaveClass('event-buffer-overlap')
+      expect(
+        screen.getByRole('img', { name: 'Overlaps Standup' })
+      ).toBeInTheDocument()
+    })
+  })
+
+  describe('Conflicts', () => {
+    it('should show a badge naming the conflicting events', () => {
+      const event = {
+        title: 'Planning',
+        resource: { type: 'meeting', conflicts: ['Standup', 'Holiday'] }
+      }
+
+      render(<SolidEventCard event={event} />)
+      expect(
+        screen.getByRole('img', { name: 'Conflicts with Standup, Holiday' })
+      ).toHaveTextContent('2')
+    })
+
+    it('should not show a badge without conflicts', () => {
+      render(
+        <SolidEventCard
+          event={{ title: 'Focus', resource: { type: 'task', conflicts: [] } }}
+        />
+      )
+      expect(screen.queryByRole('img')).not.toBeInTheDocument()
+    })
+  })
 })
@@ -0,0 +1,160 @@
+/**
+ * Tests for Stats component
+ * Validates the time budget section fed by schedule analytics
+ */
+
+import React from 'react'
+import { render, screen, fireEvent, within, act } from '@testing-library/react'
+import '@testing-library/jest-dom'
+import Stats from '../pages/Stats.jsx'
+import EventService from '../services/EventService'
+import { getStatsByType } from '../utils/indexedDBManager'
+
+jest.mock('../services/EventService', () => ({
+  __esModule: true,
+  default: {
+    getTodaySummary: jest.fn().mockResolvedValue(null),
+    getScheduleAnalytics: jest.fn(),
+    subscribe: jest.fn(() => jest.fn())
+  }
+}))
+
+jest.mock('../utils/indexedDBManager', () => ({
+  isIndexedDBAvailable: jest.fn(() => true),
+  getStatsByType: jest.fn().mockResolvedValue([])
+}))
+
+const emptyTypes = {
+  routine: { planned: 0, actual: 0 },
+  task: { planned: 0, actual: 0 },
+  meeting: { planned: 0, actual: 0 },
+  habit: { planned: 0, actual: 0 },
+  break: { planned: 0, actual: 0 }
+}
+
+const weekAnalytics = {
+  period: 'week',
+  startDate: '2025-01-13',
+  endDate: '2025-01-19',
+  capacityMinutes: 480,
+  byType: {
+    ...emptyTypes,
+    task: { planned: 300, actual: 240 },
+    meeting: { planned: 90, actual: 0 }
+  },
+  totals: { planned: 390, actual: 240, buffers: 30 },
+  days: [
+    {
+      day: '2025-01-14',
+      planned: 480,
+      actual: 240,
+      buffers: 30,
+      byType: emptyTypes,
+      overcommitted: true
+    }
+  ],
+  overcommittedDays: ['2025-01-14']
+}
+
+describe('Stats Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    EventService.getScheduleAnalytics.mockResolvedValue(weekAnalytics)
+    getStatsByType.mockResolvedValue([])
+  })
+
+  test('shows planned versus actual time per type', async () => {
+    render(<Stats />)
+
+    const table = await screen.findByRole('table', {
+      name: 'Planned versus actual time'
+    })
+    const taskRow = within(table).getByRole('row', { name: /Tasks/ })
+    expect(taskRow).toHaveTextContent('5h')
+    expect(taskRow).toHaveTextContent('4h')
+    expect(within(table).getByRole('row', { name: /Meetings/ })).toBeTruthy()
+    expect(within(table).queryByRole('row', { name: /Habits/ })).toBeNull()
+    expect(EventService.getScheduleAnalytics).toHaveBeenCalledWith('week')
+  })
+
+  test('flags overcommitted days', async () => {
+    render(<Stats />)
+
+    const warning = await screen.findByRole('status')
+    expect(warning).toHaveTextContent('more than 8h planned')
+    expect(warning).toHaveTextContent('2025-01-14 · 8h 30m')
+  })
+
+  test('switches the period', async () => {
+    render(<Stats />)
+    await screen.findByRole('table')
+
+    EventService.getScheduleAnalytics.mockResolvedValue({
+      ...weekAnalytics,
+      period: 'day',
+      startDate: '2025-01-15',
+      endDate: '2025-01-15',
+      byType: emptyTypes,
+      totals: { planned: 0, actual: 0, buffers: 0 },
+      days: [],
+      overcommittedDays: []
+    })
+    fireEvent.click(screen.getByRole('button', { name: 'Day' }))
+
+    expect(
+      await screen.findByText('Nothing planned in this period.')
+    ).toBeInTheDocument()
+    expect(EventService.getScheduleAnalytics).toHaveBeenLastCalledWith('day')
+    expect(screen.getByRole('button', { name: 'Day' })).toHaveAttribute(
+      'aria-pressed',
+      'true'
+    )
+  })
+
+  test('reloads when the schedule changes', async () => {
+    render(<Stats />)
+    await screen.findByRole('table')
+
+    const calls = EventService.getScheduleAnalytics.mock.calls.length
+    const listeners = EventService.subscribe.mock.calls.map(([fn]) => fn)
+    await act(async () => {
+      await Promise.all(listeners.map((listener) => listener()))
+    })
+
+    expect(EventService.getScheduleAnalytics.mock.calls.length).toBe(calls + 1)
+  })
+
+  test('shows estimation accuracy by week', async () => {
+    getStatsByType.mockImplementation(async (type) =>
+      type === 'task_estimate'
+        ? [
+            {
+              taskId: 'a',
+              date: '2025-01-14',
+              timestamp: 1,
+              estimatedMinutes: 30,
+              actualMinutes: 45
+            },
+            {
+              taskId: 'b',
+              date: '2025-01-15',
+              timestamp: 2,
+              estimatedMinutes: 90,
+              actualMinutes: 90
+            }
+          ]
+        : []
+    )
+    render(<Stats />)
+
+    const table = await screen.findByRole('table', {
+      name: 'Estimated versus actual time by week'
+    })
+    expect(
+      screen.getByText(/Tasks took 113% of their estimate/)
+    ).toHaveTextContent('Within 25%: 1 of 2')
+    expect(
+      within(table).getByRole('row', { name: /2025-01-13/ })
+    ).toHaveTextContent('2h2h 15m113%')
+  })
+})
@@ -1,7 +1,20 @@
 import React from 'react'
-import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import {
+  render,
+  screen,
+  fireEvent,
+  waitFor,
+  within,
+  act
+} from '@testing-library/react'
 import '@testing-library/jest-dom'
+import 'fake-indexeddb/auto'
 import Tasks from '../pages/Tasks'
+import { clear, getStatsByType, STORES } from '../utils/indexedDBManager'
+import { getTasksMatrix, createTask } from '../utils/tasksManager'
+import { getTodayInTimeZone } from '../utils/timezone'
+import { shiftDay } from '../utils/recurrence'
+import { getAllEvents } from '../utils/scheduleManager'
 
 // Mock localStorage
 const localStorageMock = (() => {
@@ -25,10 +38,14 @@ Object.defineProperty(window, 'localStorage', {
 })
 
 describe('Tasks Component', () => {
-  beforeEach(() => {
+  beforeEach(async () => {
     localStorage.clear()
+    await clear(STORES.TASKS)
   })
 
+  // Let background task writes finish before the next test clears the store
+  afterEach(() => act(() => new Promise((resolve) => setTimeout(resolve, 50))))
+
   test('renders Tasks component', () => {
     render(<Tasks />)
     expect(screen.getByText('Tasks')).toBeInTheDocument()
@@ -131,7 +148,7 @@ describe('Tasks Component', () => {
     })
   })
 
-  test('persists tasks to localStorage', async () => {
+  test('persists tasks to the task store', async () => {
     render(<Tasks />)
 
     const input = screen.getByPlaceholderText('Add a new task...')
@@ -140,17 +157,15 @@ describe('Tasks Component', () => {
     fireEvent.change(input, { target: { value: 'Persistent task' } })
     fireEvent.click(addButton)
 
-    await waitFor(() => {
-      const savedData = localStorage.getItem('aurorae_tasks')
-      expect(savedData).toBeTruthy()
-
-      const parsed = JSON.parse(savedData)
-      expect(parsed.urgent_important).toHaveLength(1)
-      expect(parsed.urgent_important[0].text).toBe('Persistent task')
+    await waitFor(async () => {
+      const saved = await getTasksMatrix()
+      expect(saved.urgent_important).toHaveLength(1)
+      expect(saved.urgent_important[0].text).toBe('Persistent task')
     })
+    expect(localStorage.getItem('aurorae_tasks')).toBeNull()
   })
 
-  test('loads tasks from localStorage on mount', () => {
+  test('migrates tasks saved in localStorage on mount', async () => {
     const mockTasks = {
       urgent_important: [
         {
@@ -169,7 +184,593 @@ describe('Tasks Component', () => {
 
     render(<Tasks />)
 
-    expect(screen.getByText('Loaded task')).toBeInTheDocument()
+    expect(await screen.findByText('Loaded task')).toBeInTheDocument()
+    expect(localStorage.getItem('aurorae_tasks')).toBeNull()
+  })
+
+  test('keeps completion after reloading from the task store', async () => {
+    const { unmount } = render(<Tasks />)
+
+    fireEvent.change(screen.getByPlaceholderText('Add a new task...'), {
+      target: { value: 'Stay done' }
+    })
+    fireEvent.click(screen.getByText('Add Task'))
+    fireEvent.click(
+      await screen.findByLabelText('Mark "Stay done" as complete')
+    )
+    await waitFor(async () => {
+      const saved = await getTasksMatrix()
+      expect(saved.urgent_important[0].completed).toBe(true)
+    })
+    unmount()
+
+    render(<Tasks />)
+    await waitFor(() => {
+      expect(screen.getByRole('checkbox')).toBeChecked()
+    })
+  })
+
+  test('breaks a task into steps and completes it with them', async () => {
+    render(<Tasks />)
+
+    fireEvent.change(screen.getByPlaceholderText('Add a new task...'), {
+      target: { value: 'Write report' }
+    })
+    fireEvent.click(screen.getByText('Add Task'))
+    const toggle = await screen.findByLabelText('Show steps for "Write report"')
+    fireEvent.click(toggle)
+    expect(toggle).toHaveAttribute('aria-expanded', 'true')
+
+    const stepInput = screen.getByLabelText('New step for "Write report"')
+    for (const step of ['Outline', 'Draft']) {
+      fireEvent.change(stepInput, { target: { value: step } })
+      fireEvent.click(screen.getByLabelText('Add step'))
+    }
+    const progress = screen.getByRole('progressbar', {
+      name: 'Steps done for "Write report"'
+    })
+    expect(progress).toHaveAttribute('aria-valuenow', '0')
+    expect(progress).toHaveAttribute('aria-valuemax', '2')
+
+    fireEvent.click(screen.getByLabelText('Complete when all steps are done'))
+    fireEvent.click(screen.getByLabelText('Mark step "Outline" as complete'))
+    expect(screen.getByText('1/2')).toBeInTheDocument()
+    expect(
+      screen.getByLabelText('Mark "Write report" as complete')
+    ).not.toBeChecked()
+
+    fireEvent.click(screen.getByLabelText('Mark step "Draft" as complete'))
+    expect(
+      screen.getByLabelText('Mark "Write report" as incomplete')
+    ).toBeChecked()
+
+    await waitFor(async () => {
+      const [saved] = (await getTasksMatrix()).urgent_important
+      expect(saved.completed).toBe(true)
+      expect(saved.subtasks.map((subtask) => subtask.completed)).toEqual([
+        true,
+        true
+      ])
+    })
+  })
+
+  test('completing the last step of a repeating task creates its next instance', async () => {
+    await clear(STORES.STATS)
+    await createTask('urgent_important', {
+      text: 'Weekly review',
+      subtasks: [
+        { id: 's1', text: 'Inbox', completed: true },
+        { id: 's2', text: 'Calendar', completed: false }
+      ],
+      completeWithSubtasks: true,
+      recurrence: { type: 'every_n_days', interval: 7 },
+      estimatedMinutes: 30,
+      timerStartedAt: Date.now() - 20 * 60 * 1000
+    })
+    render(<Tasks />)
+
+    fireEvent.click(
+      await screen.findByLabelText('Show steps for "Weekly review"')
+    )
+    fireEvent.click(screen.getByLabelText('Mark step "Calendar" as complete'))
+
+    await waitFor(async () => {
+      const [done, next] = (await getTasksMatrix()).urgent_important
+      expect(done.completed).toBe(true)
+      expect(done.timerStartedAt).toBeNull()
+      expect(done.actualMinutes).toBe(20)
+      expect(done.nextTaskId).toBe(next.id)
+      expect(next.recurrence).toEqual({ type: 'every_n_days', interval: 7 })
+    })
+    expect(await getStatsByType('task_estimate')).toEqual([
+      expect.objectContaining({ estimatedMinutes: 30, actualMinutes: 20 })
+    ])
+  })
+
+  test('deletes a step', async () => {
+    render(<Tasks />)
+
+    fireEvent.change(screen.getByPlaceholderText('Add a new task...'), {
+      target: { value: 'Tidy up' }
+    })
+    fireEvent.click(screen.getByText('Add Task'))
+    fireEvent.click(await screen.findByLabelText('Show steps for "Tidy up"'))
+    fireEvent.change(screen.getByLabelText('New step for "Tidy up"'), {
+      target: { value: 'Desk' }
+    })
+    fireEvent.submit(screen.getByLabelText('New step for "Tidy up"'))
+    fireEvent.click(screen.getByLabelText('Delete step "Desk"'))
+
+    expect(screen.queryByText('Desk')).not.toBeInTheDocument()
+    expect(screen.queryByRole('progressbar')).not.toBeInTheDocument()
+  })
+
+  test('creates the next instance when a repeating task is done', async () => {
+    render(<Tasks />)
+
+    fireEvent.change(screen.getByPlaceholderText('Add a new task...'), {
+      target: { value: 'Water plants' }
+    })
+    fireEvent.click(screen.getByText('Add Task'))
+    fireEvent.click(
+      await screen.findByLabelText('Show repeat for "Water plants"')
+    )
+    fireEvent.change(screen.getByLabelText('Repeat "Water plants"'), {
+      target: { value: 'every_n_days' }
+    })
+    fireEvent.change(screen.getByLabelText('Days'), { target: { value: '7' } })
+    fireEvent.click(screen.getByLabelText('Save repeat for "Water plants"'))
+    expect(screen.getByText('Every 7 days')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByLabelText('Mark "Water plants" as complete'))
+
+    expect(
+      await screen.findByLabelText('Mark "Water plants" as complete')
+    ).not.toBeChecked()
+    expect(
+      screen.getByLabelText('Mark "Water plants" as incomplete')
+    ).toBeChecked()
+    await waitFor(async () => {
+      const [done, next] = (await getTasksMatrix()).urgent_important
+      expect(done.nextTaskId).toBe(next.id)
+      expect(next.recurrence).toEqual({ type: 'every_n_days', interval: 7 })
+      expect(next.completionHistory).toHaveLength(1)
+    })
+  })
+
+  test('adds a task with a due date and shows it in the overdue view', async () => {
+    const yesterday = shiftDay(getTodayInTimeZone(), -1)
+    render(<Tasks />)
+
+    fireEvent.change(screen.getByPlaceholderText('Add a new task...'), {
+      target: { value: 'Pay rent' }
+    })
+    fireEvent.change(screen.getByLabelText('Due date'), {
+      target: { value: yesterday }
+    })
+    fireEvent.click(screen.getByText('Add Task'))
+    fireEvent.change(screen.getByPlaceholderText('Add a new task...'), {
+      target: { value: 'Someday' }
+    })
+    fireEvent.click(screen.getByText('Add Task'))
+
+    expect(await screen.findByText('Yesterday')).toBeInTheDocument()
+    expect(screen.getByLabelText('Due date')).toHaveValue('')
+
+    fireEvent.click(screen.getByRole('button', { name: 'Overdue (1)' }))
+    expect(screen.getByText('Pay rent')).toBeInTheDocument()
+    expect(screen.queryByText('Someday')).not.toBeInTheDocument()
+
+    fireEvent.click(screen.getByRole('button', { name: 'All' }))
+    expect(screen.getByText('Someday')).toBeInTheDocument()
+    await waitFor(async () => {
+      const [saved] = (await getTasksMatrix()).urgent_important
+      expect(saved.dueDate).toBe(yesterday)
+    })
+  })
+
+  test('sets and clears a due date on a task', async () => {
+    const today = getTodayInTimeZone()
+    render(<Tasks />)
+
+    fireEvent.change(screen.getByPlaceholderText('Add a new task...'), {
+      target: { value: 'Call back' }
+    })
+    fireEvent.click(screen.getByText('Add Task'))
+    fireEvent.click(
+      await screen.findByLabelText('Show due date and estimate for "Call back"')
+    )
+    fireEvent.change(screen.getByLabelText('Due date for "Call back"'), {
+      target: { value: today }
+    })
+    fireEvent.change(screen.getByLabelText('Due time for "Call back"'), {
+      target: { value: '23:59' }
+    })
+
+    expect(screen.getByText('Today 23:59')).toBeInTheDocument()
+    expect(
+      screen.getByRole('button', { name: 'Due today (1)' })
+    ).toBeInTheDocument()
+
+    fireEvent.click(screen.getByLabelText('Clear due date for "Call back"'))
+    expect(screen.queryByText('Today 23:59')).not.toBeInTheDocument()
+    await waitFor(async () => {
+      const [saved] = (await getTasksMatrix()).urgent_important
+      expect(saved.dueDate).toBeNull()
+      expect(saved.dueTime).toBeNull()
+    })
+  })
+
+  test('adds a task with an estimate and changes it', async () => {
+    render(<Tasks />)
+
+    fireEvent.change(screen.getByPlaceholderText('Add a new task...'), {
+      target: { value: 'Write report' }
+    })
+    fireEvent.change(screen.getByLabelText('Estimate in minutes'), {
+      target: { value: '45' }
+    })
+    fireEvent.click(screen.getByText('Add Task'))
+
+    expect(await screen.findByText('~45m')).toBeInTheDocument()
+
+    fireEvent.click(
+      screen.getByLabelText('Show due date and estimate for "Write report"')
+    )
+    fireEvent.change(
+      screen.getByLabelText('Estimate in minutes for "Write report"'),
+      { target: { value: '90' } }
+    )
+
+    expect(screen.getByText('~1h 30m')).toBeInTheDocument()
+    await waitFor(async () => {
+      const [saved] = (await getTasksMatrix()).urgent_important
+      expect(saved.estimatedMinutes).toBe(90)
+    })
+  })
+
+  describe('quick capture', () => {
+    const type = (text) =>
+      fireEvent.change(screen.getByPlaceholderText('Add a new task...'), {
+        target: { value: text }
+      })
+
+    test('previews and adds the fields read from the text', async () => {
+      render(<Tasks />)
+
+      type('Review budget tomorrow #work !important 45m')
+
+      const preview = screen.getByLabelText('Quick capture preview')
+      expect(preview).toHaveTextContent('New task')
+      expect(preview).toHaveTextContent('Review budget')
+      expect(preview).toHaveTextContent('Tomorrow')
+      expect(preview).toHaveTextContent('Not Urgent & Important')
+      expect(preview).toHaveTextContent('#work')
+      expect(preview).toHaveTextContent('~45m')
+
+      fireEvent.click(screen.getByText('Add Task'))
+
+      expect(await screen.findByText('Review budget')).toBeInTheDocument()
+      expect(
+        screen.queryByLabelText('Quick capture preview')
+      ).not.toBeInTheDocument()
+      await waitFor(async () => {
+        const [saved] = (await getTasksMatrix()).not_urgent_important
+        expect(saved).toEqual(
+          expect.objectContaining({
+            text: 'Review budget',
+            dueDate: shiftDay(getTodayInTimeZone(), 1),
+            tags: ['work'],
+            estimatedMinutes: 45
+          })
+        )
+      })
+    })
+
+    test('sends text with a time to the schedule as well', async () => {
+      await clear(STORES.SCHEDULE)
+      render(<Tasks />)
+
+      type('call dentist tomorrow 3pm #health !urgent 15m')
+      expect(screen.getByLabelText('Quick capture preview')).toHaveTextContent(
+        'New task and event'
+      )
+      fireEvent.click(screen.getByText('Add Task'))
+
+      expect(
+        await screen.findByText('Added "call dentist" to the schedule at 15:00')
+      ).toBeInTheDocument()
+      const tomorrow = shiftDay(getTodayInTimeZone(), 1)
+      const [task] = (await getTasksMatrix()).urgent_important
+      expect(task).toEqual(
+        expect.objectContaining({
+          text: 'call dentist',
+          dueDate: tomorrow,
+          dueTime: '15:00',
+          tags: ['health'],
+          estimatedMinutes: 15
+        })
+      )
+      const [event] = await getAllEvents()
+      expect(event).toEqual(
+        expect.objectContaining({
+          title: 'call dentist',
+          day: tomorrow,
+          startTime: '15:00',
+          endTime: '15:15',
+          taskId: task.id
+        })
+      )
+
+      fireEvent.click(screen.getByRole('button', { name: 'Undo' }))
+      await waitFor(async () => expect(await getAllEvents()).toHaveLength(0))
+      expect(Object.values(await getTasksMatrix()).flat()).toHaveLength(0)
+      await waitFor(() =>
+        expect(screen.queryByText('call dentist')).not.toBeInTheDocument()
+      )
+    })
+  })
+
+  test('edits the tags and project of a task', async () => {
+    await createTask('urgent_important', { text: 'Write report' })
+    render(<Tasks />)
+    await screen.findByText('Write report')
+
+    fireEvent.click(
+      screen.getByLabelText('Show tags and project for "Write report"')
+    )
+    fireEvent.change(screen.getByLabelText('New tag for "Write report"'), {
+      target: { value: '#work, writing' }
+    })
+    fireEvent.click(screen.getByLabelText('Add tag to "Write report"'))
+    const project = screen.getByLabelText('Project for "Write report"')
+    fireEvent.change(project, { target: { value: 'Launch' } })
+    fireEvent.blur(project)
+
+    expect(
+      await screen.findByLabelText('Tags for "Write report"')
+    ).toHaveTextContent('#work#writing')
+    expect(screen.getByTitle('Project')).toHaveTextContent('Launch')
+    await waitFor(async () => {
+      const [saved] = (await getTasksMatrix()).urgent_important
+      expect(saved.tags).toEqual(['work', 'writing'])
+      expect(saved.project).toBe('Launch')
+    })
+
+    fireEvent.click(
+      screen.getByLabelText('Remove tag "work" from "Write report"')
+    )
+    await waitFor(async () => {
+      const [saved] = (await getTasksMatrix()).urgent_important
+      expect(saved.tags).toEqual(['writing'])
+    })
+  })
+
+  test('filters tasks by tag and project', async () => {
+    await createTask('urgent_important', {
+      text: 'Call client',
+      tags: ['work', 'calls'],
+      project: 'Launch'
+    })
+    await createTask('urgent_important', {
+      text: 'Water plants',
+      tags: ['home']
+    })
+    await createTask('not_urgent_important', {
+      text: 'Write brief',
+      tags: ['work'],
+      project: 'Website'
+    })
+    render(<Tasks />)
+    await screen.findByText('Water plants')
+
+    fireEvent.click(screen.getByLabelText('Filter tasks'))
+    const dialog = screen.getByRole('dialog', { name: 'Filter Tasks' })
+    fireEvent.click(within(dialog).getByLabelText('#work'))
+    fireEvent.click(within(dialog).getByText('Apply Filters'))
+
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument()
+    expect(screen.queryByText('Water plants')).not.toBeInTheDocument()
+    expect(screen.getByText('Call client')).toBeInTheDocument()
+    expect(screen.getByText('Write brief')).toBeInTheDocument()
+    expect(screen.getByLabelText('Filters active')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByLabelText('Filter tasks'))
+    fireEvent.click(screen.getByLabelText('Website'))
+    fireEvent.click(screen.getByText('Apply Filters'))
+
+    expect(screen.queryByText('Call client')).not.toBeInTheDocument()
+    expect(screen.getByText('Write brief')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByLabelText('Remove project filter'))
+    expect(screen.getByText('Call client')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByText('Clear filters'))
+    expect(screen.getByText('Water plants')).toBeInTheDocument()
+    expect(screen.queryByLabelText('Filters active')).not.toBeInTheDocument()
+  })
+
+  test('times work on a task and records the session', async () => {
+    await clear(STORES.STATS)
+    await createTask('urgent_important', {
+      text: 'Write report',
+      estimatedMinutes: 30,
+      timerStartedAt: Date.now() - 20 * 60 * 1000
+    })
+    render(<Tasks />)
+
+    expect(await screen.findByRole('timer')).toHaveTextContent('20:00')
+
+    fireEvent.click(screen.getByLabelText('Stop timer for "Write report"'))
+
+    expect(await screen.findByText('20m / 30m')).toBeInTheDocument()
+    expect(
+      screen.getByLabelText('Start timer for "Write report"')
+    ).toBeInTheDocument()
+    await waitFor(async () => {
+      const [session] = await getStatsByType('task_time')
+      expect(session).toEqual(
+        expect.objectContaining({ minutes: 20, eventType: 'task' })
+      )
+    })
+  })
+
+  test('archives old completed tasks and restores them', async () => {
+    await clear(STORES.STATS)
+    await createTask('urgent_important', {
+      text: 'Old report',
+      completed: true,
+      completedAt: Date.now() - 10 * 24 * 60 * 60 * 1000
+    })
+    await createTask('urgent_important', { text: 'Still open' })
+    render(<Tasks />)
+
+    await screen.findByText('Still open')
+    await waitFor(() =>
+      expect(screen.queryByText('Old report')).not.toBeInTheDocument()
+    )
+
+    fireEvent.click(screen.getByRole('button', { name: 'Show archive' }))
+    const archive = await screen.findByRole('list', { name: 'Archived tasks' })
+    expect(archive).toHaveTextContent('Old report')
+
+    fireEvent.change(screen.getByLabelText('Search archived tasks'), {
+      target: { value: 'nothing like it' }
+    })
+    expect(
+      await screen.findByText('No archived tasks match these filters')
+    ).toBeInTheDocument()
+    fireEvent.click(screen.getByRole('button', { name: 'Clear filters' }))
+
+    fireEvent.click(await screen.findByLabelText('Restore "Old report"'))
+
+    expect(
+      await screen.findByLabelText('Mark "Old report" as complete')
+    ).toBeInTheDocument()
+    expect(await screen.findByText('No archived tasks yet')).toBeInTheDocument()
+    expect(await getStatsByType('task_completion')).toHaveLength(1)
+  })
+
+  describe('multi-select', () => {
+    const taskItem = (text) =>
+      screen.getByRole('button', { name: new RegExp(`^Task: ${text}\\.`) })
+
+    beforeEach(async () => {
+      await createTask('urgent_important', { text: 'Report' })
+      await createTask('urgent_important', { text: 'Invoice' })
+      await createTask('not_urgent_important', { text: 'Read' })
+    })
+
+    test('completes the tasks picked with Ctrl-click and undoes it', async () => {
+      render(<Tasks />)
+      await screen.findByText('Read')
+
+      fireEvent.click(taskItem('Report'), { ctrlKey: true })
+      fireEvent.click(taskItem('Read'), { metaKey: true })
+
+      expect(taskItem('Report')).toHaveAttribute('aria-pressed', 'true')
+      expect(taskItem('Invoice')).toHaveAttribute('aria-pressed', 'false')
+      const toolbar = screen.getByRole('toolbar', { name: 'Bulk actions' })
+      expect(toolbar).toHaveTextContent('2 selected')
+
+      fireEvent.click(screen.getByRole('button', { name: 'Complete' }))
+
+      expect(await screen.findByText('Completed 2 tasks')).toBeInTheDocument()
+      expect(
+        await screen.findByLabelText('Mark "Report" as incomplete')
+      ).toBeInTheDocument()
+      expect(screen.queryByRole('toolbar')).not.toBeInTheDocument()
+
+      fireEvent.click(screen.getByRole('button', { name: 'Undo' }))
+
+      expect(
+        await screen.findByLabelText('Mark "Report" as complete')
+      ).toBeInTheDocument()
+      expect(
+        screen.getByLabelText('Mark "Read" as complete')
+      ).toBeInTheDocument()
+    })
+
+    test('selects a range with Shift-click and moves it', async () => {
+      render(<Tasks />)
+      await screen.findByText('Read')
+
+      fireEvent.click(taskItem('Report'), { ctrlKey: true })
+      fireEvent.click(taskItem('Read'), { shiftKey: true })
+
+      expect(screen.getByRole('toolbar')).toHaveTextContent('3 selected')
+
+      fireEvent.change(screen.getByLabelText('Move selected tasks to'), {
+        target: { value: 'urgent_not_important' }
+      })
+
+      expect(
+        await screen.findByText('Moved 3 tasks to Urgent & Not Important')
+      ).toBeInTheDocument()
+      await waitFor(async () => {
+        const matrix = await getTasksMatrix()
+        expect(matrix.urgent_not_important).toHaveLength(3)
+      })
+    })
+
+    test('selects with the keyboard and deletes with Delete', async () => {
+      render(<Tasks />)
+      await screen.findByText('Read')
+
+      fireEvent.keyDown(taskItem('Invoice'), { key: ' ' })
+      expect(screen.getByRole('toolbar')).toHaveTextContent('1 selected')
+
+      fireEvent.keyDown(taskItem('Invoice'), { key: 'a', ctrlKey: true })
+      expect(screen.getByRole('toolbar')).toHaveTextContent('3 selected')
+
+      fireEvent.keyDown(taskItem('Invoice'), { key: 'Escape' })
+      expect(screen.queryByRole('toolbar')).not.toBeInTheDocument()
+
+      fireEvent.keyDown(taskItem('Invoice'), { key: ' ' })
+      fireEvent.keyDown(taskItem('Invoice'), { key: 'Delete' })
+
+      expect(await screen.findByText('Deleted 1 task')).toBeInTheDocument()
+      await waitFor(() =>
+        expect(screen.queryByText('Invoice')).not.toBeInTheDocument()
+      )
+
+      fireEvent.click(screen.getByRole('button', { name: 'Undo' }))
+      expect(await screen.findByText('Invoice')).toBeInTheDocument()
+    })
+
+    test('tags the selected tasks', async () => {
+      render(<Tasks />)
+      await screen.findByText('Read')
+
+      fireEvent.click(taskItem('Report'), { ctrlKey: true })
+      fireEvent.change(screen.getByLabelText('Tag for selected tasks'), {
+        target: { value: 'work' }
+      })
+      fireEvent.click(screen.getByRole('button', { name: 'Add tag' }))
+
+      expect(await screen.findByText('#work')).toBeInTheDocument()
+    })
+  })
+
+  test('promotes tasks that are due soon when enabled', async () => {
+    localStorage.setItem(
+      'aurorae_settings',
+      JSON.stringify({ tasks: { autoPromote: true, promoteWithinDays: 1 } })
+    )
+    await createTask('not_urgent_important', {
+      text: 'Renew passport',
+      dueDate: shiftDay(getTodayInTimeZone(), 1)
+    })
+
+    render(<Tasks />)
+
+    await waitFor(async () => {
+      const matrix = await getTasksMatrix()
+      expect(matrix.urgent_important.map((task) => task.text)).toEqual([
+        'Renew passport'
+      ])
+    })
+    expect(await screen.findByText('Tomorrow')).toBeInTheDocument()
   })
 
   test('displays empty state for quadrants with no tasks', () => {
@@ -6,7 +6,10 @@
 import React from 'react'
 import { render, screen, fireEvent, waitFor } from '@testing-library/react'
 import '@testing-library/jest-dom'
+import 'fake-indexeddb/auto'
 import TemplateEditor from '../components/Library/TemplateEditor'
+import { createRoutine } from '../utils/routinesManager'
+import { clear, STORES } from '../utils/indexedDBManager'
 
 describe('TemplateEditor', () => {
   test('should convert numeric string fields to numbers when saving task template', async () => {
@@ -87,6 +90,7 @@ describe('TemplateEditor', () => {
           estimatedDuration: 300, // Should be a number, not string "300"
           steps: [
             {
+              id: expect.any(String),
               label: 'Wake up',
               duration: 60,
               description: ''
@@ -97,6 +101,110 @@ describe('TemplateEditor', () => {
     })
   })
 
+  test('adds steps with a run-time condition and a group', async () => {
+    const onSave = jest.fn()
+
+    render(
+      <TemplateEditor template={null} onSave={onSave} onClose={jest.fn()} />
+    )
+
+    fireEvent.change(screen.getByLabelText(/type/i), {
+      target: { value: 'routine' }
+    })
+    fireEvent.change(screen.getByLabelText(/title/i), {
+      target: { value: 'Leave the house' }
+    })
+    fireEvent.change(screen.getByPlaceholderText('Step label'), {
+      target: { value: 'Pack umbrella' }
+    })
+    fireEvent.change(screen.getByPlaceholderText('Duration (sec)'), {
+      target: { value: '30' }
+    })
+    fireEvent.change(screen.getByLabelText('Runs'), {
+      target: { value: 'prompt' }
+    })
+    fireEvent.change(screen.getByLabelText('Group'), {
+      target: { value: 'optional' }
+    })
+
+    // A group needs a name
+    fireEvent.click(screen.getByRole('button', { name: /add step/i }))
+    expect(screen.getByRole('alert')).toHaveTextContent(
+      'Prompt condition needs a question, Step group must have a label'
+    )
+
+    fireEvent.change(screen.getByLabelText('Question asked before the step'), {
+      target: { value: 'Is it raining?' }
+    })
+    fireEvent.change(screen.getByLabelText('Group name'), {
+      target: { value: 'Rain gear' }
+    })
+    fireEvent.click(screen.getByRole('button', { name: /add step/i }))
+
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument()
+    expect(screen.getByText('Ask: Is it raining?')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByRole('button', { name: /create template/i }))
+    await waitFor(() => {
+      expect(onSave).toHaveBeenCalledWith(
+        expect.objectContaining({
+          steps: [
+            {
+              id: expect.any(String),
+              label: 'Pack umbrella',
+              duration: 30,
+              description: '',
+              condition: { type: 'prompt', question: 'Is it raining?' },
+              group: {
+                id: 'group_optional_rain-gear',
+                type: 'optional',
+                label: 'Rain gear'
+              }
+            }
+          ]
+        })
+      )
+    })
+  })
+
+  test('adds a step that includes another routine', async () => {
+    await clear(STORES.ROUTINES)
+    const resetId = await createRoutine({
+      name: 'Quick reset',
+      steps: [{ label: 'Stand up', duration: 20 }]
+    })
+    const onSave = jest.fn()
+
+    render(
+      <TemplateEditor template={null} onSave={onSave} onClose={jest.fn()} />
+    )
+    fireEvent.change(screen.getByLabelText(/type/i), {
+      target: { value: 'routine' }
+    })
+    fireEvent.change(screen.getByLabelText(/title/i), {
+      target: { value: 'Morning' }
+    })
+    fireEvent.change(await screen.findByLabelText('Include routine'), {
+      target: { value: resetId }
+    })
+    fireEvent.click(screen.getByRole('button', { name: 'Add Routine Step' }))
+    fireEvent.click(screen.getByRole('button', { name: /create template/i }))
+
+    await waitFor(() => {
+      expect(onSave).toHaveBeenCalledWith(
+        expect.objectContaining({
+          steps: [
+            {
+              id: expect.any(String),
+              label: 'Quick reset',
+              routineRef: resetId
+            }
+          ]
+        })
+      )
+    })
+  })
+
   test('should set dueOffset to null when empty', async () => {
     const onSave = jest.fn()
     const onClose = jest.fn()
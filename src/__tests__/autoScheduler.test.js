@@ -0,0 +1,230 @@
+// Test suite for the "Plan my day" auto scheduler
+
+import 'fake-indexeddb/auto'
+import {
+  getEnergyWindows,
+  getTaskEstimate,
+  sortTasksForPlanning,
+  splitSlotsByEnergy,
+  buildDayPlan,
+  planDay
+} from '../utils/autoScheduler'
+import { createEvent } from '../utils/scheduleManager'
+import { clear, STORES } from '../utils/indexedDBManager'
+import { DEFAULT_ENERGY_WINDOWS } from '../utils/scheduleConstants'
+
+const ENERGY_WINDOWS = {
+  high: { start: '09:00', end: '12:00' },
+  low: { start: '14:00', end: '16:00' }
+}
+
+const task = (id, overrides = {}) => ({
+  id,
+  text: `Task ${id}`,
+  priority: 1,
+  isImportant: true,
+  createdAt: '2025-09-01T00:00:00.000Z',
+  dueDate: null,
+  estimatedMinutes: 60,
+  ...overrides
+})
+
+const slot = (startTime, endTime, duration) => ({
+  startTime,
+  endTime,
+  duration
+})
+
+describe('Auto Scheduler', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  describe('getEnergyWindows', () => {
+    test('falls back to the defaults per level', () => {
+      expect(getEnergyWindows({})).toEqual(DEFAULT_ENERGY_WINDOWS)
+      expect(
+        getEnergyWindows({
+          schedule: { energyWindows: { low: { start: '15:00', end: '17:00' } } }
+        })
+      ).toEqual({
+        high: DEFAULT_ENERGY_WINDOWS.high,
+        low: { start: '15:00', end: '17:00' }
+      })
+    })
+  })
+
+  describe('getTaskEstimate', () => {
+    test('uses the estimate or a default', () => {
+      expect(getTaskEstimate({ estimatedMinutes: 45 })).toEqual({
+        duration: 45,
+        isEstimated: true
+      })
+      expect(getTaskEstimate({})).toEqual({ duration: 30, isEstimated: false })
+    })
+  })
+
+  describe('sortTasksForPlanning', () => {
+    test('orders by quadrant, then due date, then age', () => {
+      const sorted = sortTasksForPlanning([
+        task('late', { priority: 2 }),
+        task('undated', { createdAt: '2025-08-01T00:00:00.000Z' }),
+        task('later', { dueDate: '2025-09-20' }),
+        task('sooner', { dueDate: '2025-09-17' }),
+        task('older', { createdAt: '2025-07-01T00:00:00.000Z' })
+      ])
+      expect(sorted.map((t) => t.id)).toEqual([
+        'sooner',
+        'later',
+        'older',
+        'undated',
+        'late'
+      ])
+    })
+  })
+
+  describe('splitSlotsByEnergy', () => {
+    test('cuts slots at window edges', () => {
+      expect(
+        splitSlotsByEnergy([slot('08:00', '13:00', 300)], ENERGY_WINDOWS)
+      ).toEqual([
+        { start: 480, end: 540, energy: null },
+        { start: 540, end: 720, energy: 'high' },
+        { start: 720, end: 780, energy: null }
+      ])
+    })
+  })
+
+  describe('buildDayPlan', () => {
+    const slots = [slot('08:00', '22:00', 840)]
+
+    test('puts important tasks into high energy and the rest into low', () => {
+      const plan = buildDayPlan({
+        day: '2025-09-16',
+        tasks: [
+          task('routine', { priority: 3, isImportant: false }),
+          task('focus')
+        ],
+        slots,
+        energyWindows: ENERGY_WINDOWS
+      })
+
+      expect(plan.items).toEqual([
+        expect.objectContaining({
+          taskId: 'focus',
+          title: 'Task focus',
+          day: '2025-09-16',
+          startTime: '09:00',
+          endTime: '10:00',
+          energy: 'high'
+        }),
+        expect.objectContaining({
+          taskId: 'routine',
+          startTime: '14:00',
+          endTime: '15:00',
+          energy: 'low'
+        })
+      ])
+      expect(plan.unplaced).toEqual([])
+    })
+
+    test('spills over into other free time when a window is full', () => {
+      const plan = buildDayPlan({
+        day: '2025-09-16',
+        tasks: [
+          task('a', { estimatedMinutes: 120 }),
+          task('b', { estimatedMinutes: 90 })
+        ],
+        slots,
+        energyWindows: ENERGY_WINDOWS
+      })
+
+      expect(plan.items.map((item) => [item.taskId, item.startTime])).toEqual([
+        ['a', '09:00'],
+        ['b', '12:00']
+      ])
+    })
+
+    test('starts on the planning grid after the earliest start', () => {
+      const plan = buildDayPlan({
+        day: '2025-09-16',
+        tasks: [task('a')],
+        slots,
+        energyWindows: ENERGY_WINDOWS,
+        earliestStart: 9 * 60 + 7
+      })
+
+      expect(plan.items[0].startTime).toBe('09:15')
+    })
+
+    test('reports tasks that do not fit', () => {
+      const plan = buildDayPlan({
+        day: '2025-09-16',
+        tasks: [task('huge', { estimatedMinutes: 180 })],
+        slots: [slot('10:00', '11:00', 60)],
+        energyWindows: ENERGY_WINDOWS
+      })
+
+      expect(plan.items).toEqual([])
+      expect(plan.unplaced).toEqual([
+        expect.objectContaining({ taskId: 'huge', duration: 180 })
+      ])
+    })
+  })
+
+  describe('planDay', () => {
+    beforeEach(async () => {
+      await clear(STORES.SCHEDULE)
+      await clear(STORES.TASKS)
+      localStorage.setItem(
+        'aurorae_tasks',
+        JSON.stringify({
+          urgent_important: [
+            { id: 'report', text: 'Write report', completed: false },
+            { id: 'planned', text: 'Already planned', completed: false },
+            { id: 'done', text: 'Done already', completed: true }
+          ],
+          not_urgent_important: [],
+          urgent_not_important: [],
+          not_urgent_not_important: []
+        })
+      )
+    })
+
+    test('plans open tasks around existing events', async () => {
+      await createEvent({
+        title: 'Standup',
+        day: '2030-01-07',
+        startTime: '09:00',
+        endTime: '10:00'
+      })
+      await createEvent({
+        title: 'Already planned',
+        day: '2030-01-08',
+        startTime: '09:00',
+        endTime: '09:30',
+        taskId: 'planned'
+      })
+
+      const plan = await planDay('2030-01-07', new Date('2030-01-06T12:00Z'))
+
+      expect(plan.items).toEqual([
+        expect.objectContaining({
+          taskId: 'report',
+          startTime: '10:00',
+          endTime: '10:30',
+          isEstimated: false
+        })
+      ])
+    })
+
+    test('does not plan into the past today', async () => {
+      const plan = await planDay('2030-01-07', new Date('2030-01-07T10:40Z'))
+
+      expect(plan.items.map((item) => item.startTime)).toEqual([
+        '10:45',
+        '11:15'
+      ])
+    })
+  })
+})
@@ -7,9 +7,12 @@ import {
   updateCalendarSubscription,
   deleteCalendarSubscription,
   parseICS,
+  expandICSEvents,
+  getSyncWindow,
+  importICSFile,
   syncCalendar
 } from '../utils/calendarSubscriptionManager'
-import { clear, STORES } from '../utils/indexedDBManager'
+import { clear, getAll, STORES } from '../utils/indexedDBManager'
 
 // Mock fetch for testing
 global.fetch = jest.fn()
@@ -207,6 +210,253 @@ END:VCALENDAR`
     })
   })
 
+  describe('recurring events', () => {
+    const recurringICS = `BEGIN:VCALENDAR
+VERSION:2.0
+BEGIN:VEVENT
+DTSTART:20250106T090000Z
+DTEND:20250106T093000Z
+RRULE:FREQ=DAILY;COUNT=5
+EXDATE:20250107T090000Z
+SUMMARY:Standup
+UID:standup-1
+END:VEVENT
+BEGIN:VEVENT
+RECURRENCE-ID:20250108T090000Z
+DTSTART:20250108T140000Z
+DTEND:20250108T143000Z
+SUMMARY:Standup (moved)
+UID:standup-1
+END:VEVENT
+BEGIN:VEVENT
+RECURRENCE-ID:20250109T090000Z
+DTSTART:20250109T090000Z
+STATUS:CANCELLED
+SUMMARY:Standup
+UID:standup-1
+END:VEVENT
+END:VCALENDAR`
+
+    const windowStart = new Date('2025-01-01T00:00:00Z')
+    const windowEnd = new Date('2025-01-31T00:00:00Z')
+
+    test('should keep recurrence data on recurring events', () => {
+      const events = parseICS(recurringICS)
+      expect(events).toHaveLength(1)
+      expect(events[0].rrule).toBeDefined()
+      expect(events[0].exdates).toContain('2025-01-07T09:00:00.000Z')
+    })
+
+    test('should expand occurrences, skipping EXDATE and cancelled instances', () => {
+      const occurrences = expandICSEvents(
+        parseICS(recurringICS),
+        windowStart,
+        windowEnd
+      )
+
+      expect(occurrences.map((event) => event.recurrenceId)).toEqual([
+        '2025-01-06T09:00:00.000Z',
+        '2025-01-08T09:00:00.000Z',
+        '2025-01-10T09:00:00.000Z'
+      ])
+      expect(occurrences[2].dtend.toISOString()).toBe(
+        '2025-01-10T09:30:00.000Z'
+      )
+    })
+
+    test('should apply RECURRENCE-ID overrides to the matching instance', () => {
+      const occurrences = expandICSEvents(
+        parseICS(recurringICS),
+        windowStart,
+        windowEnd
+      )
+      const moved = occurrences[1]
+
+      expect(moved.summary).toBe('Standup (moved)')
+      expect(moved.uid).toBe('standup-1')
+      expect(moved.dtstart.toISOString()).toBe('2025-01-08T14:00:00.000Z')
+    })
+
+    test('should only expand occurrences inside the window', () => {
+      const occurrences = expandICSEvents(
+        parseICS(recurringICS),
+        new Date('2025-01-09T00:00:00Z'),
+        windowEnd
+      )
+      expect(occurrences).toHaveLength(1)
+    })
+
+    test('should pass non-recurring events through unchanged', () => {
+      const event = { summary: 'One-off', dtstart: new Date(), uid: 'x' }
+      expect(expandICSEvents([event], windowStart, windowEnd)).toEqual([event])
+    })
+
+    test('should build the sync window from subscription settings', () => {
+      const now = new Date('2025-01-15T00:00:00Z')
+      const { start, end } = getSyncWindow(
+        { syncPastDays: 7, syncFutureDays: 14 },
+        now
+      )
+      expect(start.toISOString()).toBe('2025-01-08T00:00:00.000Z')
+      expect(end.toISOString()).toBe('2025-01-29T00:00:00.000Z')
+
+      const defaults = getSyncWindow({ syncPastDays: -1 }, now)
+      expect(defaults.start.getTime()).toBeLessThan(now.getTime())
+      expect(defaults.end.getTime()).toBeGreaterThan(now.getTime())
+    })
+
+    test('should not duplicate occurrences when a calendar is resynced', async () => {
+      // Start the series yesterday so it falls inside the default sync window
+      const start = new Date()
+      start.setUTCDate(start.getUTCDate() - 1)
+      const day = start.toISOString().slice(0, 10).replace(/-/g, '')
+      const icsData = `BEGIN:VCALENDAR
+VERSION:2.0
+BEGIN:VEVENT
+DTSTART:${day}T120000Z
+DTEND:${day}T130000Z
+RRULE:FREQ=DAILY;COUNT=4
+SUMMARY:Daily sync
+UID:daily-sync
+END:VEVENT
+END:VCALENDAR`
+      global.fetch.mockResolvedValue({ ok: true, text: async () => icsData })
+
+      const id = await addCalendarSubscription({
+        name: 'Recurring Calendar',
+        url: 'https://example.com/recurring.ics',
+        color: '#86f5e0'
+      })
+      const firstSync = await getAll(STORES.SCHEDULE)
+
+      await syncCalendar(id)
+      const secondSync = await getAll(STORES.SCHEDULE)
+
+      expect(firstSync).toHaveLength(4)
+      expect(secondSync).toHaveLength(4)
+      expect(secondSync.map((event) => event.id).sort()).toEqual(
+        firstSync.map((event) => event.id).sort()
+      )
+      expect(
+        new Set(secondSync.map((event) => event.externalEventId)).size
+      ).toBe(4)
+    })
+  })
+
+  describe('importICSFile', () => {
+    const tomorrow = () => {
+      const date = new Date()
+      date.setUTCDate(date.getUTCDate() + 1)
+      return date.toISOString().slice(0, 10).replace(/-/g, '')
+    }
+
+    const buildFile = (day) => `BEGIN:VCALENDAR
+VERSION:2.0
+BEGIN:VEVENT
+DTSTART:${day}T090000Z
+DTEND:${day}T100000Z
+SUMMARY:Dentist
+UID:dentist-1
+X-AURORAE-TRAVEL-TIME:20
+END:VEVENT
+BEGIN:VEVENT
+DTSTART:${day}T084000Z
+DTEND:${day}T090000Z
+SUMMARY:Travel: Dentist
+UID:dentist-1-travel@aurorae-haven
+X-AURORAE-BUFFER:travel
+END:VEVENT
+END:VCALENDAR`
+
+    test('should import events as regular schedule events', async () => {
+      const result = await importICSFile(buildFile(tomorrow()))
+      const events = await getAll(STORES.SCHEDULE)
+
+      expect(result).toEqual({ imported: 1, duplicates: 0, skipped: 1 })
+      expect(events).toHaveLength(1)
+      expect(events[0].title).toBe('Dentist')
+      expect(events[0].isExternal).toBe(false)
+      expect(events[0].travelTime).toBe(20)
+      expect(events[0].externalEventId).toBe('dentist-1')
+    })
+
+    test('should skip events already imported with the same UID', async () => {
+      const icsData = buildFile(tomorrow())
+      await importICSFile(icsData)
+      const result = await importICSFile(icsData)
+
+      expect(result.imported).toBe(0)
+      expect(result.duplicates).toBe(1)
+      expect(await getAll(STORES.SCHEDULE)).toHaveLength(1)
+    })
+
+    test('should keep the time zone of TZID events', async () => {
+      const day = tomorrow()
+      await importICSFile(`BEGIN:VCALENDAR
+VERSION:2.0
+BEGIN:VEVENT
+DTSTART;TZID=Asia/Tokyo:${day}T090000
+DTEND;TZID=Asia/Tokyo:${day}T100000
+SUMMARY:Tokyo call
+UID:tokyo-1
+END:VEVENT
+END:VCALENDAR`)
+
+      const [event] = await getAll(STORES.SCHEDULE)
+      expect(event.timeZone).toBe('Asia/Tokyo')
+      expect(event.startTime).toBe('09:00')
+      expect(event.startsAt.slice(11, 16)).toBe('00:00')
+    })
+
+    test('should keep the full length of all-day and multi-day events', async () => {
+      const day = tomorrow()
+      const start = new Date(
+        Date.UTC(+day.slice(0, 4), +day.slice(4, 6) - 1, +day.slice(6, 8))
+      )
+      const dayAfter = (days) =>
+        new Date(start.getTime() + days * 86400000)
+          .toISOString()
+          .slice(0, 10)
+          .replace(/-/g, '')
+      await importICSFile(`BEGIN:VCALENDAR
+VERSION:2.0
+BEGIN:VEVENT
+DTSTART;VALUE=DATE:${day}
+DTEND;VALUE=DATE:${dayAfter(1)}
+SUMMARY:Holiday
+UID:holiday-1
+END:VEVENT
+BEGIN:VEVENT
+DTSTART:${day}T090000Z
+DTEND:${dayAfter(2)}T170000Z
+SUMMARY:Conference
+UID:conference-1
+END:VEVENT
+END:VCALENDAR`)
+
+      const events = await getAll(STORES.SCHEDULE)
+      const holiday = events.find((event) => event.title === 'Holiday')
+      const conference = events.find((event) => event.title === 'Conference')
+      const hours = (event) =>
+        (new Date(event.endsAt) - new Date(event.startsAt)) / 3600000
+
+      expect(holiday.allDay).toBe(true)
+      expect(hours(holiday)).toBe(24)
+      expect(holiday.endDay).toBeNull()
+      expect(conference.allDay).toBe(false)
+      expect(conference.endDay).toBe(
+        `${dayAfter(2).slice(0, 4)}-${dayAfter(2).slice(4, 6)}-${dayAfter(2).slice(6)}`
+      )
+      expect(hours(conference)).toBe(56)
+    })
+
+    test('should reject files that are not iCalendar data', async () => {
+      await expect(importICSFile('not a calendar')).rejects.toThrow(
+        'not a valid iCalendar'
+      )
+    })
+  })
+
   describe('addCalendarSubscription', () => {
     test('should add a calendar subscription', async () => {
       // Mock successful fetch
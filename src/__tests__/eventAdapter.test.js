@@ -1,7 +1,11 @@
 import {
   toRBCEvent,
   toRBCEvents,
-  createEventFromSlot
+  toRBCBufferEvents,
+  createEventFromSlot,
+  fromRBCRange,
+  isDraggableEvent,
+  isResizableEvent
 } from '../utils/eventAdapter'
 import { parseISO } from 'date-fns'
 
@@ -162,6 +166,45 @@ describe('eventAdapter', () => {
       const rbcEvent = toRBCEvent(event)
       expect(rbcEvent).toBeNull()
     })
+
+    it('should end multi-day events on their end day', () => {
+      const event = {
+        id: '9',
+        title: 'Conference',
+        day: '2026-02-19',
+        endDay: '2026-02-21',
+        startTime: '09:00',
+        endTime: '17:00',
+        type: 'meeting'
+      }
+
+      const rbcEvent = toRBCEvent(event)
+
+      expect(rbcEvent.start).toEqual(parseISO('2026-02-19T09:00:00'))
+      expect(rbcEvent.end).toEqual(parseISO('2026-02-21T17:00:00'))
+      expect(rbcEvent.allDay).toBe(false)
+    })
+
+    it('should show all-day events as all-day through their last day', () => {
+      const event = {
+        id: '10',
+        title: 'Holiday',
+        day: '2026-02-19',
+        startTime: '00:00',
+        endTime: '00:00',
+        allDay: true,
+        type: 'holiday'
+      }
+
+      const oneDay = toRBCEvent(event)
+      const twoDays = toRBCEvent({ ...event, endDay: '2026-02-20' })
+
+      expect(oneDay.allDay).toBe(true)
+      expect(oneDay.start).toEqual(parseISO('2026-02-19T00:00:00'))
+      expect(oneDay.end).toEqual(parseISO('2026-02-20T00:00:00'))
+      expect(twoDays.allDay).toBe(true)
+      expect(twoDays.end).toEqual(parseISO('2026-02-21T00:00:00'))
+    })
   })
 
   describe('toRBCEvents', () => {
@@ -218,6 +261,37 @@ describe('eventAdapter', () => {
       expect(rbcEvents[0].id).toBe('1')
     })
 
+    it('should attach the titles of conflicting events', () => {
+      const events = [
+        {
+          id: 1,
+          title: 'Standup',
+          day: '2026-02-03',
+          startTime: '09:00',
+          endTime: '09:30',
+          type: 'meeting'
+        },
+        {
+          id: 2,
+          title: 'Daily',
+          day: '2026-02-03',
+          startTime: '09:00',
+          endTime: '10:00',
+          type: 'routine',
+          occurrenceDay: '2026-02-03'
+        }
+      ]
+
+      const rbcEvents = toRBCEvents(events, {
+        1: [events[1]],
+        '2@2026-02-03': [events[0]]
+      })
+
+      expect(rbcEvents[0].resource.conflicts).toEqual(['Daily'])
+      expect(rbcEvents[1].resource.conflicts).toEqual(['Standup'])
+      expect(toRBCEvents(events)[0].resource.conflicts).toEqual([])
+    })
+
     it('should return empty array for non-array input', () => {
       expect(toRBCEvents(null)).toEqual([])
       expect(toRBCEvents(undefined)).toEqual([])
@@ -229,6 +303,59 @@ describe('eventAdapter', () => {
     })
   })
 
+  describe('toRBCBufferEvents', () => {
+    const previous = {
+      id: 1,
+      title: 'Standup',
+      type: 'meeting',
+      day: '2025-01-15',
+      startTime: '09:00',
+      endTime: '10:00'
+    }
+    const event = {
+      id: 2,
+      title: 'Client visit',
+      type: 'meeting',
+      day: '2025-01-15',
+      startTime: '10:30',
+      endTime: '11:30',
+      travelTime: 30,
+      preparationTime: 15
+    }
+
+    test('creates a block per buffer ending at the event start', () => {
+      const buffers = toRBCBufferEvents([event])
+
+      expect(buffers).toHaveLength(2)
+      expect(buffers[0]).toMatchObject({
+        title: 'Preparation: Client visit',
+        start: new Date(2025, 0, 15, 9, 45),
+        end: new Date(2025, 0, 15, 10, 0),
+        resource: { bufferType: 'preparation', minutes: 15 }
+      })
+      expect(buffers[1]).toMatchObject({
+        title: 'Travel: Client visit',
+        start: new Date(2025, 0, 15, 10, 0),
+        end: new Date(2025, 0, 15, 10, 30),
+        resource: { bufferType: 'travel', minutes: 30, overlapsEvent: null }
+      })
+      expect(buffers[1].resource.originalEvent).toBe(event)
+    })
+
+    test('flags buffers that overlap the previous event', () => {
+      const buffers = toRBCBufferEvents([previous, event])
+      expect(buffers.map((buffer) => buffer.resource.overlapsEvent)).toEqual([
+        'Standup',
+        'Standup'
+      ])
+    })
+
+    test('ignores events without buffers and invalid input', () => {
+      expect(toRBCBufferEvents([previous])).toEqual([])
+      expect(toRBCBufferEvents(null)).toEqual([])
+    })
+  })
+
   describe('createEventFromSlot', () => {
     it('should create event data from slot selection', () => {
       const slotInfo = {
@@ -253,4 +380,51 @@ describe('eventAdapter', () => {
       expect(eventData).toBeNull()
     })
   })
+
+  describe('drag and drop', () => {
+    const event = {
+      id: 1,
+      title: 'Standup',
+      day: '2025-01-15',
+      startTime: '09:00',
+      endTime: '09:30'
+    }
+
+    test('locks read-only events against dragging', () => {
+      expect(isDraggableEvent(toRBCEvent(event))).toBe(true)
+      expect(isDraggableEvent(toRBCEvent({ ...event, isExternal: true }))).toBe(
+        false
+      )
+    })
+
+    test('only resizes single-day events', () => {
+      expect(isResizableEvent(toRBCEvent(event))).toBe(true)
+      expect(
+        isResizableEvent(toRBCEvent({ ...event, endDay: '2025-01-16' }))
+      ).toBe(false)
+      expect(isResizableEvent(toRBCEvent({ ...event, allDay: true }))).toBe(
+        false
+      )
+    })
+
+    test('applies the dropped range and keeps multi-day lengths', () => {
+      expect(
+        fromRBCRange(
+          { ...event, endDay: '2025-01-17' },
+          {
+            start: new Date(2025, 0, 20, 10, 0),
+            end: new Date(2025, 0, 20, 10, 30)
+          }
+        )
+      ).toEqual(
+        expect.objectContaining({
+          id: 1,
+          day: '2025-01-20',
+          startTime: '10:00',
+          endTime: '10:30',
+          endDay: '2025-01-22'
+        })
+      )
+    })
+  })
 })
@@ -0,0 +1,191 @@
+// Test suite for the iCalendar exporter
+import {
+  buildICS,
+  escapeICSText,
+  foldICSLine,
+  formatICSDateTime,
+  getEventUID
+} from '../utils/icsExporter'
+import { parseICS, expandICSEvents } from '../utils/calendarSubscriptionManager'
+
+const NOW = new Date('2025-01-01T00:00:00Z')
+
+/**
+ * Unfold an iCalendar document into logical content lines
+ */
+const unfold = (ics) => ics.replace(/\r\n /g, '').split('\r\n')
+
+/**
+ * Format a local day/time the way the exporter does
+ */
+const localICS = (day, time) => {
+  const [y, m, d] = day.split('-').map(Number)
+  const [h, min] = time.split(':').map(Number)
+  return formatICSDateTime(new Date(y, m - 1, d, h, min))
+}
+
+describe('ICS exporter', () => {
+  describe('text helpers', () => {
+    test('escapes special characters in TEXT values', () => {
+      expect(escapeICSText('a,b;c\\d\nnext')).toBe('a\\,b\\;c\\\\d\\nnext')
+    })
+
+    test('folds long lines at 75 octets with a leading space', () => {
+      const folded = foldICSLine(`SUMMARY:${'x'.repeat(200)}`)
+      const lines = folded.split('\r\n')
+      expect(lines.length).toBeGreaterThan(1)
+      lines.forEach((line) => expect(line.length).toBeLessThanOrEqual(75))
+      lines.slice(1).forEach((line) => expect(line.startsWith(' ')).toBe(true))
+    })
+
+    test('does not split multi-byte characters', () => {
+      const folded = foldICSLine(`SUMMARY:${'é'.repeat(60)}`)
+      expect(folded.replace(/\r\n /g, '')).toBe(`SUMMARY:${'é'.repeat(60)}`)
+    })
+  })
+
+  describe('buildICS', () => {
+    const meeting = {
+      id: 'evt-1',
+      title: 'Team sync, weekly',
+      day: '2025-01-15',
+      startTime: '09:00',
+      endTime: '10:00',
+      type: 'meeting',
+      location: 'Office',
+      travelTime: 15,
+      preparationTime: 10
+    }
+
+    test('writes a valid calendar envelope with CRLF line endings', () => {
+      const ics = buildICS([meeting], { now: NOW })
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true)
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true)
+      expect(ics).toContain('PRODID:')
+      expect(ics).toContain('DTSTAMP:20250101T000000Z')
+    })
+
+    test('exports event details with escaped text', () => {
+      const lines = unfold(buildICS([meeting], { now: NOW }))
+      expect(lines).toContain(`UID:${getEventUID('evt-1')}`)
+      expect(lines).toContain('SUMMARY:Team sync\\, weekly')
+      expect(lines).toContain(`DTSTART:${localICS('2025-01-15', '09:00')}`)
+      expect(lines).toContain(`DTEND:${localICS('2025-01-15', '10:00')}`)
+      expect(lines).toContain('LOCATION:Office')
+    })
+
+    test('exports buffers as a VALARM and linked events', () => {
+      const lines = unfold(buildICS([meeting], { now: NOW }))
+      expect(lines).toContain('TRIGGER:-PT25M')
+      expect(lines).toContain('SUMMARY:Travel: Team sync\\, weekly')
+      expect(lines).toContain('SUMMARY:Preparation: Team sync\\, weekly')
+      expect(lines).toContain(
+        `RELATED-TO;RELTYPE=PARENT:${getEventUID('evt-1')}`
+      )
+      // Preparation runs before travel, travel ends when the event starts
+      expect(lines).toContain(`DTSTART:${localICS('2025-01-15', '08:35')}`)
+      expect(lines).toContain(`DTSTART:${localICS('2025-01-15', '08:45')}`)
+    })
+
+    test('uses the time zone stored with the event', () => {
+      const lines = unfold(
+        buildICS(
+          [
+            {
+              ...meeting,
+              travelTime: 0,
+              preparationTime: 0,
+              timeZone: 'Asia/Tokyo'
+            }
+          ],
+          { now: NOW }
+        )
+      )
+      expect(lines).toContain('DTSTART:20250115T000000Z')
+      expect(lines).toContain('DTEND:20250115T010000Z')
+    })
+
+    test('skips external subscription events', () => {
+      const ics = buildICS([{ ...meeting, id: 'ext-1', isExternal: true }], {
+        now: NOW
+      })
+      expect(ics).not.toContain('BEGIN:VEVENT')
+    })
+
+    test('ends events that run past midnight on the next day', () => {
+      const lines = unfold(
+        buildICS(
+          [
+            {
+              id: 'late',
+              day: '2025-01-15',
+              startTime: '23:00',
+              endTime: '01:00'
+            }
+          ],
+          { now: NOW }
+        )
+      )
+      expect(lines).toContain(`DTEND:${localICS('2025-01-16', '01:00')}`)
+    })
+
+    test('exports recurring series with EXDATE and RECURRENCE-ID overrides', () => {
+      const master = {
+        id: 'series',
+        title: 'Standup',
+        day: '2025-01-06',
+        startTime: '09:00',
+        endTime: '09:15',
+        recurrence: { rrule: 'FREQ=DAILY;UNTIL=20250110' },
+        exceptions: ['2025-01-07', '2025-01-08']
+      }
+      const detached = {
+        id: 'moved',
+        title: 'Standup (late)',
+        day: '2025-01-08',
+        startTime: '11:00',
+        endTime: '11:15',
+        recurringEventId: 'series',
+        originalDay: '2025-01-08'
+      }
+
+      const lines = unfold(buildICS([master, detached], { now: NOW }))
+      expect(
+        lines.some((line) => /^RRULE:FREQ=DAILY;UNTIL=\d{8}T\d{6}Z$/.test(line))
+      ).toBe(true)
+      expect(lines).toContain(`EXDATE:${localICS('2025-01-07', '09:00')}`)
+      expect(lines).not.toContain(`EXDATE:${localICS('2025-01-08', '09:00')}`)
+      expect(lines).toContain(
+        `RECURRENCE-ID:${localICS('2025-01-08', '09:00')}`
+      )
+    })
+
+    test('round-trips through parseICS', () => {
+      const events = parseICS(buildICS([meeting], { now: NOW }))
+      const parent = events.find((event) => !event.bufferType)
+
+      expect(events).toHaveLength(3)
+      expect(parent.summary).toBe('Team sync, weekly')
+      expect(parent.travelTime).toBe(15)
+      expect(parent.preparationTime).toBe(10)
+    })
+
+    test('round-trips recurring series through parseICS', () => {
+      const master = {
+        id: 'series',
+        title: 'Standup',
+        day: '2025-01-06',
+        startTime: '09:00',
+        endTime: '09:15',
+        recurrence: { rrule: 'FREQ=DAILY;COUNT=3' },
+        exceptions: ['2025-01-07']
+      }
+      const occurrences = expandICSEvents(
+        parseICS(buildICS([master], { now: NOW })),
+        new Date('2025-01-01T00:00:00Z'),
+        new Date('2025-01-31T00:00:00Z')
+      )
+      expect(occurrences).toHaveLength(2)
+    })
+  })
+})
@@ -8,6 +8,7 @@ import {
   deleteById,
   clear,
   getByIndex,
+  getByIndexRange,
   addFileReference,
   getFileReferences,
   deleteFileReference,
@@ -686,5 +687,38 @@ describe('IndexedDBManager', () => {
       const pendingTasks = await getByIndex(STORES.TASKS, 'status', 'pending')
       expect(pendingTasks).toHaveLength(2)
     })
+
+    test('getByIndexRange retrieves items within a range', async () => {
+      await putBatch(STORES.TASKS, [
+        { id: 1, dueDate: '2025-01-10' },
+        { id: 2, dueDate: '2025-01-15' },
+        { id: 3, dueDate: '2025-01-20' },
+        { id: 4, dueDate: null }
+      ])
+
+      const inRange = await getByIndexRange(
+        STORES.TASKS,
+        'dueDate',
+        '2025-01-10',
+        '2025-01-15'
+      )
+      expect(inRange.map((task) => task.id)).toEqual([1, 2])
+
+      const fromOnly = await getByIndexRange(
+        STORES.TASKS,
+        'dueDate',
+        '2025-01-15',
+        null
+      )
+      expect(fromOnly.map((task) => task.id)).toEqual([2, 3])
+
+      const unbounded = await getByIndexRange(
+        STORES.TASKS,
+        'dueDate',
+        null,
+        null
+      )
+      expect(unbounded).toHaveLength(3)
+    })
   })
 })
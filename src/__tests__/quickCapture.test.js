@@ -0,0 +1,123 @@
+// Test suite for the natural-language quick capture of tasks
+
+import { parseQuickCapture, toQuickCaptureEvent } from '../utils/quickCapture'
+
+// A Monday
+const TODAY = '2025-03-10'
+
+describe('Quick Capture', () => {
+  test('reads the example line', () => {
+    expect(
+      parseQuickCapture('call dentist tomorrow 3pm #health !urgent 15m', TODAY)
+    ).toEqual({
+      text: 'call dentist',
+      dueDate: '2025-03-11',
+      dueTime: '15:00',
+      tags: ['health'],
+      quadrant: 'urgent_important',
+      estimatedMinutes: 15
+    })
+  })
+
+  test('leaves plain text alone', () => {
+    expect(parseQuickCapture('Buy 2 apples', TODAY)).toEqual({
+      text: 'Buy 2 apples',
+      dueDate: null,
+      dueTime: null,
+      tags: [],
+      quadrant: null,
+      estimatedMinutes: null
+    })
+  })
+
+  test('reads days', () => {
+    const dueDate = (input) => parseQuickCapture(input, TODAY).dueDate
+
+    expect(dueDate('pay rent today')).toBe(TODAY)
+    expect(dueDate('pay rent on friday')).toBe('2025-03-14')
+    expect(dueDate('pay rent on mon')).toBe(TODAY)
+    expect(dueDate('pay rent by fri')).toBe('2025-03-14')
+    expect(dueDate('pay rent sunday')).toBe('2025-03-16')
+    expect(dueDate('pay rent next week')).toBe('2025-03-17')
+    expect(dueDate('pay rent next wed')).toBe('2025-03-19')
+    expect(dueDate('pay rent in 3 days')).toBe('2025-03-13')
+    expect(dueDate('pay rent in 2 weeks')).toBe('2025-03-24')
+    expect(dueDate('pay rent by 2025-04-01')).toBe('2025-04-01')
+    expect(parseQuickCapture('pay rent by 2025-02-30', TODAY)).toEqual(
+      expect.objectContaining({ text: 'pay rent by 2025-02-30', dueDate: null })
+    )
+    expect(parseQuickCapture('pay rent next week', TODAY).text).toBe('pay rent')
+    expect(parseQuickCapture('stay in 2 rooms', TODAY)).toEqual(
+      expect.objectContaining({ text: 'stay in 2 rooms', dueDate: null })
+    )
+  })
+
+  test('reads short weekday names only after on, by or next', () => {
+    for (const input of ['fix sun visor', 'sat exam prep', 'wed invitations']) {
+      expect(parseQuickCapture(input, TODAY)).toEqual(
+        expect.objectContaining({ text: input, dueDate: null })
+      )
+    }
+    expect(parseQuickCapture('mon ami visit', TODAY).text).toBe('mon ami visit')
+    expect(parseQuickCapture('fri night dinner on sat', TODAY)).toEqual(
+      expect.objectContaining({
+        text: 'fri night dinner',
+        dueDate: '2025-03-15'
+      })
+    )
+  })
+
+  test('reads times, with today as the day', () => {
+    const read = (input) => parseQuickCapture(input, TODAY)
+
+    expect(read('standup at 9:30')).toEqual(
+      expect.objectContaining({
+        text: 'standup',
+        dueDate: TODAY,
+        dueTime: '09:30'
+      })
+    )
+    expect(read('lunch noon').dueTime).toBe('12:00')
+    expect(read('call 12am').dueTime).toBe('00:00')
+    expect(read('call 7:45PM').dueTime).toBe('19:45')
+    expect(read('meet at home').text).toBe('meet at home')
+  })
+
+  test('reads priorities, tags and estimates', () => {
+    const read = (input) => parseQuickCapture(input, TODAY)
+
+    expect(read('file taxes !important').quadrant).toBe('not_urgent_important')
+    expect(read('answer mail !delegate').quadrant).toBe('urgent_not_important')
+    expect(read('tidy desk !4').quadrant).toBe('not_urgent_not_important')
+    expect(read('say hi !wow').text).toBe('say hi !wow')
+    expect(read('plan #Work #work #home').tags).toEqual([
+      'Work',
+      'work',
+      'home'
+    ])
+    expect(read('write 1h30m').estimatedMinutes).toBe(90)
+    expect(read('write 1.5h').estimatedMinutes).toBe(90)
+    expect(read('write 45min').estimatedMinutes).toBe(45)
+  })
+
+  test('turns a line with a time into an event', () => {
+    expect(
+      toQuickCaptureEvent(parseQuickCapture('dentist tomorrow 3pm 30m', TODAY))
+    ).toEqual({
+      title: 'dentist',
+      type: 'task',
+      day: '2025-03-11',
+      startTime: '15:00',
+      endTime: '15:30'
+    })
+    expect(
+      toQuickCaptureEvent(parseQuickCapture('late call 11:30pm', TODAY))
+    ).toEqual(expect.objectContaining({ startTime: '23:30', endTime: '00:30' }))
+    expect(
+      toQuickCaptureEvent(parseQuickCapture('night shift 11:59pm 30h', TODAY))
+    ).toEqual(expect.objectContaining({ startTime: '23:59', endTime: '23:58' }))
+    expect(
+      toQuickCaptureEvent(parseQuickCapture('dentist tomorrow', TODAY))
+    ).toBeNull()
+  })
+})
@@ -0,0 +1,309 @@
+// Test suite for recurrence utilities (RRULE parsing and expansion)
+
+import {
+  parseRRule,
+  formatRRule,
+  buildRRule,
+  normalizeRecurrence,
+  describeRecurrence,
+  expandRecurrence,
+  expandEventOccurrences,
+  splitRecurrence,
+  isRecurringEvent,
+  shiftDay,
+  diffInDays
+} from '../utils/recurrence'
+
+describe('recurrence utilities', () => {
+  describe('parseRRule', () => {
+    test('parses frequency, interval and weekdays', () => {
+      const rule = parseRRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE')
+      expect(rule.freq).toBe('WEEKLY')
+      expect(rule.interval).toBe(2)
+      expect(rule.byDay).toEqual([
+        { weekday: 0, ordinal: null },
+        { weekday: 2, ordinal: null }
+      ])
+    })
+
+    test('parses ordinal weekdays and UNTIL date-times', () => {
+      const rule = parseRRule('FREQ=MONTHLY;BYDAY=-1FR;UNTIL=20251231T235959Z')
+      expect(rule.byDay).toEqual([{ weekday: 4, ordinal: -1 }])
+      expect(rule.until).toBe('2025-12-31')
+    })
+
+    test('rejects unsupported or malformed rules', () => {
+      expect(() => parseRRule('')).toThrow('non-empty')
+      expect(() => parseRRule('INTERVAL=2')).toThrow('missing FREQ')
+      expect(() => parseRRule('FREQ=HOURLY')).toThrow('Unsupported')
+      expect(() => parseRRule('FREQ=DAILY;COUNT=0')).toThrow('COUNT')
+      expect(() => parseRRule('FREQ=DAILY;BYDAY=XX')).toThrow('BYDAY')
+      expect(() => parseRRule('FREQ=DAILY;COUNT=2;UNTIL=20250101')).toThrow(
+        'cannot combine'
+      )
+    })
+
+    test('round-trips through formatRRule', () => {
+      const rrule = 'FREQ=MONTHLY;INTERVAL=3;BYMONTHDAY=1,-1;COUNT=4'
+      expect(formatRRule(parseRRule(rrule))).toBe(rrule)
+    })
+  })
+
+  describe('buildRRule and normalizeRecurrence', () => {
+    test('builds weekly rules with weekdays in calendar order', () => {
+      expect(
+        buildRRule({ frequency: 'weekly', byDay: ['FR', 'MO'], interval: 1 })
+      ).toBe('FREQ=WEEKLY;BYDAY=MO,FR')
+    })
+
+    test('returns null for non-repeating values', () => {
+      expect(normalizeRecurrence(null)).toBeNull()
+      expect(normalizeRecurrence({ frequency: 'none' })).toBeNull()
+    })
+
+    test('normalizes custom RRULE strings', () => {
+      const recurrence = normalizeRecurrence('RRULE:FREQ=DAILY;COUNT=3')
+      expect(recurrence).toEqual({
+        frequency: 'custom',
+        interval: 1,
+        byDay: [],
+        until: null,
+        count: 3,
+        rrule: 'FREQ=DAILY;COUNT=3'
+      })
+    })
+
+    test('prefers an end day over a count', () => {
+      const recurrence = normalizeRecurrence({
+        frequency: 'daily',
+        until: '2025-02-01',
+        count: 5
+      })
+      expect(recurrence.rrule).toBe('FREQ=DAILY;UNTIL=20250201')
+      expect(recurrence.count).toBeNull()
+    })
+
+    test('throws for invalid custom rules', () => {
+      expect(() =>
+        normalizeRecurrence({ frequency: 'custom', rrule: 'FREQ=NEVER' })
+      ).toThrow()
+    })
+  })
+
+  describe('describeRecurrence', () => {
+    test('describes common rules in plain language', () => {
+      expect(describeRecurrence(null)).toBe('Does not repeat')
+      expect(
+        describeRecurrence({ rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE' })
+      ).toBe('Every 2 weeks on Mon, Wed')
+      expect(describeRecurrence({ rrule: 'FREQ=DAILY;COUNT=5' })).toBe(
+        'Daily, 5 times'
+      )
+    })
+  })
+
+  describe('expandRecurrence', () => {
+    test('expands daily rules within the range only', () => {
+      expect(
+        expandRecurrence('FREQ=DAILY', '2025-01-01', '2025-03-01', '2025-03-03')
+      ).toEqual(['2025-03-01', '2025-03-02', '2025-03-03'])
+    })
+
+    test('expands weekly rules on chosen weekdays', () => {
+      // 2025-01-06 is a Monday
+      expect(
+        expandRecurrence(
+          'FREQ=WEEKLY;BYDAY=MO,WE',
+          '2025-01-06',
+          '2025-01-01',
+          '2025-01-19'
+        )
+      ).toEqual(['2025-01-06', '2025-01-08', '2025-01-13', '2025-01-15'])
+    })
+
+    test('respects INTERVAL for weekly rules', () => {
+      expect(
+        expandRecurrence(
+          'FREQ=WEEKLY;INTERVAL=2',
+          '2025-01-06',
+          '2025-01-01',
+          '2025-02-28'
+        )
+      ).toEqual(['2025-01-06', '2025-01-20', '2025-02-03', '2025-02-17'])
+    })
+
+    test('skips months that do not contain the start date', () => {
+      expect(
+        expandRecurrence(
+          'FREQ=MONTHLY',
+          '2025-01-31',
+          '2025-01-01',
+          '2025-05-31'
+        )
+      ).toEqual(['2025-01-31', '2025-03-31', '2025-05-31'])
+    })
+
+    test('supports ordinal weekdays such as the last Friday', () => {
+      expect(
+        expandRecurrence(
+          'FREQ=MONTHLY;BYDAY=-1FR',
+          '2025-01-01',
+          '2025-01-01',
+          '2025-03-31'
+        )
+      ).toEqual(['2025-01-31', '2025-02-28', '2025-03-28'])
+    })
+
+    test('counts COUNT from the series start, not the range start', () => {
+      expect(
+        expandRecurrence(
+          'FREQ=DAILY;COUNT=5',
+          '2025-01-01',
+          '2025-01-04',
+          '2025-01-31'
+        )
+      ).toEqual(['2025-01-04', '2025-01-05'])
+    })
+
+    test('stops at UNTIL', () => {
+      expect(
+        expandRecurrence(
+          'FREQ=DAILY;UNTIL=20250103',
+          '2025-01-01',
+          '2025-01-01',
+          '2025-01-31'
+        )
+      ).toEqual(['2025-01-01', '2025-01-02', '2025-01-03'])
+    })
+
+    test('removes exception days but keeps them in the COUNT', () => {
+      expect(
+        expandRecurrence(
+          'FREQ=DAILY;COUNT=3',
+          '2025-01-01',
+          '2025-01-01',
+          '2025-01-31',
+          ['2025-01-02']
+        )
+      ).toEqual(['2025-01-01', '2025-01-03'])
+    })
+
+    test('expands yearly rules', () => {
+      expect(
+        expandRecurrence(
+          'FREQ=YEARLY',
+          '2024-02-29',
+          '2024-01-01',
+          '2028-12-31'
+        )
+      ).toEqual(['2024-02-29', '2028-02-29'])
+    })
+
+    test('returns nothing for ranges before the series start', () => {
+      expect(
+        expandRecurrence('FREQ=DAILY', '2025-06-01', '2025-01-01', '2025-01-31')
+      ).toEqual([])
+    })
+  })
+
+  describe('expandEventOccurrences', () => {
+    test('creates occurrences linked to the master event', () => {
+      const master = {
+        id: 42,
+        title: 'Standup',
+        day: '2025-01-06',
+        startTime: '09:00',
+        endTime: '09:15',
+        recurrence: { rrule: 'FREQ=DAILY' },
+        exceptions: ['2025-01-07']
+      }
+
+      const occurrences = expandEventOccurrences(
+        master,
+        '2025-01-06',
+        '2025-01-08'
+      )
+      expect(occurrences.map((event) => event.day)).toEqual([
+        '2025-01-06',
+        '2025-01-08'
+      ])
+      expect(occurrences[1]).toMatchObject({
+        id: 42,
+        title: 'Standup',
+        startTime: '09:00',
+        recurringEventId: 42,
+        occurrenceDay: '2025-01-08',
+        isOccurrence: true
+      })
+    })
+
+    test('keeps the length of multi-day occurrences', () => {
+      const occurrences = expandEventOccurrences(
+        {
+          id: 7,
+          day: '2025-01-03',
+          endDay: '2025-01-05',
+          startTime: '18:00',
+          endTime: '10:00',
+          recurrence: { rrule: 'FREQ=WEEKLY' }
+        },
+        '2025-01-01',
+        '2025-01-12'
+      )
+      expect(occurrences.map(({ day, endDay }) => [day, endDay])).toEqual([
+        ['2025-01-03', '2025-01-05'],
+        ['2025-01-10', '2025-01-12']
+      ])
+    })
+
+    test('returns an empty list for non-recurring events', () => {
+      expect(isRecurringEvent({ day: '2025-01-01' })).toBe(false)
+      expect(
+        expandEventOccurrences(
+          { day: '2025-01-01' },
+          '2025-01-01',
+          '2025-01-31'
+        )
+      ).toEqual([])
+    })
+  })
+
+  describe('splitRecurrence', () => {
+    test('ends the original series the day before the split', () => {
+      const { before, after } = splitRecurrence(
+        { frequency: 'daily', rrule: 'FREQ=DAILY' },
+        '2025-01-01',
+        '2025-01-10'
+      )
+      expect(before.rrule).toBe('FREQ=DAILY;UNTIL=20250109')
+      expect(after.rrule).toBe('FREQ=DAILY')
+    })
+
+    test('divides COUNT between both halves', () => {
+      const { before, after } = splitRecurrence(
+        { frequency: 'custom', rrule: 'FREQ=DAILY;COUNT=10' },
+        '2025-01-01',
+        '2025-01-04'
+      )
+      expect(before.count).toBe(3)
+      expect(after.count).toBe(7)
+    })
+
+    test('returns no original half when splitting at the first occurrence', () => {
+      const { before } = splitRecurrence(
+        { rrule: 'FREQ=DAILY' },
+        '2025-01-01',
+        '2025-01-01'
+      )
+      expect(before).toBeNull()
+    })
+  })
+
+  describe('day helpers', () => {
+    test('shift and diff days across month boundaries', () => {
+      expect(shiftDay('2025-01-31', 1)).toBe('2025-02-01')
+      expect(shiftDay('2025-03-01', -1)).toBe('2025-02-28')
+      expect(diffInDays('2025-01-31', '2025-03-01')).toBe(29)
+    })
+  })
+})
@@ -0,0 +1,122 @@
+// Test suite for routine step conditions and groups
+
+import {
+  evaluateStepCondition,
+  describeStepCondition,
+  validateStepCondition,
+  validateStepGroup,
+  createStepGroup,
+  getConditionContext,
+  isTimeInRange
+} from '../utils/routineConditions'
+import { validateStep } from '../utils/routinesManager'
+import { DEFAULT_ENERGY_WINDOWS } from '../utils/scheduleConstants'
+
+// Monday 10 March 2025
+const monday = (time) => Date.parse(`2025-03-10T${time}:00Z`)
+
+describe('Routine Conditions', () => {
+  test('describes the moment a step comes up', () => {
+    expect(
+      getConditionContext(monday('07:30'), DEFAULT_ENERGY_WINDOWS, 'UTC')
+    ).toEqual({ weekday: 1, time: '07:30', energy: 'medium' })
+    expect(
+      getConditionContext(monday('10:00'), DEFAULT_ENERGY_WINDOWS, 'UTC').energy
+    ).toBe('high')
+    // Still Sunday evening in New York
+    expect(
+      getConditionContext(
+        monday('02:00'),
+        DEFAULT_ENERGY_WINDOWS,
+        'America/New_York'
+      ).weekday
+    ).toBe(0)
+  })
+
+  test('evaluates each condition type', () => {
+    const context = { weekday: 1, time: '07:30', energy: 'low' }
+
+    expect(evaluateStepCondition(undefined, context)).toBe(true)
+    expect(
+      evaluateStepCondition({ type: 'weekday', days: [1, 3] }, context)
+    ).toBe(true)
+    expect(evaluateStepCondition({ type: 'weekday', days: [6] }, context)).toBe(
+      false
+    )
+    expect(
+      evaluateStepCondition(
+        { type: 'timeOfDay', from: '06:00', to: '09:00' },
+        context
+      )
+    ).toBe(true)
+    expect(
+      evaluateStepCondition({ type: 'energy', levels: ['high'] }, context)
+    ).toBe(false)
+
+    const prompt = { type: 'prompt', question: 'Is it raining?' }
+    expect(evaluateStepCondition(prompt, context)).toBeNull()
+    expect(evaluateStepCondition(prompt, context, true)).toBe(true)
+    expect(evaluateStepCondition(prompt, context, false)).toBe(false)
+  })
+
+  test('handles time ranges that wrap past midnight', () => {
+    expect(isTimeInRange('23:00', '22:00', '06:00')).toBe(true)
+    expect(isTimeInRange('05:59', '22:00', '06:00')).toBe(true)
+    expect(isTimeInRange('06:00', '22:00', '06:00')).toBe(false)
+  })
+
+  test('describes conditions for display', () => {
+    expect(describeStepCondition({ type: 'weekday', days: [3, 1] })).toBe(
+      'Only on Mon, Wed'
+    )
+    expect(
+      describeStepCondition({ type: 'energy', levels: ['low', 'medium'] })
+    ).toBe('Only on low or medium energy')
+  })
+
+  test('validates conditions and groups', () => {
+    expect(validateStepCondition({ type: 'weekday', days: [0, 6] })).toEqual([])
+    expect(validateStepCondition({ type: 'weekday', days: [7] })).toHaveLength(
+      1
+    )
+    expect(
+      validateStepCondition({ type: 'timeOfDay', from: '9:00', to: '10:00' })
+    ).toHaveLength(1)
+    expect(validateStepCondition({ type: 'energy', levels: [] })).toHaveLength(
+      1
+    )
+    expect(
+      validateStepCondition({ type: 'prompt', question: ' ' })
+    ).toHaveLength(1)
+    expect(validateStepCondition({ type: 'moon' })).toHaveLength(1)
+
+    expect(validateStepGroup(createStepGroup('choice', ' Cardio '))).toEqual([])
+    expect(validateStepGroup({ id: 'g', type: 'maybe', label: '' })).toEqual([
+      'Step group type must be: optional or choice',
+      'Step group must have a label'
+    ])
+  })
+
+  test('groups steps by type and label', () => {
+    expect(createStepGroup('choice', 'Morning cardio')).toEqual({
+      id: 'group_choice_morning-cardio',
+      type: 'choice',
+      label: 'Morning cardio'
+    })
+  })
+
+  test('validateStep checks conditions and groups', () => {
+    const step = { label: 'Pack umbrella', duration: 30 }
+
+    expect(
+      validateStep({
+        ...step,
+        condition: { type: 'prompt', question: 'Is it raining?' },
+        group: createStepGroup('optional', 'Rain gear')
+      }).valid
+    ).toBe(true)
+    expect(
+      validateStep({ ...step, condition: { type: 'weekday', days: [] } }).errors
+    ).toEqual(['Weekday condition needs at least one day (0-6)'])
+  })
+})
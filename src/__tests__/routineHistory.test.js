@@ -0,0 +1,352 @@
+// Test suite for the routine run history and per-step analytics
+
+import React from 'react'
+import {
+  render,
+  screen,
+  within,
+  fireEvent,
+  waitFor
+} from '@testing-library/react'
+import '@testing-library/jest-dom'
+import 'fake-indexeddb/auto'
+import {
+  buildRoutineRunRecord,
+  recordRoutineRun,
+  getRoutineRuns,
+  getStepAnalytics,
+  suggestStepDurations,
+  ROUTINE_TIME_STAT_TYPE
+} from '../utils/routineHistory'
+import {
+  createRunnerState,
+  completeStep,
+  skipStep
+} from '../utils/routineRunner'
+import { clear, put, saveStats, STORES } from '../utils/indexedDBManager'
+import { getRoutine } from '../utils/routinesManager'
+import RoutineHistory from '../components/Routines/RoutineHistory'
+
+const routine = {
+  id: 'routine_morning',
+  title: 'Morning',
+  steps: [
+    { id: 'step_water', label: 'Water', duration: 30 },
+    { id: 'step_stretch', label: 'Stretch', duration: 300 }
+  ]
+}
+
+// A run record with the given outcome per step
+const makeRun = (startedAt, steps) => ({
+  routineId: routine.id,
+  routineTitle: routine.title,
+  status: 'completed',
+  startedAt,
+  date: '2025-03-10',
+  actualSeconds: 400,
+  plannedSeconds: 330,
+  pauses: [],
+  pausedSeconds: 0,
+  steps: steps.map(([label, status, actualSeconds, reason]) => ({
+    stepId: routine.steps.find((step) => step.label === label).id,
+    label,
+    status,
+    plannedSeconds: routine.steps.find((step) => step.label === label).duration,
+    actualSeconds,
+    reason: reason || null
+  }))
+})
+
+describe('Routine History', () => {
+  beforeEach(async () => {
+    await clear(STORES.STATS)
+  })
+
+  test('builds a record with planned and actual time, skips and pauses', () => {
+    const startedAt = Date.UTC(2025, 2, 10, 7, 0)
+    const state = {
+      ...createRunnerState(routine),
+      startedAt,
+      totalPausedTime: 60_000,
+      pauses: [
+        {
+          stepIndex: 1,
+          pausedAt: startedAt,
+          resumedAt: startedAt,
+          duration: 60
+        }
+      ],
+      logs: [
+        {
+          stepIndex: 0,
+          stepId: 'step_water',
+          stepLabel: 'Water',
+          status: 'completed',
+          plannedDuration: 30,
+          actualDuration: 45
+        },
+        {
+          stepIndex: 1,
+          stepId: 'step_stretch',
+          stepLabel: 'Stretch',
+          status: 'skipped',
+          reason: 'Too tired',
+          plannedDuration: 300,
+          actualDuration: 5
+        }
+      ]
+    }
+
+    const record = buildRoutineRunRecord(state, {
+      endedAt: startedAt + 170_000
+    })
+    expect(record).toEqual(
+      expect.objectContaining({
+        routineId: 'routine_morning',
+        routineTitle: 'Morning',
+        status: 'completed',
+        minutes: 2,
+        plannedSeconds: 330,
+        actualSeconds: 110,
+        pausedSeconds: 60,
+        date: '2025-03-10'
+      })
+    )
+    expect(record.steps).toEqual([
+      {
+        stepIndex: 0,
+        stepId: 'step_water',
+        label: 'Water',
+        status: 'completed',
+        plannedSeconds: 30,
+        actualSeconds: 45,
+        reason: null
+      },
+      expect.objectContaining({
+        label: 'Stretch',
+        status: 'skipped',
+        reason: 'Too tired'
+      })
+    ])
+  })
+
+  test('records finished runs and reads them back newest first', async () => {
+    let state = { ...createRunnerState(routine), isRunning: true }
+    expect(await recordRoutineRun(state)).toBeNull()
+
+    state = skipStep(completeStep(state), 'No time')
+    await recordRoutineRun(state, { status: 'cancelled' })
+    await recordRoutineRun({ ...state, startedAt: state.startedAt + 1000 })
+    // Routine time recorded without steps is left out of the history
+    await saveStats(ROUTINE_TIME_STAT_TYPE, { minutes: 15 })
+
+    const runs = await getRoutineRuns()
+    expect(runs.map((run) => run.status)).toEqual(['completed', 'cancelled'])
+    expect(runs[0].steps.map((step) => step.status)).toEqual([
+      'completed',
+      'skipped'
+    ])
+    expect(await getRoutineRuns('routine_other')).toEqual([])
+  })
+
+  test('flags steps that keep running over or getting skipped', () => {
+    const runs = [
+      makeRun(1, [
+        ['Water', 'completed', 20],
+        ['Stretch', 'completed', 420]
+      ]),
+      makeRun(2, [
+        ['Water', 'completed', 25],
+        ['Stretch', 'skipped', 0, 'Too tired']
+      ]),
+      makeRun(3, [
+        ['Water', 'skipped', 0, 'Forgot'],
+        ['Stretch', 'completed', 360]
+      ])
+    ]
+
+    const [stretch, water] = getStepAnalytics(runs)
+    expect(stretch).toEqual(
+      expect.objectContaining({
+        label: 'Stretch',
+        runs: 3,
+        overruns: 2,
+        skips: 1,
+        averageActualSeconds: 390,
+        oftenOverruns: true,
+        oftenSkipped: false,
+        skipReasons: ['Too tired']
+      })
+    )
+    expect(water).toEqual(
+      expect.objectContaining({
+        label: 'Water',
+        overrunRate: 0,
+        oftenOverruns: false,
+        oftenSkipped: false
+      })
+    )
+    // Too few runs to call anything consistent
+    expect(
+      getStepAnalytics(runs.slice(0, 2)).some((step) => step.oftenOverruns)
+    ).toBe(false)
+  })
+
+  test('suggests the median of recent completions as the new duration', () => {
+    // Stretch takes about 400s; its oldest run is left out as only the last
+    // five completions count, and skips do not count at all
+    const stretchSeconds = [900, 410, 388, null, 402, 395, 420]
+    const runs = stretchSeconds.map((seconds, index) =>
+      makeRun(index + 1, [
+        ['Water', 'completed', 28 + (index % 3)],
+        seconds === null
+          ? ['Stretch', 'skipped', 0]
+          : ['Stretch', 'completed', seconds]
+      ])
+    )
+
+    // Water is within a few seconds of its plan and is left alone
+    expect(suggestStepDurations(routine, runs)).toEqual([
+      {
+        stepId: 'step_stretch',
+        label: 'Stretch',
+        currentSeconds: 300,
+        suggestedSeconds: 400,
+        sampleCount: 5
+      }
+    ])
+    // Too few completions to go on
+    expect(suggestStepDurations(routine, runs.slice(5))).toEqual([])
+    // Never below the 10 second minimum
+    const quick = [1, 2, 3].map((startedAt) =>
+      makeRun(startedAt, [['Stretch', 'completed', 2]])
+    )
+    expect(suggestStepDurations(routine, quick)[0].suggestedSeconds).toBe(10)
+  })
+
+  test('accepts and rejects suggested durations one by one', async () => {
+    await clear(STORES.ROUTINES)
+    await put(STORES.ROUTINES, routine)
+    for (const startedAt of [1, 2, 3]) {
+      await saveStats(
+        ROUTINE_TIME_STAT_TYPE,
+        makeRun(startedAt, [
+          ['Water', 'completed', 60],
+          ['Stretch', 'completed', 420]
+        ])
+      )
+    }
+
+    render(<RoutineHistory />)
+    fireEvent.click(
+      await screen.findByRole('button', {
+        name: 'Suggest durations for Morning'
+      })
+    )
+
+    const suggestions = await screen.findByRole('region', {
+      name: 'Suggested durations for Morning'
+    })
+    expect(within(suggestions).getAllByRole('listitem')).toHaveLength(2)
+    expect(suggestions).toHaveTextContent('Stretch 05:00 → 07:00')
+
+    fireEvent.click(
+      within(suggestions).getByRole('button', {
+        name: 'Accept 07:00 for "Stretch"'
+      })
+    )
+    fireEvent.click(
+      await within(suggestions).findByRole('button', {
+        name: 'Reject suggestion for "Water"'
+      })
+    )
+
+    expect(
+      await within(suggestions).findByText('All suggestions reviewed.')
+    ).toBeInTheDocument()
+    await waitFor(async () => {
+      const saved = await getRoutine(routine.id)
+      expect(saved.steps.map((step) => step.duration)).toEqual([30, 420])
+    })
+  })
+
+  test('suggests and updates durations of steps saved without IDs', async () => {
+    const legacy = {
+      ...routine,
+      steps: routine.steps.map((step) => ({
+        label: step.label,
+        duration: step.duration
+      }))
+    }
+    // Recorded before the steps had IDs
+    const runs = [1, 2, 3].map((startedAt) => {
+      const run = makeRun(startedAt, [
+        ['Water', 'completed', 30],
+        ['Stretch', 'completed', 420]
+      ])
+      return {
+        ...run,
+        steps: run.steps.map((step) => ({ ...step, stepId: null }))
+      }
+    })
+    expect(suggestStepDurations(legacy, runs)).toEqual([
+      expect.objectContaining({ label: 'Stretch', suggestedSeconds: 420 })
+    ])
+
+    await clear(STORES.ROUTINES)
+    await put(STORES.ROUTINES, legacy)
+    for (const run of runs) {
+      await saveStats(ROUTINE_TIME_STAT_TYPE, run)
+    }
+    render(<RoutineHistory />)
+    fireEvent.click(
+      await screen.findByRole('button', {
+        name: 'Suggest durations for Morning'
+      })
+    )
+    const accept = await screen.findByRole('button', {
+      name: 'Accept 07:00 for "Stretch"'
+    })
+    // Opening the suggestions leaves the stored routine alone
+    expect(await getRoutine(routine.id)).toEqual(legacy)
+    fireEvent.click(accept)
+
+    expect(
+      await screen.findByText('All suggestions reviewed.')
+    ).toBeInTheDocument()
+    const saved = await getRoutine(routine.id)
+    expect(saved.steps.map((step) => step.duration)).toEqual([30, 420])
+    expect(saved.steps.every((step) => step.id)).toBe(true)
+  })
+
+  test('shows flagged steps and recent runs', async () => {
+    for (const run of [
+      makeRun(1, [['Stretch', 'skipped', 0, 'Too tired']]),
+      makeRun(2, [['Stretch', 'skipped', 0, 'No time']]),
+      makeRun(3, [['Stretch', 'completed', 200]])
+    ]) {
+      await saveStats(ROUTINE_TIME_STAT_TYPE, run)
+    }
+
+    render(<RoutineHistory />)
+
+    const flagged = await screen.findByRole('region', {
+      name: 'Steps to look at'
+    })
+    expect(flagged).toHaveTextContent(
+      'Skipped in 2 of 3 runs (No time, Too tired)'
+    )
+    expect(
+      screen.getByRole('rowheader', { name: /Stretch/ })
+    ).toBeInTheDocument()
+    const recent = screen.getByRole('region', { name: 'Recent runs' })
+    expect(within(recent).getAllByRole('listitem')).toHaveLength(3)
+  })
+
+  test('explains an empty history', async () => {
+    render(<RoutineHistory />)
+    expect(
+      await screen.findByText(/No routine runs recorded yet/)
+    ).toBeInTheDocument()
+  })
+})
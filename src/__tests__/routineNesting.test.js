@@ -0,0 +1,174 @@
+// Test suite for nested routines (routine-as-step)
+
+import {
+  isRoutineReference,
+  getStepsDuration,
+  findRoutineCycle,
+  expandRoutineSteps,
+  getNestingProgress,
+  collectReferencedRoutines,
+  remapRoutineReferences
+} from '../utils/routineNesting'
+
+const breathe = {
+  id: 'routine_breathe',
+  title: 'Breathe',
+  steps: [{ id: 'b1', label: 'Box breathing', duration: 60 }]
+}
+const reset = {
+  id: 'routine_reset',
+  title: 'Quick reset',
+  steps: [
+    { id: 'r1', label: 'Stand up', duration: 10 },
+    { id: 'r2', label: 'Breathe', routineRef: 'routine_breathe' },
+    { id: 'r3', label: 'Water', duration: 30 }
+  ]
+}
+const morning = {
+  id: 'routine_morning',
+  title: 'Morning',
+  steps: [
+    { id: 'm1', label: 'Wake up', duration: 120 },
+    { id: 'm2', label: 'Quick reset', routineRef: 'routine_reset' }
+  ]
+}
+const routines = [breathe, reset, morning]
+
+describe('Routine Nesting', () => {
+  test('tells reference steps apart', () => {
+    expect(isRoutineReference(reset.steps[1])).toBe(true)
+    expect(isRoutineReference(reset.steps[0])).toBe(false)
+  })
+
+  test('totals durations through included routines', () => {
+    expect(getStepsDuration(morning.steps, routines)).toBe(220)
+    // Missing routines add nothing
+    expect(getStepsDuration(morning.steps)).toBe(120)
+  })
+
+  test('expands included routines inline', () => {
+    const expanded = expandRoutineSteps(morning, routines)
+
+    expect(expanded.steps.map((step) => step.id)).toEqual([
+      'm1',
+      'm2/r1',
+      'm2/r2/b1',
+      'm2/r3'
+    ])
+    expect(expanded.steps[2].nesting).toEqual([
+      { stepId: 'm2', routineId: 'routine_reset', title: 'Quick reset' },
+      { stepId: 'r2', routineId: 'routine_breathe', title: 'Breathe' }
+    ])
+    expect(morning.steps).toHaveLength(2)
+  })
+
+  test('keeps the groups of each inclusion apart', () => {
+    const group = { id: 'group_choice_cardio', type: 'choice', label: 'Cardio' }
+    const cardio = {
+      id: 'routine_cardio',
+      title: 'Cardio',
+      steps: [
+        { id: 'c1', label: 'Run', duration: 600, group },
+        { id: 'c2', label: 'Swim', duration: 900, group }
+      ]
+    }
+    const day = {
+      id: 'routine_day',
+      title: 'Day',
+      steps: [
+        { id: 'd1', label: 'Swim', duration: 900, group },
+        { id: 'd2', label: 'Cardio', routineRef: 'routine_cardio' },
+        { id: 'd3', label: 'Cardio', routineRef: 'routine_cardio' }
+      ]
+    }
+    const { steps } = expandRoutineSteps(day, [cardio])
+
+    expect(steps.map((step) => step.group.id)).toEqual([
+      'group_choice_cardio',
+      'd2/group_choice_cardio',
+      'd2/group_choice_cardio',
+      'd3/group_choice_cardio',
+      'd3/group_choice_cardio'
+    ])
+    expect(cardio.steps[0].group.id).toBe('group_choice_cardio')
+  })
+
+  test('tells apart steps stored without IDs by their position', () => {
+    const stretch = {
+      id: 'routine_stretch',
+      title: 'Stretch',
+      steps: [
+        { label: 'Neck', duration: 30 },
+        { label: 'Back', duration: 30 }
+      ]
+    }
+    const evening = {
+      id: 'routine_evening',
+      title: 'Evening',
+      steps: [
+        { label: 'Stretch', routineRef: 'routine_stretch' },
+        { label: 'Breathe', routineRef: 'routine_breathe' }
+      ]
+    }
+    const { steps } = expandRoutineSteps(evening, [...routines, stretch])
+
+    expect(steps.map((step) => step.id)).toEqual([
+      'step_0/step_0',
+      'step_0/step_1',
+      'step_1/b1'
+    ])
+    expect(getNestingProgress(steps, 1)).toEqual([
+      { title: 'Stretch', position: 2, count: 2 }
+    ])
+    expect(getNestingProgress(steps, 2)).toEqual([
+      { title: 'Breathe', position: 1, count: 1 }
+    ])
+  })
+
+  test('reports the position inside each included routine', () => {
+    const { steps } = expandRoutineSteps(morning, routines)
+
+    expect(getNestingProgress(steps, 0)).toEqual([])
+    expect(getNestingProgress(steps, 2)).toEqual([
+      { title: 'Quick reset', position: 2, count: 3 },
+      { title: 'Breathe', position: 1, count: 1 }
+    ])
+    expect(getNestingProgress(steps, 3)).toEqual([
+      { title: 'Quick reset', position: 3, count: 3 }
+    ])
+  })
+
+  test('finds references that lead back to the routine', () => {
+    const looped = [
+      ...reset.steps,
+      { id: 'r4', label: 'Morning', routineRef: 'routine_morning' }
+    ]
+
+    expect(findRoutineCycle('routine_reset', reset.steps, routines)).toBeNull()
+    expect(findRoutineCycle('routine_reset', looped, routines)).toEqual([
+      'routine_reset',
+      'routine_morning',
+      'routine_reset'
+    ])
+    expect(
+      findRoutineCycle(
+        'routine_breathe',
+        [{ id: 'x', label: 'Self', routineRef: 'routine_breathe' }],
+        routines
+      )
+    ).toEqual(['routine_breathe', 'routine_breathe'])
+  })
+
+  test('collects included routines and remaps references', () => {
+    expect(
+      collectReferencedRoutines([morning], routines).map((r) => r.id)
+    ).toEqual(['routine_reset', 'routine_breathe'])
+
+    const remapped = remapRoutineReferences(
+      reset.steps,
+      new Map([['routine_breathe', 'routine_breathe_2']])
+    )
+    expect(remapped[1].routineRef).toBe('routine_breathe_2')
+    expect(remapped[0]).toBe(reset.steps[0])
+  })
+})
@@ -15,8 +15,13 @@ import {
   tickTimer,
   calculateProgress,
   isRoutineComplete,
-  getRoutineSummary
+  getRoutineSummary,
+  getActiveSeconds,
+  restoreRunnerState,
+  answerQuestion,
+  getNextStep
 } from '../utils/routineRunner'
+import { expandRoutineSteps } from '../utils/routineNesting'
 
 describe('Routine Runner - XP Calculations', () => {
   describe('calculateStepXP', () => {
@@ -290,6 +295,274 @@ describe('Routine Runner - State Management', () => {
     })
   })
 
+  describe('restoreRunnerState', () => {
+    const startedAt = 1_000_000
+
+    test('counts active time, leaving out pauses', () => {
+      const state = {
+        ...createRunnerState(mockRoutine),
+        startedAt,
+        totalPausedTime: 20_000
+      }
+
+      expect(getActiveSeconds(state, startedAt + 50_000)).toBe(30)
+      expect(
+        getActiveSeconds(
+          { ...state, isPaused: true, pausedAt: startedAt + 40_000 },
+          startedAt + 90_000
+        )
+      ).toBe(20)
+    })
+
+    test('recomputes the step timer after a reload', () => {
+      const saved = {
+        ...createRunnerState(mockRoutine),
+        isRunning: true,
+        startedAt,
+        totalPausedTime: 10_000,
+        currentStepIndex: 1,
+        stepStartOffset: 50,
+        remainingSeconds: 120
+      }
+
+      // 100s active, 50s of it on step 2
+      expect(
+        restoreRunnerState(saved, startedAt + 110_000).remainingSeconds
+      ).toBe(70)
+      expect(
+        restoreRunnerState(saved, startedAt + 600_000).remainingSeconds
+      ).toBe(0)
+    })
+
+    test('keeps a paused run paused', () => {
+      const saved = {
+        ...createRunnerState(mockRoutine),
+        isRunning: true,
+        isPaused: true,
+        startedAt,
+        pausedAt: startedAt + 15_000
+      }
+
+      const restored = restoreRunnerState(saved, startedAt + 600_000)
+      expect(restored.isPaused).toBe(true)
+      expect(restored.remainingSeconds).toBe(45)
+    })
+
+    test('starts the step clock when advancing', () => {
+      const state = {
+        ...createRunnerState(mockRoutine),
+        isRunning: true,
+        startedAt: Date.now() - 40_000,
+        isPaused: true,
+        pausedAt: Date.now() - 10_000
+      }
+
+      const next = advanceStep(state)
+      expect(next.isPaused).toBe(false)
+      expect(next.pausedAt).toBeNull()
+      expect(next.totalPausedTime).toBeGreaterThanOrEqual(10_000)
+      expect(next.stepStartOffset).toBe(30)
+    })
+  })
+
+  describe('run history data', () => {
+    test('logs pauses with the step they happened on', () => {
+      const now = Date.now()
+      const state = {
+        ...createRunnerState(mockRoutine),
+        isRunning: true,
+        isPaused: true,
+        pausedAt: now - 20_000
+      }
+
+      const resumed = togglePause(state)
+      expect(resumed.pauses).toEqual([
+        {
+          stepIndex: 0,
+          pausedAt: now - 20_000,
+          resumedAt: expect.any(Number),
+          duration: 20
+        }
+      ])
+    })
+
+    test('measures the time spent on a step, including overruns', () => {
+      const state = {
+        ...createRunnerState(mockRoutine),
+        isRunning: true,
+        startedAt: Date.now() - 90_000,
+        remainingSeconds: 0
+      }
+
+      expect(completeStep(state).logs[0].actualDuration).toBe(90)
+      expect(skipStep(state, 'Later').logs[0]).toEqual(
+        expect.objectContaining({ actualDuration: 90, reason: 'Later' })
+      )
+    })
+  })
+
+  describe('conditional and grouped steps', () => {
+    // Monday 10 March 2025, 07:00 UTC: medium energy with the default windows
+    beforeEach(() => {
+      jest.useFakeTimers()
+      jest.setSystemTime(new Date('2025-03-10T07:00:00Z'))
+    })
+
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    const cardio = { id: 'cardio', type: 'choice', label: 'Cardio' }
+    const extras = { id: 'extras', type: 'optional', label: 'Extras' }
+    const branchingRoutine = {
+      id: 'branching',
+      title: 'Branching',
+      steps: [
+        { id: 's0', label: 'Water', duration: 30 },
+        {
+          id: 's1',
+          label: 'Gym bag',
+          duration: 60,
+          condition: { type: 'weekday', days: [2, 4] }
+        },
+        {
+          id: 's2',
+          label: 'Pack umbrella',
+          duration: 20,
+          condition: { type: 'prompt', question: 'Is it raining?' }
+        },
+        { id: 's3', label: 'Run', duration: 600, group: cardio },
+        {
+          id: 's4',
+          label: 'Bike',
+          duration: 900,
+          group: cardio,
+          condition: { type: 'energy', levels: ['high'] }
+        },
+        { id: 's5', label: 'Swim', duration: 1200, group: cardio },
+        { id: 's6', label: 'Foam roll', duration: 120, group: extras },
+        { id: 's7', label: 'Sauna', duration: 600, group: extras }
+      ]
+    }
+
+    test('leaves out steps whose condition does not hold', () => {
+      const state = completeStep({
+        ...createRunnerState(branchingRoutine),
+        isRunning: true
+      })
+
+      expect(state.excludedSteps).toEqual([
+        {
+          stepIndex: 1,
+          stepId: 's1',
+          stepLabel: 'Gym bag',
+          reason: 'Only on Tue, Thu'
+        }
+      ])
+      expect(state.currentStepIndex).toBe(2)
+      expect(state.pendingQuestion).toEqual({
+        kind: 'prompt',
+        stepIndex: 2,
+        label: 'Is it raining?'
+      })
+      // No completing or skipping past an open question
+      expect(completeStep(state)).toBe(state)
+      expect(tickTimer(state)).toBe(state)
+    })
+
+    test('asks before prompt steps and groups, then follows the answers', () => {
+      let state = completeStep({
+        ...createRunnerState(branchingRoutine),
+        isRunning: true
+      })
+
+      state = answerQuestion(state, false)
+      expect(state.currentStepIndex).toBe(3)
+      // Bike needs high energy, so only Run and Swim are offered
+      expect(state.pendingQuestion).toEqual({
+        kind: 'choice',
+        stepIndex: 3,
+        groupId: 'cardio',
+        label: 'Cardio',
+        options: [
+          { stepIndex: 3, label: 'Run', duration: 600 },
+          { stepIndex: 5, label: 'Swim', duration: 1200 }
+        ]
+      })
+      expect(getNextStep(state).label).toBe('Foam roll')
+
+      state = answerQuestion(state, 5)
+      expect(state.currentStepIndex).toBe(5)
+      expect(state.pendingQuestion).toBeNull()
+      expect(state.remainingSeconds).toBe(1200)
+
+      state = completeStep(state)
+      expect(state.pendingQuestion).toEqual(
+        expect.objectContaining({ kind: 'optional', label: 'Extras' })
+      )
+      state = answerQuestion(state, false)
+
+      expect(isRoutineComplete(state)).toBe(true)
+      expect(state.isRunning).toBe(false)
+      expect(state.excludedSteps.map((step) => step.reason)).toEqual([
+        'Only on Tue, Thu',
+        'Answered no to "Is it raining?"',
+        'Chose another step in Cardio',
+        'Chose another step in Cardio',
+        'Left out Extras',
+        'Left out Extras'
+      ])
+
+      const summary = getRoutineSummary(state)
+      expect(summary.totalSteps).toBe(2)
+      expect(summary.plannedDuration).toBe(1230)
+      expect(summary.excludedSteps).toHaveLength(6)
+    })
+
+    test('asks again for each inclusion of the same routine', () => {
+      const cardioRoutine = {
+        id: 'routine_cardio',
+        title: 'Cardio',
+        steps: [
+          { id: 'c1', label: 'Run', duration: 600, group: cardio },
+          { id: 'c2', label: 'Swim', duration: 1200, group: cardio }
+        ]
+      }
+      const twice = expandRoutineSteps(
+        {
+          id: 'twice',
+          title: 'Twice',
+          steps: [
+            { id: 'am', label: 'Cardio', routineRef: 'routine_cardio' },
+            { id: 'pm', label: 'Cardio', routineRef: 'routine_cardio' }
+          ]
+        },
+        [cardioRoutine]
+      )
+      let state = { ...createRunnerState(twice), isRunning: true }
+
+      expect(state.pendingQuestion).toEqual(
+        expect.objectContaining({ kind: 'choice', groupId: 'am/cardio' })
+      )
+      state = completeStep(answerQuestion(state, 0))
+
+      expect(state.currentStepIndex).toBe(2)
+      expect(state.pendingQuestion).toEqual(
+        expect.objectContaining({
+          kind: 'choice',
+          groupId: 'pm/cardio',
+          options: [
+            { stepIndex: 2, label: 'Run', duration: 600 },
+            { stepIndex: 3, label: 'Swim', duration: 1200 }
+          ]
+        })
+      )
+      state = answerQuestion(state, 3)
+      expect(state.currentStepIndex).toBe(3)
+      expect(state.excludedSteps.map((step) => step.stepIndex)).toEqual([1, 2])
+    })
+  })
+
   describe('calculateProgress', () => {
     test('should calculate progress percentage', () => {
       const state = {
@@ -14,8 +14,14 @@ import {
   reorderStep,
   cloneRoutine,
   startRoutine,
+  saveRoutineState,
+  getRoutineState,
+  getActiveRoutineState,
+  clearRoutineState,
   exportRoutines,
-  importRoutines
+  importRoutines,
+  updateStep,
+  getRunnableRoutine
 } from '../utils/routinesManager'
 import { clear, STORES } from '../utils/indexedDBManager'
 
@@ -318,6 +324,41 @@ describe('Routines Manager', () => {
     })
   })
 
+  describe('routine run checkpoint', () => {
+    beforeEach(async () => {
+      await clear(STORES.ROUTINE_RUNS)
+    })
+
+    test('saves, reads and clears the run in progress', async () => {
+      expect(await getActiveRoutineState()).toBeNull()
+
+      const state = await startRoutine(
+        await createRoutine({
+          name: 'Morning',
+          steps: [{ name: 'Stretch', duration: 60 }]
+        })
+      )
+      await saveRoutineState(state)
+
+      expect(await getActiveRoutineState()).toEqual(state)
+      expect(await getRoutineState(state.routineId)).toEqual(state)
+      expect(await getRoutineState('routine_other')).toBeNull()
+
+      await clearRoutineState()
+      expect(await getActiveRoutineState()).toBeNull()
+    })
+
+    test('keeps only the latest run', async () => {
+      await saveRoutineState({ routineId: 'routine_a', currentStepIndex: 0 })
+      await saveRoutineState({ routineId: 'routine_b', currentStepIndex: 2 })
+
+      expect(await getActiveRoutineState()).toEqual({
+        routineId: 'routine_b',
+        currentStepIndex: 2
+      })
+    })
+  })
+
   describe('createRoutineBatch', () => {
     test('should create multiple routines in one batch', async () => {
       const routines = [
@@ -586,4 +627,148 @@ describe('Routines Manager', () => {
       expect(imported.totalDuration).toBe(180)
     })
   })
+
+  describe('nested routines', () => {
+    // Morning includes Quick reset
+    const createNested = async () => {
+      const resetId = await createRoutine({
+        name: 'Quick reset',
+        steps: [
+          { id: 'r1', label: 'Stand up', duration: 20 },
+          { id: 'r2', label: 'Water', duration: 40 }
+        ]
+      })
+      const morningId = await createRoutine({
+        name: 'Morning',
+        steps: [{ id: 'm1', label: 'Wake up', duration: 60 }]
+      })
+      await addStep(morningId, {
+        id: 'm2',
+        label: 'Quick reset',
+        routineRef: resetId
+      })
+      return { resetId, morningId }
+    }
+
+    test('counts the included routine in the total duration', async () => {
+      const { morningId } = await createNested()
+
+      const morning = await getRoutine(morningId)
+      expect(morning.totalDuration).toBe(120)
+      expect(morning.steps[1]).not.toHaveProperty('duration')
+    })
+
+    test('gives steps added without an ID one', async () => {
+      const stretchId = await createRoutine({
+        name: 'Stretch',
+        steps: [
+          { label: 'Neck', duration: 30 },
+          { label: 'Back', duration: 30 }
+        ]
+      })
+      const eveningId = await createRoutine({
+        name: 'Evening',
+        steps: [
+          { label: 'Stretch', routineRef: stretchId },
+          { label: 'Stretch again', routineRef: stretchId }
+        ]
+      })
+
+      const evening = await getRoutine(eveningId)
+      expect(evening.steps.every((step) => step.id)).toBe(true)
+      const ids = (await getRunnableRoutine(eveningId)).steps.map(
+        (step) => step.id
+      )
+      expect(ids).toHaveLength(4)
+      expect(new Set(ids).size).toBe(4)
+    })
+
+    test('runs the included routine as it is now', async () => {
+      const { resetId, morningId } = await createNested()
+      await updateStep(resetId, 'r2', { duration: 90 })
+
+      expect((await getRoutine(morningId)).totalDuration).toBe(170)
+      const runnable = await getRunnableRoutine(morningId)
+      expect(runnable.steps.map((step) => [step.id, step.duration])).toEqual([
+        ['m1', 60],
+        ['m2/r1', 20],
+        ['m2/r2', 90]
+      ])
+      expect((await startRoutine(morningId)).routine.steps).toHaveLength(3)
+    })
+
+    test('rejects a routine that would include itself', async () => {
+      const { resetId, morningId } = await createNested()
+
+      await expect(
+        addStep(resetId, { label: 'Morning', routineRef: morningId })
+      ).rejects.toThrow(
+        'Routine cannot include itself: Quick reset → Morning → Quick reset'
+      )
+      expect((await getRoutine(resetId)).steps).toHaveLength(2)
+      await expect(
+        updateStep(morningId, 'm2', {
+          condition: { type: 'weekday', days: [1] }
+        })
+      ).rejects.toThrow(
+        'A step that includes a routine cannot have a condition or group'
+      )
+    })
+
+    test('clones keep including the same routine', async () => {
+      const { resetId, morningId } = await createNested()
+
+      const cloneId = await cloneRoutine(morningId, 'Weekend morning')
+      await deleteRoutine(resetId)
+
+      // The reference stays, but a deleted routine adds nothing
+      const clone = await getRoutine(cloneId)
+      expect(clone.steps[1].routineRef).toBe(resetId)
+      expect(clone.totalDuration).toBe(60)
+    })
+
+    test('exports included routines and remaps them on import', async () => {
+      const { morningId } = await createNested()
+
+      const data = await exportRoutines([morningId])
+      expect(data.routines.map((r) => r.name)).toEqual([
+        'Morning',
+        'Quick reset'
+      ])
+
+      // Both IDs collide, so both routines get new ones
+      const results = await importRoutines(data)
+      expect(results.imported).toBe(2)
+
+      const routines = await getRoutines()
+      const copies = routines.filter((r) => r.importedAt)
+      const morningCopy = copies.find((r) => r.name === 'Morning')
+      const resetCopy = copies.find((r) => r.name === 'Quick reset')
+      expect(morningCopy.steps[1].routineRef).toBe(resetCopy.id)
+      expect(morningCopy.totalDuration).toBe(120)
+    })
+
+    test('skips imported routines that include each other', async () => {
+      const results = await importRoutines({
+        version: '1.0',
+        routines: [
+          {
+            id: 'routine_a',
+            name: 'A',
+            steps: [{ id: 'a1', label: 'B', routineRef: 'routine_b' }]
+          },
+          {
+            id: 'routine_b',
+            name: 'B',
+            steps: [{ id: 'b1', label: 'A', routineRef: 'routine_a' }]
+          }
+        ]
+      })
+
+      expect(results.imported).toBe(0)
+      expect(results.errors[0].error).toBe(
+        'Routine cannot include itself: A → B → A'
+      )
+    })
+  })
 })
@@ -0,0 +1,211 @@
+// Test suite for planned versus actual schedule analytics
+
+import 'fake-indexeddb/auto'
+import {
+  getPeriodRange,
+  getDailyCapacity,
+  toActualTime,
+  buildScheduleAnalytics,
+  getScheduleAnalytics,
+  recordActualTime
+} from '../utils/scheduleAnalytics'
+import { createEvent } from '../utils/scheduleManager'
+import { clear, saveStats, STORES } from '../utils/indexedDBManager'
+import {
+  ANALYTICS_PERIODS,
+  DEFAULT_DAILY_CAPACITY_MINUTES
+} from '../utils/scheduleConstants'
+
+const event = (type, day, startTime, endTime, extra = {}) => ({
+  title: `${type} block`,
+  type,
+  day,
+  startTime,
+  endTime,
+  timeZone: 'UTC',
+  ...extra
+})
+
+describe('Schedule Analytics', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  describe('getPeriodRange', () => {
+    test('covers a single day', () => {
+      expect(getPeriodRange(ANALYTICS_PERIODS.DAY, '2025-01-15')).toEqual({
+        startDate: '2025-01-15',
+        endDate: '2025-01-15'
+      })
+    })
+
+    test('uses Monday to Sunday weeks', () => {
+      expect(getPeriodRange(ANALYTICS_PERIODS.WEEK, '2025-01-19')).toEqual({
+        startDate: '2025-01-13',
+        endDate: '2025-01-19'
+      })
+    })
+
+    test('covers whole months, leap days included', () => {
+      expect(getPeriodRange(ANALYTICS_PERIODS.MONTH, '2024-02-10')).toEqual({
+        startDate: '2024-02-01',
+        endDate: '2024-02-29'
+      })
+    })
+
+    test('rejects unknown periods', () => {
+      expect(() => getPeriodRange('year', '2025-01-15')).toThrow(
+        'Unknown analytics period: year'
+      )
+    })
+  })
+
+  test('reads the daily capacity from settings', () => {
+    expect(getDailyCapacity({})).toBe(DEFAULT_DAILY_CAPACITY_MINUTES)
+    expect(getDailyCapacity({ schedule: { dailyCapacityMinutes: 360 } })).toBe(
+      360
+    )
+  })
+
+  test('reads tracked time from stats records', () => {
+    expect(
+      toActualTime({ type: 'schedule_time', eventType: 'task', minutes: 25 })
+    ).toEqual(expect.objectContaining({ eventType: 'task', minutes: 25 }))
+    expect(toActualTime({ type: 'routine_time', minutes: 40 })).toEqual(
+      expect.objectContaining({ eventType: 'routine', minutes: 40 })
+    )
+    expect(toActualTime({ type: 'task_completion' })).toBeNull()
+  })
+
+  describe('buildScheduleAnalytics', () => {
+    test('totals planned and actual time per type and day', () => {
+      const analytics = buildScheduleAnalytics({
+        startDate: '2025-01-13',
+        endDate: '2025-01-14',
+        events: [
+          event('task', '2025-01-13', '09:00', '10:30'),
+          event('meeting', '2025-01-13', '11:00', '11:45'),
+          event('task', '2025-01-14', '09:00', '09:30')
+        ],
+        actuals: [
+          { eventType: 'task', minutes: 70, date: '2025-01-13' },
+          { eventType: 'routine', minutes: 20, date: '2025-01-14' }
+        ]
+      })
+
+      expect(analytics.byType.task).toEqual({ planned: 120, actual: 70 })
+      expect(analytics.byType.meeting).toEqual({ planned: 45, actual: 0 })
+      expect(analytics.byType.routine).toEqual({ planned: 0, actual: 20 })
+      expect(analytics.byType.break).toEqual({ planned: 0, actual: 0 })
+      expect(analytics.totals).toEqual({ planned: 165, actual: 90, buffers: 0 })
+      expect(analytics.days.map((entry) => entry.planned)).toEqual([135, 30])
+      expect(analytics.days[0].byType.task).toEqual({
+        planned: 90,
+        actual: 70
+      })
+    })
+
+    test('measures from start and end rather than stored durations', () => {
+      const analytics = buildScheduleAnalytics({
+        startDate: '2025-01-13',
+        endDate: '2025-01-14',
+        events: [
+          // Stale duration left over from an edit
+          event('task', '2025-01-13', '09:00', '12:00', { duration: 30 }),
+          // Counts on the day it starts
+          event('break', '2025-01-13', '23:00', '01:00'),
+          event('habit', '2025-01-14', '00:00', '00:00', {
+            allDay: true,
+            endDay: '2025-01-15'
+          })
+        ]
+      })
+
+      expect(analytics.days[0].planned).toBe(300)
+      expect(analytics.days[1].planned).toBe(0)
+    })
+
+    test('keeps a row for types outside the schedule types', () => {
+      const analytics = buildScheduleAnalytics({
+        startDate: '2025-01-13',
+        endDate: '2025-01-13',
+        events: [event('event', '2025-01-13', '09:00', '10:00')]
+      })
+
+      expect(analytics.byType.event).toEqual({ planned: 60, actual: 0 })
+    })
+
+    test('flags days over capacity, buffers included', () => {
+      const analytics = buildScheduleAnalytics({
+        startDate: '2025-01-13',
+        endDate: '2025-01-15',
+        events: [
+          event('meeting', '2025-01-13', '09:00', '17:00'),
+          event('meeting', '2025-01-14', '09:00', '16:45', { travelTime: 30 }),
+          event('task', '2025-01-15', '09:00', '17:30')
+        ],
+        capacityMinutes: 480
+      })
+
+      expect(analytics.overcommittedDays).toEqual(['2025-01-14', '2025-01-15'])
+      expect(analytics.days[1]).toEqual(
+        expect.objectContaining({
+          planned: 465,
+          buffers: 30,
+          overcommitted: true
+        })
+      )
+    })
+  })
+
+  describe('with stored events', () => {
+    beforeEach(async () => {
+      await clear(STORES.SCHEDULE)
+      await clear(STORES.STATS)
+    })
+
+    test('reports the period around a day', async () => {
+      await createEvent({
+        title: 'Deep work',
+        type: 'task',
+        day: '2025-01-14',
+        startTime: '09:00',
+        endTime: '11:00'
+      })
+      await createEvent({
+        title: 'Next week',
+        type: 'task',
+        day: '2025-01-20',
+        startTime: '09:00',
+        endTime: '11:00'
+      })
+      await recordActualTime({
+        eventType: 'task',
+        minutes: 95,
+        day: '2025-01-14'
+      })
+      await saveStats('routine_time', { minutes: 15, date: '2025-01-15' })
+
+      const analytics = await getScheduleAnalytics(
+        ANALYTICS_PERIODS.WEEK,
+        '2025-01-15'
+      )
+
+      expect(analytics.period).toBe('week')
+      expect(analytics.startDate).toBe('2025-01-13')
+      expect(analytics.days).toHaveLength(7)
+      expect(analytics.byType.task).toEqual({ planned: 120, actual: 95 })
+      expect(analytics.byType.routine).toEqual({ planned: 0, actual: 15 })
+      expect(analytics.capacityMinutes).toBe(DEFAULT_DAILY_CAPACITY_MINUTES)
+    })
+
+    test('rejects tracked time without minutes', async () => {
+      await expect(
+        recordActualTime({ eventType: 'task', minutes: 0 })
+      ).rejects.toThrow('Actual time must be a positive number of minutes')
+      await expect(recordActualTime({ minutes: 10 })).rejects.toThrow(
+        'Event type is required'
+      )
+    })
+  })
+})
@@ -0,0 +1,74 @@
+// Test suite for travel/preparation buffer helpers
+
+import {
+  getBufferMinutes,
+  getBusyMinutes,
+  getEventBuffers,
+  findBufferOverlap,
+  describeBufferOverlap
+} from '../utils/scheduleBuffers'
+
+describe('schedule buffers', () => {
+  const meeting = {
+    id: 2,
+    title: 'Client meeting',
+    startTime: '11:00',
+    endTime: '12:00',
+    travelTime: 20,
+    preparationTime: 10
+  }
+
+  test('adds travel and preparation time', () => {
+    expect(getBufferMinutes(meeting)).toBe(30)
+    expect(getBufferMinutes({ startTime: '09:00' })).toBe(0)
+  })
+
+  test('counts buffers and overnight ends in busy minutes', () => {
+    expect(getBusyMinutes(meeting)).toEqual({
+      start: 630,
+      eventStart: 660,
+      end: 720
+    })
+    expect(
+      getBusyMinutes({ startTime: '23:00', endTime: '01:00', travelTime: 0 })
+    ).toEqual({ start: 1380, eventStart: 1380, end: 1500 })
+  })
+
+  test('lists preparation before travel', () => {
+    expect(getEventBuffers(meeting)).toEqual([
+      {
+        type: 'preparation',
+        label: 'Preparation',
+        minutes: 10,
+        start: 630,
+        end: 640
+      },
+      { type: 'travel', label: 'Travel', minutes: 20, start: 640, end: 660 }
+    ])
+    expect(getEventBuffers({ ...meeting, preparationTime: 0 })).toHaveLength(1)
+  })
+
+  test('finds the previous event the buffers run into', () => {
+    const standup = {
+      id: 1,
+      title: 'Standup',
+      startTime: '10:00',
+      endTime: '10:45'
+    }
+    const lunch = {
+      id: 3,
+      title: 'Lunch',
+      startTime: '12:00',
+      endTime: '13:00'
+    }
+
+    expect(findBufferOverlap(meeting, [standup, meeting, lunch])).toBe(standup)
+    expect(
+      findBufferOverlap(meeting, [{ ...standup, endTime: '10:30' }])
+    ).toBeNull()
+    expect(findBufferOverlap({ ...standup }, [meeting])).toBeNull()
+    expect(describeBufferOverlap(meeting, standup)).toBe(
+      'Travel and preparation start at 10:30, before "Standup" ends at 10:45'
+    )
+  })
+})
@@ -0,0 +1,159 @@
+// Test suite for the absolute-time conflict engine
+
+import {
+  getEventInstants,
+  getBusyInterval,
+  getEventKey,
+  findConflicts,
+  getConflictMap,
+  describeConflicts
+} from '../utils/scheduleConflicts'
+
+const event = (id, day, startTime, endTime, extra = {}) => ({
+  id,
+  title: `Event ${id}`,
+  day,
+  startTime,
+  endTime,
+  timeZone: 'UTC',
+  ...extra
+})
+
+describe('schedule conflicts', () => {
+  describe('getEventInstants', () => {
+    test('ends overnight events on the next day', () => {
+      const { start, end } = getEventInstants(
+        '2025-01-15',
+        '22:00',
+        '02:00',
+        'UTC'
+      )
+      expect(start.toISOString()).toBe('2025-01-15T22:00:00.000Z')
+      expect(end.toISOString()).toBe('2025-01-16T02:00:00.000Z')
+    })
+
+    test('ends multi-day events on their end day', () => {
+      const { end } = getEventInstants(
+        '2025-01-15',
+        '09:00',
+        '17:00',
+        'Europe/Paris',
+        '2025-01-17'
+      )
+      expect(end.toISOString()).toBe('2025-01-17T16:00:00.000Z')
+    })
+  })
+
+  describe('getBusyInterval', () => {
+    test('starts at the buffers', () => {
+      expect(
+        getBusyInterval(
+          event(1, '2025-01-15', '10:00', '11:00', {
+            travelTime: 20,
+            preparationTime: 10
+          })
+        )
+      ).toEqual({
+        start: Date.parse('2025-01-15T09:30:00Z'),
+        end: Date.parse('2025-01-15T11:00:00Z')
+      })
+    })
+
+    test('uses the display zone of projected events', () => {
+      const projected = event(1, '2025-01-15', '10:00', '11:00', {
+        timeZone: 'America/New_York',
+        displayTimeZone: 'Europe/Paris'
+      })
+      expect(getBusyInterval(projected).start).toBe(
+        Date.parse('2025-01-15T09:00:00Z')
+      )
+    })
+  })
+
+  describe('findConflicts', () => {
+    test('compares events across midnight and time zones', () => {
+      const events = [
+        event(1, '2025-01-14', '23:00', '01:00'),
+        event(2, '2025-01-15', '04:00', '05:00', {
+          timeZone: 'Asia/Tokyo'
+        }),
+        event(3, '2025-01-15', '01:00', '02:00')
+      ]
+
+      const draft = { day: '2025-01-15', startTime: '00:30', endTime: '01:30' }
+      expect(
+        findConflicts({ ...draft, timeZone: 'UTC' }, events).map((e) => e.id)
+      ).toEqual([1, 3])
+      // 04:00-05:00 in Tokyo is 19:00-20:00 UTC the day before
+      expect(
+        findConflicts(event(4, '2025-01-14', '19:30', '20:30'), events).map(
+          (e) => e.id
+        )
+      ).toEqual([2])
+    })
+
+    test('skips the event itself and only its own occurrence', () => {
+      const occurrence = (day) =>
+        event(5, day, '09:00', '10:00', { occurrenceDay: day })
+      const events = [occurrence('2025-01-15'), occurrence('2025-01-16')]
+
+      expect(findConflicts(occurrence('2025-01-15'), events)).toEqual([])
+      expect(
+        findConflicts(
+          { ...occurrence('2025-01-15'), day: '2025-01-16' },
+          events
+        ).map((e) => e.occurrenceDay)
+      ).toEqual(['2025-01-16'])
+    })
+
+    test('counts all-day events', () => {
+      const holiday = event(6, '2025-01-20', '00:00', '00:00', {
+        allDay: true
+      })
+      expect(
+        findConflicts(event(7, '2025-01-20', '23:00', '23:30'), [holiday])
+      ).toEqual([holiday])
+      expect(
+        findConflicts(event(8, '2025-01-21', '00:00', '01:00'), [holiday])
+      ).toEqual([])
+    })
+  })
+
+  describe('getConflictMap', () => {
+    test('records every overlapping pair under both events', () => {
+      const a = event(1, '2025-01-15', '09:00', '11:00')
+      const b = event(2, '2025-01-15', '10:00', '12:00')
+      const c = event(3, '2025-01-15', '10:30', '10:45')
+      const d = event(4, '2025-01-15', '12:00', '13:00')
+
+      const conflicts = getConflictMap([d, c, b, a])
+      expect(conflicts.get('1')).toEqual([b, c])
+      expect(conflicts.get('2')).toEqual([a, c])
+      expect(conflicts.get('3')).toEqual([a, b])
+      expect(conflicts.has('4')).toBe(false)
+    })
+  })
+
+  test('builds keys for events and occurrences', () => {
+    expect(getEventKey({ id: 3 })).toBe('3')
+    expect(getEventKey({ id: 3, occurrenceDay: '2025-01-15' })).toBe(
+      '3@2025-01-15'
+    )
+  })
+
+  test('describes conflicts', () => {
+    const standup = event(1, '2025-01-15', '09:00', '09:15')
+    standup.title = 'Standup'
+    const holiday = { title: 'Holiday', allDay: true }
+
+    expect(describeConflicts([standup])).toBe(
+      'Overlaps "Standup" (2025-01-15 09:00–09:15)'
+    )
+    expect(describeConflicts([holiday, standup])).toBe(
+      'Overlaps "Holiday" (all day) and "Standup" (2025-01-15 09:00–09:15)'
+    )
+    expect(describeConflicts([holiday, standup, standup, standup])).toBe(
+      'Overlaps "Holiday" (all day), "Standup" (2025-01-15 09:00–09:15) and 2 other events'
+    )
+  })
+})
@@ -1,3 +1,4 @@
+import 'fake-indexeddb/auto'
 import {
   getAllTasks,
   searchRoutinesAndTasks,
@@ -7,6 +8,7 @@ import {
 import { getRoutines, createRoutine } from '../utils/routinesManager'
 import { getAllTemplates } from '../utils/templatesManager'
 import { getPredefinedTemplates } from '../utils/predefinedTemplates'
+import { clear, STORES } from '../utils/indexedDBManager'
 
 // Mock dependencies
 jest.mock('../utils/routinesManager', () => ({
@@ -31,18 +33,19 @@ jest.mock('../utils/logger', () => ({
 }))
 
 describe('scheduleHelpers', () => {
-  beforeEach(() => {
+  beforeEach(async () => {
     jest.clearAllMocks()
     localStorage.clear()
+    await clear(STORES.TASKS)
   })
 
   describe('getAllTasks', () => {
-    it('should return empty array when no tasks in localStorage', () => {
-      const tasks = getAllTasks()
+    it('should return empty array when no tasks are stored', async () => {
+      const tasks = await getAllTasks()
       expect(tasks).toEqual([])
     })
 
-    it('should return all incomplete tasks from all quadrants', () => {
+    it('should return all incomplete tasks from all quadrants', async () => {
       const mockTasks = {
         urgent_important: [
           {
@@ -64,12 +67,12 @@ describe('scheduleHelpers', () => {
 
       localStorage.setItem('aurorae_tasks', JSON.stringify(mockTasks))
 
-      const tasks = getAllTasks()
+      const tasks = await getAllTasks()
       expect(tasks).toHaveLength(3)
       expect(tasks.map((t) => t.id)).toEqual(['1', '3', '4'])
     })
 
-    it('should prioritize important tasks', () => {
+    it('should prioritize important tasks', async () => {
       const mockTasks = {
         urgent_important: [
           { id: '1', text: 'Urgent Important', completed: false }
@@ -85,7 +88,7 @@ describe('scheduleHelpers', () => {
 
       localStorage.setItem('aurorae_tasks', JSON.stringify(mockTasks))
 
-      const tasks = getAllTasks()
+      const tasks = await getAllTasks()
       expect(tasks[0].isImportant).toBe(true)
       expect(tasks[0].priority).toBe(1)
       expect(tasks[1].isImportant).toBe(true)
@@ -93,13 +96,13 @@ describe('scheduleHelpers', () => {
       expect(tasks[2].isImportant).toBe(false)
     })
 
-    it('should handle invalid JSON gracefully', () => {
+    it('should handle invalid legacy JSON gracefully', async () => {
       localStorage.setItem('aurorae_tasks', 'invalid json')
-      const tasks = getAllTasks()
+      const tasks = await getAllTasks()
       expect(tasks).toEqual([])
     })
 
-    it('should include completed tasks when includeCompleted is true', () => {
+    it('should include completed tasks when includeCompleted is true', async () => {
       const mockTasks = {
         urgent_important: [
           {
@@ -119,12 +122,12 @@ describe('scheduleHelpers', () => {
 
       localStorage.setItem('aurorae_tasks', JSON.stringify(mockTasks))
 
-      const tasks = getAllTasks({ includeCompleted: true })
+      const tasks = await getAllTasks({ includeCompleted: true })
       expect(tasks).toHaveLength(3)
       expect(tasks.map((t) => t.id)).toEqual(['1', '2', '3'])
     })
 
-    it('should exclude completed tasks by default', () => {
+    it('should exclude completed tasks by default', async () => {
       const mockTasks = {
         urgent_important: [
           {
@@ -142,7 +145,7 @@ describe('scheduleHelpers', () => {
 
       localStorage.setItem('aurorae_tasks', JSON.stringify(mockTasks))
 
-      const tasks = getAllTasks()
+      const tasks = await getAllTasks()
       expect(tasks).toHaveLength(1)
       expect(tasks[0].id).toBe('1')
     })
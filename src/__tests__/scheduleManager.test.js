@@ -12,9 +12,20 @@ import {
   moveEvent,
   checkConflicts,
   getAvailableSlots,
-  getTodaySummary
+  getTodaySummary,
+  updateRecurringEvent,
+  deleteRecurringEvent,
+  deleteEvents,
+  getAllEvents,
+  migrateScheduleEvents,
+  subscribeToScheduleChanges,
+  findEventConflicts,
+  getConflictsForRange,
+  reattachOccurrence
 } from '../utils/scheduleManager'
-import { clear, STORES } from '../utils/indexedDBManager'
+import { clear, getAll, put, STORES } from '../utils/indexedDBManager'
+import { SCHEDULE_SCHEMA_VERSION } from '../utils/scheduleConstants'
+import { getTodayInTimeZone } from '../utils/timezone'
 
 describe('Schedule Manager', () => {
   beforeEach(async () => {
@@ -108,6 +119,29 @@ describe('Schedule Manager', () => {
       expect(events).toHaveLength(3)
     })
 
+    test('includes multi-day events that start before the range', async () => {
+      await createEvent({
+        title: 'Conference',
+        day: '2025-01-13',
+        endDay: '2025-01-16',
+        startTime: '09:00',
+        endTime: '17:00'
+      })
+      await createEvent({
+        title: 'Retreat',
+        day: '2025-01-10',
+        endDay: '2025-01-12',
+        startTime: '09:00',
+        endTime: '17:00'
+      })
+
+      const events = await getEventsForRange('2025-01-15', '2025-01-17')
+      expect(events.map((event) => event.title)).toEqual(['Conference'])
+      expect(
+        (await getEventsForDay('2025-01-16')).map((event) => event.title)
+      ).toEqual(['Conference'])
+    })
+
     // TODO: Add test for edge cases
     test.todo('should handle date range edge cases')
   })
@@ -180,10 +214,100 @@ describe('Schedule Manager', () => {
       expect(updated.endTime).toBe('15:00')
     })
 
+    test('keeps the length of overnight and multi-day events', async () => {
+      const overnight = await createEvent({
+        title: 'Night shift',
+        day: '2025-01-15',
+        startTime: '22:00',
+        endTime: '02:00',
+        duration: 30
+      })
+      const trip = await createEvent({
+        title: 'Trip',
+        day: '2025-01-15',
+        startTime: '09:00',
+        endTime: '17:00',
+        endDay: '2025-01-17'
+      })
+
+      const movedShift = await moveEvent(overnight, '2025-01-16', '23:00')
+      expect(movedShift.endTime).toBe('03:00')
+      expect(movedShift.endsAt).toBe('2025-01-17T03:00:00.000Z')
+
+      const movedTrip = await moveEvent(trip, '2025-01-20', '10:00')
+      expect(movedTrip.endDay).toBe('2025-01-22')
+      expect(movedTrip.endTime).toBe('18:00')
+    })
+
+    test('resizes an event to a new end time', async () => {
+      const id = await createEvent({
+        title: 'Focus',
+        day: '2025-01-15',
+        startTime: '09:00',
+        endTime: '10:00'
+      })
+
+      const updated = await moveEvent(id, '2025-01-15', '09:00', '11:30')
+      expect(updated.endTime).toBe('11:30')
+      expect(updated.endsAt).toBe('2025-01-15T11:30:00.000Z')
+    })
+
+    test('refuses to move events from subscribed calendars', async () => {
+      const id = await createEvent({
+        title: 'Team calendar',
+        day: '2025-01-15',
+        startTime: '09:00',
+        endTime: '10:00',
+        isExternal: true
+      })
+
+      await expect(moveEvent(id, '2025-01-16', '09:00')).rejects.toThrow(
+        'Events from subscribed calendars are read-only'
+      )
+    })
+
     // TODO: Add test for conflict detection on move
     test.todo('should detect conflicts when moving')
   })
 
+  describe('reattachOccurrence', () => {
+    test('hands a detached occurrence back to its series', async () => {
+      const id = await createEvent({
+        title: 'Daily',
+        day: '2025-01-13',
+        startTime: '09:00',
+        endTime: '09:15',
+        recurrence: { rrule: 'FREQ=DAILY;COUNT=5' }
+      })
+      const [occurrence] = await getEventsForDay('2025-01-14')
+      const detachedId = await updateRecurringEvent(
+        { ...occurrence, startTime: '11:00', endTime: '11:15' },
+        'this'
+      )
+
+      await reattachOccurrence(detachedId)
+
+      const [restored] = await getEventsForDay('2025-01-14')
+      expect(restored).toEqual(
+        expect.objectContaining({ id, isOccurrence: true, startTime: '09:00' })
+      )
+      expect(await getAll(STORES.SCHEDULE)).toHaveLength(1)
+    })
+
+    test('rejects events that are not detached occurrences', async () => {
+      const id = await createEvent({
+        title: 'Single',
+        day: '2025-01-15',
+        startTime: '09:00',
+        endTime: '10:00'
+      })
+
+      await expect(reattachOccurrence(id)).rejects.toThrow(
+        'Detached occurrence not found'
+      )
+    })
+  })
+
   describe('checkConflicts', () => {
     test('should detect overlapping events', async () => {
       await createEvent({
@@ -209,6 +333,200 @@ describe('Schedule Manager', () => {
 
     // TODO: Add test for excluding current event
     test.todo('should exclude specified event from conflict check')
+
+    test('should count travel and preparation buffers as busy', async () => {
+      await createEvent({
+        day: '2025-01-15',
+        startTime: '09:00',
+        endTime: '10:00'
+      })
+      await createEvent({
+        day: '2025-01-15',
+        startTime: '11:00',
+        endTime: '12:00',
+        travelTime: 20,
+        preparationTime: 15
+      })
+
+      // 10:30 falls inside the second event's buffers (10:25-11:00)
+      expect(await checkConflicts('2025-01-15', '10:00', '10:30')).toHaveLength(
+        1
+      )
+      // Buffers of the checked range run back into the first event
+      expect(
+        await checkConflicts('2025-01-15', '10:10', '10:20', null, {
+          travelTime: 15
+        })
+      ).toHaveLength(1)
+      expect(await checkConflicts('2025-01-15', '10:00', '10:20')).toHaveLength(
+        0
+      )
+    })
+  })
+
+  describe('conflicts across days', () => {
+    test('detects events running past midnight from the previous day', async () => {
+      await createEvent({
+        title: 'Night shift',
+        day: '2025-01-14',
+        startTime: '22:00',
+        endTime: '02:00'
+      })
+
+      const conflicts = await findEventConflicts({
+        day: '2025-01-15',
+        startTime: '01:00',
+        endTime: '03:00'
+      })
+      expect(conflicts.map((event) => event.title)).toEqual(['Night shift'])
+      expect(await checkConflicts('2025-01-15', '02:00', '03:00')).toEqual([])
+    })
+
+    test('detects overnight ranges running into the next day', async () => {
+      await createEvent({
+        title: 'Early flight',
+        day: '2025-01-16',
+        startTime: '00:30',
+        endTime: '02:00'
+      })
+
+      const conflicts = await checkConflicts('2025-01-15', '23:00', '01:00')
+      expect(conflicts.map((event) => event.title)).toEqual(['Early flight'])
+    })
+
+    test('detects multi-day and all-day external events', async () => {
+      await createEvent({
+        title: 'Conference',
+        day: '2025-01-13',
+        endDay: '2025-01-17',
+        startTime: '09:00',
+        endTime: '17:00',
+        isExternal: true,
+        externalCalendarId: 'work'
+      })
+      await createEvent({
+        title: 'Holiday',
+        day: '2025-01-20',
+        startTime: '00:00',
+        endTime: '00:00',
+        allDay: true,
+        isExternal: true,
+        externalCalendarId: 'holidays'
+      })
+
+      expect(
+        (await checkConflicts('2025-01-15', '20:00', '21:00')).map(
+          (event) => event.title
+        )
+      ).toEqual(['Conference'])
+      expect(
+        (await checkConflicts('2025-01-20', '18:00', '19:00')).map(
+          (event) => event.title
+        )
+      ).toEqual(['Holiday'])
+      expect(await checkConflicts('2025-01-21', '09:00', '10:00')).toEqual([])
+    })
+
+    test('keeps all-day events off the day after their last day', async () => {
+      await createEvent({
+        title: 'Holiday',
+        day: '2025-01-19',
+        startTime: '00:00',
+        endTime: '00:00',
+        allDay: true
+      })
+      await createEvent({
+        title: 'Retreat',
+        day: '2025-01-22',
+        endDay: '2025-01-23',
+        startTime: '00:00',
+        endTime: '00:00',
+        allDay: true
+      })
+
+      const titlesOn = async (day) =>
+        (await getEventsForDay(day)).map((event) => event.title)
+      expect(await titlesOn('2025-01-19')).toEqual(['Holiday'])
+      expect(await titlesOn('2025-01-20')).toEqual([])
+      expect(await titlesOn('2025-01-23')).toEqual(['Retreat'])
+      expect(await titlesOn('2025-01-24')).toEqual([])
+    })
+
+    test('ignores the event being edited', async () => {
+      const id = await createEvent({
+        day: '2025-01-15',
+        startTime: '09:00',
+        endTime: '10:00'
+      })
+
+      expect(
+        await findEventConflicts({
+          id,
+          day: '2025-01-15',
+          startTime: '09:30',
+          endTime: '10:30'
+        })
+      ).toEqual([])
+      expect(await checkConflicts('2025-01-15', '09:30', '10:30', id)).toEqual(
+        []
+      )
+    })
+
+    test('lists conflicts of every event in a range', async () => {
+      const late = await createEvent({
+        title: 'Late call',
+        day: '2025-01-14',
+        startTime: '23:30',
+        endTime: '00:30'
+      })
+      const early = await createEvent({
+        title: 'Early run',
+        day: '2025-01-15',
+        startTime: '00:00',
+        endTime: '01:00'
+      })
+      await createEvent({
+        title: 'Lunch',
+        day: '2025-01-15',
+        startTime: '12:00',
+        endTime: '13:00'
+      })
+
+      const conflicts = await getConflictsForRange('2025-01-15', '2025-01-15')
+      expect(Object.keys(conflicts).sort()).toEqual(
+        [String(late), String(early)].sort()
+      )
+      expect(conflicts[early]).toEqual([
+        expect.objectContaining({ title: 'Late call', day: '2025-01-14' })
+      ])
+    })
+
+    test('keeps the end day of multi-day events and drops it otherwise', async () => {
+      await createEvent({
+        title: 'Trip',
+        day: '2025-01-15',
+        endDay: '2025-01-18',
+        startTime: '08:00',
+        endTime: '20:00'
+      })
+      await createEvent({
+        title: 'Meeting',
+        day: '2025-01-15',
+        endDay: '2025-01-15',
+        startTime: '10:00',
+        endTime: '11:00'
+      })
+
+      const stored = await getAll(STORES.SCHEDULE)
+      const trip = stored.find((event) => event.title === 'Trip')
+      expect(trip.endDay).toBe('2025-01-18')
+      expect(new Date(trip.endsAt) - new Date(trip.startsAt)).toBe(
+        (3 * 24 + 12) * 60 * 60 * 1000
+      )
+      expect(stored.find((event) => event.title === 'Meeting').endDay).toBe(
+        null
+      )
+    })
   })
 
   describe('getAvailableSlots', () => {
@@ -238,6 +556,49 @@ describe('Schedule Manager', () => {
     // TODO: Add test for minimum duration filtering
     test.todo('should filter slots by minimum duration')
 
+    test('should leave buffer time out of free slots', async () => {
+      await createEvent({
+        day: '2025-01-15',
+        startTime: '12:00',
+        endTime: '13:00',
+        travelTime: 30,
+        preparationTime: 30
+      })
+      await createEvent({
+        day: '2025-01-15',
+        startTime: '10:00',
+        endTime: '11:30'
+      })
+
+      const slots = await getAvailableSlots('2025-01-15', 30)
+      expect(
+        slots.map(({ startTime, endTime }) => [startTime, endTime])
+      ).toEqual([
+        ['08:00', '10:00'],
+        ['13:00', '22:00']
+      ])
+    })
+
+    test('blocks the morning hours of an overnight event', async () => {
+      await createEvent({
+        title: 'Night shift',
+        day: '2025-01-14',
+        startTime: '23:00',
+        endTime: '09:30'
+      })
+      await createEvent({
+        title: 'Yesterday',
+        day: '2025-01-14',
+        startTime: '09:00',
+        endTime: '17:00'
+      })
+
+      const slots = await getAvailableSlots('2025-01-15', 30)
+      expect(
+        slots.map(({ startTime, endTime }) => [startTime, endTime])
+      ).toEqual([['09:30', '22:00']])
+    })
+
     // TODO: Add test for business hours
     test.todo('should respect business hours')
   })
@@ -273,4 +634,421 @@ describe('Schedule Manager', () => {
     // TODO: Add test for summary statistics
     test.todo('should include detailed statistics')
   })
+
+  describe('recurring events', () => {
+    const createStandup = (recurrence = { frequency: 'daily' }) =>
+      createEvent({
+        title: 'Standup',
+        type: 'meeting',
+        day: '2025-01-06',
+        startTime: '09:00',
+        endTime: '09:15',
+        recurrence
+      })
+
+    const getDays = (events) => events.map((event) => event.day).sort()
+
+    test('should store a normalized recurrence rule', async () => {
+      await createStandup({ frequency: 'weekly', byDay: ['WE', 'MO'] })
+
+      const [event] = await getEventsForDay('2025-01-06')
+      expect(event.recurrence.rrule).toBe('FREQ=WEEKLY;BYDAY=MO,WE')
+      expect(event.exceptions).toEqual([])
+    })
+
+    test('should expand occurrences for the requested range', async () => {
+      await createStandup({ frequency: 'weekly', byDay: ['MO', 'WE'] })
+
+      const events = await getEventsForRange('2025-01-10', '2025-01-20')
+      expect(getDays(events)).toEqual([
+        '2025-01-13',
+        '2025-01-15',
+        '2025-01-20'
+      ])
+      expect(events[0].isOccurrence).toBe(true)
+    })
+
+    test('should include occurrences in getEventsForDay', async () => {
+      await createStandup()
+
+      const events = await getEventsForDay('2025-02-01')
+      expect(events).toHaveLength(1)
+      expect(events[0].occurrenceDay).toBe('2025-02-01')
+    })
+
+    test('should detach a single occurrence when editing "this"', async () => {
+      const id = await createStandup()
+      const [occurrence] = await getEventsForDay('2025-01-08')
+
+      await updateRecurringEvent({ ...occurrence, startTime: '10:00' }, 'this')
+
+      const events = await getEventsForRange('2025-01-07', '2025-01-09')
+      expect(getDays(events)).toEqual([
+        '2025-01-07',
+        '2025-01-08',
+        '2025-01-09'
+      ])
+      const edited = events.find((event) => event.day === '2025-01-08')
+      expect(edited.startTime).toBe('10:00')
+      expect(edited.recurrence).toBeNull()
+      expect(edited.recurringEventId).toBe(id)
+    })
+
+    test('should split the series when editing "following"', async () => {
+      await createStandup()
+      const [occurrence] = await getEventsForDay('2025-01-10')
+
+      await updateRecurringEvent(
+        { ...occurrence, title: 'Late standup', startTime: '11:00' },
+        'following'
+      )
+
+      const before = await getEventsForDay('2025-01-09')
+      const after = await getEventsForDay('2025-01-20')
+      expect(before[0].title).toBe('Standup')
+      expect(after).toHaveLength(1)
+      expect(after[0].title).toBe('Late standup')
+      expect(after[0].startTime).toBe('11:00')
+    })
+
+    test('should update every occurrence when editing "all"', async () => {
+      await createStandup()
+      const [occurrence] = await getEventsForDay('2025-01-10')
+
+      await updateRecurringEvent(
+        { ...occurrence, day: '2025-01-11', title: 'Shifted' },
+        'all'
+      )
+
+      const events = await getEventsForRange('2025-01-01', '2025-01-08')
+      expect(getDays(events)).toEqual(['2025-01-07', '2025-01-08'])
+      expect(events.every((event) => event.title === 'Shifted')).toBe(true)
+    })
+
+    test('should delete only the chosen occurrence', async () => {
+      await createStandup()
+      const [occurrence] = await getEventsForDay('2025-01-08')
+
+      await deleteRecurringEvent(occurrence, 'this')
+
+      const events = await getEventsForRange('2025-01-07', '2025-01-09')
+      expect(getDays(events)).toEqual(['2025-01-07', '2025-01-09'])
+    })
+
+    test('should end the series when deleting "following"', async () => {
+      await createStandup()
+      const [occurrence] = await getEventsForDay('2025-01-08')
+
+      await deleteRecurringEvent(occurrence, 'following')
+
+      const events = await getEventsForRange('2025-01-01', '2025-01-31')
+      expect(getDays(events)).toEqual(['2025-01-06', '2025-01-07'])
+    })
+
+    test('should delete the series and detached occurrences for "all"', async () => {
+      await createStandup()
+      const [occurrence] = await getEventsForDay('2025-01-08')
+      await updateRecurringEvent({ ...occurrence, title: 'Moved' }, 'this')
+
+      const [next] = await getEventsForDay('2025-01-09')
+      await deleteRecurringEvent(next, 'all')
+
+      const events = await getEventsForRange('2025-01-01', '2025-01-31')
+      expect(events).toHaveLength(0)
+    })
+
+    test('should reject direct updates of occurrences', async () => {
+      await createStandup()
+      const [occurrence] = await getEventsForDay('2025-01-08')
+
+      await expect(updateEvent(occurrence)).rejects.toThrow(
+        'updateRecurringEvent'
+      )
+    })
+  })
+
+  describe('time zones', () => {
+    const setDisplayTimeZone = (timeZone) => {
+      localStorage.setItem(
+        'aurorae_settings',
+        JSON.stringify({ schedule: { timeZone } })
+      )
+    }
+
+    afterEach(() => {
+      localStorage.removeItem('aurorae_settings')
+    })
+
+    test('stores the zone and UTC instants with each event', async () => {
+      setDisplayTimeZone('America/New_York')
+      await createEvent({
+        title: 'Standup',
+        day: '2025-01-15',
+        startTime: '09:00',
+        endTime: '09:30'
+      })
+
+      const [stored] = await getAll(STORES.SCHEDULE)
+      expect(stored.timeZone).toBe('America/New_York')
+      expect(stored.startsAt).toBe('2025-01-15T14:00:00.000Z')
+      expect(stored.endsAt).toBe('2025-01-15T14:30:00.000Z')
+    })
+
+    test('shows events in the display time zone', async () => {
+      await createEvent({
+        title: 'Late call',
+        day: '2025-01-15',
+        startTime: '20:00',
+        endTime: '21:00',
+        timeZone: 'America/New_York'
+      })
+
+      setDisplayTimeZone('Europe/Berlin')
+      const events = await getEventsForDay('2025-01-16')
+      expect(events).toHaveLength(1)
+      expect(events[0].startTime).toBe('02:00')
+      expect(events[0].endTime).toBe('03:00')
+      expect(await getEventsForDay('2025-01-15')).toHaveLength(0)
+    })
+
+    test('keeps all-day events on their dates in every zone', async () => {
+      setDisplayTimeZone('Europe/Paris')
+      await createEvent({
+        title: 'Christmas',
+        day: '2026-12-25',
+        startTime: '00:00',
+        endTime: '00:00',
+        allDay: true
+      })
+
+      setDisplayTimeZone('America/New_York')
+      const [shown] = await getEventsForRange('2026-12-24', '2026-12-26')
+      expect(shown).toEqual(
+        expect.objectContaining({
+          day: '2026-12-25',
+          startTime: '00:00',
+          endTime: '00:00'
+        })
+      )
+
+      // Saving it from the new zone does not move it either
+      await updateEvent(shown)
+      const [stored] = await getAll(STORES.SCHEDULE)
+      expect(stored.day).toBe('2026-12-25')
+    })
+
+    test('keeps wall-clock times of recurring events across DST', async () => {
+      setDisplayTimeZone('Europe/London')
+      await createEvent({
+        title: 'Weekly review',
+        day: '2025-03-03',
+        startTime: '09:00',
+        endTime: '10:00',
+        recurrence: { frequency: 'weekly', byDay: ['MO'], interval: 1 }
+      })
+
+      // The UK moves to BST on 2025-03-30; the review stays at 09:00 local
+      const events = await getEventsForRange('2025-03-24', '2025-04-06')
+      expect(events.map((event) => event.startTime)).toEqual(['09:00', '09:00'])
+
+      // Viewed from UTC the same series moves by an hour after the change
+      setDisplayTimeZone('UTC')
+      const utcEvents = await getEventsForRange('2025-03-24', '2025-04-06')
+      expect(utcEvents.map((event) => event.startTime)).toEqual([
+        '09:00',
+        '08:00'
+      ])
+    })
+
+    test('converts edits made in the display zone back to the event zone', async () => {
+      const id = await createEvent({
+        title: 'Flight',
+        day: '2025-01-15',
+        startTime: '10:00',
+        endTime: '11:00',
+        timeZone: 'Asia/Tokyo'
+      })
+
+      setDisplayTimeZone('UTC')
+      const [shown] = await getEventsForDay('2025-01-15')
+      expect(shown.startTime).toBe('01:00')
+
+      await updateEvent({ ...shown, startTime: '02:00', endTime: '03:00' })
+      const [stored] = await getAll(STORES.SCHEDULE)
+      expect(stored.id).toBe(id)
+      expect(stored.timeZone).toBe('Asia/Tokyo')
+      expect(stored.startTime).toBe('11:00')
+      expect(stored.displayTimeZone).toBeUndefined()
+    })
+
+    test('uses the display time zone for today', async () => {
+      setDisplayTimeZone('Pacific/Kiritimati')
+      const summary = await getTodaySummary()
+      expect(summary.day).toBe(getTodayInTimeZone('Pacific/Kiritimati'))
+    })
+  })
+
+  describe('getEventsForWeek with a reference day', () => {
+    test('uses a Monday to Sunday week', async () => {
+      await createEvent({
+        title: 'Monday',
+        day: '2025-01-13',
+        startTime: '09:00',
+        endTime: '10:00'
+      })
+      await createEvent({
+        title: 'Sunday',
+        day: '2025-01-19',
+        startTime: '09:00',
+        endTime: '10:00'
+      })
+      await createEvent({
+        title: 'Next Monday',
+        day: '2025-01-20',
+        startTime: '09:00',
+        endTime: '10:00'
+      })
+
+      const events = await getEventsForWeek('2025-01-16')
+      expect(events.map((event) => event.title).sort()).toEqual([
+        'Monday',
+        'Sunday'
+      ])
+    })
+  })
+
+  describe('schema migration', () => {
+    const legacyEvent = {
+      id: 'legacy-1',
+      title: 'Old meeting',
+      type: 'meeting',
+      day: '2025-01-15',
+      startTime: '09:00',
+      endTime: '10:00'
+    }
+
+    test('stamps new events with the current schema version', async () => {
+      await createEvent({
+        title: 'New',
+        day: '2025-01-15',
+        startTime: '09:00',
+        endTime: '10:00'
+      })
+      const [stored] = await getAll(STORES.SCHEDULE)
+      expect(stored.schemaVersion).toBe(SCHEDULE_SCHEMA_VERSION)
+    })
+
+    test('migrates records written before the schema was versioned', async () => {
+      await put(STORES.SCHEDULE, legacyEvent)
+
+      expect(await migrateScheduleEvents()).toBe(1)
+      const [stored] = await getAll(STORES.SCHEDULE)
+      expect(stored).toMatchObject({
+        id: 'legacy-1',
+        title: 'Old meeting',
+        duration: 60,
+        travelTime: 0,
+        preparationTime: 0,
+        isExternal: false,
+        externalCalendarId: null,
+        recurrence: null,
+        exceptions: [],
+        timeZone: 'UTC',
+        startsAt: '2025-01-15T09:00:00.000Z',
+        endsAt: '2025-01-15T10:00:00.000Z',
+        schemaVersion: SCHEDULE_SCHEMA_VERSION
+      })
+      expect(await migrateScheduleEvents()).toBe(0)
+    })
+
+    test('migrates outdated records when they are read', async () => {
+      await put(STORES.SCHEDULE, {
+        ...legacyEvent,
+        recurrence: 'FREQ=DAILY;COUNT=2'
+      })
+
+      const events = await getEventsForRange('2025-01-15', '2025-01-17')
+      expect(events.map((event) => event.day)).toEqual([
+        '2025-01-15',
+        '2025-01-16'
+      ])
+      const [stored] = await getAllEvents()
+      expect(stored.recurrence.rrule).toBe('FREQ=DAILY;COUNT=2')
+      expect(stored.schemaVersion).toBe(SCHEDULE_SCHEMA_VERSION)
+    })
+
+    test('moves the exclusive end of older all-day events back a day', async () => {
+      await put(STORES.SCHEDULE, {
+        ...legacyEvent,
+        day: '2025-01-19',
+        endDay: '2025-01-20',
+        startTime: '00:00',
+        endTime: '00:00',
+        allDay: true,
+        schemaVersion: 2
+      })
+
+      expect(await migrateScheduleEvents()).toBe(1)
+      const [stored] = await getAll(STORES.SCHEDULE)
+      expect(stored.endDay).toBeNull()
+      expect(await getEventsForDay('2025-01-20')).toEqual([])
+    })
+
+    test('leaves records that cannot be migrated in place', async () => {
+      await put(STORES.SCHEDULE, { ...legacyEvent, recurrence: 'FREQ=NEVER' })
+
+      expect(await migrateScheduleEvents()).toBe(0)
+      const [stored] = await getAll(STORES.SCHEDULE)
+      expect(stored.recurrence).toBe('FREQ=NEVER')
+    })
+  })
+
+  describe('change notifications', () => {
+    let changes
+    let unsubscribe
+
+    beforeEach(() => {
+      changes = []
+      unsubscribe = subscribeToScheduleChanges((change) => changes.push(change))
+    })
+
+    afterEach(() => {
+      unsubscribe()
+    })
+
+    const newEvent = {
+      title: 'Focus',
+      day: '2025-01-15',
+      startTime: '09:00',
+      endTime: '10:00'
+    }
+
+    test('reports creates, updates and deletes', async () => {
+      const id = await createEvent(newEvent)
+      const [stored] = await getAll(STORES.SCHEDULE)
+      await updateEvent({ ...stored, title: 'Deep focus' })
+      await deleteEvent(id)
+
+      expect(changes).toEqual([
+        { type: 'created', ids: [id] },
+        { type: 'updated', ids: [id] },
+        { type: 'deleted', ids: [id] }
+      ])
+    })
+
+    test('reports a batch delete once', async () => {
+      const first = await createEvent(newEvent)
+      const second = await createEvent(newEvent)
+      changes.length = 0
+
+      expect(await deleteEvents([first, second])).toBe(2)
+      expect(changes).toEqual([{ type: 'deleted', ids: [first, second] }])
+    })
+
+    test('stops reporting after unsubscribing', async () => {
+      unsubscribe()
+      await createEvent(newEvent)
+      expect(changes).toEqual([])
+    })
+  })
 })
@@ -0,0 +1,82 @@
+// Test suite for task archive rules
+
+import {
+  getTaskArchiveSettings,
+  getCompletionDay,
+  shouldArchiveTask,
+  filterArchivedTasks
+} from '../utils/taskArchive'
+
+const at = (day) => Date.parse(`${day}T10:00:00Z`)
+
+describe('Task Archive', () => {
+  test('reads archive settings with defaults', () => {
+    expect(getTaskArchiveSettings({})).toEqual({
+      enabled: true,
+      afterDays: 7
+    })
+    expect(
+      getTaskArchiveSettings({
+        tasks: { autoArchive: false, archiveAfterDays: 0 }
+      })
+    ).toEqual({ enabled: false, afterDays: 0 })
+  })
+
+  test('reads the completion day of completed tasks only', () => {
+    expect(
+      getCompletionDay({ completed: true, completedAt: at('2025-03-10') })
+    ).toBe('2025-03-10')
+    expect(getCompletionDay({ completed: false, completedAt: null })).toBeNull()
+  })
+
+  test('archives tasks completed at least the given days ago', () => {
+    const task = { completed: true, completedAt: at('2025-03-03') }
+
+    expect(shouldArchiveTask(task, '2025-03-10', 7)).toBe(true)
+    expect(shouldArchiveTask(task, '2025-03-09', 7)).toBe(false)
+    expect(
+      shouldArchiveTask(
+        { completed: true, completedAt: at('2025-03-10') },
+        '2025-03-10',
+        0
+      )
+    ).toBe(true)
+    expect(shouldArchiveTask({ ...task, archivedAt: 1 }, '2025-03-10', 7)).toBe(
+      false
+    )
+    expect(shouldArchiveTask({ completed: false }, '2025-03-10', 0)).toBe(false)
+  })
+
+  test('filters by text, including steps, and sorts newest first', () => {
+    const tasks = [
+      {
+        text: 'Report',
+        quadrant: 'urgent_important',
+        completed: true,
+        completedAt: at('2025-03-01'),
+        subtasks: [{ text: 'Send to Sam' }]
+      },
+      {
+        text: 'Call plumber',
+        quadrant: 'urgent_not_important',
+        completed: true,
+        completedAt: at('2025-03-05')
+      }
+    ]
+
+    expect(filterArchivedTasks(tasks).map((t) => t.text)).toEqual([
+      'Call plumber',
+      'Report'
+    ])
+    expect(
+      filterArchivedTasks(tasks, { query: 'sam' }).map((t) => t.text)
+    ).toEqual(['Report'])
+    expect(
+      filterArchivedTasks(tasks, {
+        quadrant: 'urgent_not_important',
+        from: '2025-03-05',
+        to: '2025-03-05'
+      }).map((t) => t.text)
+    ).toEqual(['Call plumber'])
+  })
+})
@@ -0,0 +1,177 @@
+// Test suite for bulk task actions and their undo
+
+import 'fake-indexeddb/auto'
+import {
+  bulkCompleteTasks,
+  bulkDeleteTasks,
+  bulkMoveTasks,
+  bulkSetDueDate,
+  bulkAddTag,
+  bulkScheduleTasks
+} from '../utils/taskBulkActions'
+import { createTasks, getTask, getTasks } from '../utils/tasksManager'
+import { getAllEvents } from '../utils/scheduleManager'
+import { startTaskTimer } from '../utils/taskTimeTracking'
+import { clear, getStatsByType, STORES } from '../utils/indexedDBManager'
+import {
+  TASK_TIME_STAT_TYPE,
+  TASK_ESTIMATE_STAT_TYPE
+} from '../utils/taskConstants'
+
+const createThree = () =>
+  createTasks([
+    { quadrant: 'urgent_important', text: 'Report', tags: ['work'] },
+    {
+      quadrant: 'urgent_important',
+      text: 'Water plants',
+      recurrence: { type: 'every_n_days', interval: 7 },
+      dueDate: '2025-03-10'
+    },
+    { quadrant: 'not_urgent_important', text: 'Read' }
+  ])
+
+const texts = async () => (await getTasks()).map((task) => task.text)
+
+describe('Task Bulk Actions', () => {
+  beforeEach(async () => {
+    localStorage.clear()
+    await clear(STORES.TASKS)
+    await clear(STORES.SCHEDULE)
+    await clear(STORES.STATS)
+  })
+
+  test('completes tasks and undoes it, next instances included', async () => {
+    const [report, plants] = await createThree()
+
+    const { message, undo } = await bulkCompleteTasks(
+      [report.id, plants.id],
+      Date.parse('2025-03-10T10:00:00Z')
+    )
+
+    expect(message).toBe('Completed 2 tasks')
+    expect(await getTasks()).toHaveLength(4)
+    expect((await getTask(report.id)).completed).toBe(true)
+
+    await undo()
+
+    expect(await texts()).toEqual(['Report', 'Water plants', 'Read'])
+    expect(await getTask(plants.id)).toEqual(
+      expect.objectContaining({
+        completed: false,
+        recurrence: { type: 'every_n_days', interval: 7 },
+        nextTaskId: null
+      })
+    )
+  })
+
+  test('takes back the time records of completed tasks on undo', async () => {
+    const [task] = await createTasks([
+      { quadrant: 'urgent_important', text: 'Report', estimatedMinutes: 30 }
+    ])
+    const startedAt = Date.parse('2025-03-10T10:00:00Z')
+    const completedAt = startedAt + 20 * 60 * 1000
+    await startTaskTimer(task.id, startedAt)
+    const statCounts = async () => [
+      (await getStatsByType(TASK_TIME_STAT_TYPE)).length,
+      (await getStatsByType(TASK_ESTIMATE_STAT_TYPE)).length
+    ]
+
+    const { undo } = await bulkCompleteTasks([task.id], completedAt)
+    expect(await statCounts()).toEqual([1, 1])
+
+    await undo()
+    expect(await statCounts()).toEqual([0, 0])
+    expect(await getTask(task.id)).toEqual(
+      expect.objectContaining({ timerStartedAt: startedAt, actualMinutes: 0 })
+    )
+
+    await bulkCompleteTasks([task.id], completedAt)
+    expect(await statCounts()).toEqual([1, 1])
+    expect((await getTask(task.id)).actualMinutes).toBe(20)
+  })
+
+  test('deletes tasks and brings them back', async () => {
+    const [report, , read] = await createThree()
+
+    const { message, undo } = await bulkDeleteTasks([report.id, read.id])
+
+    expect(message).toBe('Deleted 2 tasks')
+    expect(await texts()).toEqual(['Water plants'])
+
+    await undo()
+
+    expect(await texts()).toEqual(['Report', 'Water plants', 'Read'])
+  })
+
+  test('moves tasks to the end of a quadrant and back', async () => {
+    const [report, plants, read] = await createThree()
+
+    const { message, undo } = await bulkMoveTasks(
+      [report.id, plants.id, read.id],
+      'not_urgent_important'
+    )
+
+    expect(message).toBe('Moved 2 tasks to Not Urgent & Important')
+    expect(await texts()).toEqual(['Read', 'Report', 'Water plants'])
+
+    await undo()
+
+    expect((await getTask(report.id)).quadrant).toBe('urgent_important')
+    expect(await texts()).toEqual(['Report', 'Water plants', 'Read'])
+    await expect(bulkMoveTasks([report.id], 'someday')).rejects.toThrow(
+      'Unknown quadrant: someday'
+    )
+  })
+
+  test('sets a due date and restores the previous ones', async () => {
+    const [report, plants] = await createThree()
+
+    const { undo } = await bulkSetDueDate([report.id, plants.id], '2025-04-01')
+
+    expect((await getTask(report.id)).dueDate).toBe('2025-04-01')
+    expect((await getTask(plants.id)).dueDate).toBe('2025-04-01')
+
+    await undo()
+
+    expect((await getTask(report.id)).dueDate).toBeNull()
+    expect((await getTask(plants.id)).dueDate).toBe('2025-03-10')
+  })
+
+  test('adds a tag once per task', async () => {
+    const [report, plants] = await createThree()
+
+    const { message, undo } = await bulkAddTag([report.id, plants.id], '#work')
+
+    expect(message).toBe('Tagged 1 task with #work')
+    expect((await getTask(plants.id)).tags).toEqual(['work'])
+    expect((await getTask(report.id)).tags).toEqual(['work'])
+
+    await undo()
+
+    expect((await getTask(plants.id)).tags).toEqual([])
+    await expect(bulkAddTag([report.id], ' ')).rejects.toThrow(
+      'Tag is required'
+    )
+  })
+
+  test('sends tasks to the schedule and removes the events on undo', async () => {
+    const [report, , read] = await createThree()
+
+    const { message, undo } = await bulkScheduleTasks(
+      [report.id, read.id],
+      '2030-01-07',
+      new Date('2030-01-01T00:00:00Z')
+    )
+    const events = await getAllEvents()
+
+    expect(message).toBe('Scheduled 2 tasks on 2030-01-07')
+    expect(events.map((event) => event.taskId).sort()).toEqual(
+      [report.id, read.id].sort()
+    )
+    expect(events.every((event) => event.type === 'task')).toBe(true)
+
+    await undo()
+
+    expect(await getAllEvents()).toEqual([])
+  })
+})
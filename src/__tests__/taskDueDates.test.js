@@ -0,0 +1,109 @@
+// Test suite for task due dates
+
+import {
+  getTaskDueDay,
+  getTaskDueStatus,
+  compareTaskDue,
+  describeTaskDue,
+  getTaskPromotionSettings,
+  shouldPromoteTask
+} from '../utils/taskDueDates'
+
+const now = new Date('2025-03-10T12:00:00Z')
+
+describe('Task Due Dates', () => {
+  test('reads the due day of dates and timestamps', () => {
+    expect(getTaskDueDay({ dueDate: '2025-03-10' })).toBe('2025-03-10')
+    expect(getTaskDueDay({ dueDate: '2025-03-10T15:30:00.000Z' })).toBe(
+      '2025-03-10'
+    )
+    expect(getTaskDueDay({ dueDate: null })).toBeNull()
+  })
+
+  describe('getTaskDueStatus', () => {
+    test('classifies open tasks by due day', () => {
+      expect(getTaskDueStatus({ dueDate: '2025-03-09' }, now)).toBe('overdue')
+      expect(getTaskDueStatus({ dueDate: '2025-03-10' }, now)).toBe('due_today')
+      expect(getTaskDueStatus({ dueDate: '2025-03-11' }, now)).toBe('upcoming')
+      expect(getTaskDueStatus({ dueDate: null }, now)).toBe('none')
+    })
+
+    test('a due time that has passed makes a task overdue', () => {
+      expect(
+        getTaskDueStatus({ dueDate: '2025-03-10', dueTime: '11:30' }, now)
+      ).toBe('overdue')
+      expect(
+        getTaskDueStatus({ dueDate: '2025-03-10', dueTime: '12:30' }, now)
+      ).toBe('due_today')
+    })
+
+    test('ignores completed tasks', () => {
+      expect(
+        getTaskDueStatus({ dueDate: '2025-03-01', completed: true }, now)
+      ).toBe('none')
+    })
+  })
+
+  test('orders by due day, then time, untimed last', () => {
+    const tasks = [
+      { id: 'c', dueDate: '2025-03-11' },
+      { id: 'b', dueDate: '2025-03-10' },
+      { id: 'a', dueDate: '2025-03-10', dueTime: '09:00' }
+    ]
+
+    expect(tasks.sort(compareTaskDue).map((task) => task.id)).toEqual([
+      'a',
+      'b',
+      'c'
+    ])
+  })
+
+  test('describes due dates relative to today', () => {
+    expect(
+      describeTaskDue({ dueDate: '2025-03-10', dueTime: '14:00' }, now)
+    ).toBe('Today 14:00')
+    expect(describeTaskDue({ dueDate: '2025-03-11' }, now)).toBe('Tomorrow')
+    expect(describeTaskDue({ dueDate: '2025-03-09' }, now)).toBe('Yesterday')
+    expect(describeTaskDue({ dueDate: '2025-03-20' }, now)).toMatch(/20/)
+    expect(describeTaskDue({ dueDate: null }, now)).toBe('')
+  })
+
+  test('reads promotion settings with defaults', () => {
+    expect(getTaskPromotionSettings({})).toEqual({
+      enabled: false,
+      withinDays: 1
+    })
+    expect(
+      getTaskPromotionSettings({
+        tasks: { autoPromote: true, promoteWithinDays: 3 }
+      })
+    ).toEqual({ enabled: true, withinDays: 3 })
+  })
+
+  test('promotes open "Schedule" tasks whose due date is close', () => {
+    const task = {
+      quadrant: 'not_urgent_important',
+      dueDate: '2025-03-11',
+      completed: false
+    }
+
+    expect(shouldPromoteTask(task, '2025-03-10', 1)).toBe(true)
+    expect(shouldPromoteTask(task, '2025-03-10', 0)).toBe(false)
+    expect(
+      shouldPromoteTask(
+        { ...task, quadrant: 'urgent_important' },
+        '2025-03-10',
+        1
+      )
+    ).toBe(false)
+    expect(
+      shouldPromoteTask({ ...task, completed: true }, '2025-03-10', 1)
+    ).toBe(false)
+    expect(
+      shouldPromoteTask({ ...task, promotedAt: 1741500000000 }, '2025-03-10', 1)
+    ).toBe(false)
+    expect(shouldPromoteTask({ ...task, dueDate: null }, '2025-03-10', 1)).toBe(
+      false
+    )
+  })
+})
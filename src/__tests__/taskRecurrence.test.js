@@ -0,0 +1,205 @@
+// Test suite for recurring task rules
+
+import {
+  normalizeTaskRecurrence,
+  normalizeCompletionHistory,
+  getNextDueDate,
+  createNextOccurrence,
+  describeTaskRecurrence
+} from '../utils/taskRecurrence'
+
+const at = (day) => Date.parse(`${day}T10:00:00Z`)
+
+describe('Task Recurrence', () => {
+  describe('normalizeTaskRecurrence', () => {
+    test('keeps valid rules in their stored shape', () => {
+      expect(
+        normalizeTaskRecurrence({ type: 'every_n_days', interval: 3, x: 1 })
+      ).toEqual({ type: 'every_n_days', interval: 3 })
+      expect(
+        normalizeTaskRecurrence({ type: 'weekly', weekdays: ['TH', 'MO'] })
+      ).toEqual({ type: 'weekly', weekdays: ['MO', 'TH'] })
+      expect(
+        normalizeTaskRecurrence({ type: 'monthly', dayOfMonth: 31 })
+      ).toEqual({ type: 'monthly', dayOfMonth: 31 })
+      expect(
+        normalizeTaskRecurrence({ type: 'after_completion', interval: 0 })
+      ).toEqual({ type: 'after_completion', interval: 1 })
+    })
+
+    test('drops rules that cannot produce a next date', () => {
+      expect(normalizeTaskRecurrence(null)).toBeNull()
+      expect(normalizeTaskRecurrence({ type: 'yearly' })).toBeNull()
+      expect(
+        normalizeTaskRecurrence({ type: 'weekly', weekdays: [] })
+      ).toBeNull()
+      expect(
+        normalizeTaskRecurrence({ type: 'monthly', dayOfMonth: 32 })
+      ).toBeNull()
+    })
+  })
+
+  test('normalizes completion history', () => {
+    expect(
+      normalizeCompletionHistory([
+        { completedAt: 1000, dueDate: '2025-01-01' },
+        { completedAt: 'soon' },
+        null
+      ])
+    ).toEqual([{ completedAt: 1000, dueDate: '2025-01-01' }])
+    expect(normalizeCompletionHistory(undefined)).toEqual([])
+  })
+
+  describe('getNextDueDate', () => {
+    test('every N days continues from the due date', () => {
+      const rule = { type: 'every_n_days', interval: 7 }
+
+      expect(
+        getNextDueDate(rule, {
+          dueDate: '2025-03-10',
+          completedAt: at('2025-03-09')
+        })
+      ).toBe('2025-03-17')
+      // Done late: skips periods that are already over
+      expect(
+        getNextDueDate(rule, {
+          dueDate: '2025-03-10',
+          completedAt: at('2025-03-20')
+        })
+      ).toBe('2025-03-24')
+    })
+
+    test('every N days starts from the completion day without a due date', () => {
+      expect(
+        getNextDueDate(
+          { type: 'every_n_days', interval: 2 },
+          { dueDate: null, completedAt: at('2025-03-10') }
+        )
+      ).toBe('2025-03-12')
+    })
+
+    test('weekly picks the next chosen weekday', () => {
+      const rule = { type: 'weekly', weekdays: ['MO', 'TH'] }
+
+      // 2025-03-10 is a Monday
+      expect(
+        getNextDueDate(rule, {
+          dueDate: '2025-03-10',
+          completedAt: at('2025-03-10')
+        })
+      ).toBe('2025-03-13')
+      expect(
+        getNextDueDate(rule, {
+          dueDate: '2025-03-13',
+          completedAt: at('2025-03-13')
+        })
+      ).toBe('2025-03-17')
+    })
+
+    test('monthly uses the last day of short months', () => {
+      const rule = { type: 'monthly', dayOfMonth: 31 }
+
+      expect(
+        getNextDueDate(rule, {
+          dueDate: '2025-01-31',
+          completedAt: at('2025-01-31')
+        })
+      ).toBe('2025-02-28')
+      expect(
+        getNextDueDate(rule, {
+          dueDate: '2025-02-28',
+          completedAt: at('2025-02-27')
+        })
+      ).toBe('2025-03-31')
+      expect(
+        getNextDueDate(
+          { type: 'monthly', dayOfMonth: 1 },
+          { dueDate: '2025-12-01', completedAt: at('2025-12-05') }
+        )
+      ).toBe('2026-01-01')
+    })
+
+    test('after completion counts from the day the task was done', () => {
+      expect(
+        getNextDueDate(
+          { type: 'after_completion', interval: 3 },
+          { dueDate: '2025-03-01', completedAt: at('2025-03-10') }
+        )
+      ).toBe('2025-03-13')
+    })
+
+    test('accepts due dates with a time', () => {
+      expect(
+        getNextDueDate(
+          { type: 'every_n_days', interval: 1 },
+          {
+            dueDate: '2025-03-10T15:30:00.000Z',
+            completedAt: at('2025-03-10')
+          }
+        )
+      ).toBe('2025-03-11')
+    })
+  })
+
+  test('builds the next instance with the completion recorded', () => {
+    const task = {
+      id: 'a',
+      order: 2,
+      createdAt: '2025-03-01T00:00:00.000Z',
+      text: 'Water plants',
+      quadrant: 'not_urgent_not_important',
+      tags: ['home'],
+      dueDate: '2025-03-10',
+      completed: true,
+      recurrence: { type: 'every_n_days', interval: 7 },
+      subtasks: [{ id: 's1', text: 'Ferns', completed: true }],
+      completionHistory: [{ completedAt: 1000, dueDate: '2025-03-03' }],
+      estimatedMinutes: 15,
+      actualMinutes: 20,
+      promotedAt: 1000
+    }
+
+    const next = createNextOccurrence(task, at('2025-03-10'))
+
+    expect(next).toEqual(
+      expect.objectContaining({
+        text: 'Water plants',
+        quadrant: 'not_urgent_not_important',
+        tags: ['home'],
+        dueDate: '2025-03-17',
+        completed: false,
+        completedAt: null,
+        recurrence: task.recurrence,
+        subtasks: [{ id: 's1', text: 'Ferns', completed: false }],
+        completionHistory: [
+          { completedAt: 1000, dueDate: '2025-03-03' },
+          { completedAt: at('2025-03-10'), dueDate: '2025-03-10' }
+        ]
+      })
+    )
+    expect(next).not.toHaveProperty('id')
+    expect(next).not.toHaveProperty('order')
+    expect(next).not.toHaveProperty('createdAt')
+    // Each instance tracks its own time against the same estimate
+    expect(next.estimatedMinutes).toBe(15)
+    expect(next).not.toHaveProperty('actualMinutes')
+    // The next instance can be promoted again when it comes due
+    expect(next).not.toHaveProperty('promotedAt')
+  })
+
+  test('describes rules', () => {
+    expect(describeTaskRecurrence(null)).toBe('Does not repeat')
+    expect(describeTaskRecurrence({ type: 'every_n_days', interval: 1 })).toBe(
+      'Every day'
+    )
+    expect(
+      describeTaskRecurrence({ type: 'weekly', weekdays: ['MO', 'TH'] })
+    ).toBe('Weekly on Mon, Thu')
+    expect(describeTaskRecurrence({ type: 'monthly', dayOfMonth: 1 })).toBe(
+      'Monthly on day 1'
+    )
+    expect(
+      describeTaskRecurrence({ type: 'after_completion', interval: 3 })
+    ).toBe('3 days after completion')
+  })
+})
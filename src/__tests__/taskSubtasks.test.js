@@ -0,0 +1,96 @@
+// Test suite for task subtasks (checklist steps)
+
+import {
+  normalizeSubtasks,
+  createSubtask,
+  getSubtaskProgress,
+  applySubtaskChanges
+} from '../utils/taskSubtasks'
+
+const step = (id, completed = false) => ({ id, text: `Step ${id}`, completed })
+
+describe('Task Subtasks', () => {
+  test('normalizes stored subtasks', () => {
+    const subtasks = normalizeSubtasks([
+      { id: 'a', text: ' Outline ', completed: 1 },
+      { text: 'No ID' },
+      { id: 'c', text: '   ' },
+      null
+    ])
+
+    expect(subtasks).toHaveLength(2)
+    expect(subtasks[0]).toEqual({ id: 'a', text: 'Outline', completed: true })
+    expect(subtasks[1].id).toEqual(expect.any(String))
+    expect(normalizeSubtasks(undefined)).toEqual([])
+  })
+
+  test('creates open subtasks', () => {
+    expect(createSubtask(' Draft ')).toEqual(
+      expect.objectContaining({ text: 'Draft', completed: false })
+    )
+    expect(() => createSubtask('  ')).toThrow('Subtask text is required')
+  })
+
+  test('counts done subtasks', () => {
+    expect(getSubtaskProgress({ subtasks: [step(1, true), step(2)] })).toEqual({
+      done: 1,
+      total: 2
+    })
+    expect(getSubtaskProgress({})).toEqual({ done: 0, total: 0 })
+  })
+
+  describe('applySubtaskChanges', () => {
+    test('leaves completion alone by default', () => {
+      const changes = { subtasks: [step(1, true)] }
+
+      expect(applySubtaskChanges({ completed: false }, changes)).toBe(changes)
+    })
+
+    test('completes the task once every subtask is done', () => {
+      const task = { completeWithSubtasks: true, completed: false }
+
+      expect(
+        applySubtaskChanges(task, { subtasks: [step(1, true)] }, 5000)
+      ).toEqual({
+        subtasks: [step(1, true)],
+        completed: true,
+        completedAt: 5000
+      })
+    })
+
+    test('reopens the task when a subtask is reopened or added', () => {
+      const task = {
+        completeWithSubtasks: true,
+        completed: true,
+        completedAt: 5000,
+        subtasks: [step(1, true)]
+      }
+
+      expect(
+        applySubtaskChanges(task, { subtasks: [step(1, true), step(2)] })
+      ).toEqual(
+        expect.objectContaining({ completed: false, completedAt: null })
+      )
+    })
+
+    test('applies when the setting is switched on', () => {
+      const task = { completed: false, subtasks: [step(1, true)] }
+
+      expect(
+        applySubtaskChanges(task, { completeWithSubtasks: true }, 5000)
+      ).toEqual({
+        completeWithSubtasks: true,
+        completed: true,
+        completedAt: 5000
+      })
+    })
+
+    test('does not complete a task without subtasks', () => {
+      const task = { completeWithSubtasks: true, completed: false }
+
+      expect(applySubtaskChanges(task, { subtasks: [] })).toEqual({
+        subtasks: []
+      })
+    })
+  })
+})
@@ -0,0 +1,61 @@
+// Test suite for task tags, projects and the tag/project filter
+
+import {
+  normalizeTag,
+  normalizeTaskTags,
+  normalizeProject,
+  getTaskLabels,
+  hasTaskFilters,
+  matchesTaskFilters
+} from '../utils/taskTags'
+
+describe('Task Tags', () => {
+  test('normalizes tags', () => {
+    expect(normalizeTag(' #home ')).toBe('home')
+    expect(normalizeTag('##')).toBe('')
+    expect(normalizeTaskTags(['#work', 'home', 'work', ' '])).toEqual([
+      'work',
+      'home'
+    ])
+    expect(normalizeTaskTags('work, #calls,')).toEqual(['work', 'calls'])
+    expect(normalizeTaskTags(null)).toEqual([])
+  })
+
+  test('normalizes projects', () => {
+    expect(normalizeProject('  Move house ')).toBe('Move house')
+    expect(normalizeProject('')).toBeNull()
+    expect(normalizeProject(undefined)).toBeNull()
+  })
+
+  test('collects the tags and projects in use', () => {
+    expect(
+      getTaskLabels([
+        { tags: ['work', 'calls'], project: 'Launch' },
+        { tags: ['admin', 'work'], project: null },
+        { project: 'Garden' }
+      ])
+    ).toEqual({
+      tags: ['admin', 'calls', 'work'],
+      projects: ['Garden', 'Launch']
+    })
+  })
+
+  test('matches tasks with any selected tag and the selected project', () => {
+    const task = { tags: ['work', 'calls'], project: 'Launch' }
+
+    expect(matchesTaskFilters(task)).toBe(true)
+    expect(matchesTaskFilters(task, { tags: ['home', 'calls'] })).toBe(true)
+    expect(matchesTaskFilters(task, { tags: ['home'] })).toBe(false)
+    expect(matchesTaskFilters(task, { project: 'Launch' })).toBe(true)
+    expect(
+      matchesTaskFilters(task, { tags: ['work'], project: 'Garden' })
+    ).toBe(false)
+    expect(matchesTaskFilters({ text: 'Old' }, { tags: ['work'] })).toBe(false)
+  })
+
+  test('tells whether filters are set', () => {
+    expect(hasTaskFilters({ tags: [], project: null })).toBe(false)
+    expect(hasTaskFilters({ tags: ['work'], project: null })).toBe(true)
+    expect(hasTaskFilters({ tags: [], project: 'Launch' })).toBe(true)
+  })
+})
@@ -0,0 +1,179 @@
+// Test suite for task timers and estimation accuracy
+
+import 'fake-indexeddb/auto'
+import {
+  getElapsedMinutes,
+  startTaskTimer,
+  stopTaskTimer,
+  finishTaskTime,
+  buildEstimationAccuracy
+} from '../utils/taskTimeTracking'
+import { createTask, getTask } from '../utils/tasksManager'
+import { clear, getStatsByType, STORES } from '../utils/indexedDBManager'
+
+const MINUTE = 60 * 1000
+const start = Date.parse('2025-03-10T09:00:00Z')
+
+describe('Task Time Tracking', () => {
+  beforeEach(async () => {
+    localStorage.clear()
+    await clear(STORES.TASKS)
+    await clear(STORES.STATS)
+  })
+
+  test('rounds elapsed time to whole minutes', () => {
+    expect(getElapsedMinutes(start, start + 25 * MINUTE + 20000)).toBe(25)
+    expect(getElapsedMinutes(start, start + 20000)).toBe(0)
+    expect(getElapsedMinutes(start, start - MINUTE)).toBe(0)
+  })
+
+  test('records a work session when the timer stops', async () => {
+    const task = await createTask('urgent_important', {
+      text: 'Write report',
+      estimatedMinutes: 30
+    })
+
+    await startTaskTimer(task.id, start)
+    expect((await getTask(task.id)).timerStartedAt).toBe(start)
+
+    const stopped = await stopTaskTimer(task.id, start + 20 * MINUTE)
+    const [session] = await getStatsByType('task_time')
+
+    expect(stopped.timerStartedAt).toBeNull()
+    expect(stopped.actualMinutes).toBe(20)
+    expect(session).toEqual(
+      expect.objectContaining({
+        taskId: task.id,
+        eventType: 'task',
+        minutes: 20,
+        startedAt: start,
+        endedAt: start + 20 * MINUTE,
+        estimatedMinutes: 30,
+        date: '2025-03-10'
+      })
+    )
+  })
+
+  test('drops sessions shorter than half a minute', async () => {
+    const task = await createTask('urgent_important', { text: 'Glance' })
+
+    await startTaskTimer(task.id, start)
+    await stopTaskTimer(task.id, start + 10000)
+
+    expect(await getStatsByType('task_time')).toEqual([])
+    expect((await getTask(task.id)).timerStartedAt).toBeNull()
+  })
+
+  test('starting a timer stops the one that is running', async () => {
+    const first = await createTask('urgent_important', { text: 'First' })
+    const second = await createTask('urgent_important', { text: 'Second' })
+
+    await startTaskTimer(first.id, start)
+    await startTaskTimer(second.id, start + 15 * MINUTE)
+
+    expect(await getTask(first.id)).toEqual(
+      expect.objectContaining({ timerStartedAt: null, actualMinutes: 15 })
+    )
+    expect((await getTask(second.id)).timerStartedAt).toBe(start + 15 * MINUTE)
+  })
+
+  test('records estimated versus actual time on completion', async () => {
+    const task = await createTask('urgent_important', {
+      text: 'Write report',
+      estimatedMinutes: 30,
+      actualMinutes: 10
+    })
+
+    await startTaskTimer(task.id, start)
+    await finishTaskTime(task.id, start + 30 * MINUTE)
+
+    const [estimate] = await getStatsByType('task_estimate')
+    expect(estimate).toEqual(
+      expect.objectContaining({
+        taskId: task.id,
+        estimatedMinutes: 30,
+        actualMinutes: 40
+      })
+    )
+  })
+
+  test('skips the estimate record without an estimate or tracked time', async () => {
+    const unestimated = await createTask('urgent_important', {
+      text: 'No estimate',
+      actualMinutes: 10
+    })
+    const untracked = await createTask('urgent_important', {
+      text: 'Not timed',
+      estimatedMinutes: 10
+    })
+
+    await finishTaskTime(unestimated.id, start)
+    await finishTaskTime(untracked.id, start)
+
+    expect(await getStatsByType('task_estimate')).toEqual([])
+  })
+
+  test('summarizes accuracy overall and per week', () => {
+    const records = [
+      // Monday and Sunday of the same ISO week
+      {
+        taskId: 'a',
+        date: '2025-03-10',
+        timestamp: 1,
+        estimatedMinutes: 30,
+        actualMinutes: 35
+      },
+      {
+        taskId: 'b',
+        date: '2025-03-16',
+        timestamp: 2,
+        estimatedMinutes: 30,
+        actualMinutes: 60
+      },
+      {
+        taskId: 'c',
+        date: '2025-03-17',
+        timestamp: 3,
+        estimatedMinutes: 60,
+        actualMinutes: 45
+      },
+      // Reopened and completed again: only the latest record counts
+      {
+        taskId: 'c',
+        date: '2025-03-18',
+        timestamp: 4,
+        estimatedMinutes: 60,
+        actualMinutes: 60
+      }
+    ]
+
+    expect(buildEstimationAccuracy(records)).toEqual({
+      tasks: 3,
+      estimated: 120,
+      actual: 155,
+      ratio: 155 / 120,
+      accurate: 2,
+      weeks: [
+        {
+          weekStart: '2025-03-10',
+          tasks: 2,
+          estimated: 60,
+          actual: 95,
+          ratio: 95 / 60,
+          accurate: 1
+        },
+        {
+          weekStart: '2025-03-17',
+          tasks: 1,
+          estimated: 60,
+          actual: 60,
+          ratio: 1,
+          accurate: 1
+        }
+      ]
+    })
+    expect(buildEstimationAccuracy([])).toEqual(
+      expect.objectContaining({ tasks: 0, ratio: null, weeks: [] })
+    )
+  })
+})
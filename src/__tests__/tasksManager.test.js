@@ -0,0 +1,670 @@
+// Test suite for the task repository
+
+import 'fake-indexeddb/auto'
+import {
+  normalizeTask,
+  migrateTasksFromLocalStorage,
+  getTasks,
+  getTasksMatrix,
+  getTasksByQuadrant,
+  getTasksByStatus,
+  getTasksDueBetween,
+  getTask,
+  getDueTasks,
+  promoteDueTasks,
+  archiveCompletedTasks,
+  getArchivedTasks,
+  restoreTask,
+  createTask,
+  createTasks,
+  updateTask,
+  updateTasks,
+  restoreTaskSnapshots,
+  setTaskCompleted,
+  deleteTask,
+  deleteTasks,
+  subscribeToTaskChanges
+} from '../utils/tasksManager'
+import {
+  clear,
+  getAll,
+  getStatsByType,
+  put,
+  exportAllData,
+  importAllData,
+  STORES
+} from '../utils/indexedDBManager'
+import {
+  TASK_STATUS,
+  TASKS_SCHEMA_VERSION,
+  LEGACY_TASKS_STORAGE_KEY
+} from '../utils/taskConstants'
+
+const legacyMatrix = {
+  urgent_important: [
+    { id: 'a', text: 'First', completed: false },
+    { id: 'b', text: 'Second', completed: true, completedAt: 1000 }
+  ],
+  not_urgent_important: [{ id: 'c', text: 'Plan', dueDate: '2025-01-15' }],
+  urgent_not_important: [],
+  not_urgent_not_important: []
+}
+
+describe('Tasks Manager', () => {
+  beforeEach(async () => {
+    localStorage.clear()
+    await clear(STORES.TASKS)
+  })
+
+  test('normalizes loose records', () => {
+    expect(
+      normalizeTask({ id: 1, title: ' Old ', status: TASK_STATUS.COMPLETED })
+    ).toEqual(
+      expect.objectContaining({
+        text: 'Old',
+        quadrant: 'urgent_important',
+        completed: true,
+        status: TASK_STATUS.COMPLETED,
+        dueDate: null,
+        order: 0,
+        subtasks: [],
+        completeWithSubtasks: false,
+        dueTime: null,
+        recurrence: null,
+        completionHistory: [],
+        estimatedMinutes: null,
+        actualMinutes: 0,
+        timerStartedAt: null,
+        tags: [],
+        project: null,
+        schemaVersion: TASKS_SCHEMA_VERSION
+      })
+    )
+  })
+
+  test('normalizes tags and project', () => {
+    expect(
+      normalizeTask({
+        text: 'Plan',
+        tags: ['#work', ' home ', 'work', ''],
+        project: '  Move house '
+      })
+    ).toEqual(
+      expect.objectContaining({ tags: ['work', 'home'], project: 'Move house' })
+    )
+    expect(normalizeTask({ text: 'Plan', tags: 'work', project: ' ' })).toEqual(
+      expect.objectContaining({ tags: ['work'], project: null })
+    )
+  })
+
+  test('normalizes time tracking fields', () => {
+    expect(
+      normalizeTask({
+        text: 'Plan',
+        estimatedMinutes: '29.6',
+        actualMinutes: -5,
+        timerStartedAt: 'now'
+      })
+    ).toEqual(
+      expect.objectContaining({
+        estimatedMinutes: 30,
+        actualMinutes: 0,
+        timerStartedAt: null
+      })
+    )
+    expect(normalizeTask({ text: 'Plan', estimatedMinutes: 0 })).toEqual(
+      expect.objectContaining({ estimatedMinutes: null })
+    )
+  })
+
+  test('keeps subtasks through export and import', async () => {
+    const task = await createTask('urgent_important', {
+      text: 'Write report',
+      completeWithSubtasks: true,
+      subtasks: [
+        { id: 's1', text: 'Outline', completed: true },
+        { id: 's2', text: 'Draft', completed: false }
+      ]
+    })
+    const backup = JSON.parse(JSON.stringify(await exportAllData()))
+    await clear(STORES.TASKS)
+
+    const report = await importAllData(backup)
+    const [restored] = (await getTasksMatrix()).urgent_important
+
+    expect(report.success).toBe(true)
+    expect(restored.id).toBe(task.id)
+    expect(restored.completeWithSubtasks).toBe(true)
+    expect(restored.subtasks).toEqual([
+      { id: 's1', text: 'Outline', completed: true },
+      { id: 's2', text: 'Draft', completed: false }
+    ])
+  })
+
+  describe('localStorage migration', () => {
+    test('stores each task of the legacy matrix as its own record', async () => {
+      localStorage.setItem(
+        LEGACY_TASKS_STORAGE_KEY,
+        JSON.stringify(legacyMatrix)
+      )
+
+      expect(await migrateTasksFromLocalStorage()).toBe(3)
+
+      const records = await getAll(STORES.TASKS)
+      expect(records).toHaveLength(3)
+      expect(records.find((task) => task.id === 'b')).toEqual(
+        expect.objectContaining({
+          quadrant: 'urgent_important',
+          order: 1,
+          status: TASK_STATUS.COMPLETED,
+          completedAt: 1000
+        })
+      )
+      expect(localStorage.getItem(LEGACY_TASKS_STORAGE_KEY)).toBeNull()
+    })
+
+    test('migrates once when reads run side by side', async () => {
+      localStorage.setItem(
+        LEGACY_TASKS_STORAGE_KEY,
+        JSON.stringify({ urgent_important: [{ text: 'No ID yet' }] })
+      )
+
+      await Promise.all([getTasks(), getTasksMatrix(), getTasks()])
+
+      expect(await getAll(STORES.TASKS)).toHaveLength(1)
+    })
+
+    test('keeps a blob that cannot be parsed', async () => {
+      localStorage.setItem(LEGACY_TASKS_STORAGE_KEY, 'invalid json{')
+
+      expect(await getTasks()).toEqual([])
+      expect(localStorage.getItem(LEGACY_TASKS_STORAGE_KEY)).toBe(
+        'invalid json{'
+      )
+    })
+  })
+
+  describe('reads', () => {
+    beforeEach(() => {
+      localStorage.setItem(
+        LEGACY_TASKS_STORAGE_KEY,
+        JSON.stringify(legacyMatrix)
+      )
+    })
+
+    test('returns tasks in matrix order', async () => {
+      expect((await getTasks()).map((task) => task.id)).toEqual(['a', 'b', 'c'])
+      expect(
+        (await getTasks({ includeCompleted: false })).map((task) => task.id)
+      ).toEqual(['a', 'c'])
+    })
+
+    test('groups tasks by quadrant', async () => {
+      const matrix = await getTasksMatrix()
+
+      expect(matrix.urgent_important.map((task) => task.id)).toEqual(['a', 'b'])
+      expect(matrix.urgent_not_important).toEqual([])
+    })
+
+    test('queries quadrant and status through indexes', async () => {
+      expect(
+        (await getTasksByQuadrant('not_urgent_important')).map(
+          (task) => task.id
+        )
+      ).toEqual(['c'])
+      expect(
+        (await getTasksByStatus(TASK_STATUS.COMPLETED)).map((task) => task.id)
+      ).toEqual(['b'])
+    })
+
+    test('queries due dates by day, timestamps included', async () => {
+      await createTask('urgent_important', {
+        text: 'From a template',
+        dueDate: '2025-01-16T15:30:00.000Z'
+      })
+      await createTask('urgent_important', {
+        text: 'Later',
+        dueDate: '2025-01-17'
+      })
+
+      const due = await getTasksDueBetween('2025-01-15', '2025-01-16')
+
+      expect(due.map((task) => task.text)).toEqual(['Plan', 'From a template'])
+      expect(await getTasksDueBetween(null, '2025-01-14')).toEqual([])
+    })
+
+    test('upgrades outdated records so indexes find them', async () => {
+      await put(STORES.TASKS, { id: 'old', title: 'Imported', done: true })
+      await put(STORES.TASKS, {
+        id: 'older',
+        text: 'Imported done',
+        status: TASK_STATUS.COMPLETED
+      })
+
+      await getTasks()
+
+      expect(
+        (await getTasksByQuadrant('urgent_important')).map((task) => task.id)
+      ).toEqual(expect.arrayContaining(['old', 'older']))
+      expect(
+        (await getTasksByStatus(TASK_STATUS.COMPLETED)).map((task) => task.id)
+      ).toEqual(['older', 'b'])
+    })
+  })
+
+  describe('writes', () => {
+    test('creates tasks at the end of their quadrant', async () => {
+      const first = await createTask('urgent_important', { text: ' Write ' })
+      const [second, other] = await createTasks([
+        { quadrant: 'urgent_important', text: 'Review' },
+        { quadrant: 'not_urgent_important', text: 'Plan' }
+      ])
+
+      expect(first).toEqual(
+        expect.objectContaining({
+          text: 'Write',
+          order: 0,
+          completed: false,
+          status: TASK_STATUS.OPEN
+        })
+      )
+      expect(first.id).toBeDefined()
+      expect(second.order).toBe(1)
+      expect(other.order).toBe(0)
+    })
+
+    test('rejects tasks without text or quadrant', async () => {
+      await expect(createTask('someday', { text: 'Task' })).rejects.toThrow(
+        'Unknown quadrant: someday'
+      )
+      await expect(
+        createTask('urgent_important', { text: '  ' })
+      ).rejects.toThrow('Task text is required')
+    })
+
+    test('updates a single record', async () => {
+      const task = await createTask('urgent_important', { text: 'Write' })
+      await createTask('not_urgent_important', { text: 'Plan' })
+
+      const completed = await updateTask(task.id, {
+        completed: true,
+        completedAt: 2000
+      })
+      expect(completed.status).toBe(TASK_STATUS.COMPLETED)
+
+      const moved = await updateTask(task.id, {
+        quadrant: 'not_urgent_important'
+      })
+      expect(moved).toEqual(
+        expect.objectContaining({
+          quadrant: 'not_urgent_important',
+          order: 1,
+          completedAt: 2000
+        })
+      )
+    })
+
+    test('rejects updates of missing tasks', async () => {
+      await expect(updateTask('missing', { text: 'x' })).rejects.toThrow(
+        'Task not found'
+      )
+    })
+
+    test('deletes a task', async () => {
+      const task = await createTask('urgent_important', { text: 'Write' })
+
+      await deleteTask(task.id)
+
+      expect(await getTasks()).toEqual([])
+    })
+
+    test('notifies subscribers', async () => {
+      const listener = jest.fn()
+      const unsubscribe = subscribeToTaskChanges(listener)
+
+      const task = await createTask('urgent_important', { text: 'Write' })
+      await deleteTask(task.id)
+      unsubscribe()
+      await createTask('urgent_important', { text: 'Unseen' })
+
+      expect(listener.mock.calls.map(([change]) => change)).toEqual([
+        { type: 'created', ids: [task.id] },
+        { type: 'deleted', ids: [task.id] }
+      ])
+    })
+  })
+
+  describe('recurring tasks', () => {
+    const completedAt = Date.parse('2025-03-10T10:00:00Z')
+
+    const createRecurring = () =>
+      createTask('not_urgent_not_important', {
+        text: 'Water plants',
+        dueDate: '2025-03-10',
+        recurrence: { type: 'every_n_days', interval: 7 }
+      })
+
+    test('completing a plain task only updates it', async () => {
+      const task = await createTask('urgent_important', { text: 'Write' })
+
+      const result = await setTaskCompleted(task.id, true, completedAt)
+
+      expect(result.next).toBeNull()
+      expect(result.task.completedAt).toBe(completedAt)
+      expect(await getTasks()).toHaveLength(1)
+    })
+
+    test('completing an instance creates the next one', async () => {
+      const task = await createRecurring()
+      await createTask('not_urgent_not_important', { text: 'Other' })
+
+      const { task: done, next } = await setTaskCompleted(
+        task.id,
+        true,
+        completedAt
+      )
+
+      expect(done).toEqual(
+        expect.objectContaining({
+          completed: true,
+          recurrence: null,
+          nextTaskId: next.id
+        })
+      )
+      expect(next).toEqual(
+        expect.objectContaining({
+          text: 'Water plants',
+          quadrant: 'not_urgent_not_important',
+          dueDate: '2025-03-17',
+          completed: false,
+          order: 2,
+          recurrence: { type: 'every_n_days', interval: 7 },
+          completionHistory: [{ completedAt, dueDate: '2025-03-10' }]
+        })
+      )
+      expect(next.id).not.toBe(task.id)
+
+      const again = await setTaskCompleted(next.id, true, completedAt)
+      expect(again.next.completionHistory).toHaveLength(2)
+    })
+
+    test('reopening the completed instance removes the next one', async () => {
+      const task = await createRecurring()
+      const { next } = await setTaskCompleted(task.id, true, completedAt)
+
+      const { task: reopened } = await setTaskCompleted(task.id, false)
+
+      expect(reopened).toEqual(
+        expect.objectContaining({
+          completed: false,
+          completedAt: null,
+          nextTaskId: null,
+          recurrence: { type: 'every_n_days', interval: 7 }
+        })
+      )
+      expect((await getTasks()).map((t) => t.id)).toEqual([task.id])
+      expect(await getTask(next.id)).toBeUndefined()
+    })
+
+    test('reopening keeps a next instance that is already done', async () => {
+      const task = await createRecurring()
+      const { next } = await setTaskCompleted(task.id, true, completedAt)
+      await setTaskCompleted(next.id, true, completedAt)
+
+      const { task: reopened } = await setTaskCompleted(task.id, false)
+
+      expect(reopened.recurrence).toBeNull()
+      expect(await getTasks()).toHaveLength(3)
+    })
+
+    test('rejects missing tasks', async () => {
+      await expect(setTaskCompleted('missing', true)).rejects.toThrow(
+        'Task not found'
+      )
+    })
+  })
+
+  describe('due dates', () => {
+    const now = new Date('2025-03-10T12:00:00Z')
+
+    test('keeps a due time only with a due date', () => {
+      expect(
+        normalizeTask({ text: 'a', dueDate: '2025-03-10', dueTime: '09:30' })
+          .dueTime
+      ).toBe('09:30')
+      expect(normalizeTask({ text: 'a', dueTime: '09:30' }).dueTime).toBeNull()
+      expect(
+        normalizeTask({ text: 'a', dueDate: '2025-03-10', dueTime: '9am' })
+          .dueTime
+      ).toBeNull()
+    })
+
+    test('lists open tasks that are overdue or due today', async () => {
+      await createTasks([
+        { quadrant: 'urgent_important', text: 'Today', dueDate: '2025-03-10' },
+        {
+          quadrant: 'urgent_important',
+          text: 'Missed',
+          dueDate: '2025-03-10',
+          dueTime: '08:00'
+        },
+        { quadrant: 'urgent_important', text: 'Old', dueDate: '2025-03-01' },
+        { quadrant: 'urgent_important', text: 'Soon', dueDate: '2025-03-11' },
+        {
+          quadrant: 'urgent_important',
+          text: 'Done',
+          dueDate: '2025-03-01',
+          completed: true
+        },
+        { quadrant: 'urgent_important', text: 'Whenever' }
+      ])
+
+      const due = await getDueTasks(now)
+
+      expect(due.overdue.map((task) => task.text)).toEqual(['Old', 'Missed'])
+      expect(due.dueToday.map((task) => task.text)).toEqual(['Today'])
+    })
+
+    test('promotes "Schedule" tasks that are due soon', async () => {
+      await createTask('urgent_important', { text: 'Already first' })
+      const [close, later, other] = await createTasks([
+        {
+          quadrant: 'not_urgent_important',
+          text: 'Close',
+          dueDate: '2025-03-11'
+        },
+        {
+          quadrant: 'not_urgent_important',
+          text: 'Later',
+          dueDate: '2025-03-20'
+        },
+        {
+          quadrant: 'urgent_not_important',
+          text: 'Delegate',
+          dueDate: '2025-03-10'
+        }
+      ])
+      const listener = jest.fn()
+      const unsubscribe = subscribeToTaskChanges(listener)
+
+      const promoted = await promoteDueTasks({ withinDays: 1, now })
+      unsubscribe()
+
+      expect(promoted.map((task) => task.id)).toEqual([close.id])
+      expect(await getTask(close.id)).toEqual(
+        expect.objectContaining({
+          quadrant: 'urgent_important',
+          order: 1,
+          promotedAt: now.getTime()
+        })
+      )
+      expect((await getTask(later.id)).quadrant).toBe('not_urgent_important')
+      expect((await getTask(other.id)).quadrant).toBe('urgent_not_important')
+      expect(listener).toHaveBeenCalledWith({
+        type: 'updated',
+        ids: [close.id]
+      })
+      expect(await promoteDueTasks({ withinDays: 1, now })).toEqual([])
+    })
+
+    test('leaves promoted tasks moved back to "Schedule" there', async () => {
+      const task = await createTask('not_urgent_important', {
+        text: 'Close',
+        dueDate: '2025-03-11'
+      })
+      await promoteDueTasks({ withinDays: 1, now })
+      await updateTask(task.id, { quadrant: 'not_urgent_important' })
+
+      expect(await promoteDueTasks({ withinDays: 1, now })).toEqual([])
+      expect((await getTask(task.id)).quadrant).toBe('not_urgent_important')
+    })
+  })
+  describe('archive', () => {
+    const now = new Date('2025-03-10T12:00:00Z')
+    const daysAgo = (days) => now.getTime() - days * 24 * 60 * 60 * 1000
+
+    beforeEach(() => clear(STORES.STATS))
+
+    const createDone = () =>
+      createTasks([
+        {
+          quadrant: 'urgent_important',
+          text: 'Old report',
+          completed: true,
+          completedAt: daysAgo(8)
+        },
+        {
+          quadrant: 'not_urgent_important',
+          text: 'Old call',
+          completed: true,
+          completedAt: daysAgo(7)
+        },
+        {
+          quadrant: 'urgent_important',
+          text: 'Recent',
+          completed: true,
+          completedAt: daysAgo(2)
+        },
+        { quadrant: 'urgent_important', text: 'Open' }
+      ])
+
+    test('archives tasks completed long enough ago', async () => {
+      const [report, call, recent] = await createDone()
+
+      const archived = await archiveCompletedTasks({ afterDays: 7, now })
+
+      expect(archived.map((task) => task.id)).toEqual([report.id, call.id])
+      expect(await getTask(report.id)).toEqual(
+        expect.objectContaining({
+          status: 'archived',
+          completed: true,
+          archivedAt: now.getTime()
+        })
+      )
+      expect((await getTask(recent.id)).archivedAt).toBeNull()
+      expect((await getTasks()).map((task) => task.text)).toEqual([
+        'Recent',
+        'Open'
+      ])
+      expect(await getTasks({ includeArchived: true })).toHaveLength(4)
+      expect(await archiveCompletedTasks({ afterDays: 7, now })).toEqual([])
+    })
+
+    test('records each archived task as a completion', async () => {
+      const [report] = await createDone()
+
+      await archiveCompletedTasks({ afterDays: 7, now })
+      const completions = await getStatsByType('task_completion')
+
+      expect(completions).toHaveLength(2)
+      expect(completions).toContainEqual(
+        expect.objectContaining({
+          taskId: report.id,
+          taskText: 'Old report',
+          quadrant: 'urgent_important',
+          completedAt: daysAgo(8),
+          date: '2025-03-02'
+        })
+      )
+    })
+
+    test('searches the archive by text, quadrant and completion day', async () => {
+      await createDone()
+      await archiveCompletedTasks({ afterDays: 7, now })
+
+      const texts = async (filters) =>
+        (await getArchivedTasks(filters)).map((task) => task.text)
+
+      expect(await texts()).toEqual(['Old call', 'Old report'])
+      expect(await texts({ query: 'REPORT' })).toEqual(['Old report'])
+      expect(await texts({ quadrant: 'not_urgent_important' })).toEqual([
+        'Old call'
+      ])
+      expect(await texts({ from: '2025-03-03' })).toEqual(['Old call'])
+      expect(await texts({ to: '2025-03-02' })).toEqual(['Old report'])
+    })
+
+    test('restores an archived task as an open task', async () => {
+      const [report] = await createDone()
+      await archiveCompletedTasks({ afterDays: 7, now })
+
+      const restored = await restoreTask(report.id)
+
+      expect(restored).toEqual(
+        expect.objectContaining({
+          status: 'open',
+          completed: false,
+          completedAt: null,
+          archivedAt: null,
+          // After "Recent" and "Open"
+          order: 3
+        })
+      )
+      expect(await getArchivedTasks()).toHaveLength(1)
+      await expect(restoreTask(report.id)).rejects.toThrow(
+        'Task is not archived'
+      )
+    })
+  })
+  describe('batch writes', () => {
+    test('updates several tasks with one notification', async () => {
+      const [a, b] = await createTasks([
+        { quadrant: 'urgent_important', text: 'A' },
+        { quadrant: 'urgent_important', text: 'B' }
+      ])
+      await createTask('not_urgent_important', { text: 'C' })
+      const listener = jest.fn()
+      const unsubscribe = subscribeToTaskChanges(listener)
+
+      const updated = await updateTasks([a.id, b.id], (task) => ({
+        quadrant: 'not_urgent_important',
+        text: `${task.text}!`
+      }))
+      unsubscribe()
+
+      expect(updated.map((task) => [task.text, task.order])).toEqual([
+        ['A!', 1],
+        ['B!', 2]
+      ])
+      expect(listener).toHaveBeenCalledTimes(1)
+      await expect(updateTasks(['missing'], () => ({}))).rejects.toThrow(
+        'Task not found'
+      )
+    })
+
+    test('deletes several tasks and restores snapshots', async () => {
+      const [a, b] = await createTasks([
+        { quadrant: 'urgent_important', text: 'A' },
+        { quadrant: 'urgent_important', text: 'B' }
+      ])
+      const snapshots = [await getTask(a.id), await getTask(b.id)]
+      const extra = await createTask('urgent_important', { text: 'Extra' })
+
+      await deleteTasks([a.id, b.id])
+      expect((await getTasks()).map((task) => task.text)).toEqual(['Extra'])
+
+      await restoreTaskSnapshots(snapshots, [extra.id])
+      expect((await getTasks()).map((task) => task.text)).toEqual(['A', 'B'])
+    })
+  })
+})
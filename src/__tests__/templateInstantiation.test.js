@@ -4,7 +4,10 @@ import {
   instantiateTemplate,
   instantiateTemplatesBatch
 } from '../utils/templateInstantiation'
+import 'fake-indexeddb/auto'
 import * as routinesManager from '../utils/routinesManager'
+import * as indexedDBManager from '../utils/indexedDBManager'
+import { getTasksMatrix } from '../utils/tasksManager'
 import { v4 as uuidv4 } from 'uuid'
 
 // Mock dependencies
@@ -12,21 +15,29 @@ jest.mock('uuid')
 jest.mock('../utils/routinesManager')
 
 describe('templateInstantiation', () => {
-  beforeEach(() => {
+  beforeEach(async () => {
     jest.clearAllMocks()
     localStorage.clear()
+    await indexedDBManager.clear(indexedDBManager.STORES.TASKS)
     uuidv4.mockReturnValue('test-task-uuid-123')
   })
 
+  const quotaExceeded = () => {
+    const error = new Error('QuotaExceededError')
+    error.name = 'QuotaExceededError'
+    error.code = 22
+    return error
+  }
+
   describe('instantiateTaskFromTemplate', () => {
-    test('creates a task from a task template with default quadrant', () => {
+    test('creates a task from a task template with default quadrant', async () => {
       const template = {
         type: 'task',
         title: 'Review pull request',
         tags: ['work', 'code-review']
       }
 
-      const result = instantiateTaskFromTemplate(template)
+      const result = await instantiateTaskFromTemplate(template)
 
       expect(result).toHaveProperty('task')
       expect(result).toHaveProperty('quadrant')
@@ -37,31 +48,46 @@ describe('templateInstantiation', () => {
       expect(result.quadrant).toBe('urgent_important')
     })
 
-    test('creates a task in specified quadrant', () => {
+    test('keeps template tags and category as the task project', async () => {
+      const template = {
+        type: 'task',
+        title: 'Deep clean kitchen',
+        category: 'Home',
+        tags: ['cleaning', 'kitchen']
+      }
+
+      await instantiateTaskFromTemplate(template)
+
+      const [saved] = (await getTasksMatrix()).urgent_important
+      expect(saved.tags).toEqual(['cleaning', 'kitchen'])
+      expect(saved.project).toBe('Home')
+    })
+
+    test('creates a task in specified quadrant', async () => {
       const template = {
         type: 'task',
         title: 'Plan vacation',
         quadrant: 'not_urgent_important'
       }
 
-      const result = instantiateTaskFromTemplate(template)
+      const result = await instantiateTaskFromTemplate(template)
 
       expect(result.quadrant).toBe('not_urgent_important')
 
-      // Verify it was saved to localStorage
-      const savedTasks = JSON.parse(localStorage.getItem('aurorae_tasks'))
+      // Verify it was saved to the task store
+      const savedTasks = await getTasksMatrix()
       expect(savedTasks.not_urgent_important).toHaveLength(1)
       expect(savedTasks.not_urgent_important[0].text).toBe('Plan vacation')
     })
 
-    test('creates a task with due date offset', () => {
+    test('creates a task with due date offset', async () => {
       const template = {
         type: 'task',
         title: 'Submit report',
         dueOffset: 1 // 1 day (will be converted to milliseconds)
       }
 
-      const result = instantiateTaskFromTemplate(template)
+      const result = await instantiateTaskFromTemplate(template)
 
       expect(result.task.dueDate).toBeDefined()
       // dueDate should be an ISO string
@@ -71,8 +97,8 @@ describe('templateInstantiation', () => {
       expect(dueDateTime).toBeGreaterThan(Date.now())
     })
 
-    test('adds task to existing tasks in localStorage', () => {
-      // Pre-populate localStorage with existing tasks
+    test('adds task after tasks still in localStorage', async () => {
+      // Tasks saved before the move to IndexedDB are migrated first
       const existingTasks = {
         urgent_important: [
           { id: 'existing-1', text: 'Existing task', completed: false }
@@ -88,24 +114,24 @@ describe('templateInstantiation', () => {
         title: 'New task from template'
       }
 
-      instantiateTaskFromTemplate(template)
+      await instantiateTaskFromTemplate(template)
 
-      const savedTasks = JSON.parse(localStorage.getItem('aurorae_tasks'))
+      const savedTasks = await getTasksMatrix()
       expect(savedTasks.urgent_important).toHaveLength(2)
       expect(savedTasks.urgent_important[0].id).toBe('existing-1')
       expect(savedTasks.urgent_important[1].text).toBe('New task from template')
     })
 
-    test('initializes tasks structure if localStorage is empty', () => {
+    test('stores the first task in an empty task store', async () => {
       const template = {
         type: 'task',
         title: 'First task',
         quadrant: 'not_urgent_not_important'
       }
 
-      instantiateTaskFromTemplate(template)
+      await instantiateTaskFromTemplate(template)
 
-      const savedTasks = JSON.parse(localStorage.getItem('aurorae_tasks'))
+      const savedTasks = await getTasksMatrix()
       expect(savedTasks).toHaveProperty('urgent_important')
       expect(savedTasks).toHaveProperty('not_urgent_important')
       expect(savedTasks).toHaveProperty('urgent_not_important')
@@ -113,7 +139,7 @@ describe('templateInstantiation', () => {
       expect(savedTasks.not_urgent_not_important).toHaveLength(1)
     })
 
-    test('handles corrupted localStorage data gracefully', () => {
+    test('handles corrupted localStorage data gracefully', async () => {
       localStorage.setItem('aurorae_tasks', 'invalid json{')
 
       const template = {
@@ -121,101 +147,96 @@ describe('templateInstantiation', () => {
         title: 'Task despite corruption'
       }
 
-      const result = instantiateTaskFromTemplate(template)
+      const result = await instantiateTaskFromTemplate(template)
 
       expect(result.task.text).toBe('Task despite corruption')
-      const savedTasks = JSON.parse(localStorage.getItem('aurorae_tasks'))
+      const savedTasks = await getTasksMatrix()
       expect(savedTasks.urgent_important).toHaveLength(1)
+      // The unreadable blob is kept rather than dropped
+      expect(localStorage.getItem('aurorae_tasks')).toBe('invalid json{')
     })
 
-    test('throws error for null template', () => {
-      expect(() => {
-        instantiateTaskFromTemplate(null)
-      }).toThrow('Invalid task template')
+    test('throws error for null template', async () => {
+      await expect(instantiateTaskFromTemplate(null)).rejects.toThrow(
+        'Invalid task template'
+      )
     })
 
-    test('throws error for non-task template', () => {
+    test('throws error for non-task template', async () => {
       const template = {
         type: 'routine',
         title: 'Not a task'
       }
 
-      expect(() => {
-        instantiateTaskFromTemplate(template)
-      }).toThrow('Invalid task template')
+      await expect(instantiateTaskFromTemplate(template)).rejects.toThrow(
+        'Invalid task template'
+      )
     })
 
-    test('creates independent task (not linked to template)', () => {
+    test('creates independent task (not linked to template)', async () => {
       const template = {
         type: 'task',
         title: 'Template task',
         id: 'template-id-123'
       }
 
-      const result = instantiateTaskFromTemplate(template)
+      const result = await instantiateTaskFromTemplate(template)
 
       // Task should have a different ID than the template
       expect(result.task.id).not.toBe('template-id-123')
       expect(result.task.id).toBe('test-task-uuid-123')
     })
 
-    test('throws error for negative dueOffset', () => {
+    test('throws error for negative dueOffset', async () => {
       const template = {
         type: 'task',
         title: 'Task with invalid offset',
         dueOffset: -1000
       }
 
-      expect(() => {
-        instantiateTaskFromTemplate(template)
-      }).toThrow('Template dueOffset must be a positive number')
+      await expect(instantiateTaskFromTemplate(template)).rejects.toThrow(
+        'Template dueOffset must be a positive number'
+      )
     })
 
-    test('throws error for non-numeric dueOffset', () => {
+    test('throws error for non-numeric dueOffset', async () => {
       const template = {
         type: 'task',
         title: 'Task with invalid offset',
         dueOffset: 'invalid'
       }
 
-      expect(() => {
-        instantiateTaskFromTemplate(template)
-      }).toThrow('Template dueOffset must be a number')
+      await expect(instantiateTaskFromTemplate(template)).rejects.toThrow(
+        'Template dueOffset must be a number'
+      )
     })
 
-    test('throws error for invalid task template data', () => {
+    test('throws error for invalid task template data', async () => {
       const template = {
         type: 'task',
         title: '' // Empty title should fail validation
       }
 
-      expect(() => {
-        instantiateTaskFromTemplate(template)
-      }).toThrow('Invalid template data')
+      await expect(instantiateTaskFromTemplate(template)).rejects.toThrow(
+        'Invalid template data'
+      )
     })
 
-    test('handles quota exceeded error gracefully', () => {
-      // Pre-populate with a task to ensure localStorage works
+    test('handles quota exceeded error gracefully', async () => {
       const template = {
         type: 'task',
         title: 'Test task'
       }
 
-      // Mock localStorage to throw QuotaExceededError
-      const originalSetItem = Storage.prototype.setItem
-      Storage.prototype.setItem = jest.fn(() => {
-        const error = new Error('QuotaExceededError')
-        error.name = 'QuotaExceededError'
-        error.code = 22
-        throw error
-      })
+      const putBatchSpy = jest
+        .spyOn(indexedDBManager, 'putBatch')
+        .mockRejectedValue(quotaExceeded())
 
-      expect(() => {
-        instantiateTaskFromTemplate(template)
-      }).toThrow('Storage quota exceeded')
+      await expect(instantiateTaskFromTemplate(template)).rejects.toThrow(
+        'Storage quota exceeded'
+      )
 
-      // Restore original
-      Storage.prototype.setItem = originalSetItem
+      putBatchSpy.mockRestore()
     })
   })
 
@@ -492,8 +513,8 @@ describe('templateInstantiation', () => {
       expect(results[2].type).toBe('routine')
       expect(results[3].type).toBe('routine')
 
-      // Verify tasks were saved to localStorage
-      const savedTasks = JSON.parse(localStorage.getItem('aurorae_tasks'))
+      // Verify tasks were saved to the task store
+      const savedTasks = await getTasksMatrix()
       expect(savedTasks.urgent_important).toHaveLength(1)
       expect(savedTasks.not_urgent_important).toHaveLength(1)
 
@@ -574,25 +595,25 @@ describe('templateInstantiation', () => {
       )
     })
 
-    test('saves all tasks in single localStorage write', async () => {
+    test('saves all tasks in a single store write', async () => {
       const templates = Array.from({ length: 10 }, (_, i) => ({
         type: 'task',
         title: `Task ${i + 1}`,
         quadrant: 'urgent_important'
       }))
 
-      const setItemSpy = jest.spyOn(Storage.prototype, 'setItem')
+      const putBatchSpy = jest.spyOn(indexedDBManager, 'putBatch')
 
       await instantiateTemplatesBatch(templates)
 
-      // Should only call setItem once for all tasks
-      expect(setItemSpy).toHaveBeenCalledTimes(1)
-      expect(setItemSpy).toHaveBeenCalledWith(
-        'aurorae_tasks',
-        expect.any(String)
+      // Should only write once for all tasks
+      expect(putBatchSpy).toHaveBeenCalledTimes(1)
+      expect(putBatchSpy).toHaveBeenCalledWith(
+        indexedDBManager.STORES.TASKS,
+        expect.arrayContaining([expect.objectContaining({ text: 'Task 10' })])
       )
 
-      setItemSpy.mockRestore()
+      putBatchSpy.mockRestore()
     })
 
     test('uses batch routine creation for multiple routines', async () => {
@@ -645,33 +666,29 @@ describe('templateInstantiation', () => {
 
       await instantiateTemplatesBatch(templates)
 
-      const savedTasks = JSON.parse(localStorage.getItem('aurorae_tasks'))
+      const savedTasks = await getTasksMatrix()
       expect(savedTasks.urgent_important).toHaveLength(1)
       expect(savedTasks.not_urgent_important).toHaveLength(1)
       expect(savedTasks.urgent_not_important).toHaveLength(1)
       expect(savedTasks.not_urgent_not_important).toHaveLength(1)
     })
 
-    test('throws error on localStorage quota exceeded', async () => {
+    test('throws error on storage quota exceeded', async () => {
       const templates = Array.from({ length: 5 }, (_, i) => ({
         type: 'task',
         title: `Task ${i + 1}`
       }))
 
       // Mock quota exceeded error
-      const setItemSpy = jest
-        .spyOn(Storage.prototype, 'setItem')
-        .mockImplementation(() => {
-          const error = new Error('QuotaExceededError')
-          error.name = 'QuotaExceededError'
-          throw error
-        })
+      const putBatchSpy = jest
+        .spyOn(indexedDBManager, 'putBatch')
+        .mockRejectedValue(quotaExceeded())
 
       await expect(instantiateTemplatesBatch(templates)).rejects.toThrow(
         'Storage quota exceeded'
       )
 
-      setItemSpy.mockRestore()
+      putBatchSpy.mockRestore()
     })
   })
 })
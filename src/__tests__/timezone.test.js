@@ -0,0 +1,136 @@
+// Test suite for timezone utilities
+import {
+  isValidTimeZone,
+  getSystemTimeZone,
+  getDisplayTimeZone,
+  getZonedDayTime,
+  getTimeZoneOffsetMinutes,
+  zonedDayTimeToDate,
+  getTodayInTimeZone,
+  toZonedWallClockDate
+} from '../utils/timezone'
+
+describe('timezone utilities', () => {
+  afterEach(() => {
+    localStorage.clear()
+  })
+
+  test('validates IANA time zones', () => {
+    expect(isValidTimeZone('Europe/Paris')).toBe(true)
+    expect(isValidTimeZone('Not/AZone')).toBe(false)
+    expect(isValidTimeZone('')).toBe(false)
+    expect(isValidTimeZone(null)).toBe(false)
+  })
+
+  test('uses the configured display time zone', () => {
+    expect(getDisplayTimeZone()).toBe(getSystemTimeZone())
+
+    localStorage.setItem(
+      'aurorae_settings',
+      JSON.stringify({ schedule: { timeZone: 'Asia/Tokyo' } })
+    )
+    expect(getDisplayTimeZone()).toBe('Asia/Tokyo')
+  })
+
+  test('falls back to the device zone for invalid settings', () => {
+    localStorage.setItem(
+      'aurorae_settings',
+      JSON.stringify({ schedule: { timeZone: 'Mars/Olympus' } })
+    )
+    expect(getDisplayTimeZone()).toBe(getSystemTimeZone())
+  })
+
+  test('converts instants to wall-clock day and time', () => {
+    const instant = new Date('2025-01-15T23:30:00Z')
+    expect(getZonedDayTime(instant, 'UTC')).toEqual({
+      day: '2025-01-15',
+      time: '23:30'
+    })
+    expect(getZonedDayTime(instant, 'Asia/Tokyo')).toEqual({
+      day: '2025-01-16',
+      time: '08:30'
+    })
+  })
+
+  test('reports offsets that follow DST', () => {
+    expect(
+      getTimeZoneOffsetMinutes(
+        new Date('2025-01-15T12:00:00Z'),
+        'America/New_York'
+      )
+    ).toBe(-300)
+    expect(
+      getTimeZoneOffsetMinutes(
+        new Date('2025-07-15T12:00:00Z'),
+        'America/New_York'
+      )
+    ).toBe(-240)
+  })
+
+  test('converts wall-clock times to UTC instants', () => {
+    expect(
+      zonedDayTimeToDate(
+        '2025-01-15',
+        '09:00',
+        'America/New_York'
+      ).toISOString()
+    ).toBe('2025-01-15T14:00:00.000Z')
+    expect(
+      zonedDayTimeToDate('2025-07-15', '09:00', 'Europe/London').toISOString()
+    ).toBe('2025-07-15T08:00:00.000Z')
+  })
+
+  test('handles times on either side of a DST change', () => {
+    // US clocks spring forward at 02:00 on 2025-03-09
+    expect(
+      zonedDayTimeToDate(
+        '2025-03-09',
+        '01:30',
+        'America/New_York'
+      ).toISOString()
+    ).toBe('2025-03-09T06:30:00.000Z')
+    expect(
+      zonedDayTimeToDate(
+        '2025-03-09',
+        '03:30',
+        'America/New_York'
+      ).toISOString()
+    ).toBe('2025-03-09T07:30:00.000Z')
+    // 02:30 does not exist that day and resolves after the change
+    expect(
+      zonedDayTimeToDate(
+        '2025-03-09',
+        '02:30',
+        'America/New_York'
+      ).toISOString()
+    ).toBe('2025-03-09T07:30:00.000Z')
+  })
+
+  test('resolves repeated fall-back times to their first occurrence', () => {
+    // US clocks fall back from 02:00 to 01:00 on 2025-11-02
+    expect(
+      zonedDayTimeToDate(
+        '2025-11-02',
+        '01:30',
+        'America/New_York'
+      ).toISOString()
+    ).toBe('2025-11-02T05:30:00.000Z')
+  })
+
+  test('gets today in a time zone, not in UTC', () => {
+    const now = new Date('2025-01-15T23:30:00Z')
+    expect(getTodayInTimeZone('UTC', now)).toBe('2025-01-15')
+    expect(getTodayInTimeZone('Pacific/Auckland', now)).toBe('2025-01-16')
+    expect(getTodayInTimeZone('America/Los_Angeles', now)).toBe('2025-01-15')
+  })
+
+  test("builds local dates that show another zone's wall-clock time", () => {
+    const date = toZonedWallClockDate(
+      new Date('2025-01-15T23:30:00Z'),
+      'Asia/Tokyo'
+    )
+    expect(date.getDate()).toBe(16)
+    expect(date.getHours()).toBe(8)
+    expect(date.getMinutes()).toBe(30)
+  })
+})
@@ -1,9 +1,12 @@
-import React, { useState, useEffect, useRef } from 'react'
+import React, { useState, useEffect, useRef, useCallback } from 'react'
 import PropTypes from 'prop-types'
 import { Link, useLocation, useNavigate } from 'react-router-dom'
 import Icon from './common/Icon'
 import MobileMenu from './Layout/MobileMenu'
 import MoreMenu from './Layout/MoreMenu'
+import CommandPalette from './Layout/CommandPalette'
+import ResumeRunBanner from './Layout/ResumeRunBanner'
+import Toast from './Toast'
 import FileInputButton from './common/FileInputButton'
 
 function Layout({ children, onExport, onImport }) {
@@ -11,6 +14,8 @@ function Layout({ children, onExport, onImport }) {
   const navigate = useNavigate()
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false)
   const [moreMenuOpen, setMoreMenuOpen] = useState(false)
+  const [paletteOpen, setPaletteOpen] = useState(false)
+  const [paletteMessage, setPaletteMessage] = useState(null)
   const hamburgerButtonRef = useRef(null)
   const mobileMenuRef = useRef(null)
   const moreMenuRef = useRef(null)
@@ -73,6 +78,22 @@ function Layout({ children, onExport, onImport }) {
     }
   }, [])
 
+  // Ctrl/Cmd+K opens the command palette from any page
+  useEffect(() => {
+    const handleShortcut = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault()
+        setPaletteOpen(true)
+      }
+    }
+
+    document.addEventListener('keydown', handleShortcut)
+    return () => document.removeEventListener('keydown', handleShortcut)
+  }, [])
+
+  const closePalette = useCallback(() => setPaletteOpen(false), [])
+  const closePaletteMessage = useCallback(() => setPaletteMessage(null), [])
+
   // TAB-NAV-22: Focus trap and Esc to close
   useEffect(() => {
     if (!mobileMenuOpen) {
@@ -227,6 +248,15 @@ function Layout({ children, onExport, onImport }) {
   // All tabs for desktop
   const tabs = [...primaryTabs, ...secondaryTabs]
 
+  // Pages the command palette can jump to
+  const palettePages = [
+    { path: '/', label: 'Home' },
+    ...tabs.map((tab) => ({
+      path: tab.path,
+      label: tab.label.replace(/\u00A0/g, ' ')
+    }))
+  ]
+
   return (
     <>
       <div className='planet-wrap'>
@@ -351,11 +381,13 @@ function Layout({ children, onExport, onImport }) {
 
           {/* TAB-NAV-10: Right Zone - Global Actions */}
           <div className='navbar-right'>
-            {/* TAB-NAV-10: Search icon (placeholder for future) */}
+            {/* TAB-NAV-10: Search opens the command palette */}
             <button
               className='icon-button'
+              onClick={() => setPaletteOpen(true)}
+              aria-haspopup='dialog'
               aria-label='Search'
-              title='Search (Coming soon)'
+              title='Search and quick capture (Ctrl+K)'
             >
               <Icon name='search' />
             </button>
@@ -394,7 +426,23 @@ function Layout({ children, onExport, onImport }) {
         mobileMenuRef={mobileMenuRef}
       />
 
-      <div className='shell'>{children}</div>
+      {paletteOpen && (
+        <CommandPalette
+          pages={palettePages}
+          onClose={closePalette}
+          onMessage={setPaletteMessage}
+        />
+      )}
+      <Toast
+        message={paletteMessage}
+        visible={Boolean(paletteMessage)}
+        onClose={closePaletteMessage}
+      />
+
+      <div className='shell'>
+        <ResumeRunBanner />
+        {children}
+      </div>
     </>
   )
 }
@@ -0,0 +1,273 @@
+import React, { useState, useEffect, useRef } from 'react'
+import PropTypes from 'prop-types'
+import { useNavigate } from 'react-router-dom'
+import { createTask } from '../../utils/tasksManager'
+import { createEvent } from '../../utils/scheduleManager'
+import { getHabits, completeHabit } from '../../utils/habitsManager'
+import { getRoutines } from '../../utils/routinesManager'
+import {
+  addNoteToStorage,
+  loadNotesFromStorage
+} from '../../utils/notes/noteOperations'
+import {
+  parseQuickCapture,
+  toQuickCaptureEvent
+} from '../../utils/quickCapture'
+import { rankPaletteItems, EXACT_MATCH_SCORE } from '../../utils/commandPalette'
+import { DEFAULT_TASK_QUADRANT } from '../../utils/taskConstants'
+import { createLogger } from '../../utils/logger'
+
+const logger = createLogger('CommandPalette')
+
+const MAX_MATCHES = 8
+const RESULTS_ID = 'command-palette-results'
+const optionId = (index) => `command-palette-option-${index}`
+
+/**
+ * Global command palette (Ctrl/Cmd+K)
+ * Captures a task, note or event from one line of text, checks in a habit,
+ * and jumps to a page, routine or note by fuzzy search. Mounted while open;
+ * focus goes back to where it was when it closes.
+ */
+function CommandPalette({ pages, onClose, onMessage }) {
+  const navigate = useNavigate()
+  const [query, setQuery] = useState('')
+  const [activeIndex, setActiveIndex] = useState(0)
+  const [sources, setSources] = useState({
+    routines: [],
+    notes: [],
+    habits: []
+  })
+  const inputRef = useRef(null)
+
+  useEffect(() => {
+    const previousFocus = document.activeElement
+    inputRef.current?.focus()
+    return () => previousFocus?.focus?.()
+  }, [])
+
+  useEffect(() => {
+    let isMounted = true
+    const loadSources = async () => {
+      try {
+        const [routines, habits] = await Promise.all([
+          getRoutines(),
+          getHabits({ status: 'active' })
+        ])
+        if (isMounted) {
+          setSources({ routines, habits, notes: loadNotesFromStorage() })
+        }
+      } catch (error) {
+        logger.error('Failed to load palette items:', error)
+      }
+    }
+    loadSources()
+    return () => {
+      isMounted = false
+    }
+  }, [])
+
+  const text = query.trim()
+  const capture = text ? parseQuickCapture(text) : null
+  const captureEvent = capture && toQuickCaptureEvent(capture)
+
+  const captureItems = capture?.text
+    ? [
+        {
+          id: 'add-task',
+          label: `Add task "${capture.text}"`,
+          group: 'Capture',
+          run: async () => {
+            await createTask(capture.quadrant || DEFAULT_TASK_QUADRANT, {
+              text: capture.text,
+              dueDate: capture.dueDate,
+              dueTime: capture.dueTime,
+              estimatedMinutes: capture.estimatedMinutes,
+              tags: capture.tags
+            })
+            return `Added task "${capture.text}"`
+          }
+        },
+        {
+          id: 'add-note',
+          label: `Add note "${text}"`,
+          group: 'Capture',
+          run: async () => {
+            addNoteToStorage({ title: text })
+            return `Added note "${text}" to Brain Dump`
+          }
+        },
+        ...(captureEvent
+          ? [
+              {
+                id: 'add-event',
+                label: `Add event "${captureEvent.title}" at ${captureEvent.startTime}`,
+                group: 'Capture',
+                run: async () => {
+                  await createEvent(captureEvent)
+                  return `Added "${captureEvent.title}" to the schedule at ${captureEvent.startTime}`
+                }
+              }
+            ]
+          : [])
+      ]
+    : []
+
+  const jumpItems = [
+    ...pages.map((page) => ({
+      id: `page-${page.path}`,
+      name: page.label,
+      label: `Go to ${page.label}`,
+      group: 'Page',
+      run: async () => navigate(page.path)
+    })),
+    ...sources.routines.map((routine) => {
+      const name = routine.title || routine.name || 'Untitled routine'
+      return {
+        id: `routine-${routine.id}`,
+        name,
+        label: `Start routine "${name}"`,
+        group: 'Routine',
+        run: async () =>
+          navigate('/routines', { state: { routineId: routine.id } })
+      }
+    }),
+    ...sources.notes.map((note) => ({
+      id: `note-${note.id}`,
+      name: note.title,
+      label: `Open note "${note.title}"`,
+      group: 'Note',
+      run: async () => navigate('/braindump', { state: { noteId: note.id } })
+    })),
+    ...sources.habits.map((habit) => ({
+      id: `habit-${habit.id}`,
+      name: habit.name,
+      label: `Check in "${habit.name}"`,
+      group: 'Habit',
+      run: async () => {
+        const result = await completeHabit(habit.id)
+        return result.xpEarned > 0
+          ? `Checked in "${habit.name}"`
+          : `"${habit.name}" is already checked in today`
+      }
+    }))
+  ]
+
+  // Names that contain the text as typed come before the capture actions,
+  // looser matches after them
+  const matches = rankPaletteItems(jumpItems, text).slice(0, MAX_MATCHES)
+  const items = [
+    ...matches.filter((item) => item.score >= EXACT_MATCH_SCORE),
+    ...captureItems,
+    ...matches.filter((item) => item.score < EXACT_MATCH_SCORE)
+  ]
+  const active = Math.min(activeIndex, items.length - 1)
+
+  const runItem = async (item) => {
+    onClose()
+    try {
+      const message = await item.run()
+      if (message) onMessage(message)
+    } catch (error) {
+      logger.error(`Failed to run "${item.label}":`, error)
+      onMessage(
+        `Could not ${item.label.charAt(0).toLowerCase()}${item.label.slice(1)}`
+      )
+    }
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault()
+      if (items.length === 0) return
+      const step = e.key === 'ArrowDown' ? 1 : -1
+      setActiveIndex((active + step + items.length) % items.length)
+    } else if (e.key === 'Enter') {
+      e.preventDefault()
+      if (items[active]) runItem(items[active])
+    } else if (e.key === 'Escape') {
+      e.preventDefault()
+      onClose()
+    } else if (e.key === 'Tab') {
+      // Keep focus in the palette; the results are chosen with the arrows
+      e.preventDefault()
+    }
+  }
+
+  return (
+    <div
+      className='modal-overlay command-palette-overlay'
+      role='presentation'
+      onClick={(e) => {
+        if (e.target === e.currentTarget) onClose()
+      }}
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') onClose()
+      }}
+    >
+      <div
+        className='modal-content command-palette'
+        role='dialog'
+        aria-modal='true'
+        aria-label='Command palette'
+      >
+        <input
+          ref={inputRef}
+          type='text'
+          className='command-palette-input'
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value)
+            setActiveIndex(0)
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder='Capture a thought or jump to…'
+          role='combobox'
+          aria-label='Search or capture'
+          aria-expanded={items.length > 0}
+          aria-controls={RESULTS_ID}
+          aria-autocomplete='list'
+          aria-activedescendant={
+            items.length > 0 ? optionId(active) : undefined
+          }
+        />
+        <ul id={RESULTS_ID} className='command-palette-results' role='listbox'>
+          {items.map((item, index) => (
+            // Options are chosen from the input with the arrow keys
+            // eslint-disable-next-line jsx-a11y/click-events-have-key-events
+            <li
+              key={item.id}
+              id={optionId(index)}
+              role='option'
+              tabIndex={-1}
+              aria-selected={index === active}
+              className={`command-palette-option ${index === active ? 'active' : ''}`}
+              onClick={() => runItem(item)}
+              onMouseMove={() => setActiveIndex(index)}
+            >
+              <span className='command-palette-label'>{item.label}</span>
+              <span className='command-palette-group small'>{item.group}</span>
+            </li>
+          ))}
+        </ul>
+        <p className='command-palette-hint small'>
+          Type to add a task or note; add a time such as 3pm for an event. ↑↓ to
+          choose, Enter to run, Esc to close.
+        </p>
+      </div>
+    </div>
+  )
+}
+
+CommandPalette.propTypes = {
+  pages: PropTypes.arrayOf(
+    PropTypes.shape({
+      path: PropTypes.string.isRequired,
+      label: PropTypes.string.isRequired
+    })
+  ).isRequired,
+  onClose: PropTypes.func.isRequired,
+  onMessage: PropTypes.func.isRequired
+}
+
+export default CommandPalette
@@ -0,0 +1,78 @@
+import React, { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import {
+  getActiveRoutineState,
+  clearRoutineState
+} from '../../utils/routinesManager'
+import { isIndexedDBAvailable } from '../../utils/indexedDBManager'
+import { createLogger } from '../../utils/logger'
+
+const logger = createLogger('ResumeRunBanner')
+
+/**
+ * Offer to resume a routine run interrupted by a reload or a tab crash
+ * Checked once when the app loads; the run itself is restored by the
+ * Routines page
+ */
+function ResumeRunBanner() {
+  const navigate = useNavigate()
+  const [run, setRun] = useState(null)
+
+  useEffect(() => {
+    if (!isIndexedDBAvailable()) return undefined
+    let isMounted = true
+    getActiveRoutineState()
+      .then((saved) => {
+        if (isMounted && saved) setRun(saved)
+      })
+      .catch((error) => logger.error('Failed to load routine run:', error))
+    return () => {
+      isMounted = false
+    }
+  }, [])
+
+  if (!run) return null
+
+  const title = run.routine.title || run.routine.name
+  const step = run.routine.steps[run.currentStepIndex]
+
+  const handleResume = () => {
+    setRun(null)
+    navigate('/routines', { state: { resumeRun: true } })
+  }
+
+  const handleDiscard = async () => {
+    setRun(null)
+    try {
+      await clearRoutineState()
+    } catch (error) {
+      logger.error('Failed to discard routine run:', error)
+    }
+  }
+
+  return (
+    <div
+      className='card resume-run'
+      role='region'
+      aria-label='Interrupted routine'
+    >
+      <div className='card-b'>
+        <span>
+          &ldquo;{title}&rdquo; was interrupted at step{' '}
+          {run.currentStepIndex + 1} of {run.routine.steps.length}
+          {step?.label ? ` (${step.label})` : ''}.
+        </span>
+        <div className='resume-run-actions'>
+          <button className='btn' onClick={handleResume}>
+            Resume where you left off
+          </button>
+          <button className='btn' onClick={handleDiscard}>
+            Discard
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ResumeRunBanner
@@ -7,6 +7,36 @@
 import React, { useState, useEffect } from 'react'
 import PropTypes from 'prop-types'
 import Icon from '../common/Icon'
+import { getRoutines } from '../../utils/routinesManager'
+import { isRoutineReference } from '../../utils/routineNesting'
+import { generateStepId } from '../../utils/idGenerator'
+import { createLogger } from '../../utils/logger'
+import {
+  STEP_CONDITION_TYPES,
+  STEP_GROUP_TYPES,
+  STEP_ENERGY_LEVELS,
+  WEEKDAY_NAMES,
+  createStepGroup,
+  describeStepCondition,
+  validateStepCondition,
+  validateStepGroup
+} from '../../utils/routineConditions'
+
+const logger = createLogger('TemplateEditor')
+
+const EMPTY_STEP_INPUT = {
+  label: '',
+  duration: '',
+  description: '',
+  conditionType: '',
+  days: [],
+  from: '',
+  to: '',
+  levels: [],
+  question: '',
+  groupType: '',
+  groupLabel: ''
+}
 
 /**
  * Convert a numeric string value to a number or null
@@ -21,6 +51,45 @@ function convertToNumberOrNull(value) {
   return null
 }
 
+/**
+ * Build the run-time condition entered for a step
+ * @param {object} stepInput - Step form fields
+ * @returns {object|null} Step condition, or null for a step that always runs
+ */
+function buildStepCondition(stepInput) {
+  switch (stepInput.conditionType) {
+    case STEP_CONDITION_TYPES.WEEKDAY:
+      return { type: stepInput.conditionType, days: stepInput.days }
+    case STEP_CONDITION_TYPES.TIME_OF_DAY:
+      return {
+        type: stepInput.conditionType,
+        from: stepInput.from,
+        to: stepInput.to
+      }
+    case STEP_CONDITION_TYPES.ENERGY:
+      return { type: stepInput.conditionType, levels: stepInput.levels }
+    case STEP_CONDITION_TYPES.PROMPT:
+      return {
+        type: stepInput.conditionType,
+        question: stepInput.question.trim()
+      }
+    default:
+      return null
+  }
+}
+
+/**
+ * Add a value to a list, or take it out when it is already there
+ * @param {Array} list - Current values
+ * @param {*} value - Value to toggle
+ * @returns {Array} New list
+ */
+function toggleValue(list, value) {
+  return list.includes(value)
+    ? list.filter((item) => item !== value)
+    : [...list, value]
+}
+
 function TemplateEditor({ template, onSave, onClose }) {
   const [formData, setFormData] = useState(() => {
     if (template) {
@@ -54,11 +123,9 @@ function TemplateEditor({ template, onSave, onClose }) {
   })
 
   const [tagInput, setTagInput] = useState('')
-  const [stepInput, setStepInput] = useState({
-    label: '',
-    duration: '',
-    description: ''
-  })
+  const [stepInput, setStepInput] = useState(EMPTY_STEP_INPUT)
+  const [routines, setRoutines] = useState([])
+  const [includedRoutineId, setIncludedRoutineId] = useState('')
   const [errors, setErrors] = useState({})
 
   // Sync form data with template prop
@@ -82,6 +149,19 @@ function TemplateEditor({ template, onSave, onClose }) {
     }
   }, [template])
 
+  // Routines a routine template can include as a step
+  useEffect(() => {
+    let isMounted = true
+    getRoutines()
+      .then((list) => {
+        if (isMounted) setRoutines(list)
+      })
+      .catch((error) => logger.error('Failed to load routines:', error))
+    return () => {
+      isMounted = false
+    }
+  }, [])
+
   const validateForm = () => {
     const newErrors = {}
 
@@ -111,10 +191,11 @@ function TemplateEditor({ template, onSave, onClose }) {
       ...formData,
       dueOffset: convertToNumberOrNull(formData.dueOffset),
       estimatedDuration: convertToNumberOrNull(formData.estimatedDuration),
-      steps: formData.steps.map((step) => ({
-        ...step,
-        duration: convertToNumberOrNull(step.duration)
-      }))
+      steps: formData.steps.map((step) =>
+        isRoutineReference(step)
+          ? step
+          : { ...step, duration: convertToNumberOrNull(step.duration) }
+      )
     }
 
     onSave(templateData)
@@ -139,21 +220,54 @@ function TemplateEditor({ template, onSave, onClose }) {
 
   const handleAddStep = () => {
     if (stepInput.label.trim()) {
+      const step = {
+        id: generateStepId(),
+        label: stepInput.label,
+        duration: parseInt(stepInput.duration) || 0,
+        description: stepInput.description
+      }
+      const condition = buildStepCondition(stepInput)
+      if (condition) step.condition = condition
+      if (stepInput.groupType) {
+        step.group = createStepGroup(stepInput.groupType, stepInput.groupLabel)
+      }
+
+      const stepErrors = [
+        ...(step.condition ? validateStepCondition(step.condition) : []),
+        ...(step.group ? validateStepGroup(step.group) : [])
+      ]
+      if (stepErrors.length > 0) {
+        setErrors({ ...errors, stepInput: stepErrors.join(', ') })
+        return
+      }
+
       setFormData({
         ...formData,
-        steps: [
-          ...formData.steps,
-          {
-            label: stepInput.label,
-            duration: parseInt(stepInput.duration) || 0,
-            description: stepInput.description
-          }
-        ]
+        steps: [...formData.steps, step]
       })
-      setStepInput({ label: '', duration: '', description: '' })
+      setStepInput(EMPTY_STEP_INPUT)
+      setErrors({ ...errors, stepInput: undefined })
     }
   }
 
+  // The included routine's steps are looked up when the routine runs
+  const handleIncludeRoutine = () => {
+    const routine = routines.find((r) => r.id === includedRoutineId)
+    if (!routine) return
+    setFormData({
+      ...formData,
+      steps: [
+        ...formData.steps,
+        {
+          id: generateStepId(),
+          label: routine.title || routine.name,
+          routineRef: routine.id
+        }
+      ]
+    })
+    setIncludedRoutineId('')
+  }
+
   const handleRemoveStep = (index) => {
     setFormData({
       ...formData,
@@ -360,11 +474,183 @@ function TemplateEditor({ template, onSave, onClose }) {
                     Add Step
                   </button>
                 </div>
+                <div className='step-input-container'>
+                  <label htmlFor='step-condition'>Runs</label>
+                  <select
+                    id='step-condition'
+                    value={stepInput.conditionType}
+                    onChange={(e) =>
+                      setStepInput({
+                        ...stepInput,
+                        conditionType: e.target.value
+                      })
+                    }
+                  >
+                    <option value=''>Always</option>
+                    <option value={STEP_CONDITION_TYPES.WEEKDAY}>
+                      On certain weekdays
+                    </option>
+                    <option value={STEP_CONDITION_TYPES.TIME_OF_DAY}>
+                      At a time of day
+                    </option>
+                    <option value={STEP_CONDITION_TYPES.ENERGY}>
+                      At an energy level
+                    </option>
+                    <option value={STEP_CONDITION_TYPES.PROMPT}>
+                      If I answer yes to…
+                    </option>
+                  </select>
+                  {stepInput.conditionType === STEP_CONDITION_TYPES.WEEKDAY &&
+                    WEEKDAY_NAMES.map((name, day) => (
+                      <label key={name} className='step-condition-option'>
+                        <input
+                          type='checkbox'
+                          checked={stepInput.days.includes(day)}
+                          onChange={() =>
+                            setStepInput({
+                              ...stepInput,
+                              days: toggleValue(stepInput.days, day)
+                            })
+                          }
+                        />
+                        {name}
+                      </label>
+                    ))}
+                  {stepInput.conditionType ===
+                    STEP_CONDITION_TYPES.TIME_OF_DAY && (
+                    <>
+                      <input
+                        type='time'
+                        value={stepInput.from}
+                        onChange={(e) =>
+                          setStepInput({ ...stepInput, from: e.target.value })
+                        }
+                        aria-label='Step runs from'
+                      />
+                      <input
+                        type='time'
+                        value={stepInput.to}
+                        onChange={(e) =>
+                          setStepInput({ ...stepInput, to: e.target.value })
+                        }
+                        aria-label='Step runs until'
+                      />
+                    </>
+                  )}
+                  {stepInput.conditionType === STEP_CONDITION_TYPES.ENERGY &&
+                    STEP_ENERGY_LEVELS.map((level) => (
+                      <label key={level} className='step-condition-option'>
+                        <input
+                          type='checkbox'
+                          checked={stepInput.levels.includes(level)}
+                          onChange={() =>
+                            setStepInput({
+                              ...stepInput,
+                              levels: toggleValue(stepInput.levels, level)
+                            })
+                          }
+                        />
+                        {level}
+                      </label>
+                    ))}
+                  {stepInput.conditionType === STEP_CONDITION_TYPES.PROMPT && (
+                    <input
+                      type='text'
+                      value={stepInput.question}
+                      onChange={(e) =>
+                        setStepInput({ ...stepInput, question: e.target.value })
+                      }
+                      placeholder='e.g., Is it raining?'
+                      aria-label='Question asked before the step'
+                    />
+                  )}
+                </div>
+                <div className='step-input-container'>
+                  <label htmlFor='step-group'>Group</label>
+                  <select
+                    id='step-group'
+                    value={stepInput.groupType}
+                    onChange={(e) =>
+                      setStepInput({ ...stepInput, groupType: e.target.value })
+                    }
+                  >
+                    <option value=''>None</option>
+                    <option value={STEP_GROUP_TYPES.OPTIONAL}>
+                      Optional group
+                    </option>
+                    <option value={STEP_GROUP_TYPES.CHOICE}>
+                      Choose one of
+                    </option>
+                  </select>
+                  {stepInput.groupType && (
+                    <input
+                      type='text'
+                      value={stepInput.groupLabel}
+                      onChange={(e) =>
+                        setStepInput({
+                          ...stepInput,
+                          groupLabel: e.target.value
+                        })
+                      }
+                      placeholder='Group name'
+                      aria-label='Group name'
+                    />
+                  )}
+                </div>
+                {routines.length > 0 && (
+                  <div className='step-input-container'>
+                    <label htmlFor='step-include-routine'>
+                      Include routine
+                    </label>
+                    <select
+                      id='step-include-routine'
+                      value={includedRoutineId}
+                      onChange={(e) => setIncludedRoutineId(e.target.value)}
+                    >
+                      <option value=''>Choose a routine</option>
+                      {routines.map((routine) => (
+                        <option key={routine.id} value={routine.id}>
+                          {routine.title || routine.name}
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      type='button'
+                      className='btn btn-sm'
+                      onClick={handleIncludeRoutine}
+                      disabled={!includedRoutineId}
+                    >
+                      Add Routine Step
+                    </button>
+                  </div>
+                )}
+                {errors.stepInput && (
+                  <span className='error-message' role='alert'>
+                    {errors.stepInput}
+                  </span>
+                )}
                 <div className='steps-list'>
                   {formData.steps.map((step, idx) => (
                     <div key={idx} className='step-item'>
                       <span className='step-label'>{step.label}</span>
-                      <span className='step-duration'>{step.duration}s</span>
+                      <span className='step-duration'>
+                        {isRoutineReference(step)
+                          ? 'Routine'
+                          : `${step.duration}s`}
+                      </span>
+                      {step.group && (
+                        <span className='step-rule small'>
+                          {step.group.type === STEP_GROUP_TYPES.CHOICE
+                            ? 'Choose one of'
+                            : 'Optional'}
+                          : {step.group.label}
+                        </span>
+                      )}
+                      {step.condition && (
+                        <span className='step-rule small'>
+                          {describeStepCondition(step.condition)}
+                        </span>
+                      )}
                       <button
                         type='button'
                         onClick={() => handleRemoveStep(idx)}
@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
+import {
+  getRoutine,
+  updateRoutine,
+  updateStep
+} from '../../utils/routinesManager'
+import { suggestStepDurations } from '../../utils/routineHistory'
+import { generateStepId } from '../../utils/idGenerator'
+import { formatDurationDisplay } from '../../utils/timeUtils'
+import { createLogger } from '../../utils/logger'
+
+const logger = createLogger('DurationSuggestions')
+
+// Steps of routines saved before every step had an ID get one in memory, so
+// suggestions can name them; the IDs are stored with the first accepted one
+async function loadWithStepIds(routineId) {
+  const routine = await getRoutine(routineId)
+  if (!routine) return { routine: null, stepIdsSaved: true }
+  return {
+    routine: {
+      ...routine,
+      steps: routine.steps.map((step) =>
+        step.id ? step : { ...step, id: generateStepId() }
+      )
+    },
+    stepIdsSaved: routine.steps.every((step) => step.id)
+  }
+}
+
+/**
+ * Planned step durations next to how long the steps took in recent runs
+ * Each suggestion is accepted (saved with updateStep) or rejected on its own;
+ * the routine is only written when the user accepts
+ */
+function DurationSuggestions({ routineId, runs, onClose }) {
+  const [routine, setRoutine] = useState(null)
+  const [stepIdsSaved, setStepIdsSaved] = useState(true)
+  const [pending, setPending] = useState(null)
+  const [reviewed, setReviewed] = useState(0)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let isMounted = true
+    loadWithStepIds(routineId)
+      .then((loaded) => {
+        if (!isMounted) return
+        if (!loaded.routine) {
+          setError('This routine no longer exists.')
+          return
+        }
+        setRoutine(loaded.routine)
+        setStepIdsSaved(loaded.stepIdsSaved)
+        setPending(suggestStepDurations(loaded.routine, runs))
+      })
+      .catch((loadError) => {
+        logger.error('Failed to load routine for suggestions:', loadError)
+        if (isMounted) setError('Could not load this routine.')
+      })
+    return () => {
+      isMounted = false
+    }
+  }, [routineId, runs])
+
+  const dismiss = (stepId) => {
+    setPending((current) => current.filter((item) => item.stepId !== stepId))
+    setReviewed((count) => count + 1)
+  }
+
+  const handleAccept = async (suggestion) => {
+    try {
+      if (stepIdsSaved) {
+        await updateStep(routineId, suggestion.stepId, {
+          duration: suggestion.suggestedSeconds
+        })
+      } else {
+        // Stores the step IDs given in memory along with the new duration
+        const updated = {
+          ...routine,
+          steps: routine.steps.map((step) =>
+            step.id === suggestion.stepId
+              ? { ...step, duration: suggestion.suggestedSeconds }
+              : step
+          )
+        }
+        await updateRoutine(updated)
+        setRoutine(updated)
+        setStepIdsSaved(true)
+      }
+      setError(null)
+      dismiss(suggestion.stepId)
+    } catch (updateError) {
+      logger.error('Failed to update step duration:', updateError)
+      setError(`Could not update "${suggestion.label}".`)
+    }
+  }
+
+  const title = routine?.title || routine?.name || 'this routine'
+
+  return (
+    <section
+      className='duration-suggestions'
+      aria-labelledby='duration-suggestions-title'
+    >
+      <h3 id='duration-suggestions-title'>Suggested durations for {title}</h3>
+      {error && (
+        <p className='duration-suggestions-error' role='alert'>
+          {error}
+        </p>
+      )}
+      {pending && pending.length === 0 && (
+        <p className='small'>
+          {reviewed > 0
+            ? 'All suggestions reviewed.'
+            : 'No changes to suggest: planned durations match recent runs, or there are not enough runs yet.'}
+        </p>
+      )}
+      {pending && pending.length > 0 && (
+        <ul className='duration-suggestions-list'>
+          {pending.map((suggestion) => (
+            <li key={suggestion.stepId}>
+              <div>
+                <strong>{suggestion.label}</strong>{' '}
+                <del aria-label='Planned'>
+                  {formatDurationDisplay(suggestion.currentSeconds)}
+                </del>{' '}
+                →{' '}
+                <ins aria-label='Suggested'>
+                  {formatDurationDisplay(suggestion.suggestedSeconds)}
+                </ins>
+                <div className='small'>
+                  Median of the last {suggestion.sampleCount} completed runs
+                </div>
+              </div>
+              <div className='duration-suggestions-actions'>
+                <button
+                  className='btn'
+                  onClick={() => handleAccept(suggestion)}
+                  aria-label={`Accept ${formatDurationDisplay(suggestion.suggestedSeconds)} for "${suggestion.label}"`}
+                >
+                  Accept
+                </button>
+                <button
+                  className='btn'
+                  onClick={() => dismiss(suggestion.stepId)}
+                  aria-label={`Reject suggestion for "${suggestion.label}"`}
+                >
+                  Reject
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+      <button className='btn' onClick={onClose}>
+        Close suggestions
+      </button>
+    </section>
+  )
+}
+
+DurationSuggestions.propTypes = {
+  routineId: PropTypes.string.isRequired,
+  runs: PropTypes.arrayOf(PropTypes.object).isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+export default DurationSuggestions
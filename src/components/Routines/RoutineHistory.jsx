@@ -0,0 +1,187 @@
+import React, { useState, useEffect } from 'react'
+import { getRoutineRuns, getStepAnalytics } from '../../utils/routineHistory'
+import DurationSuggestions from './DurationSuggestions'
+import { formatDurationDisplay } from '../../utils/timeUtils'
+import { createLogger } from '../../utils/logger'
+
+const logger = createLogger('RoutineHistory')
+
+// Number of recent runs listed below the step table
+const RECENT_RUN_COUNT = 10
+
+const formatRate = (rate) => `${Math.round(rate * 100)}%`
+
+const formatDay = (day) =>
+  new Date(`${day}T00:00:00Z`).toLocaleDateString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC'
+  })
+
+/**
+ * Recorded routine runs and per-step planned versus actual time
+ * Steps that run over or get skipped in at least half of their runs are
+ * listed first and marked. Durations can be suggested per routine from the
+ * runs, for the user to accept or reject.
+ */
+function RoutineHistory() {
+  const [runs, setRuns] = useState(null)
+  const [suggestingFor, setSuggestingFor] = useState(null)
+
+  useEffect(() => {
+    let isMounted = true
+    getRoutineRuns()
+      .then((records) => {
+        if (isMounted) setRuns(records)
+      })
+      .catch((error) => logger.error('Failed to load routine runs:', error))
+    return () => {
+      isMounted = false
+    }
+  }, [])
+
+  if (!runs) return null
+
+  if (runs.length === 0) {
+    return (
+      <p className='empty-state'>
+        No routine runs recorded yet. Finished runs show up here.
+      </p>
+    )
+  }
+
+  const steps = getStepAnalytics(runs)
+  const flagged = steps.filter(
+    (step) => step.oftenOverruns || step.oftenSkipped
+  )
+  const routines = [
+    ...new Map(runs.map((run) => [run.routineId, run.routineTitle])).entries()
+  ]
+
+  return (
+    <div className='routine-history'>
+      {flagged.length > 0 && (
+        <section aria-labelledby='routine-history-flagged'>
+          <h3 id='routine-history-flagged'>Steps to look at</h3>
+          <ul className='routine-history-flagged'>
+            {flagged.map((step) => (
+              <li key={step.key}>
+                <strong>{step.label}</strong>{' '}
+                <span className='small'>in {step.routineTitle}</span>
+                {step.oftenOverruns && (
+                  <div className='small'>
+                    Runs over in {step.overruns} of {step.completed} runs: takes{' '}
+                    {formatDurationDisplay(step.averageActualSeconds)} on
+                    average, {formatDurationDisplay(step.plannedSeconds)}{' '}
+                    planned
+                  </div>
+                )}
+                {step.oftenSkipped && (
+                  <div className='small'>
+                    Skipped in {step.skips} of {step.runs} runs
+                    {step.skipReasons.length > 0 &&
+                      ` (${step.skipReasons.join(', ')})`}
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      <section aria-labelledby='routine-history-suggest'>
+        <h3 id='routine-history-suggest'>Step durations</h3>
+        <p className='small'>
+          Compare planned step durations with how long the steps took in recent
+          runs.
+        </p>
+        <div className='routine-history-suggest'>
+          {routines.map(([routineId, routineTitle]) => (
+            <button
+              key={routineId}
+              className='btn'
+              onClick={() => setSuggestingFor(routineId)}
+              aria-pressed={suggestingFor === routineId}
+            >
+              Suggest durations for {routineTitle}
+            </button>
+          ))}
+        </div>
+        {suggestingFor && (
+          <DurationSuggestions
+            key={suggestingFor}
+            routineId={suggestingFor}
+            runs={runs}
+            onClose={() => setSuggestingFor(null)}
+          />
+        )}
+      </section>
+
+      <section aria-labelledby='routine-history-steps'>
+        <h3 id='routine-history-steps'>Steps</h3>
+        <table className='routine-history-table'>
+          <thead>
+            <tr>
+              <th scope='col'>Step</th>
+              <th scope='col'>Planned</th>
+              <th scope='col'>Average</th>
+              <th scope='col'>Over time</th>
+              <th scope='col'>Skipped</th>
+            </tr>
+          </thead>
+          <tbody>
+            {steps.map((step) => (
+              <tr
+                key={step.key}
+                className={
+                  step.oftenOverruns || step.oftenSkipped ? 'flagged' : ''
+                }
+              >
+                <th scope='row'>
+                  {step.label}
+                  <div className='small'>{step.routineTitle}</div>
+                </th>
+                <td>{formatDurationDisplay(step.plannedSeconds)}</td>
+                <td>
+                  {step.averageActualSeconds === null
+                    ? '—'
+                    : formatDurationDisplay(step.averageActualSeconds)}
+                </td>
+                <td>{formatRate(step.overrunRate)}</td>
+                <td>{formatRate(step.skipRate)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      <section aria-labelledby='routine-history-runs'>
+        <h3 id='routine-history-runs'>Recent runs</h3>
+        <ul className='routine-history-runs'>
+          {runs.slice(0, RECENT_RUN_COUNT).map((run) => {
+            const skipped = run.steps.filter(
+              (step) => step.status === 'skipped'
+            ).length
+            return (
+              <li key={run.id}>
+                <strong>{run.routineTitle}</strong>{' '}
+                <span className='small'>
+                  {formatDay(run.date)}
+                  {run.status === 'cancelled' && ' · Cancelled'} ·{' '}
+                  {formatDurationDisplay(run.actualSeconds)} of{' '}
+                  {formatDurationDisplay(run.plannedSeconds)} planned ·{' '}
+                  {run.steps.length - skipped} done, {skipped} skipped
+                  {run.pauses.length > 0 &&
+                    ` · ${run.pauses.length} ${run.pauses.length === 1 ? 'pause' : 'pauses'} (${formatDurationDisplay(run.pausedSeconds)})`}
+                </span>
+              </li>
+            )
+          })}
+        </ul>
+      </section>
+    </div>
+  )
+}
+
+export default RoutineHistory
@@ -0,0 +1,67 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import { STEP_GROUP_TYPES } from '../../utils/routineConditions'
+import { formatDurationDisplay } from '../../utils/timeUtils'
+
+/**
+ * Question asked before a conditional or grouped step starts
+ * Prompts and optional groups are answered yes or no; choice groups list
+ * the steps to pick from.
+ */
+function StepQuestion({ question, onAnswer }) {
+  let text = question.label
+  if (question.kind === STEP_GROUP_TYPES.OPTIONAL) {
+    text = `Do ${question.label} today?`
+  } else if (question.kind === STEP_GROUP_TYPES.CHOICE) {
+    text = `${question.label}: choose one`
+  }
+
+  return (
+    <div className='step-question' role='group' aria-label={text}>
+      <div className='step-title'>{text}</div>
+      <div className='controls'>
+        {question.kind === STEP_GROUP_TYPES.CHOICE ? (
+          question.options.map((option) => (
+            <button
+              key={option.stepIndex}
+              className='btn'
+              onClick={() => onAnswer(option.stepIndex)}
+            >
+              {option.label}
+              <span className='small'>
+                {formatDurationDisplay(option.duration)}
+              </span>
+            </button>
+          ))
+        ) : (
+          <>
+            <button className='btn' onClick={() => onAnswer(true)}>
+              Yes
+            </button>
+            <button className='btn' onClick={() => onAnswer(false)}>
+              No
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+StepQuestion.propTypes = {
+  question: PropTypes.shape({
+    kind: PropTypes.string.isRequired,
+    stepIndex: PropTypes.number.isRequired,
+    label: PropTypes.string.isRequired,
+    options: PropTypes.arrayOf(
+      PropTypes.shape({
+        stepIndex: PropTypes.number.isRequired,
+        label: PropTypes.string.isRequired,
+        duration: PropTypes.number
+      })
+    )
+  }).isRequired,
+  onAnswer: PropTypes.func.isRequired
+}
+
+export default StepQuestion
@@ -10,10 +10,35 @@ import {
   updateCalendarSubscription,
   syncCalendar
 } from '../../utils/calendarSubscriptionManager'
+import {
+  CALENDAR_SYNC_PAST_DAYS,
+  CALENDAR_SYNC_FUTURE_DAYS,
+  MAX_CALENDAR_SYNC_DAYS
+} from '../../utils/scheduleConstants'
 import { createLogger } from '../../utils/logger'
 
 const logger = createLogger('CalendarSubscriptionModal')
 
+const DEFAULT_FORM_DATA = {
+  name: '',
+  url: '',
+  color: '#86f5e0',
+  enabled: true,
+  syncPastDays: CALENDAR_SYNC_PAST_DAYS,
+  syncFutureDays: CALENDAR_SYNC_FUTURE_DAYS
+}
+
+/**
+ * Parse a sync window input into a whole number of days
+ * @param {string} value - Raw input value
+ * @returns {number} Days, clamped to the supported range
+ */
+const parseSyncDays = (value) => {
+  const parsed = parseInt(value, 10)
+  if (Number.isNaN(parsed)) return 0
+  return Math.min(Math.max(parsed, 0), MAX_CALENDAR_SYNC_DAYS)
+}
+
 /**
  * Modal for managing external calendar subscriptions
  */
@@ -23,12 +48,7 @@ function CalendarSubscriptionModal({ isOpen, onClose }) {
   const [error, setError] = useState('')
   const [showAddForm, setShowAddForm] = useState(false)
   const [confirmDelete, setConfirmDelete] = useState(null) // {id, name} when showing confirm dialog
-  const [formData, setFormData] = useState({
-    name: '',
-    url: '',
-    color: '#86f5e0',
-    enabled: true
-  })
+  const [formData, setFormData] = useState(DEFAULT_FORM_DATA)
 
   // Load subscriptions when modal opens
   useEffect(() => {
@@ -62,12 +82,7 @@ function CalendarSubscriptionModal({ isOpen, onClose }) {
     setError('')
     try {
       await addCalendarSubscription(formData)
-      setFormData({
-        name: '',
-        url: '',
-        color: '#86f5e0',
-        enabled: true
-      })
+      setFormData(DEFAULT_FORM_DATA)
       setShowAddForm(false)
       await loadSubscriptions()
       logger.log('Calendar subscription added successfully')
@@ -229,18 +244,53 @@ function CalendarSubscriptionModal({ isOpen, onClose }) {
               />
             </div>
 
+            <div className='form-row'>
+              <div className='form-group'>
+                <label htmlFor='calendar-sync-past'>Days back</label>
+                <input
+                  id='calendar-sync-past'
+                  type='number'
+                  min='0'
+                  max={MAX_CALENDAR_SYNC_DAYS}
+                  value={formData.syncPastDays}
+                  onChange={(e) =>
+                    setFormData({
+                      ...formData,
+                      syncPastDays: parseSyncDays(e.target.value)
+                    })
+                  }
+                  disabled={isLoading}
+                />
+              </div>
+              <div className='form-group'>
+                <label htmlFor='calendar-sync-future'>Days ahead</label>
+                <input
+                  id='calendar-sync-future'
+                  type='number'
+                  min='0'
+                  max={MAX_CALENDAR_SYNC_DAYS}
+                  value={formData.syncFutureDays}
+                  onChange={(e) =>
+                    setFormData({
+                      ...formData,
+                      syncFutureDays: parseSyncDays(e.target.value)
+                    })
+                  }
+                  disabled={isLoading}
+                />
+              </div>
+            </div>
+            <small className='form-help'>
+              Repeating events are imported within this range around today
+            </small>
+
             <div className='form-actions'>
               <button
                 type='button'
                 className='btn btn-secondary'
                 onClick={() => {
                   setShowAddForm(false)
-                  setFormData({
-                    name: '',
-                    url: '',
-                    color: '#86f5e0',
-                    enabled: true
-                  })
+                  setFormData(DEFAULT_FORM_DATA)
                 }}
                 disabled={isLoading}
               >
@@ -0,0 +1,27 @@
+/**
+ * Conflict Badge - Warning marker for events that overlap other events
+ */
+
+import React from 'react'
+import PropTypes from 'prop-types'
+
+function ConflictBadge({ conflicts }) {
+  if (!conflicts || conflicts.length === 0) {
+    return null
+  }
+
+  const label = `Conflicts with ${conflicts.join(', ')}`
+  return (
+    <span className='event-conflict-badge' role='img' aria-label={label}>
+      <span aria-hidden='true' title={label}>
+        ⚠️ {conflicts.length}
+      </span>
+    </span>
+  )
+}
+
+ConflictBadge.propTypes = {
+  conflicts: PropTypes.arrayOf(PropTypes.string)
+}
+
+export default ConflictBadge
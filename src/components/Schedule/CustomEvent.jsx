@@ -6,6 +6,7 @@
 import React from 'react'
 import PropTypes from 'prop-types'
 import { VALID_EVENT_TYPES } from '../../utils/scheduleConstants'
+import ConflictBadge from './ConflictBadge'
 
 function CustomEvent({ event }) {
   const { title, resource } = event
@@ -26,6 +27,7 @@ function CustomEvent({ event }) {
           here and do NOT use dangerouslySetInnerHTML. If this title needs HTML rendering in
           the future, it MUST be sanitized first with DOMPurify or equivalent. */}
       <div className='event-title'>{title}</div>
+      <ConflictBadge conflicts={resource?.conflicts} />
       {hasPreActivities && (
         <div className='event-pre-activities'>
           {prepTime > 0 && (
@@ -56,7 +58,8 @@ CustomEvent.propTypes = {
     resource: PropTypes.shape({
       type: PropTypes.string,
       preparationTime: PropTypes.number,
-      travelTime: PropTypes.number
+      travelTime: PropTypes.number,
+      conflicts: PropTypes.arrayOf(PropTypes.string)
     })
   }).isRequired
 }
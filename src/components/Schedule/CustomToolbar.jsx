@@ -15,6 +15,9 @@ function CustomToolbar({
   onNavigate,
   onView,
   onScheduleEvent,
+  onImportICS,
+  onExportICS,
+  onPlanDay,
   EVENT_TYPES
 }) {
   const viewLabels = {
@@ -102,6 +105,47 @@ function CustomToolbar({
           </select>
         </div>
 
+        {/* iCalendar import/export */}
+        {(onImportICS || onExportICS) && (
+          <div className='ics-buttons'>
+            {onImportICS && (
+              <button
+                type='button'
+                onClick={onImportICS}
+                className='btn-secondary'
+                aria-label='Import events from an .ics file'
+              >
+                <Icon name='upload' />
+                Import .ics
+              </button>
+            )}
+            {onExportICS && (
+              <button
+                type='button'
+                onClick={onExportICS}
+                className='btn-secondary'
+                aria-label='Export schedule as an .ics file'
+              >
+                <Icon name='download' />
+                Export .ics
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* Auto-schedule tasks into free time */}
+        {onPlanDay && (
+          <button
+            type='button'
+            onClick={onPlanDay}
+            className='btn-secondary'
+            aria-label='Plan my day'
+          >
+            <Icon name='target' />
+            Plan my day
+          </button>
+        )}
+
         {/* Schedule event button */}
         <button
           type='button'
@@ -124,6 +168,9 @@ CustomToolbar.propTypes = {
   onNavigate: PropTypes.func.isRequired,
   onView: PropTypes.func.isRequired,
   onScheduleEvent: PropTypes.func.isRequired,
+  onImportICS: PropTypes.func,
+  onExportICS: PropTypes.func,
+  onPlanDay: PropTypes.func,
   EVENT_TYPES: PropTypes.object.isRequired
 }
 
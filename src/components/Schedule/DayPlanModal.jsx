@@ -0,0 +1,137 @@
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+import Modal from '../common/Modal'
+import Icon from '../common/Icon'
+import { timeToMinutes, minutesToTime } from '../../utils/timeUtils'
+import { ENERGY_LEVELS } from '../../utils/scheduleConstants'
+
+const ENERGY_LABELS = {
+  [ENERGY_LEVELS.HIGH]: 'High energy',
+  [ENERGY_LEVELS.LOW]: 'Low energy'
+}
+
+/**
+ * Preview of a "Plan my day" proposal
+ * Each proposed block can be left out or moved before anything is created
+ */
+function DayPlanModal({ plan, onAccept, onReject }) {
+  // Every proposal starts included
+  const [items, setItems] = useState(() =>
+    plan.items.map((item) => ({ ...item, included: true }))
+  )
+
+  const updateItem = (taskId, changes) => {
+    setItems((current) =>
+      current.map((item) =>
+        item.taskId === taskId ? { ...item, ...changes } : item
+      )
+    )
+  }
+
+  const handleStartTimeChange = (item, startTime) => {
+    if (!startTime) return
+    updateItem(item.taskId, {
+      startTime,
+      endTime: minutesToTime(timeToMinutes(startTime) + item.duration)
+    })
+  }
+
+  const selectedItems = items.filter((item) => item.included)
+
+  return (
+    <Modal
+      isOpen
+      onClose={onReject}
+      title='Plan my day'
+      className='day-plan-modal'
+    >
+      <div className='day-plan'>
+        {items.length === 0 ? (
+          <div className='day-plan-empty'>
+            <Icon name='inbox' />
+            <p>No open tasks fit into this day</p>
+          </div>
+        ) : (
+          <ul className='day-plan-list' aria-label='Proposed schedule'>
+            {items.map((item) => (
+              <li
+                key={item.taskId}
+                className={`day-plan-item${item.included ? '' : ' excluded'}`}
+              >
+                <input
+                  type='checkbox'
+                  checked={item.included}
+                  onChange={(e) =>
+                    updateItem(item.taskId, { included: e.target.checked })
+                  }
+                  aria-label={`Include ${item.title}`}
+                />
+                <input
+                  type='time'
+                  value={item.startTime}
+                  step={900}
+                  onChange={(e) => handleStartTimeChange(item, e.target.value)}
+                  disabled={!item.included}
+                  aria-label={`Start time for ${item.title}`}
+                />
+                <div className='day-plan-item-info'>
+                  <span className='day-plan-item-title'>{item.title}</span>
+                  <span className='day-plan-item-meta'>
+                    {item.startTime}–{item.endTime} · {item.duration} min
+                    {!item.isEstimated && ' (default estimate)'}
+                    {item.quadrantLabel && ` · ${item.quadrantLabel}`}
+                    {item.energy && ` · ${ENERGY_LABELS[item.energy]}`}
+                  </span>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {plan.unplaced.length > 0 && (
+          <div className='day-plan-unplaced'>
+            <h3>Didn&apos;t fit today</h3>
+            <ul>
+              {plan.unplaced.map((task) => (
+                <li key={task.taskId}>
+                  {task.title} · {task.duration} min
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className='form-actions'>
+          <button
+            type='button'
+            className='btn btn-secondary'
+            onClick={onReject}
+          >
+            Discard plan
+          </button>
+          <button
+            type='button'
+            className='btn btn-primary'
+            onClick={() => onAccept(selectedItems)}
+            disabled={selectedItems.length === 0}
+          >
+            <Icon name='check' />
+            Add {selectedItems.length} to schedule
+          </button>
+        </div>
+      </div>
+    </Modal>
+  )
+}
+
+DayPlanModal.propTypes = {
+  plan: PropTypes.shape({
+    day: PropTypes.string.isRequired,
+    items: PropTypes.arrayOf(PropTypes.object).isRequired,
+    unplaced: PropTypes.arrayOf(PropTypes.object).isRequired
+  }).isRequired,
+  onAccept: PropTypes.func.isRequired,
+  onReject: PropTypes.func.isRequired
+}
+
+export default DayPlanModal
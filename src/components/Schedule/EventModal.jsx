@@ -3,14 +3,18 @@ import PropTypes from 'prop-types'
 import Modal from '../common/Modal'
 import Icon from '../common/Icon'
 import SearchableEventSelector from './SearchableEventSelector'
+import RecurrenceEditor from './RecurrenceEditor'
+import { RECURRENCE_SCOPE_OPTIONS } from './RecurrenceScopeModal'
 import { getCurrentDateISO } from '../../utils/timeUtils'
 import {
   EVENT_TYPES,
   VALID_EVENT_TYPES,
   MAX_TRAVEL_TIME_MINUTES,
-  MAX_PREPARATION_TIME_MINUTES
+  MAX_PREPARATION_TIME_MINUTES,
+  RECURRENCE_EDIT_SCOPES
 } from '../../utils/scheduleConstants'
 import { instantiateRoutineFromTemplate } from '../../utils/scheduleHelpers'
+import { normalizeRecurrence } from '../../utils/recurrence'
 import { createLogger } from '../../utils/logger'
 
 const logger = createLogger('EventModal')
@@ -57,7 +61,9 @@ function EventModal({
   onClose,
   onSave,
   eventType,
-  initialData = null
+  initialData = null,
+  getBufferWarning = null,
+  getConflictWarning = null
 }) {
   // Validate eventType and use default if invalid
   // Note: PropTypes validation will also warn about invalid types in development
@@ -72,11 +78,15 @@ function EventModal({
     endTime: '10:00',
     type: validatedEventType,
     travelTime: 0,
-    preparationTime: 0
+    preparationTime: 0,
+    recurrence: null
   })
+  const [editScope, setEditScope] = useState(RECURRENCE_EDIT_SCOPES.THIS)
   const [error, setError] = useState('')
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [showManualForm, setShowManualForm] = useState(false)
+  const [bufferWarning, setBufferWarning] = useState('')
+  const [conflictWarning, setConflictWarning] = useState('')
   const titleInputRef = useRef(null)
 
   // Reset form when modal opens or event type changes
@@ -90,7 +100,8 @@ function EventModal({
           endTime: initialData.endTime || '10:00',
           type: initialData.type || validatedEventType,
           travelTime: initialData.travelTime || 0,
-          preparationTime: initialData.preparationTime || 0
+          preparationTime: initialData.preparationTime || 0,
+          recurrence: initialData.recurrence || null
         })
         setShowManualForm(true) // Show form directly if editing
       } else {
@@ -101,7 +112,8 @@ function EventModal({
           endTime: '10:00',
           type: validatedEventType,
           travelTime: 0,
-          preparationTime: 0
+          preparationTime: 0,
+          recurrence: null
         })
         // For routine/task, start with search; for meeting/habit, show form directly
         setShowManualForm(
@@ -109,6 +121,7 @@ function EventModal({
             validatedEventType === EVENT_TYPES.HABIT
         )
       }
+      setEditScope(RECURRENCE_EDIT_SCOPES.THIS)
       setError('')
     }
   }, [isOpen, eventType, initialData, validatedEventType])
@@ -124,6 +137,81 @@ function EventModal({
     }
   }, [isOpen, initialData])
 
+  // Warn when travel/preparation time runs into the previous event
+  const { day, startTime, endTime, travelTime, preparationTime } = formData
+  useEffect(() => {
+    if (!isOpen || !getBufferWarning || !(travelTime || preparationTime)) {
+      setBufferWarning('')
+      return
+    }
+
+    let isCurrent = true
+    getBufferWarning({
+      id: initialData?.id,
+      day,
+      startTime,
+      endTime,
+      travelTime,
+      preparationTime
+    })
+      .then((warning) => {
+        if (isCurrent) setBufferWarning(warning || '')
+      })
+      .catch((err) => {
+        logger.error('Failed to check buffer overlap:', err)
+      })
+    return () => {
+      isCurrent = false
+    }
+  }, [
+    isOpen,
+    getBufferWarning,
+    initialData,
+    day,
+    startTime,
+    endTime,
+    travelTime,
+    preparationTime
+  ])
+
+  // Warn before saving when the event overlaps other events
+  useEffect(() => {
+    if (!isOpen || !getConflictWarning || !day || !startTime) {
+      setConflictWarning('')
+      return
+    }
+
+    let isCurrent = true
+    getConflictWarning({
+      id: initialData?.id,
+      occurrenceDay: initialData?.occurrenceDay,
+      displayTimeZone: initialData?.displayTimeZone,
+      day,
+      startTime,
+      endTime,
+      travelTime,
+      preparationTime
+    })
+      .then((warning) => {
+        if (isCurrent) setConflictWarning(warning || '')
+      })
+      .catch((err) => {
+        logger.error('Failed to check conflicts:', err)
+      })
+    return () => {
+      isCurrent = false
+    }
+  }, [
+    isOpen,
+    getConflictWarning,
+    initialData,
+    day,
+    startTime,
+    endTime,
+    travelTime,
+    preparationTime
+  ])
+
   const handleChange = (field, value) => {
     setFormData((prev) => ({ ...prev, [field]: value }))
     setError('')
@@ -194,6 +282,16 @@ function EventModal({
       }
     }
 
+    // Validate recurrence rule (custom RRULE strings in particular)
+    if (formData.recurrence) {
+      try {
+        normalizeRecurrence(formData.recurrence)
+      } catch (err) {
+        setError(`Invalid recurrence: ${err.message}`)
+        return false
+      }
+    }
+
     return true
   }
 
@@ -204,10 +302,21 @@ function EventModal({
     setIsSubmitting(true)
     try {
       // Trim title before saving to prevent whitespace issues
+      // Recurrence is only sent when set, or when clearing an existing rule
+      const { recurrence, ...fields } = formData
       const trimmedData = {
-        ...formData,
+        ...fields,
         title: formData.title.trim(),
-        ...(initialData?.id ? { id: initialData.id } : {})
+        ...(initialData?.id ? { id: initialData.id } : {}),
+        ...(recurrence || initialData?.recurrence ? { recurrence } : {}),
+        ...(initialData?.isOccurrence
+          ? {
+              isOccurrence: true,
+              recurringEventId: initialData.recurringEventId,
+              occurrenceDay: initialData.occurrenceDay,
+              editScope
+            }
+          : {})
       }
       await onSave(trimmedData)
       onClose()
@@ -241,7 +350,8 @@ function EventModal({
           endTime: '10:00',
           type: validatedEventType,
           travelTime: 0,
-          preparationTime: 0
+          preparationTime: 0,
+          recurrence: null
         })
       } catch (err) {
         logger.error('Failed to instantiate routine from template:', err)
@@ -254,7 +364,8 @@ function EventModal({
           endTime: '10:00',
           type: validatedEventType,
           travelTime: 0,
-          preparationTime: 0
+          preparationTime: 0,
+          recurrence: null
         })
         setShowManualForm(false)
         return
@@ -267,7 +378,8 @@ function EventModal({
         endTime: '10:00',
         type: validatedEventType,
         travelTime: 0,
-        preparationTime: 0
+        preparationTime: 0,
+        recurrence: null
       })
     }
     setShowManualForm(true)
@@ -418,6 +530,46 @@ function EventModal({
             </div>
           </div>
 
+          {bufferWarning && (
+            <div className='form-warning' role='status'>
+              <Icon name='alertCircle' />
+              <span>{bufferWarning}</span>
+            </div>
+          )}
+
+          {conflictWarning && (
+            <div className='form-warning' role='status'>
+              <Icon name='alertCircle' />
+              <span>{conflictWarning}</span>
+            </div>
+          )}
+
+          <RecurrenceEditor
+            value={formData.recurrence}
+            onChange={(value) => handleChange('recurrence', value)}
+            startDay={formData.day}
+            disabled={isSubmitting}
+          />
+
+          {initialData?.isOccurrence && (
+            <fieldset className='form-group recurrence-scope'>
+              <legend>Apply changes to</legend>
+              {RECURRENCE_SCOPE_OPTIONS.map(({ value, label }) => (
+                <label key={value} className='recurrence-scope-option'>
+                  <input
+                    type='radio'
+                    name='event-recurrence-scope'
+                    value={value}
+                    checked={editScope === value}
+                    onChange={() => setEditScope(value)}
+                    disabled={isSubmitting}
+                  />
+                  {label}
+                </label>
+              ))}
+            </fieldset>
+          )}
+
           <div className='form-actions'>
             <button
               type='button'
@@ -465,8 +617,15 @@ EventModal.propTypes = {
     endTime: PropTypes.string,
     type: PropTypes.string,
     travelTime: PropTypes.number,
-    preparationTime: PropTypes.number
-  })
+    preparationTime: PropTypes.number,
+    recurrence: PropTypes.object,
+    isOccurrence: PropTypes.bool,
+    recurringEventId: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    occurrenceDay: PropTypes.string
+  }),
+  // Resolves to a warning when the buffers overlap the previous event
+  getBufferWarning: PropTypes.func,
+  getConflictWarning: PropTypes.func
 }
 
 export default EventModal
@@ -0,0 +1,245 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import {
+  RECURRENCE_FREQUENCIES,
+  RRULE_WEEKDAYS
+} from '../../utils/scheduleConstants'
+import { describeRecurrence, normalizeRecurrence } from '../../utils/recurrence'
+
+const WEEKDAY_LABELS = {
+  MO: 'Mon',
+  TU: 'Tue',
+  WE: 'Wed',
+  TH: 'Thu',
+  FR: 'Fri',
+  SA: 'Sat',
+  SU: 'Sun'
+}
+
+const INTERVAL_UNITS = {
+  [RECURRENCE_FREQUENCIES.DAILY]: 'day(s)',
+  [RECURRENCE_FREQUENCIES.WEEKLY]: 'week(s)',
+  [RECURRENCE_FREQUENCIES.MONTHLY]: 'month(s)'
+}
+
+/**
+ * Get the RRULE weekday code for a YYYY-MM-DD day
+ * @param {string} day - Day in YYYY-MM-DD format
+ * @returns {string} Weekday code ('MO' ... 'SU')
+ */
+const getWeekdayCode = (day) => {
+  const date = new Date(`${day}T00:00:00Z`)
+  if (Number.isNaN(date.getTime())) return RRULE_WEEKDAYS[0]
+  return RRULE_WEEKDAYS[(date.getUTCDay() + 6) % 7]
+}
+
+/**
+ * Human-readable summary of the current editor values
+ * Falls back to a hint while the values do not yet form a valid rule
+ */
+const getSummary = (value) => {
+  try {
+    return describeRecurrence(normalizeRecurrence(value))
+  } catch {
+    return 'Enter a valid recurrence rule'
+  }
+}
+
+/**
+ * Recurrence editor for schedule events
+ * Supports daily, weekly on chosen days, monthly and custom RRULE strings,
+ * each optionally ending on a date or after a number of occurrences
+ */
+function RecurrenceEditor({ value, onChange, startDay, disabled = false }) {
+  const frequency = value?.frequency || RECURRENCE_FREQUENCIES.NONE
+  const endType = value?.until ? 'until' : value?.count ? 'count' : 'never'
+
+  const update = (changes) => {
+    onChange({ ...value, ...changes })
+  }
+
+  const handleFrequencyChange = (nextFrequency) => {
+    if (nextFrequency === RECURRENCE_FREQUENCIES.NONE) {
+      onChange(null)
+      return
+    }
+    onChange({
+      frequency: nextFrequency,
+      interval: value?.interval || 1,
+      byDay:
+        nextFrequency === RECURRENCE_FREQUENCIES.WEEKLY
+          ? value?.byDay?.length
+            ? value.byDay
+            : [getWeekdayCode(startDay)]
+          : [],
+      until: value?.until || null,
+      count: value?.count || null,
+      rrule: value?.rrule || ''
+    })
+  }
+
+  const handleEndTypeChange = (nextEndType) => {
+    update({
+      until: nextEndType === 'until' ? startDay : null,
+      count: nextEndType === 'count' ? 10 : null
+    })
+  }
+
+  const toggleWeekday = (code) => {
+    const byDay = value?.byDay || []
+    update({
+      byDay: byDay.includes(code)
+        ? byDay.filter((day) => day !== code)
+        : [...byDay, code]
+    })
+  }
+
+  const isCustom = frequency === RECURRENCE_FREQUENCIES.CUSTOM
+
+  return (
+    <div className='recurrence-editor'>
+      <div className='form-group'>
+        <label htmlFor='event-recurrence'>Repeat</label>
+        <select
+          id='event-recurrence'
+          value={frequency}
+          onChange={(e) => handleFrequencyChange(e.target.value)}
+          disabled={disabled}
+        >
+          <option value={RECURRENCE_FREQUENCIES.NONE}>Does not repeat</option>
+          <option value={RECURRENCE_FREQUENCIES.DAILY}>Daily</option>
+          <option value={RECURRENCE_FREQUENCIES.WEEKLY}>Weekly</option>
+          <option value={RECURRENCE_FREQUENCIES.MONTHLY}>Monthly</option>
+          <option value={RECURRENCE_FREQUENCIES.CUSTOM}>Custom (RRULE)</option>
+        </select>
+      </div>
+
+      {frequency !== RECURRENCE_FREQUENCIES.NONE && !isCustom && (
+        <div className='form-group'>
+          <label htmlFor='event-recurrence-interval'>
+            Every {INTERVAL_UNITS[frequency]}
+          </label>
+          <input
+            id='event-recurrence-interval'
+            type='number'
+            min='1'
+            value={value?.interval || 1}
+            onChange={(e) => {
+              const parsed = parseInt(e.target.value, 10)
+              update({
+                interval: Number.isNaN(parsed) ? 1 : Math.max(1, parsed)
+              })
+            }}
+            disabled={disabled}
+          />
+        </div>
+      )}
+
+      {frequency === RECURRENCE_FREQUENCIES.WEEKLY && (
+        <fieldset className='form-group recurrence-weekdays'>
+          <legend>Repeat on</legend>
+          {RRULE_WEEKDAYS.map((code) => (
+            <label key={code} className='recurrence-weekday'>
+              <input
+                type='checkbox'
+                checked={(value?.byDay || []).includes(code)}
+                onChange={() => toggleWeekday(code)}
+                disabled={disabled}
+              />
+              {WEEKDAY_LABELS[code]}
+            </label>
+          ))}
+        </fieldset>
+      )}
+
+      {isCustom && (
+        <div className='form-group'>
+          <label htmlFor='event-recurrence-rrule'>RRULE</label>
+          <input
+            id='event-recurrence-rrule'
+            type='text'
+            value={value?.rrule || ''}
+            onChange={(e) => update({ rrule: e.target.value })}
+            placeholder='FREQ=WEEKLY;BYDAY=MO,WE,FR'
+            disabled={disabled}
+            aria-describedby='event-recurrence-rrule-help'
+          />
+          <small id='event-recurrence-rrule-help' className='form-help'>
+            RFC 5545 rule, e.g. FREQ=MONTHLY;BYDAY=-1FR for the last Friday
+          </small>
+        </div>
+      )}
+
+      {frequency !== RECURRENCE_FREQUENCIES.NONE && !isCustom && (
+        <div className='form-row'>
+          <div className='form-group'>
+            <label htmlFor='event-recurrence-end'>Ends</label>
+            <select
+              id='event-recurrence-end'
+              value={endType}
+              onChange={(e) => handleEndTypeChange(e.target.value)}
+              disabled={disabled}
+            >
+              <option value='never'>Never</option>
+              <option value='until'>On a day</option>
+              <option value='count'>After a number of times</option>
+            </select>
+          </div>
+          {endType === 'until' && (
+            <div className='form-group'>
+              <label htmlFor='event-recurrence-until'>Last day</label>
+              <input
+                id='event-recurrence-until'
+                type='date'
+                value={value.until}
+                min={startDay}
+                onChange={(e) => update({ until: e.target.value || null })}
+                disabled={disabled}
+              />
+            </div>
+          )}
+          {endType === 'count' && (
+            <div className='form-group'>
+              <label htmlFor='event-recurrence-count'>Occurrences</label>
+              <input
+                id='event-recurrence-count'
+                type='number'
+                min='1'
+                value={value.count}
+                onChange={(e) => {
+                  const parsed = parseInt(e.target.value, 10)
+                  update({
+                    count: Number.isNaN(parsed) ? 1 : Math.max(1, parsed)
+                  })
+                }}
+                disabled={disabled}
+              />
+            </div>
+          )}
+        </div>
+      )}
+
+      {frequency !== RECURRENCE_FREQUENCIES.NONE && (
+        <small className='form-help' aria-live='polite'>
+          {getSummary(value)}
+        </small>
+      )}
+    </div>
+  )
+}
+
+RecurrenceEditor.propTypes = {
+  value: PropTypes.shape({
+    frequency: PropTypes.string,
+    interval: PropTypes.number,
+    byDay: PropTypes.arrayOf(PropTypes.string),
+    until: PropTypes.string,
+    count: PropTypes.number,
+    rrule: PropTypes.string
+  }),
+  onChange: PropTypes.func.isRequired,
+  startDay: PropTypes.string.isRequired,
+  disabled: PropTypes.bool
+}
+
+export default RecurrenceEditor
@@ -0,0 +1,48 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import Modal from '../common/Modal'
+import { RECURRENCE_EDIT_SCOPES } from '../../utils/scheduleConstants'
+
+export const RECURRENCE_SCOPE_OPTIONS = [
+  { value: RECURRENCE_EDIT_SCOPES.THIS, label: 'This event' },
+  {
+    value: RECURRENCE_EDIT_SCOPES.FOLLOWING,
+    label: 'This and following events'
+  },
+  { value: RECURRENCE_EDIT_SCOPES.ALL, label: 'All events' }
+]
+
+/**
+ * Asks which occurrences of a recurring event an action applies to
+ * Used when deleting an occurrence; edits pick the scope inside EventModal
+ */
+function RecurrenceScopeModal({ isOpen, title, onSelect, onCancel }) {
+  return (
+    <Modal isOpen={isOpen} onClose={onCancel} title={title}>
+      <div className='recurrence-scope-options'>
+        {RECURRENCE_SCOPE_OPTIONS.map(({ value, label }) => (
+          <button
+            key={value}
+            type='button'
+            className='btn btn-secondary'
+            onClick={() => onSelect(value)}
+          >
+            {label}
+          </button>
+        ))}
+        <button type='button' className='btn btn-secondary' onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </Modal>
+  )
+}
+
+RecurrenceScopeModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  title: PropTypes.string.isRequired,
+  onSelect: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+}
+
+export default RecurrenceScopeModal
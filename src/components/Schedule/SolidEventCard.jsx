@@ -15,11 +15,69 @@
 
 import React from 'react'
 import PropTypes from 'prop-types'
-import { VALID_EVENT_TYPES } from '../../utils/scheduleConstants'
+import {
+  VALID_EVENT_TYPES,
+  EVENT_BUFFER_TYPES
+} from '../../utils/scheduleConstants'
+import ConflictBadge from './ConflictBadge'
 import './SolidEventCard.css'
 
+const BUFFER_ICONS = {
+  [EVENT_BUFFER_TYPES.PREPARATION]: '🎯',
+  [EVENT_BUFFER_TYPES.TRAVEL]: '🚗'
+}
+
+/**
+ * Shaded block for the travel or preparation time in front of an event
+ * Rendered for RBC background events, which sit directly above their event
+ */
+function EventBuffer({ event }) {
+  const { title, resource } = event
+  const bufferType = BUFFER_ICONS[resource.bufferType]
+    ? resource.bufferType
+    : EVENT_BUFFER_TYPES.TRAVEL
+  const overlapsEvent = resource.overlapsEvent
+
+  return (
+    <div
+      className={`event-buffer event-buffer-${bufferType}${overlapsEvent ? ' event-buffer-overlap' : ''}`}
+      role='note'
+      aria-label={`${title != null ? String(title) : ''} (${resource.minutes} min)`}
+    >
+      <span className='event-buffer-label'>
+        {BUFFER_ICONS[bufferType]} {resource.minutes}m
+      </span>
+      {overlapsEvent && (
+        <span
+          className='event-buffer-warning'
+          role='img'
+          aria-label={`Overlaps ${overlapsEvent}`}
+          title={`Overlaps "${overlapsEvent}"`}
+        >
+          ⚠️
+        </span>
+      )}
+    </div>
+  )
+}
+
+EventBuffer.propTypes = {
+  event: PropTypes.shape({
+    title: PropTypes.string,
+    resource: PropTypes.shape({
+      bufferType: PropTypes.string.isRequired,
+      minutes: PropTypes.number.isRequired,
+      overlapsEvent: PropTypes.string
+    }).isRequired
+  }).isRequired
+}
+
 function SolidEventCard({ event, onContextMenu }) {
   const { title, resource } = event
+
+  if (resource?.bufferType) {
+    return <EventBuffer event={event} />
+  }
   // Validate event type to prevent injection attacks - provides defense-in-depth
   const rawEventType = resource?.type || 'task'
   const eventType = VALID_EVENT_TYPES.includes(rawEventType)
@@ -71,6 +129,7 @@ function SolidEventCard({ event, onContextMenu }) {
       <strong className='event-title'>
         {title != null ? String(title) : ''}
       </strong>
+      <ConflictBadge conflicts={resource?.conflicts} />
       {hasPreActivities && (
         <div className='event-pre-activities'>
           {prepTime > 0 && (
@@ -101,7 +160,9 @@ SolidEventCard.propTypes = {
     resource: PropTypes.shape({
       type: PropTypes.string,
       preparationTime: PropTypes.number,
-      travelTime: PropTypes.number
+      travelTime: PropTypes.number,
+      bufferType: PropTypes.string,
+      conflicts: PropTypes.arrayOf(PropTypes.string)
     })
   }).isRequired,
   onContextMenu: PropTypes.func
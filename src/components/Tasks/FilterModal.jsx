@@ -0,0 +1,147 @@
+import React, { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
+import Icon from '../common/Icon'
+
+const EMPTY_FILTERS = { tags: [], project: null }
+
+/**
+ * FilterModal - Filter tasks by tag and project
+ * Offers the tags and projects the tasks currently use
+ */
+function FilterModal({
+  isOpen,
+  currentFilters,
+  tags,
+  projects,
+  onApply,
+  onClose
+}) {
+  const [localFilters, setLocalFilters] = useState(() => ({
+    ...EMPTY_FILTERS,
+    ...currentFilters
+  }))
+
+  // Sync local filters with prop changes
+  useEffect(() => {
+    // eslint-disable-next-line react-hooks/set-state-in-effect
+    setLocalFilters({ ...EMPTY_FILTERS, ...currentFilters })
+  }, [currentFilters])
+
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape' && isOpen) {
+        onClose()
+      }
+    }
+    document.addEventListener('keydown', handleEscape)
+    return () => document.removeEventListener('keydown', handleEscape)
+  }, [isOpen, onClose])
+
+  const handleTagToggle = (tag) => {
+    setLocalFilters((prev) => ({
+      ...prev,
+      tags: prev.tags.includes(tag)
+        ? prev.tags.filter((t) => t !== tag)
+        : [...prev.tags, tag]
+    }))
+  }
+
+  if (!isOpen) {
+    return null
+  }
+
+  return (
+    <div className='modal-overlay' role='presentation'>
+      <div
+        className='modal-content'
+        role='dialog'
+        aria-modal='true'
+        aria-label='Filter Tasks'
+      >
+        <div className='modal-header'>
+          <h2>Filter Tasks</h2>
+          <button
+            type='button'
+            className='btn-close'
+            onClick={onClose}
+            aria-label='Close filter'
+          >
+            <Icon name='x' />
+          </button>
+        </div>
+
+        <div className='modal-body'>
+          <fieldset className='task-filter-group'>
+            <legend>Tags</legend>
+            {tags.length === 0 && <p className='small dim'>No tags yet</p>}
+            {tags.map((tag) => (
+              <label key={tag} className='task-filter-option'>
+                <input
+                  type='checkbox'
+                  checked={localFilters.tags.includes(tag)}
+                  onChange={() => handleTagToggle(tag)}
+                />
+                #{tag}
+              </label>
+            ))}
+          </fieldset>
+
+          <fieldset className='task-filter-group'>
+            <legend>Project</legend>
+            {[null, ...projects].map((project) => (
+              <label key={project ?? ''} className='task-filter-option'>
+                <input
+                  type='radio'
+                  name='task-filter-project'
+                  checked={localFilters.project === project}
+                  onChange={() =>
+                    setLocalFilters((prev) => ({ ...prev, project }))
+                  }
+                />
+                {project ?? 'All projects'}
+              </label>
+            ))}
+          </fieldset>
+        </div>
+
+        <div className='modal-footer'>
+          <button
+            type='button'
+            className='btn btn-outline'
+            onClick={() => setLocalFilters(EMPTY_FILTERS)}
+          >
+            Reset
+          </button>
+          <button type='button' className='btn btn-outline' onClick={onClose}>
+            Cancel
+          </button>
+          <button
+            type='button'
+            className='btn btn-primary'
+            onClick={() => onApply(localFilters)}
+          >
+            Apply Filters
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+FilterModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  currentFilters: PropTypes.shape({
+    tags: PropTypes.arrayOf(PropTypes.string),
+    project: PropTypes.string
+  }),
+  tags: PropTypes.arrayOf(PropTypes.string).isRequired,
+  projects: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onApply: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+FilterModal.defaultProps = {
+  currentFilters: EMPTY_FILTERS
+}
+
+export default FilterModal
@@ -0,0 +1,149 @@
+import React, { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
+import {
+  getArchivedTasks,
+  subscribeToTaskChanges
+} from '../../utils/tasksManager'
+import { getCompletionDay } from '../../utils/taskArchive'
+import { TASK_QUADRANTS } from '../../utils/taskConstants'
+import { createLogger } from '../../utils/logger'
+
+const logger = createLogger('TaskArchive')
+
+const EMPTY_FILTERS = { query: '', quadrant: '', from: '', to: '' }
+
+const quadrantLabel = (key) =>
+  TASK_QUADRANTS.find((quadrant) => quadrant.key === key)?.label || key
+
+const formatDay = (day) =>
+  new Date(`${day}T00:00:00Z`).toLocaleDateString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC'
+  })
+
+/**
+ * Archived tasks with search, quadrant and completion date filters
+ * Follows task changes, so tasks archived or restored elsewhere show up
+ */
+function TaskArchive({ onRestore }) {
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  const [tasks, setTasks] = useState(null)
+  const isFiltered = Object.values(filters).some(Boolean)
+
+  useEffect(() => {
+    let isMounted = true
+    const loadArchive = async () => {
+      try {
+        const archived = await getArchivedTasks({
+          query: filters.query,
+          quadrant: filters.quadrant || null,
+          from: filters.from || null,
+          to: filters.to || null
+        })
+        if (isMounted) {
+          setTasks(archived)
+        }
+      } catch (error) {
+        logger.error('Failed to load archived tasks:', error)
+      }
+    }
+
+    loadArchive()
+    const unsubscribe = subscribeToTaskChanges(loadArchive)
+    return () => {
+      isMounted = false
+      unsubscribe()
+    }
+  }, [filters])
+
+  const setFilter = (key, value) =>
+    setFilters((prev) => ({ ...prev, [key]: value }))
+
+  return (
+    <div className='task-archive'>
+      <div className='task-archive-filters' role='search'>
+        <input
+          type='search'
+          className='task-due-input'
+          placeholder='Search archive...'
+          value={filters.query}
+          onChange={(e) => setFilter('query', e.target.value)}
+          aria-label='Search archived tasks'
+        />
+        <select
+          className='task-due-input'
+          value={filters.quadrant}
+          onChange={(e) => setFilter('quadrant', e.target.value)}
+          aria-label='Filter archive by quadrant'
+        >
+          <option value=''>All quadrants</option>
+          {TASK_QUADRANTS.map(({ key, label }) => (
+            <option key={key} value={key}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <input
+          type='date'
+          className='task-due-input'
+          value={filters.from}
+          onChange={(e) => setFilter('from', e.target.value)}
+          aria-label='Completed from'
+        />
+        <input
+          type='date'
+          className='task-due-input'
+          value={filters.to}
+          onChange={(e) => setFilter('to', e.target.value)}
+          aria-label='Completed to'
+        />
+        {isFiltered && (
+          <button
+            type='button'
+            className='btn'
+            onClick={() => setFilters(EMPTY_FILTERS)}
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+      {tasks && tasks.length === 0 && (
+        <p className='empty-state'>
+          {isFiltered
+            ? 'No archived tasks match these filters'
+            : 'No archived tasks yet'}
+        </p>
+      )}
+      {tasks && tasks.length > 0 && (
+        <ul className='task-archive-list' aria-label='Archived tasks'>
+          {tasks.map((task) => (
+            <li key={task.id} className='task-archive-item'>
+              <span className='task-text'>{task.text}</span>
+              <span className='task-archive-meta small'>
+                {quadrantLabel(task.quadrant)}
+                {getCompletionDay(task) &&
+                  ` · Completed ${formatDay(getCompletionDay(task))}`}
+              </span>
+              <button
+                type='button'
+                className='btn'
+                onClick={() => onRestore(task)}
+                aria-label={`Restore "${task.text}"`}
+              >
+                Restore
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+TaskArchive.propTypes = {
+  onRestore: PropTypes.func.isRequired
+}
+
+export default TaskArchive
@@ -0,0 +1,114 @@
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+import Icon from '../common/Icon'
+import { TASK_QUADRANTS } from '../../utils/taskConstants'
+
+/**
+ * Toolbar for the tasks selected in the matrix
+ * Each action applies to the whole selection and can be undone in one step
+ */
+function TaskBulkActions({
+  count,
+  onComplete,
+  onDelete,
+  onMove,
+  onSetDueDate,
+  onAddTag,
+  onSchedule,
+  onClear
+}) {
+  const [dueDate, setDueDate] = useState('')
+  const [tag, setTag] = useState('')
+
+  const handleAddTag = (e) => {
+    e.preventDefault()
+    if (!tag.trim()) return
+
+    onAddTag(tag)
+    setTag('')
+  }
+
+  return (
+    <div className='task-bulk-actions' role='toolbar' aria-label='Bulk actions'>
+      <span className='task-bulk-count' aria-live='polite'>
+        {count} selected
+      </span>
+      <button type='button' className='btn' onClick={onComplete}>
+        <Icon name='check' />
+        Complete
+      </button>
+      <button type='button' className='btn' onClick={onDelete}>
+        <Icon name='trash' />
+        Delete
+      </button>
+      <select
+        className='task-due-input'
+        value=''
+        onChange={(e) => e.target.value && onMove(e.target.value)}
+        aria-label='Move selected tasks to'
+      >
+        <option value=''>Move to…</option>
+        {TASK_QUADRANTS.map(({ key, label }) => (
+          <option key={key} value={key}>
+            {label}
+          </option>
+        ))}
+      </select>
+      <input
+        type='date'
+        className='task-due-input'
+        value={dueDate}
+        onChange={(e) => setDueDate(e.target.value)}
+        aria-label='Due date for selected tasks'
+      />
+      <button
+        type='button'
+        className='btn'
+        onClick={() => {
+          onSetDueDate(dueDate || null)
+          setDueDate('')
+        }}
+      >
+        {dueDate ? 'Set due date' : 'Clear due date'}
+      </button>
+      <form className='task-bulk-tag' onSubmit={handleAddTag}>
+        <input
+          type='text'
+          className='task-due-input'
+          placeholder='#tag'
+          value={tag}
+          onChange={(e) => setTag(e.target.value)}
+          aria-label='Tag for selected tasks'
+        />
+        <button type='submit' className='btn' disabled={!tag.trim()}>
+          Add tag
+        </button>
+      </form>
+      <button type='button' className='btn' onClick={onSchedule}>
+        <Icon name='calendar' />
+        Send to schedule
+      </button>
+      <button
+        type='button'
+        className='btn-cancel'
+        onClick={onClear}
+        aria-label='Clear selection'
+      >
+        <Icon name='x' />
+      </button>
+    </div>
+  )
+}
+
+TaskBulkActions.propTypes = {
+  count: PropTypes.number.isRequired,
+  onComplete: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  onMove: PropTypes.func.isRequired,
+  onSetDueDate: PropTypes.func.isRequired,
+  onAddTag: PropTypes.func.isRequired,
+  onSchedule: PropTypes.func.isRequired,
+  onClear: PropTypes.func.isRequired
+}
+
+export default TaskBulkActions
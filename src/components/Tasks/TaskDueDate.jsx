@@ -0,0 +1,65 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import Icon from '../common/Icon'
+import { getTaskDueDay } from '../../utils/taskDueDates'
+
+/**
+ * Due date, optional due time and estimated minutes of a task
+ * Changes are saved as soon as a field changes
+ */
+function TaskDueDate({ id, task, onChange, onEstimateChange }) {
+  const dueDay = getTaskDueDay(task) || ''
+
+  return (
+    <div id={id} className='task-due-editor'>
+      <input
+        type='date'
+        className='task-due-input'
+        value={dueDay}
+        onChange={(e) => onChange(e.target.value || null, task.dueTime)}
+        aria-label={`Due date for "${task.text}"`}
+      />
+      <input
+        type='time'
+        className='task-due-input'
+        value={task.dueTime || ''}
+        onChange={(e) => onChange(dueDay, e.target.value || null)}
+        disabled={!dueDay}
+        aria-label={`Due time for "${task.text}"`}
+      />
+      {dueDay && (
+        <button
+          type='button'
+          className='btn-cancel'
+          onClick={() => onChange(null, null)}
+          aria-label={`Clear due date for "${task.text}"`}
+        >
+          <Icon name='x' />
+        </button>
+      )}
+      <input
+        type='number'
+        min='1'
+        className='task-due-input task-estimate-input'
+        placeholder='min'
+        value={task.estimatedMinutes ?? ''}
+        onChange={(e) => onEstimateChange(Number(e.target.value) || null)}
+        aria-label={`Estimate in minutes for "${task.text}"`}
+      />
+    </div>
+  )
+}
+
+TaskDueDate.propTypes = {
+  id: PropTypes.string.isRequired,
+  task: PropTypes.shape({
+    text: PropTypes.string.isRequired,
+    dueDate: PropTypes.string,
+    dueTime: PropTypes.string,
+    estimatedMinutes: PropTypes.number
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  onEstimateChange: PropTypes.func.isRequired
+}
+
+export default TaskDueDate
@@ -1,15 +1,76 @@
 import React from 'react'
 import PropTypes from 'prop-types'
 import Icon from '../common/Icon'
+import { toQuickCaptureEvent } from '../../utils/quickCapture'
+import { describeTaskDue } from '../../utils/taskDueDates'
+import { TASK_QUADRANTS } from '../../utils/taskConstants'
+import { formatDurationVerbose } from '../../utils/timeUtils'
+
+/**
+ * Live preview of what the quick capture read from the task text
+ * Shown once the text holds a date, time, tag, priority or estimate
+ */
+function QuickCapturePreview({ capture }) {
+  const event = toQuickCaptureEvent(capture)
+  const quadrant = TASK_QUADRANTS.find(({ key }) => key === capture.quadrant)
+  const fields = [
+    event
+      ? `${describeTaskDue({ dueDate: event.day })} ${event.startTime}–${event.endTime}`
+      : describeTaskDue(capture),
+    quadrant?.label,
+    ...capture.tags.map((tag) => `#${tag}`),
+    capture.estimatedMinutes &&
+      `~${formatDurationVerbose(capture.estimatedMinutes * 60)}`
+  ].filter(Boolean)
+
+  if (fields.length === 0) return null
+
+  return (
+    <div className='quick-capture-preview' aria-label='Quick capture preview'>
+      <span className='quick-capture-kind'>
+        {event ? 'New task and event' : 'New task'}
+      </span>
+      <span className='quick-capture-text'>
+        {capture.text || <em>Add a title</em>}
+      </span>
+      {fields.map((field) => (
+        <span key={field} className='quick-capture-field'>
+          {field}
+        </span>
+      ))}
+    </div>
+  )
+}
+
+QuickCapturePreview.propTypes = {
+  capture: PropTypes.shape({
+    text: PropTypes.string.isRequired,
+    dueDate: PropTypes.string,
+    dueTime: PropTypes.string,
+    tags: PropTypes.arrayOf(PropTypes.string).isRequired,
+    quadrant: PropTypes.string,
+    estimatedMinutes: PropTypes.number
+  }).isRequired
+}
 
 /**
  * Component for adding new tasks
+ * The text is read by the quick capture, so "call dentist tomorrow #health"
+ * fills in the due date and tag; the fields next to it apply to whatever the
+ * text leaves open
  */
 function TaskForm({
   newTask,
+  capture,
   selectedQuadrant,
+  newDueDate,
+  newDueTime,
+  newEstimate,
   onTaskChange,
   onQuadrantChange,
+  onDueDateChange,
+  onDueTimeChange,
+  onEstimateChange,
   onSubmit
 }) {
   return (
@@ -17,6 +78,7 @@ function TaskForm({
       <input
         type='text'
         placeholder='Add a new task...'
+        title='Add a date, time, #tag, !priority or estimate such as 15m'
         value={newTask}
         onChange={(e) => onTaskChange(e.target.value)}
         className='task-input'
@@ -35,19 +97,53 @@ function TaskForm({
           Not Urgent & Not Important
         </option>
       </select>
+      <input
+        type='date'
+        value={newDueDate}
+        onChange={(e) => onDueDateChange(e.target.value)}
+        className='task-due-input'
+        aria-label='Due date'
+      />
+      <input
+        type='time'
+        value={newDueTime}
+        onChange={(e) => onDueTimeChange(e.target.value)}
+        className='task-due-input'
+        disabled={!newDueDate}
+        aria-label='Due time'
+      />
+      <input
+        type='number'
+        min='1'
+        placeholder='min'
+        value={newEstimate}
+        onChange={(e) => onEstimateChange(e.target.value)}
+        className='task-due-input task-estimate-input'
+        aria-label='Estimate in minutes'
+      />
       <button type='submit' className='btn btn-primary'>
         <Icon name='plus' />
         Add Task
       </button>
+      <div aria-live='polite' className='quick-capture-live'>
+        {capture && <QuickCapturePreview capture={capture} />}
+      </div>
     </form>
   )
 }
 
 TaskForm.propTypes = {
   newTask: PropTypes.string.isRequired,
+  capture: PropTypes.object,
   selectedQuadrant: PropTypes.string.isRequired,
+  newDueDate: PropTypes.string.isRequired,
+  newDueTime: PropTypes.string.isRequired,
+  newEstimate: PropTypes.string.isRequired,
   onTaskChange: PropTypes.func.isRequired,
   onQuadrantChange: PropTypes.func.isRequired,
+  onDueDateChange: PropTypes.func.isRequired,
+  onDueTimeChange: PropTypes.func.isRequired,
+  onEstimateChange: PropTypes.func.isRequired,
   onSubmit: PropTypes.func.isRequired
 }
 
@@ -1,6 +1,30 @@
-import React, { useRef, useEffect } from 'react'
+import React, { useRef, useEffect, useState } from 'react'
 import PropTypes from 'prop-types'
 import Icon from '../common/Icon'
+import TaskSubtasks from './TaskSubtasks'
+import TaskRecurrence from './TaskRecurrence'
+import TaskDueDate from './TaskDueDate'
+import TaskLabels from './TaskLabels'
+import { getSubtaskProgress } from '../../utils/taskSubtasks'
+import { describeTaskRecurrence } from '../../utils/taskRecurrence'
+import { getTaskDueStatus, describeTaskDue } from '../../utils/taskDueDates'
+import { TASK_DUE_STATUS } from '../../utils/taskConstants'
+import {
+  formatDurationDisplay,
+  formatDurationVerbose
+} from '../../utils/timeUtils'
+
+const formatMinutes = (minutes) => formatDurationVerbose(minutes * 60) || '0m'
+
+/**
+ * Describe tracked time against the estimate, e.g. "25m / 30m"
+ */
+function describeTaskTime(task) {
+  const actual = task.actualMinutes || 0
+  if (!task.estimatedMinutes) return formatMinutes(actual)
+  const estimate = formatMinutes(task.estimatedMinutes)
+  return actual > 0 ? `${formatMinutes(actual)} / ${estimate}` : `~${estimate}`
+}
 
 /**
  * Component for displaying and editing a single task
@@ -16,9 +40,35 @@ function TaskItem({
   onSaveEdit,
   onCancelEdit,
   onDelete,
-  onDragStart
+  onDragStart,
+  onAddSubtask,
+  onToggleSubtask,
+  onDeleteSubtask,
+  onCompleteWithSubtasksChange,
+  onRecurrenceChange,
+  onDueDateChange,
+  onEstimateChange,
+  onTagsChange,
+  onProjectChange,
+  projects = [],
+  onStartTimer,
+  onStopTimer,
+  isSelected = false,
+  onSelect
 }) {
   const editInputRef = useRef(null)
+  const [showSubtasks, setShowSubtasks] = useState(false)
+  const [showRecurrence, setShowRecurrence] = useState(false)
+  const [showDueDate, setShowDueDate] = useState(false)
+  const [showLabels, setShowLabels] = useState(false)
+  const { done, total } = getSubtaskProgress(task)
+  const subtasksId = `subtasks-${task.id}`
+  const recurrenceId = `recurrence-${task.id}`
+  const dueDateId = `due-${task.id}`
+  const labelsId = `labels-${task.id}`
+  const dueStatus = getTaskDueStatus(task)
+  const isTiming = Boolean(task.timerStartedAt)
+  const [now, setNow] = useState(Date.now)
 
   // Focus edit input when editing starts
   useEffect(() => {
@@ -27,6 +77,13 @@ function TaskItem({
     }
   }, [isEditing])
 
+  // Tick the elapsed time while the timer runs
+  useEffect(() => {
+    if (!task.timerStartedAt) return undefined
+    const interval = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(interval)
+  }, [task.timerStartedAt])
+
   const handleKeyDown = (e) => {
     // Keyboard shortcuts for moving tasks between quadrants
     if (e.altKey && !isEditing) {
@@ -54,17 +111,32 @@ function TaskItem({
 
   return (
     <div
-      className={`task-item ${task.completed ? 'completed' : ''}`}
-      draggable={!isEditing}
+      className={`task-item ${task.completed ? 'completed' : ''} ${dueStatus === TASK_DUE_STATUS.OVERDUE ? 'overdue' : ''} ${isSelected ? 'selected' : ''}`}
+      data-task-id={task.id}
+      // Inputs in the checklist and the repeat, due date and label editors
+      // cannot be used inside a draggable element
+      draggable={
+        !isEditing &&
+        !showSubtasks &&
+        !showRecurrence &&
+        !showDueDate &&
+        !showLabels
+      }
       onDragStart={() => onDragStart(quadrant, task)}
       onKeyDown={handleKeyDown}
       tabIndex={isEditing ? -1 : 0}
       role='button'
+      aria-pressed={isSelected}
       aria-label={`Task: ${task.text}. Press Alt + Arrow keys to move between quadrants.`}
       onClick={(e) => {
-        // Allow click to propagate to child elements (checkbox, edit, delete)
-        if (e.target.classList.contains('task-item')) {
-          // Handle task item click if needed
+        // Ctrl/Cmd-click toggles the selection, Shift-click selects a range;
+        // clicks on the controls inside keep their own meaning
+        if (
+          (e.ctrlKey || e.metaKey || e.shiftKey) &&
+          !e.target.closest('button, input, select, textarea')
+        ) {
+          e.preventDefault()
+          onSelect(task.id, { range: e.shiftKey })
         }
       }}
     >
@@ -119,6 +191,121 @@ function TaskItem({
           </>
         ) : (
           <>
+            {task.project && (
+              <span className='task-project' title='Project'>
+                {task.project}
+              </span>
+            )}
+            {(task.tags || []).map((tag) => (
+              <span key={tag} className='task-tag'>
+                #{tag}
+              </span>
+            ))}
+            {task.dueDate && (
+              <span className={`task-due task-due-${dueStatus}`}>
+                {dueStatus === TASK_DUE_STATUS.OVERDUE && (
+                  <span className='sr-only'>Overdue: </span>
+                )}
+                {describeTaskDue(task)}
+              </span>
+            )}
+            {isTiming ? (
+              <span className='task-time task-time-running' role='timer'>
+                {formatDurationDisplay(
+                  Math.max(0, (now - task.timerStartedAt) / 1000)
+                )}
+              </span>
+            ) : (
+              (task.estimatedMinutes || task.actualMinutes > 0) && (
+                <span
+                  className={`task-time ${task.estimatedMinutes && task.actualMinutes > task.estimatedMinutes ? 'task-time-over' : ''}`}
+                  title='Time spent / estimate'
+                >
+                  {describeTaskTime(task)}
+                </span>
+              )
+            )}
+            {task.recurrence && (
+              <span
+                className='task-recurrence-badge'
+                title={describeTaskRecurrence(task.recurrence)}
+              >
+                <Icon name='repeat' />
+                <span className='sr-only'>
+                  Repeats: {describeTaskRecurrence(task.recurrence)}
+                </span>
+              </span>
+            )}
+            {total > 0 && (
+              <>
+                <span
+                  className='subtask-progress'
+                  role='progressbar'
+                  aria-label={`Steps done for "${task.text}"`}
+                  aria-valuemin={0}
+                  aria-valuemax={total}
+                  aria-valuenow={done}
+                >
+                  <span
+                    className='subtask-progress-fill'
+                    style={{ width: `${(done / total) * 100}%` }}
+                  />
+                </span>
+                <span className='subtask-count'>
+                  {done}/{total}
+                </span>
+              </>
+            )}
+            {!task.completed && (
+              <button
+                className='btn-timer'
+                onClick={() =>
+                  isTiming
+                    ? onStopTimer(quadrant, task.id)
+                    : onStartTimer(quadrant, task.id)
+                }
+                aria-pressed={isTiming}
+                aria-label={`${isTiming ? 'Stop' : 'Start'} timer for "${task.text}"`}
+              >
+                <Icon name={isTiming ? 'pause' : 'play'} />
+              </button>
+            )}
+            <button
+              className='btn-subtasks'
+              onClick={() => setShowSubtasks((shown) => !shown)}
+              aria-expanded={showSubtasks}
+              aria-controls={subtasksId}
+              aria-label={`${showSubtasks ? 'Hide' : 'Show'} steps for "${task.text}"`}
+            >
+              <Icon name='list' />
+            </button>
+            <button
+              className='btn-recurrence'
+              onClick={() => setShowRecurrence((shown) => !shown)}
+              aria-expanded={showRecurrence}
+              aria-controls={recurrenceId}
+              aria-label={`${showRecurrence ? 'Hide' : 'Show'} repeat for "${task.text}"`}
+            >
+              <Icon name='repeat' />
+            </button>
+            <button
+              className='btn-due'
+              onClick={() => setShowDueDate((shown) => !shown)}
+              aria-expanded={showDueDate}
+              aria-controls={dueDateId}
+              aria-label={`${showDueDate ? 'Hide' : 'Show'} due date and estimate for "${task.text}"`}
+            >
+              <Icon name='calendar' />
+            </button>
+            <button
+              className='btn-labels'
+              onClick={() => setShowLabels((shown) => !shown)}
+              aria-expanded={showLabels}
+              aria-controls={labelsId}
+              aria-label={`${showLabels ? 'Hide' : 'Show'} tags and project for "${task.text}"`}
+            >
+              <Icon name='tag' />
+            </button>
             <button
               className='btn-edit'
               onClick={() => onEdit(quadrant, task)}
@@ -136,6 +323,54 @@ function TaskItem({
           </>
         )}
       </div>
+      {showSubtasks && !isEditing && (
+        <TaskSubtasks
+          id={subtasksId}
+          task={task}
+          onAdd={(text) => onAddSubtask(quadrant, task.id, text)}
+          onToggle={(subtaskId) =>
+            onToggleSubtask(quadrant, task.id, subtaskId)
+          }
+          onDelete={(subtaskId) =>
+            onDeleteSubtask(quadrant, task.id, subtaskId)
+          }
+          onCompleteWithSubtasksChange={(enabled) =>
+            onCompleteWithSubtasksChange(quadrant, task.id, enabled)
+          }
+        />
+      )}
+      {showDueDate && !isEditing && (
+        <TaskDueDate
+          id={dueDateId}
+          task={task}
+          onChange={(dueDate, dueTime) =>
+            onDueDateChange(quadrant, task.id, dueDate, dueTime)
+          }
+          onEstimateChange={(minutes) =>
+            onEstimateChange(quadrant, task.id, minutes)
+          }
+        />
+      )}
+      {showLabels && !isEditing && (
+        <TaskLabels
+          id={labelsId}
+          task={task}
+          projects={projects}
+          onTagsChange={(tags) => onTagsChange(quadrant, task.id, tags)}
+          onProjectChange={(project) =>
+            onProjectChange(quadrant, task.id, project)
+          }
+        />
+      )}
+      {showRecurrence && !isEditing && (
+        <TaskRecurrence
+          id={recurrenceId}
+          task={task}
+          onChange={(recurrence) =>
+            onRecurrenceChange(quadrant, task.id, recurrence)
+          }
+        />
+      )}
     </div>
   )
 }
@@ -144,7 +379,18 @@ TaskItem.propTypes = {
   task: PropTypes.shape({
     id: PropTypes.string.isRequired,
     text: PropTypes.string.isRequired,
-    completed: PropTypes.bool.isRequired
+    completed: PropTypes.bool.isRequired,
+    subtasks: PropTypes.array,
+    completeWithSubtasks: PropTypes.bool,
+    recurrence: PropTypes.object,
+    completionHistory: PropTypes.array,
+    dueDate: PropTypes.string,
+    dueTime: PropTypes.string,
+    estimatedMinutes: PropTypes.number,
+    actualMinutes: PropTypes.number,
+    timerStartedAt: PropTypes.number,
+    tags: PropTypes.arrayOf(PropTypes.string),
+    project: PropTypes.string
   }).isRequired,
   quadrant: PropTypes.string.isRequired,
   isEditing: PropTypes.bool.isRequired,
@@ -155,7 +401,21 @@ TaskItem.propTypes = {
   onSaveEdit: PropTypes.func.isRequired,
   onCancelEdit: PropTypes.func.isRequired,
   onDelete: PropTypes.func.isRequired,
-  onDragStart: PropTypes.func.isRequired
+  onDragStart: PropTypes.func.isRequired,
+  onAddSubtask: PropTypes.func.isRequired,
+  onToggleSubtask: PropTypes.func.isRequired,
+  onDeleteSubtask: PropTypes.func.isRequired,
+  onCompleteWithSubtasksChange: PropTypes.func.isRequired,
+  onRecurrenceChange: PropTypes.func.isRequired,
+  onDueDateChange: PropTypes.func.isRequired,
+  onEstimateChange: PropTypes.func.isRequired,
+  onTagsChange: PropTypes.func.isRequired,
+  onProjectChange: PropTypes.func.isRequired,
+  projects: PropTypes.arrayOf(PropTypes.string),
+  onStartTimer: PropTypes.func.isRequired,
+  onStopTimer: PropTypes.func.isRequired,
+  isSelected: PropTypes.bool,
+  onSelect: PropTypes.func.isRequired
 }
 
 export default TaskItem
@@ -0,0 +1,100 @@
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+import Icon from '../common/Icon'
+
+/**
+ * Tags and project of a task
+ * Tags are saved when added or removed, the project when the field is left
+ */
+function TaskLabels({ id, task, projects, onTagsChange, onProjectChange }) {
+  const [newTag, setNewTag] = useState('')
+  const [project, setProject] = useState(task.project || '')
+  const tags = task.tags || []
+  const projectListId = `${id}-projects`
+
+  const handleAddTag = (e) => {
+    e.preventDefault()
+    if (!newTag.trim()) return
+
+    // A comma separated entry adds several tags at once
+    onTagsChange([...tags, ...newTag.split(',')])
+    setNewTag('')
+  }
+
+  const saveProject = () => {
+    if (project.trim() !== (task.project || '')) {
+      onProjectChange(project)
+    }
+  }
+
+  return (
+    <div id={id} className='task-labels'>
+      {tags.length > 0 && (
+        <ul className='task-tag-list' aria-label={`Tags for "${task.text}"`}>
+          {tags.map((tag) => (
+            <li key={tag} className='task-tag'>
+              #{tag}
+              <button
+                type='button'
+                className='btn-cancel'
+                onClick={() => onTagsChange(tags.filter((t) => t !== tag))}
+                aria-label={`Remove tag "${tag}" from "${task.text}"`}
+              >
+                <Icon name='x' />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form className='task-tag-form' onSubmit={handleAddTag}>
+        <input
+          type='text'
+          className='task-due-input'
+          value={newTag}
+          onChange={(e) => setNewTag(e.target.value)}
+          placeholder='#tag'
+          aria-label={`New tag for "${task.text}"`}
+        />
+        <button
+          type='submit'
+          className='btn-save'
+          aria-label={`Add tag to "${task.text}"`}
+        >
+          <Icon name='plus' />
+        </button>
+      </form>
+      <input
+        type='text'
+        className='task-due-input'
+        list={projectListId}
+        value={project}
+        onChange={(e) => setProject(e.target.value)}
+        onBlur={saveProject}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') saveProject()
+        }}
+        placeholder='Project'
+        aria-label={`Project for "${task.text}"`}
+      />
+      <datalist id={projectListId}>
+        {projects.map((name) => (
+          <option key={name} value={name} />
+        ))}
+      </datalist>
+    </div>
+  )
+}
+
+TaskLabels.propTypes = {
+  id: PropTypes.string.isRequired,
+  task: PropTypes.shape({
+    text: PropTypes.string.isRequired,
+    tags: PropTypes.arrayOf(PropTypes.string),
+    project: PropTypes.string
+  }).isRequired,
+  projects: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onTagsChange: PropTypes.func.isRequired,
+  onProjectChange: PropTypes.func.isRequired
+}
+
+export default TaskLabels
@@ -18,7 +18,21 @@ function TaskQuadrant({
   onDelete,
   onDragStart,
   onDragOver,
-  onDrop
+  onDrop,
+  onAddSubtask,
+  onToggleSubtask,
+  onDeleteSubtask,
+  onCompleteWithSubtasksChange,
+  onRecurrenceChange,
+  onDueDateChange,
+  onEstimateChange,
+  onTagsChange,
+  onProjectChange,
+  projects,
+  onStartTimer,
+  onStopTimer,
+  selectedIds,
+  onSelect
 }) {
   const isEditing = (task) => {
     return (
@@ -54,6 +68,20 @@ function TaskQuadrant({
               onCancelEdit={onCancelEdit}
               onDelete={onDelete}
               onDragStart={onDragStart}
+              onAddSubtask={onAddSubtask}
+              onToggleSubtask={onToggleSubtask}
+              onDeleteSubtask={onDeleteSubtask}
+              onCompleteWithSubtasksChange={onCompleteWithSubtasksChange}
+              onRecurrenceChange={onRecurrenceChange}
+              onDueDateChange={onDueDateChange}
+              onEstimateChange={onEstimateChange}
+              onTagsChange={onTagsChange}
+              onProjectChange={onProjectChange}
+              projects={projects}
+              onStartTimer={onStartTimer}
+              onStopTimer={onStopTimer}
+              isSelected={selectedIds.includes(task.id)}
+              onSelect={onSelect}
             />
           ))
         )}
@@ -83,7 +111,21 @@ TaskQuadrant.propTypes = {
   onDelete: PropTypes.func.isRequired,
   onDragStart: PropTypes.func.isRequired,
   onDragOver: PropTypes.func.isRequired,
-  onDrop: PropTypes.func.isRequired
+  onDrop: PropTypes.func.isRequired,
+  onAddSubtask: PropTypes.func.isRequired,
+  onToggleSubtask: PropTypes.func.isRequired,
+  onDeleteSubtask: PropTypes.func.isRequired,
+  onCompleteWithSubtasksChange: PropTypes.func.isRequired,
+  onRecurrenceChange: PropTypes.func.isRequired,
+  onDueDateChange: PropTypes.func.isRequired,
+  onEstimateChange: PropTypes.func.isRequired,
+  onTagsChange: PropTypes.func.isRequired,
+  onProjectChange: PropTypes.func.isRequired,
+  projects: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onStartTimer: PropTypes.func.isRequired,
+  onStopTimer: PropTypes.func.isRequired,
+  selectedIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onSelect: PropTypes.func.isRequired
 }
 
 export default TaskQuadrant
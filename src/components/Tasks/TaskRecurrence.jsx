@@ -0,0 +1,170 @@
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+import Icon from '../common/Icon'
+import {
+  TASK_RECURRENCE_TYPES,
+  TASK_WEEKDAY_LABELS
+} from '../../utils/taskConstants'
+import { RRULE_WEEKDAYS } from '../../utils/scheduleConstants'
+import {
+  normalizeTaskRecurrence,
+  describeTaskRecurrence
+} from '../../utils/taskRecurrence'
+
+const NONE = 'none'
+
+const TYPE_OPTIONS = [
+  { value: NONE, label: 'Does not repeat' },
+  { value: TASK_RECURRENCE_TYPES.EVERY_N_DAYS, label: 'Every N days' },
+  { value: TASK_RECURRENCE_TYPES.WEEKLY, label: 'Weekly on chosen days' },
+  { value: TASK_RECURRENCE_TYPES.MONTHLY, label: 'Monthly on a date' },
+  {
+    value: TASK_RECURRENCE_TYPES.AFTER_COMPLETION,
+    label: 'N days after completion'
+  }
+]
+
+// Number of past completions listed under the rule
+const HISTORY_PREVIEW = 5
+
+function getTodayWeekday() {
+  return RRULE_WEEKDAYS[(new Date().getDay() + 6) % RRULE_WEEKDAYS.length]
+}
+
+function createDraft(recurrence) {
+  return {
+    type: recurrence?.type || NONE,
+    interval: String(recurrence?.interval || 1),
+    weekdays: recurrence?.weekdays || [getTodayWeekday()],
+    dayOfMonth: String(recurrence?.dayOfMonth || new Date().getDate())
+  }
+}
+
+/**
+ * Editor for the repeat rule of a task, with its completion history
+ */
+function TaskRecurrence({ id, task, onChange }) {
+  const [draft, setDraft] = useState(() => createDraft(task.recurrence))
+  const history = task.completionHistory || []
+  const usesInterval =
+    draft.type === TASK_RECURRENCE_TYPES.EVERY_N_DAYS ||
+    draft.type === TASK_RECURRENCE_TYPES.AFTER_COMPLETION
+
+  const updateDraft = (changes) => setDraft((prev) => ({ ...prev, ...changes }))
+
+  const toggleWeekday = (code) => {
+    updateDraft({
+      weekdays: draft.weekdays.includes(code)
+        ? draft.weekdays.filter((weekday) => weekday !== code)
+        : [...draft.weekdays, code]
+    })
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    onChange(
+      normalizeTaskRecurrence({
+        type: draft.type,
+        interval: Number(draft.interval),
+        weekdays: draft.weekdays,
+        dayOfMonth: Number(draft.dayOfMonth)
+      })
+    )
+  }
+
+  return (
+    <div id={id} className='task-recurrence'>
+      <form className='recurrence-form' onSubmit={handleSubmit}>
+        <select
+          value={draft.type}
+          onChange={(e) => updateDraft({ type: e.target.value })}
+          aria-label={`Repeat "${task.text}"`}
+        >
+          {TYPE_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        {usesInterval && (
+          <input
+            type='number'
+            min='1'
+            className='recurrence-interval'
+            value={draft.interval}
+            onChange={(e) => updateDraft({ interval: e.target.value })}
+            aria-label='Days'
+          />
+        )}
+        {draft.type === TASK_RECURRENCE_TYPES.WEEKLY && (
+          <fieldset className='recurrence-weekdays'>
+            <legend className='sr-only'>Days of the week</legend>
+            {RRULE_WEEKDAYS.map((code) => (
+              <label key={code}>
+                <input
+                  type='checkbox'
+                  checked={draft.weekdays.includes(code)}
+                  onChange={() => toggleWeekday(code)}
+                />
+                {TASK_WEEKDAY_LABELS[code]}
+              </label>
+            ))}
+          </fieldset>
+        )}
+        {draft.type === TASK_RECURRENCE_TYPES.MONTHLY && (
+          <input
+            type='number'
+            min='1'
+            max='31'
+            className='recurrence-interval'
+            value={draft.dayOfMonth}
+            onChange={(e) => updateDraft({ dayOfMonth: e.target.value })}
+            aria-label='Day of the month'
+          />
+        )}
+        <button
+          type='submit'
+          className='btn-save'
+          aria-label={`Save repeat for "${task.text}"`}
+        >
+          <Icon name='check' />
+        </button>
+      </form>
+      <p className='small'>{describeTaskRecurrence(task.recurrence)}</p>
+      {history.length > 0 && (
+        <div className='recurrence-history'>
+          <p className='small'>
+            Completed {history.length} {history.length === 1 ? 'time' : 'times'}
+          </p>
+          <ul aria-label={`Completion history for "${task.text}"`}>
+            {history
+              .slice(-HISTORY_PREVIEW)
+              .reverse()
+              .map((entry) => (
+                <li key={entry.completedAt} className='small'>
+                  {new Date(entry.completedAt).toLocaleDateString()}
+                </li>
+              ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+TaskRecurrence.propTypes = {
+  id: PropTypes.string.isRequired,
+  task: PropTypes.shape({
+    text: PropTypes.string.isRequired,
+    recurrence: PropTypes.object,
+    completionHistory: PropTypes.arrayOf(
+      PropTypes.shape({
+        completedAt: PropTypes.number.isRequired,
+        dueDate: PropTypes.string
+      })
+    )
+  }).isRequired,
+  onChange: PropTypes.func.isRequired
+}
+
+export default TaskRecurrence
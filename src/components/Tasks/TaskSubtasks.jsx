@@ -0,0 +1,99 @@
+import React, { useState } from 'react'
+import PropTypes from 'prop-types'
+import Icon from '../common/Icon'
+
+/**
+ * Checklist of steps inside a task
+ */
+function TaskSubtasks({
+  id,
+  task,
+  onAdd,
+  onToggle,
+  onDelete,
+  onCompleteWithSubtasksChange
+}) {
+  const [newSubtask, setNewSubtask] = useState('')
+  const subtasks = task.subtasks || []
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!newSubtask.trim()) return
+
+    onAdd(newSubtask)
+    setNewSubtask('')
+  }
+
+  return (
+    <div id={id} className='task-subtasks'>
+      {subtasks.length > 0 && (
+        <ul className='subtask-list' aria-label={`Steps for "${task.text}"`}>
+          {subtasks.map((subtask) => (
+            <li
+              key={subtask.id}
+              className={`subtask-item ${subtask.completed ? 'completed' : ''}`}
+            >
+              <input
+                type='checkbox'
+                checked={subtask.completed}
+                onChange={() => onToggle(subtask.id)}
+                aria-label={`Mark step "${subtask.text}" as ${subtask.completed ? 'incomplete' : 'complete'}`}
+              />
+              <span className='subtask-text'>{subtask.text}</span>
+              <button
+                type='button'
+                className='btn-delete'
+                onClick={() => onDelete(subtask.id)}
+                aria-label={`Delete step "${subtask.text}"`}
+              >
+                <Icon name='trash' />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form className='subtask-form' onSubmit={handleSubmit}>
+        <input
+          type='text'
+          className='subtask-input'
+          value={newSubtask}
+          onChange={(e) => setNewSubtask(e.target.value)}
+          placeholder='Add a step...'
+          aria-label={`New step for "${task.text}"`}
+        />
+        <button type='submit' className='btn-save' aria-label='Add step'>
+          <Icon name='plus' />
+        </button>
+      </form>
+      <label className='subtask-auto-complete'>
+        <input
+          type='checkbox'
+          checked={Boolean(task.completeWithSubtasks)}
+          onChange={(e) => onCompleteWithSubtasksChange(e.target.checked)}
+        />
+        Complete when all steps are done
+      </label>
+    </div>
+  )
+}
+
+TaskSubtasks.propTypes = {
+  id: PropTypes.string.isRequired,
+  task: PropTypes.shape({
+    text: PropTypes.string.isRequired,
+    subtasks: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        text: PropTypes.string.isRequired,
+        completed: PropTypes.bool.isRequired
+      })
+    ),
+    completeWithSubtasks: PropTypes.bool
+  }).isRequired,
+  onAdd: PropTypes.func.isRequired,
+  onToggle: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  onCompleteWithSubtasksChange: PropTypes.func.isRequired
+}
+
+export default TaskSubtasks
@@ -1,7 +1,7 @@
 import React, { useEffect } from 'react'
 import PropTypes from 'prop-types'
 
-function Toast({ message, visible, onClose }) {
+function Toast({ message, visible, onClose, action }) {
   useEffect(() => {
     if (visible && message) {
       const timer = setTimeout(() => {
@@ -14,8 +14,25 @@ function Toast({ message, visible, onClose }) {
   if (!visible || !message) return null
 
   return (
-    <div id='toast' className='toast' style={{ display: 'block' }}>
+    <div
+      id='toast'
+      className='toast'
+      role='status'
+      style={{ display: 'block' }}
+    >
       {message}
+      {action && (
+        <button
+          type='button'
+          className='toast-action'
+          onClick={() => {
+            action.onClick()
+            onClose()
+          }}
+        >
+          {action.label}
+        </button>
+      )}
     </div>
   )
 }
@@ -23,7 +40,12 @@ function Toast({ message, visible, onClose }) {
 Toast.propTypes = {
   message: PropTypes.string,
   visible: PropTypes.bool.isRequired,
-  onClose: PropTypes.func.isRequired
+  onClose: PropTypes.func.isRequired,
+  // Optional button, e.g. to undo the change the toast reports
+  action: PropTypes.shape({
+    label: PropTypes.string.isRequired,
+    onClick: PropTypes.func.isRequired
+  })
 }
 
 export default Toast
@@ -199,6 +199,20 @@ function Icon({ name, className = 'icon', ...props }) {
         <path d='M21 13v2a4 4 0 0 1-4 4H3' />
       </>
     ),
+    calendar: (
+      <>
+        <rect x='3' y='4' width='18' height='18' rx='2' ry='2' />
+        <line x1='16' y1='2' x2='16' y2='6' />
+        <line x1='8' y1='2' x2='8' y2='6' />
+        <line x1='3' y1='10' x2='21' y2='10' />
+      </>
+    ),
+    tag: (
+      <>
+        <path d='M20.59 13.41l-7.17 7.17a2 2 0 0 1-2.83 0L2 12V2h10l8.59 8.59a2 2 0 0 1 0 2.82z' />
+        <line x1='7' y1='7' x2='7.01' y2='7' />
+      </>
+    ),
     checkCircle: (
       <>
         <path d='M22 11.08V12a10 10 0 1 1-5.93-9.14' />
@@ -4,7 +4,8 @@ import {
   migrateNotes,
   updateNote,
   saveNotesToStorage,
-  loadNotesFromStorage
+  loadNotesFromStorage,
+  NOTES_CHANGED_EVENT
 } from '../utils/notes/noteOperations'
 import { filterNotes as filterNotesUtil } from '../utils/notes/noteFilters'
 
@@ -78,6 +79,15 @@ export function useNotesState() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [notes[0]?.id, currentNoteId])
 
+  // Pick up notes captured elsewhere (e.g. from the command palette) so the
+  // next autosave does not write over them
+  useEffect(() => {
+    const handleNotesChanged = () => setNotes(loadNotesFromStorage())
+    window.addEventListener(NOTES_CHANGED_EVENT, handleNotesChanged)
+    return () =>
+      window.removeEventListener(NOTES_CHANGED_EVENT, handleNotesChanged)
+  }, [])
+
   // Memoize current note to avoid redundant array searches
   const currentNote = useMemo(
     () => notes.find((n) => n.id === currentNoteId),
@@ -6,13 +6,22 @@ import {
   createRunnerState,
   completeStep,
   skipStep,
+  answerQuestion,
+  getNextStep,
   togglePause as togglePauseUtil,
   tickTimer,
   calculateProgress,
   isRoutineComplete,
   getRoutineSummary,
+  restoreRunnerState,
   formatTime
 } from '../utils/routineRunner'
+import { saveRoutineState, clearRoutineState } from '../utils/routinesManager'
+import { recordRoutineRun } from '../utils/routineHistory'
+import { getNestingProgress } from '../utils/routineNesting'
+import { createLogger } from '../utils/logger'
+
+const logger = createLogger('useRoutineRunner')
 
 // Timer tick interval in milliseconds (1 second for countdown)
 const TIMER_TICK_INTERVAL_MS = 1000
@@ -28,6 +37,8 @@ export function useRoutineRunner(routine) {
   const [isComplete, setIsComplete] = useState(false)
   const [summary, setSummary] = useState(null)
   const prevRoutineIdRef = useRef(null)
+  const lastCheckpointRef = useRef(null)
+  const recordedRunRef = useRef(null)
 
   // Update runner state when routine ID changes (meaningful routine change)
   // This resets progress if switching to a different routine
@@ -40,6 +51,41 @@ export function useRoutineRunner(routine) {
     }
   }, [routine])
 
+  // Checkpoint the run so it survives a reload. Timer ticks are not saved:
+  // the step timer is recomputed from startedAt when the run is resumed
+  useEffect(() => {
+    if (!state || !state.isRunning) return
+
+    const checkpoint = [
+      state.routineId,
+      state.startedAt,
+      state.currentStepIndex,
+      state.isPaused,
+      Boolean(state.pendingQuestion)
+    ].join('|')
+    if (checkpoint === lastCheckpointRef.current) return
+
+    lastCheckpointRef.current = checkpoint
+    saveRoutineState(state).catch((error) =>
+      logger.error('Failed to checkpoint routine run:', error)
+    )
+  }, [state])
+
+  // A finished run goes to the history and has nothing left to resume
+  useEffect(() => {
+    if (!isComplete || !state || recordedRunRef.current === state.startedAt) {
+      return
+    }
+    recordedRunRef.current = state.startedAt
+    lastCheckpointRef.current = null
+    recordRoutineRun(state).catch((error) =>
+      logger.error('Failed to record routine run:', error)
+    )
+    clearRoutineState().catch((error) =>
+      logger.error('Failed to clear routine checkpoint:', error)
+    )
+  }, [isComplete, state])
+
   // Timer tick - TAB-RTN-52: Target 60 FPS with requestAnimationFrame
   useEffect(() => {
     if (!state || !state.isRunning) {
@@ -135,14 +181,56 @@ export function useRoutineRunner(routine) {
     [state]
   )
 
+  // Answer the question asked before a conditional or grouped step
+  const answer = useCallback(
+    (value) => {
+      if (state && state.isRunning) {
+        setState((prev) => {
+          const newState = answerQuestion(prev, value)
+
+          // Leaving out the remaining steps can finish the routine
+          if (isRoutineComplete(newState)) {
+            setIsComplete(true)
+            setSummary(getRoutineSummary(newState))
+            return { ...newState, isRunning: false }
+          }
+
+          return newState
+        })
+      }
+    },
+    [state]
+  )
+
   // Cancel routine - TAB-RTN-18
-  const cancel = useCallback(() => {
-    if (state) {
+  // Kept progress is recorded in the history as a cancelled run
+  const cancel = useCallback(
+    ({ keepProgress = false } = {}) => {
+      if (!state) return
+      if (keepProgress) {
+        recordRoutineRun(state, { status: 'cancelled' }).catch((error) =>
+          logger.error('Failed to record routine run:', error)
+        )
+      }
       setState(null)
       setIsComplete(false)
       setSummary(null)
-    }
-  }, [state])
+      lastCheckpointRef.current = null
+      clearRoutineState().catch((error) =>
+        logger.error('Failed to clear routine checkpoint:', error)
+      )
+    },
+    [state]
+  )
+
+  // Pick up a run checkpointed before a reload
+  const resume = useCallback((saved) => {
+    prevRoutineIdRef.current = saved.routineId
+    lastCheckpointRef.current = null
+    setState(restoreRunnerState(saved))
+    setIsComplete(false)
+    setSummary(null)
+  }, [])
 
   // Reset to start over
   const reset = useCallback(() => {
@@ -154,15 +242,16 @@ export function useRoutineRunner(routine) {
   }, [routine])
 
   // Get current step data
+  // Previous and next skip the steps left out by conditions or groups
   const currentStep = state?.routine?.steps[state.currentStepIndex]
-  const previousStep =
-    state && state.currentStepIndex > 0
-      ? state.routine.steps[state.currentStepIndex - 1]
-      : null
-  const nextStep =
-    state && state.currentStepIndex < state.routine.steps.length - 1
-      ? state.routine.steps[state.currentStepIndex + 1]
-      : null
+  const lastLog = state?.logs[state.logs.length - 1]
+  const previousStep = lastLog ? state.routine.steps[lastLog.stepIndex] : null
+  const nextStep = state ? getNextStep(state) : null
+  const pendingQuestion = state?.pendingQuestion || null
+  // Position inside included routines, outermost first
+  const nesting = state
+    ? getNestingProgress(state.routine.steps, state.currentStepIndex)
+    : []
 
   // Calculate progress
   const progress = state ? calculateProgress(state) : 0
@@ -177,13 +266,17 @@ export function useRoutineRunner(routine) {
     currentStep,
     previousStep,
     nextStep,
+    pendingQuestion,
+    nesting,
     progress,
     remainingTime,
     start,
     togglePause,
     complete,
     skip,
+    answer,
     cancel,
-    reset
+    reset,
+    resume
   }
 }
@@ -1,76 +1,313 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useCallback, useRef } from 'react'
 import { v4 as generateSecureUUID } from 'uuid'
 import { createLogger } from '../utils/logger'
+import {
+  createEmptyMatrix,
+  getTasksMatrix,
+  createTask,
+  updateTask,
+  setTaskCompleted,
+  promoteDueTasks,
+  archiveCompletedTasks,
+  restoreTask as restoreArchivedTask,
+  deleteTask as deleteStoredTask,
+  subscribeToTaskChanges
+} from '../utils/tasksManager'
+import { createSubtask, applySubtaskChanges } from '../utils/taskSubtasks'
+import { normalizeTaskRecurrence } from '../utils/taskRecurrence'
+import { normalizeTaskTags, normalizeProject } from '../utils/taskTags'
+import { getTaskPromotionSettings } from '../utils/taskDueDates'
+import { getTaskArchiveSettings } from '../utils/taskArchive'
+import {
+  startTaskTimer,
+  stopTaskTimer,
+  finishTaskTime,
+  getElapsedMinutes
+} from '../utils/taskTimeTracking'
 
 const logger = createLogger('useTasksState')
 
 /**
  * Custom hook for managing tasks state in Eisenhower Matrix
- * Handles CRUD operations and localStorage persistence
+ * Handles CRUD operations; each change updates the matrix right away and
+ * saves only the affected task to IndexedDB
  */
 export function useTasksState() {
-  // Initialize tasks from localStorage with lazy initialization
-  const [tasks, setTasks] = useState(() => {
-    const savedTasks = localStorage.getItem('aurorae_tasks')
-    if (savedTasks) {
-      try {
-        return JSON.parse(savedTasks)
-      } catch (e) {
-        logger.error('Failed to parse saved tasks:', e)
-      }
-    }
-    return {
-      urgent_important: [],
-      not_urgent_important: [],
-      urgent_not_important: [],
-      not_urgent_not_important: []
-    }
-  })
+  const [tasks, setTasks] = useState(createEmptyMatrix)
+  const [isLoading, setIsLoading] = useState(true)
 
-  // Save tasks to localStorage whenever they change
-  useEffect(() => {
+  // Writes run one after another so a quick add-then-delete cannot land in
+  // the wrong order
+  const writeQueue = useRef(Promise.resolve())
+  const pendingWrites = useRef(0)
+
+  const loadTasks = useCallback(async () => {
     try {
-      localStorage.setItem('aurorae_tasks', JSON.stringify(tasks))
+      // Promoting and archiving notify subscribers, which loads the matrix
+      // again
+      const promotion = getTaskPromotionSettings()
+      if (promotion.enabled) {
+        await promoteDueTasks({ withinDays: promotion.withinDays })
+      }
+      const archive = getTaskArchiveSettings()
+      if (archive.enabled) {
+        await archiveCompletedTasks({ afterDays: archive.afterDays })
+      }
+      const matrix = await getTasksMatrix()
+      // A reload started mid-queue would undo later changes; the last write
+      // triggers another one
+      if (pendingWrites.current === 0) {
+        setTasks(matrix)
+      }
     } catch (e) {
-      logger.error('Failed to save tasks:', e)
-      // Note: Errors are logged but don't throw to avoid breaking the component
-      // The parent component should handle showing error messages to users
+      logger.error('Failed to load tasks:', e)
+    } finally {
+      setIsLoading(false)
     }
-  }, [tasks])
+  }, [])
 
-  // Add new task
-  const addTask = (quadrant, text) => {
+  // Load stored tasks and reload whenever the task store changes
+  useEffect(() => {
+    loadTasks()
+    return subscribeToTaskChanges(loadTasks)
+  }, [loadTasks])
+
+  // Save in the background; on failure show what is actually stored again
+  // Note: Errors are logged but don't throw to avoid breaking the component
+  const persist = (write) => {
+    pendingWrites.current++
+    writeQueue.current = writeQueue.current
+      .then(write)
+      .catch((e) => {
+        logger.error('Failed to save tasks:', e)
+      })
+      .finally(() => {
+        pendingWrites.current--
+        if (pendingWrites.current === 0) {
+          loadTasks()
+        }
+      })
+  }
+
+  // Add new task, optionally due on a day and time and with an estimate
+  const addTask = (
+    quadrant,
+    text,
+    {
+      dueDate = null,
+      dueTime = null,
+      estimatedMinutes = null,
+      tags = [],
+      project = null
+    } = {}
+  ) => {
     const task = {
       id: generateSecureUUID(),
       text: text.trim(),
       completed: false,
       createdAt: new Date().toISOString(),
-      dueDate: null,
-      completedAt: null
+      dueDate: dueDate || null,
+      dueTime: dueDate ? dueTime || null : null,
+      completedAt: null,
+      subtasks: [],
+      completeWithSubtasks: false,
+      recurrence: null,
+      completionHistory: [],
+      estimatedMinutes: estimatedMinutes > 0 ? estimatedMinutes : null,
+      actualMinutes: 0,
+      timerStartedAt: null,
+      tags: normalizeTaskTags(tags),
+      project: normalizeProject(project)
     }
 
     setTasks((prev) => ({
       ...prev,
       [quadrant]: [...prev[quadrant], task]
     }))
+    persist(() => createTask(quadrant, task))
 
     return task
   }
 
-  // Toggle task completion
-  const toggleTask = (quadrant, taskId) => {
+  // Apply changes worked out from the current task, then save them
+  const changeTask = (
+    quadrant,
+    taskId,
+    getChanges,
+    save = (changes) => updateTask(taskId, changes)
+  ) => {
+    const task = tasks[quadrant].find((t) => t.id === taskId)
+    if (!task) return
+
+    const changes = getChanges(task)
     setTasks((prev) => ({
       ...prev,
-      [quadrant]: prev[quadrant].map((task) =>
-        task.id === taskId
-          ? {
-              ...task,
-              completed: !task.completed,
-              completedAt: !task.completed ? Date.now() : null
-            }
-          : task
+      [quadrant]: prev[quadrant].map((t) =>
+        t.id === taskId ? { ...t, ...changes } : t
       )
     }))
+    persist(() => save(changes))
+  }
+
+  // Save a change of completion; completing a recurring task also creates its
+  // next instance, which shows up once the save reloads the matrix.
+  // Completing stops the task's timer and records estimated versus actual time
+  const saveCompletion = async (taskId, { completed, completedAt }) => {
+    if (completed) {
+      await finishTaskTime(taskId, completedAt)
+    }
+    return setTaskCompleted(taskId, completed, completedAt)
+  }
+
+  // Toggle task completion
+  const toggleTask = (quadrant, taskId) => {
+    changeTask(
+      quadrant,
+      taskId,
+      (task) => ({
+        completed: !task.completed,
+        completedAt: !task.completed ? Date.now() : null,
+        ...(!task.completed && { timerStartedAt: null })
+      }),
+      (changes) => saveCompletion(taskId, changes)
+    )
+  }
+
+  // Start timing work on a task; a timer running on another task stops
+  const startTimer = (quadrant, taskId) => {
+    const now = Date.now()
+    setTasks((prev) =>
+      Object.fromEntries(
+        Object.entries(prev).map(([key, list]) => [
+          key,
+          list.map((task) => {
+            if (task.id === taskId) return { ...task, timerStartedAt: now }
+            return task.timerStartedAt
+              ? { ...task, timerStartedAt: null }
+              : task
+          })
+        ])
+      )
+    )
+    persist(() => startTaskTimer(taskId, now))
+  }
+
+  // Stop timing work on a task and record the session
+  const stopTimer = (quadrant, taskId) => {
+    const now = Date.now()
+    changeTask(
+      quadrant,
+      taskId,
+      (task) => ({
+        timerStartedAt: null,
+        actualMinutes:
+          (task.actualMinutes || 0) +
+          (task.timerStartedAt
+            ? getElapsedMinutes(task.timerStartedAt, now)
+            : 0)
+      }),
+      () => stopTaskTimer(taskId, now)
+    )
+  }
+
+  // Set or clear the estimated minutes of a task
+  const setEstimate = (quadrant, taskId, minutes) => {
+    changeTask(quadrant, taskId, () => ({
+      estimatedMinutes: minutes > 0 ? Math.round(minutes) : null
+    }))
+  }
+
+  // Replace the tags of a task
+  const setTags = (quadrant, taskId, tags) => {
+    changeTask(quadrant, taskId, () => ({ tags: normalizeTaskTags(tags) }))
+  }
+
+  // Set or clear the project of a task
+  const setProject = (quadrant, taskId, project) => {
+    changeTask(quadrant, taskId, () => ({
+      project: normalizeProject(project)
+    }))
+  }
+
+  // Set or clear the due date of a task; a time only applies with a date
+  const setDueDate = (quadrant, taskId, dueDate, dueTime = null) => {
+    changeTask(quadrant, taskId, () => ({
+      dueDate: dueDate || null,
+      dueTime: dueDate ? dueTime || null : null
+    }))
+  }
+
+  // Set or clear the recurrence rule of a task
+  const setRecurrence = (quadrant, taskId, recurrence) => {
+    changeTask(quadrant, taskId, () => ({
+      recurrence: normalizeTaskRecurrence(recurrence)
+    }))
+  }
+
+  // Apply checklist changes; when they complete or reopen the task, that
+  // part is saved the same way as toggling it
+  const changeSubtasks = (quadrant, taskId, getChanges) => {
+    changeTask(
+      quadrant,
+      taskId,
+      (task) => {
+        const changes = getChanges(task)
+        return changes.completed
+          ? { ...changes, timerStartedAt: null }
+          : changes
+      },
+      async (changes) => {
+        if (changes.completed === undefined) {
+          return updateTask(taskId, changes)
+        }
+        const checklist = { ...changes }
+        delete checklist.completed
+        delete checklist.completedAt
+        delete checklist.timerStartedAt
+        await updateTask(taskId, checklist)
+        return saveCompletion(taskId, changes)
+      }
+    )
+  }
+
+  // Add a checklist step to a task
+  const addSubtask = (quadrant, taskId, text) => {
+    const subtask = createSubtask(text)
+    changeSubtasks(quadrant, taskId, (task) =>
+      applySubtaskChanges(task, {
+        subtasks: [...(task.subtasks || []), subtask]
+      })
+    )
+    return subtask
+  }
+
+  // Toggle a checklist step
+  const toggleSubtask = (quadrant, taskId, subtaskId) => {
+    changeSubtasks(quadrant, taskId, (task) =>
+      applySubtaskChanges(task, {
+        subtasks: task.subtasks.map((subtask) =>
+          subtask.id === subtaskId
+            ? { ...subtask, completed: !subtask.completed }
+            : subtask
+        )
+      })
+    )
+  }
+
+  // Delete a checklist step
+  const deleteSubtask = (quadrant, taskId, subtaskId) => {
+    changeSubtasks(quadrant, taskId, (task) =>
+      applySubtaskChanges(task, {
+        subtasks: task.subtasks.filter((subtask) => subtask.id !== subtaskId)
+      })
+    )
+  }
+
+  // Choose whether a task completes itself once all its steps are done
+  const setCompleteWithSubtasks = (quadrant, taskId, enabled) => {
+    changeSubtasks(quadrant, taskId, (task) =>
+      applySubtaskChanges(task, { completeWithSubtasks: enabled })
+    )
   }
 
   // Delete task
@@ -79,8 +316,33 @@ export function useTasksState() {
       ...prev,
       [quadrant]: prev[quadrant].filter((task) => task.id !== taskId)
     }))
+    persist(() => deleteStoredTask(taskId))
   }
 
+  // Bring an archived task back to the end of its quadrant as an open task
+  const restoreTask = (task) => {
+    setTasks((prev) => ({
+      ...prev,
+      [task.quadrant]: [
+        ...prev[task.quadrant],
+        { ...task, completed: false, completedAt: null, archivedAt: null }
+      ]
+    }))
+    persist(() => restoreArchivedTask(task.id))
+  }
+
+  // Run an action on several stored tasks (see taskBulkActions); the matrix
+  // reloads once it is saved. Resolves with the action's result
+  const runBulkAction = (action) =>
+    new Promise((resolve, reject) => {
+      persist(() =>
+        action().then(resolve, (e) => {
+          reject(e)
+          throw e
+        })
+      )
+    })
+
   // Edit task text
   const editTask = (quadrant, taskId, newText) => {
     setTasks((prev) => ({
@@ -89,6 +351,7 @@ export function useTasksState() {
         task.id === taskId ? { ...task, text: newText.trim() } : task
       )
     }))
+    persist(() => updateTask(taskId, { text: newText }))
   }
 
   // Move task between quadrants
@@ -100,15 +363,29 @@ export function useTasksState() {
       [fromQuadrant]: prev[fromQuadrant].filter((t) => t.id !== task.id),
       [toQuadrant]: [...prev[toQuadrant], task]
     }))
+    persist(() => updateTask(task.id, { quadrant: toQuadrant }))
   }
 
   return {
     tasks,
-    setTasks,
+    isLoading,
     addTask,
     toggleTask,
     deleteTask,
     editTask,
-    moveTask
+    moveTask,
+    addSubtask,
+    toggleSubtask,
+    deleteSubtask,
+    setCompleteWithSubtasks,
+    setRecurrence,
+    setDueDate,
+    setEstimate,
+    setTags,
+    setProject,
+    startTimer,
+    stopTimer,
+    restoreTask,
+    runBulkAction
   }
 }
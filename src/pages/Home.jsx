@@ -1,7 +1,75 @@
-import React from 'react'
+import React, { useState, useEffect } from 'react'
 import { Link } from 'react-router-dom'
+import EventService from '../services/EventService'
+import { formatDurationVerbose } from '../utils/timeUtils'
+import { getDueTasks, subscribeToTaskChanges } from '../utils/tasksManager'
+import { describeTaskDue } from '../utils/taskDueDates'
+import { createLogger } from '../utils/logger'
+
+const logger = createLogger('Home')
+
+// Events listed in the "Today" card before linking to the full schedule
+const TODAY_PREVIEW_LIMIT = 5
+
+// Tasks listed in the "Due" card before linking to the Tasks page
+const DUE_PREVIEW_LIMIT = 5
 
 function Home() {
+  const [todaySummary, setTodaySummary] = useState(null)
+  const [dueTasks, setDueTasks] = useState(null)
+
+  // Keep the "Today" card in step with edits made on the Schedule page
+  useEffect(() => {
+    let isMounted = true
+    const loadSummary = async () => {
+      const summary = await EventService.getTodaySummary()
+      if (isMounted && summary) {
+        setTodaySummary(summary)
+      }
+    }
+
+    loadSummary()
+    const unsubscribe = EventService.subscribe(loadSummary)
+    return () => {
+      isMounted = false
+      unsubscribe()
+    }
+  }, [])
+
+  // Keep the "Due" card in step with edits made on the Tasks page
+  useEffect(() => {
+    let isMounted = true
+    const loadDueTasks = async () => {
+      try {
+        const due = await getDueTasks()
+        if (isMounted) {
+          setDueTasks(due)
+        }
+      } catch (error) {
+        logger.error('Failed to load due tasks:', error)
+      }
+    }
+
+    loadDueTasks()
+    const unsubscribe = subscribeToTaskChanges(loadDueTasks)
+    return () => {
+      isMounted = false
+      unsubscribe()
+    }
+  }, [])
+
+  const todayEvents = todaySummary
+    ? [...todaySummary.events]
+        .sort((a, b) => a.startTime.localeCompare(b.startTime))
+        .slice(0, TODAY_PREVIEW_LIMIT)
+    : []
+  const dueCount = dueTasks
+    ? dueTasks.overdue.length + dueTasks.dueToday.length
+    : 0
+  const duePreview = dueTasks
+    ? [...dueTasks.overdue, ...dueTasks.dueToday].slice(0, DUE_PREVIEW_LIMIT)
+    : []
+
   return (
     <>
       <div className='card'>
@@ -22,6 +90,75 @@ function Home() {
         </div>
       </div>
 
+      {todaySummary && (
+        <div className='card' aria-label='Today'>
+          <div className='card-h'>
+            <strong>📅 Today</strong>
+            <span className='small'>
+              {todaySummary.totalEvents === 0
+                ? 'Nothing scheduled'
+                : `${todaySummary.totalEvents} event${todaySummary.totalEvents === 1 ? '' : 's'}` +
+                  (todaySummary.totalDuration > 0
+                    ? ` · ${formatDurationVerbose(todaySummary.totalDuration * 60)} planned`
+                    : '')}
+            </span>
+          </div>
+          <div className='card-b'>
+            {todayEvents.length > 0 ? (
+              <ul style={{ margin: 0, paddingLeft: '20px' }}>
+                {todayEvents.map((event) => (
+                  <li key={`${event.id}-${event.day}`}>
+                    {event.startTime} {event.title}
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p style={{ margin: 0, opacity: 0.8 }}>
+                Your day is open.{' '}
+                <Link to='/schedule'>Plan it on the Schedule</Link>
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {dueTasks && (
+        <div className='card' aria-label='Due tasks'>
+          <div className='card-h'>
+            <strong>⏰ Due</strong>
+            <span className='small'>
+              {dueCount === 0
+                ? 'Nothing due today'
+                : [
+                    dueTasks.overdue.length > 0 &&
+                      `${dueTasks.overdue.length} overdue`,
+                    dueTasks.dueToday.length > 0 &&
+                      `${dueTasks.dueToday.length} due today`
+                  ]
+                    .filter(Boolean)
+                    .join(' · ')}
+            </span>
+          </div>
+          {dueCount > 0 && (
+            <div className='card-b'>
+              <ul style={{ margin: 0, paddingLeft: '20px' }}>
+                {duePreview.map((task) => (
+                  <li key={task.id}>
+                    {task.text}{' '}
+                    <span className='small' style={{ opacity: 0.8 }}>
+                      ({describeTaskDue(task)})
+                    </span>
+                  </li>
+                ))}
+              </ul>
+              <p style={{ margin: '8px 0 0 0', opacity: 0.8 }}>
+                <Link to='/tasks'>Open the task matrix</Link>
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+
       <div className='card'>
         <div className='card-h'>
           <strong>✨ Features</strong>
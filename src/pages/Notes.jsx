@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react'
 import { flushSync } from 'react-dom'
+import { useLocation } from 'react-router-dom'
 import { marked } from 'marked'
 import markedKatex from 'marked-katex-extension'
 import DOMPurify from 'dompurify'
@@ -95,6 +96,18 @@ function Notes() {
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false)
   const [noteToDelete, setNoteToDelete] = useState(null)
 
+  // Open the note picked in the command palette
+  const location = useLocation()
+  const requestedNoteId = location.state?.noteId
+  useEffect(() => {
+    const note = notes.find((n) => n.id === requestedNoteId)
+    if (note) {
+      loadNote(note)
+    }
+    // Only when a note is requested, not on every note edit
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [requestedNoteId, location.key])
+
   // Configure sanitization on mount
   useEffect(() => {
     configureSanitization(DOMPurify)
@@ -1,19 +1,41 @@
 import React, { useState, useRef, useEffect } from 'react'
 import { useRoutineRunner } from '../hooks/useRoutineRunner'
 import { formatTime } from '../utils/routineRunner'
-import { Link } from 'react-router-dom'
-import { exportRoutines, importRoutines } from '../utils/routinesManager'
+import { Link, useLocation } from 'react-router-dom'
+import {
+  exportRoutines,
+  importRoutines,
+  getRunnableRoutine,
+  getActiveRoutineState
+} from '../utils/routinesManager'
 import { saveTemplate } from '../utils/templatesManager'
 import { createLogger } from '../utils/logger'
 import ConfirmModal from '../components/common/ConfirmModal'
+import RoutineHistory from '../components/Routines/RoutineHistory'
+import StepQuestion from '../components/Routines/StepQuestion'
 import Icon from '../components/common/Icon'
 
 const logger = createLogger('Routines')
 
+const ROUTINE_TABS = [
+  { id: 'runner', label: 'Runner' },
+  { id: 'history', label: 'History' }
+]
+
+// Reasons offered when skipping a step; any other reason can be typed
+const SKIP_REASONS = [
+  'No time',
+  'Low energy',
+  'Not needed today',
+  'Done already'
+]
+
 function Routines() {
   const [selectedRoutine, setSelectedRoutine] = useState(null)
   const [toastMessage, setToastMessage] = useState('')
   const [showToast, setShowToast] = useState(false)
+  const [activeTab, setActiveTab] = useState('runner')
+  const [skipReason, setSkipReason] = useState('')
   const fileInputRef = useRef(null)
 
   // TAB-RTN-18: Cancel confirmation modal state
@@ -24,6 +46,51 @@ function Routines() {
 
   const runner = useRoutineRunner(selectedRoutine)
 
+  // Skip the current step with the reason picked or typed, if any
+  const handleSkip = React.useCallback(() => {
+    runner.skip(skipReason.trim())
+    setSkipReason('')
+  }, [runner, skipReason])
+
+  // Start the routine picked in the command palette
+  const location = useLocation()
+  const requestedRoutineId = location.state?.routineId
+  useEffect(() => {
+    if (!requestedRoutineId) return undefined
+    let isMounted = true
+    getRunnableRoutine(requestedRoutineId)
+      .then((routine) => {
+        if (isMounted && routine) {
+          setSelectedRoutine(routine)
+          setActiveTab('runner')
+        }
+      })
+      .catch((error) => logger.error('Failed to load routine:', error))
+    return () => {
+      isMounted = false
+    }
+  }, [requestedRoutineId, location.key])
+
+  // Resume the run interrupted by a reload, when offered on app load
+  const resumeRequested = Boolean(location.state?.resumeRun)
+  const { resume: resumeRun } = runner
+  useEffect(() => {
+    if (!resumeRequested) return undefined
+    let isMounted = true
+    getActiveRoutineState()
+      .then((saved) => {
+        if (isMounted && saved) {
+          resumeRun(saved)
+          setSelectedRoutine(saved.routine)
+          setActiveTab('runner')
+        }
+      })
+      .catch((error) => logger.error('Failed to resume routine:', error))
+    return () => {
+      isMounted = false
+    }
+  }, [resumeRequested, resumeRun, location.key])
+
   // TAB-RTN-45: Detect reduced motion preference
   useEffect(() => {
     const mediaQuery = window.matchMedia('(prefers-reduced-motion: reduce)')
@@ -62,7 +129,7 @@ function Routines() {
         if (navigator.vibrate) {
           navigator.vibrate(10)
         }
-        runner.skip()
+        handleSkip()
       }
 
       // Swipe right to complete step
@@ -82,7 +149,7 @@ function Routines() {
       document.removeEventListener('touchstart', handleTouchStart)
       document.removeEventListener('touchend', handleTouchEnd)
     }
-  }, [runner])
+  }, [runner, handleSkip])
 
   // TAB-RTN-18: Stop/Cancel routine with confirmation
   const handleCancelRoutine = React.useCallback(() => {
@@ -92,14 +159,14 @@ function Routines() {
   const confirmCancel = React.useCallback(
     (keepProgress) => {
       if (keepProgress) {
-        // Keep partial progress - logs and XP are preserved in runner state
+        // Keep partial progress - the run is recorded in the routine history
         logger.log('Routine cancelled - progress preserved')
       } else {
         // Discard progress
         if (runner.reset) runner.reset()
         logger.log('Routine cancelled - progress discarded')
       }
-      if (runner.cancel) runner.cancel()
+      if (runner.cancel) runner.cancel({ keepProgress })
       setSelectedRoutine(null)
       setShowCancelConfirm(false)
     },
@@ -127,7 +194,7 @@ function Routines() {
           break
         case 's':
           e.preventDefault()
-          if (runner.skip) runner.skip()
+          if (runner.skip) handleSkip()
           break
         case 'escape':
           e.preventDefault()
@@ -140,7 +207,7 @@ function Routines() {
 
     window.addEventListener('keydown', handleKeyPress)
     return () => window.removeEventListener('keydown', handleKeyPress)
-  }, [runner, handleCancelRoutine])
+  }, [runner, handleCancelRoutine, handleSkip])
 
   // Start runner when selectedRoutine and runner are ready
   React.useEffect(() => {
@@ -282,178 +349,273 @@ function Routines() {
         </div>
       </div>
 
-      {/* TAB-RTN-03: Current Routine runner with progress bar */}
-      {runner.state && runner.state.isRunning && (
-        <div className='card'>
-          <div className='card-h'>
-            <strong>Current Routine</strong>
-            <span className='small'>
-              {runner.state.routine.title || runner.state.routine.name}
-            </span>
-          </div>
-          {/* TAB-RTN-03 & TAB-RTN-42: Progress bar with ARIA */}
-          <div
-            className='routine-progress'
-            role='progressbar'
-            aria-valuenow={runner.progress}
-            aria-valuemin='0'
-            aria-valuemax='100'
-            aria-label='Routine progress'
-            aria-valuetext={`${runner.progress}% complete`}
+      <div role='tablist' aria-label='Routine views' className='routine-tabs'>
+        {ROUTINE_TABS.map((tab) => (
+          <button
+            key={tab.id}
+            role='tab'
+            aria-selected={activeTab === tab.id}
+            aria-controls={`routine-panel-${tab.id}`}
+            id={`routine-tab-${tab.id}`}
+            className={`routine-tab ${activeTab === tab.id ? 'active' : ''}`}
+            onClick={() => setActiveTab(tab.id)}
           >
-            <div
-              className='routine-progress-bar'
-              style={{ width: `${runner.progress}%` }}
-            ></div>
-          </div>
-          <div className='card-b runner-top'>
-            <div className='routine-time'>
-              <div className='small'>Step timer</div>
-              {/* TAB-RTN-43: Timer with aria-live for screen readers */}
-              <div style={{ fontWeight: '700' }}>
-                {runner.remainingTime}
-                <span
-                  style={{
-                    position: 'absolute',
-                    left: '-9999px',
-                    width: '1px',
-                    height: '1px',
-                    overflow: 'hidden'
-                  }}
-                  aria-live='polite'
-                >
-                  {formatTime(runner.remainingTime, { verbose: true })}
-                </span>
-              </div>
-            </div>
-            {/* TAB-RTN-09: Step triptych - Previous (dim), Current (glow), Next (preview) */}
-            <div className='triptych'>
-              {/* Previous step */}
-              {runner.previousStep ? (
-                <div className='panel dim'>
-                  <div className='step-title'>{runner.previousStep.label}</div>
-                  <div className='step-meta'>
-                    <span className='small'>Previous</span>
-                    <span className='small'>
-                      {formatTime(runner.previousStep.duration)}
-                    </span>
-                  </div>
-                </div>
-              ) : (
-                <div className='panel dim' style={{ opacity: 0.3 }}>
-                  <div className='step-title'>—</div>
-                  <div className='step-meta'>
-                    <span className='small'>Start</span>
-                  </div>
-                </div>
-              )}
+            {tab.label}
+          </button>
+        ))}
+      </div>
 
-              {/* Current step - TAB-RTN-10 */}
-              <div className='panel panel-current'>
-                <div className='step-title'>{runner.currentStep?.label}</div>
-                <div className='step-meta'>
+      <div
+        role='tabpanel'
+        id={`routine-panel-${activeTab}`}
+        aria-labelledby={`routine-tab-${activeTab}`}
+      >
+        {activeTab === 'history' ? (
+          <div className='card'>
+            <div className='card-b'>
+              <RoutineHistory />
+            </div>
+          </div>
+        ) : (
+          <>
+            {/* TAB-RTN-03: Current Routine runner with progress bar */}
+            {runner.state && runner.state.isRunning && (
+              <div className='card'>
+                <div className='card-h'>
+                  <strong>Current Routine</strong>
                   <span className='small'>
-                    Current · {runner.state.isPaused ? 'Paused' : 'Running'}
+                    {runner.state.routine.title || runner.state.routine.name}
                   </span>
-                  <span className='small'>{runner.remainingTime}</span>
                 </div>
-                {/* TAB-RTN-11: Controls with accessible labels */}
-                <div className='controls'>
-                  <button
-                    className='btn'
-                    onClick={runner.complete}
-                    aria-label='Complete current step'
-                    disabled={!runner.state.isRunning}
-                  >
-                    <Icon name='check' />
-                    Complete
-                  </button>
-                  <button
-                    className='btn'
-                    onClick={runner.togglePause}
-                    aria-label={
-                      runner.state.isPaused ? 'Resume routine' : 'Pause routine'
-                    }
-                  >
-                    <Icon name={runner.state.isPaused ? 'play' : 'pause'} />
-                    {runner.state.isPaused ? 'Resume' : 'Pause'}
-                  </button>
-                  <button
-                    className='btn'
-                    onClick={() => runner.skip()}
-                    aria-label='Skip current step'
-                    disabled={!runner.state.isRunning}
-                  >
-                    <Icon name='skip' />
-                    Skip
-                  </button>
-                  <button
-                    className='btn'
-                    onClick={handleCancelRoutine}
-                    aria-label='Cancel routine'
-                    style={{
-                      borderColor: 'var(--alert)',
-                      color: 'var(--alert)'
-                    }}
-                  >
-                    <Icon name='x' />
-                    Cancel
-                  </button>
+                {/* TAB-RTN-03 & TAB-RTN-42: Progress bar with ARIA */}
+                <div
+                  className='routine-progress'
+                  role='progressbar'
+                  aria-valuenow={runner.progress}
+                  aria-valuemin='0'
+                  aria-valuemax='100'
+                  aria-label='Routine progress'
+                  aria-valuetext={`${runner.progress}% complete`}
+                >
+                  <div
+                    className='routine-progress-bar'
+                    style={{ width: `${runner.progress}%` }}
+                  ></div>
                 </div>
-              </div>
-
-              {/* Next step */}
-              {runner.nextStep ? (
-                <div className='panel dim'>
-                  <div className='step-title'>{runner.nextStep.label}</div>
-                  <div className='step-meta'>
-                    <span className='small'>Next</span>
-                    <span className='small'>
-                      {formatTime(runner.nextStep.duration)}
-                    </span>
+                <div className='card-b runner-top'>
+                  <div className='routine-time'>
+                    <div className='small'>Step timer</div>
+                    {/* TAB-RTN-43: Timer with aria-live for screen readers */}
+                    <div style={{ fontWeight: '700' }}>
+                      {runner.remainingTime}
+                      <span
+                        style={{
+                          position: 'absolute',
+                          left: '-9999px',
+                          width: '1px',
+                          height: '1px',
+                          overflow: 'hidden'
+                        }}
+                        aria-live='polite'
+                      >
+                        {formatTime(runner.remainingTime, { verbose: true })}
+                      </span>
+                    </div>
+                  </div>
+                  {/* TAB-RTN-09: Step triptych - Previous (dim), Current (glow), Next (preview) */}
+                  <div className='triptych'>
+                    {/* Previous step */}
+                    {runner.previousStep ? (
+                      <div className='panel dim'>
+                        <div className='step-title'>
+                          {runner.previousStep.label}
+                        </div>
+                        <div className='step-meta'>
+                          <span className='small'>Previous</span>
+                          <span className='small'>
+                            {formatTime(runner.previousStep.duration)}
+                          </span>
+                        </div>
+                      </div>
+                    ) : (
+                      <div className='panel dim' style={{ opacity: 0.3 }}>
+                        <div className='step-title'>—</div>
+                        <div className='step-meta'>
+                          <span className='small'>Start</span>
+                        </div>
+                      </div>
+                    )}
+
+                    {/* Current step - TAB-RTN-10 */}
+                    {runner.pendingQuestion ? (
+                      <div className='panel panel-current'>
+                        <StepQuestion
+                          question={runner.pendingQuestion}
+                          onAnswer={runner.answer}
+                        />
+                        <div className='controls'>
+                          <button
+                            className='btn'
+                            onClick={handleCancelRoutine}
+                            aria-label='Cancel routine'
+                            style={{
+                              borderColor: 'var(--alert)',
+                              color: 'var(--alert)'
+                            }}
+                          >
+                            <Icon name='x' />
+                            Cancel
+                          </button>
+                        </div>
+                      </div>
+                    ) : (
+                      <div className='panel panel-current'>
+                        {runner.nesting.length > 0 && (
+                          <div className='step-nesting small'>
+                            {runner.nesting
+                              .map(
+                                (level) =>
+                                  `${level.title} · ${level.position} of ${level.count}`
+                              )
+                              .join(' › ')}
+                          </div>
+                        )}
+                        <div className='step-title'>
+                          {runner.currentStep?.label}
+                        </div>
+                        <div className='step-meta'>
+                          <span className='small'>
+                            Current ·{' '}
+                            {runner.state.isPaused ? 'Paused' : 'Running'}
+                          </span>
+                          <span className='small'>{runner.remainingTime}</span>
+                        </div>
+                        {/* TAB-RTN-11: Controls with accessible labels */}
+                        <div className='controls'>
+                          <button
+                            className='btn'
+                            onClick={runner.complete}
+                            aria-label='Complete current step'
+                            disabled={!runner.state.isRunning}
+                          >
+                            <Icon name='check' />
+                            Complete
+                          </button>
+                          <button
+                            className='btn'
+                            onClick={runner.togglePause}
+                            aria-label={
+                              runner.state.isPaused
+                                ? 'Resume routine'
+                                : 'Pause routine'
+                            }
+                          >
+                            <Icon
+                              name={runner.state.isPaused ? 'play' : 'pause'}
+                            />
+                            {runner.state.isPaused ? 'Resume' : 'Pause'}
+                          </button>
+                          <button
+                            className='btn'
+                            onClick={handleSkip}
+                            aria-label='Skip current step'
+                            disabled={!runner.state.isRunning}
+                          >
+                            <Icon name='skip' />
+                            Skip
+                          </button>
+                          <button
+                            className='btn'
+                            onClick={handleCancelRoutine}
+                            aria-label='Cancel routine'
+                            style={{
+                              borderColor: 'var(--alert)',
+                              color: 'var(--alert)'
+                            }}
+                          >
+                            <Icon name='x' />
+                            Cancel
+                          </button>
+                        </div>
+                        <div className='skip-reason'>
+                          <label htmlFor='skip-reason' className='small'>
+                            Skip reason (optional)
+                          </label>
+                          <input
+                            id='skip-reason'
+                            type='text'
+                            list='skip-reason-options'
+                            value={skipReason}
+                            onChange={(e) => setSkipReason(e.target.value)}
+                            placeholder='Pick or type a reason'
+                            maxLength={100}
+                          />
+                          <datalist id='skip-reason-options'>
+                            {SKIP_REASONS.map((reason) => (
+                              <option key={reason} value={reason} />
+                            ))}
+                          </datalist>
+                        </div>
+                      </div>
+                    )}
+
+                    {/* Next step */}
+                    {runner.nextStep ? (
+                      <div className='panel dim'>
+                        <div className='step-title'>
+                          {runner.nextStep.label}
+                        </div>
+                        <div className='step-meta'>
+                          <span className='small'>Next</span>
+                          <span className='small'>
+                            {formatTime(runner.nextStep.duration)}
+                          </span>
+                        </div>
+                      </div>
+                    ) : (
+                      <div className='panel dim' style={{ opacity: 0.3 }}>
+                        <div className='step-title'>—</div>
+                        <div className='step-meta'>
+                          <span className='small'>Finish</span>
+                        </div>
+                      </div>
+                    )}
                   </div>
                 </div>
-              ) : (
-                <div className='panel dim' style={{ opacity: 0.3 }}>
-                  <div className='step-title'>—</div>
-                  <div className='step-meta'>
-                    <span className='small'>Finish</span>
+              </div>
+            )}
+
+            {/* No routine selected - prompt to select from Library */}
+            {!runner.state || !runner.state.isRunning ? (
+              <div className='card'>
+                <div className='card-b'>
+                  <div className='empty-state'>
+                    <svg
+                      className='icon'
+                      viewBox='0 0 24 24'
+                      style={{ width: '48px', height: '48px', opacity: 0.5 }}
+                    >
+                      <circle cx='12' cy='12' r='10' />
+                      <path d='M12 8v4M12 16h.01' />
+                    </svg>
+                    <p className='empty-state-text'>No routine running</p>
+                    <p
+                      className='small'
+                      style={{ marginTop: '8px', marginBottom: '16px' }}
+                    >
+                      Select a routine from the Library to get started
+                    </p>
+                    <Link to='/library' className='btn btn-primary'>
+                      <Icon name='file' />
+                      Browse Routines
+                    </Link>
                   </div>
                 </div>
-              )}
-            </div>
-          </div>
-        </div>
-      )}
-
-      {/* No routine selected - prompt to select from Library */}
-      {!runner.state || !runner.state.isRunning ? (
-        <div className='card'>
-          <div className='card-b'>
-            <div className='empty-state'>
-              <svg
-                className='icon'
-                viewBox='0 0 24 24'
-                style={{ width: '48px', height: '48px', opacity: 0.5 }}
-              >
-                <circle cx='12' cy='12' r='10' />
-                <path d='M12 8v4M12 16h.01' />
-              </svg>
-              <p className='empty-state-text'>No routine running</p>
-              <p
-                className='small'
-                style={{ marginTop: '8px', marginBottom: '16px' }}
-              >
-                Select a routine from the Library to get started
-              </p>
-              <Link to='/library' className='btn btn-primary'>
-                <Icon name='file' />
-                Browse Routines
-              </Link>
-            </div>
-          </div>
-        </div>
-      ) : null}
+              </div>
+            ) : null}
+          </>
+        )}
+      </div>
 
       {/* TAB-RTN-31: Completion Summary Modal */}
       {runner.isComplete && runner.summary && (
@@ -597,6 +759,16 @@ function Routines() {
                       )}
                     </div>
                   ))}
+                  {/* Steps left out by their conditions or groups */}
+                  {runner.summary.excludedSteps.map((step) => (
+                    <div
+                      key={`excluded-${step.stepIndex}`}
+                      className='small'
+                      style={{ padding: '4px 8px', opacity: 0.7 }}
+                    >
+                      – {step.stepLabel} - {step.reason}
+                    </div>
+                  ))}
                 </div>
               </div>
 
@@ -61,20 +61,42 @@ Ask for clarification or preserve the existing structure.
  * Manages routines, tasks, meetings, and habits with a clean, accessible interface
  */
 
-import React, { useState, useEffect, useCallback, useMemo } from 'react'
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react'
 import { Calendar, dateFnsLocalizer } from 'react-big-calendar'
+import withDragAndDrop from 'react-big-calendar/lib/addons/dragAndDrop'
 import { format, parse, startOfWeek, getDay, addDays } from 'date-fns'
 import EventModal from '../components/Schedule/EventModal'
 import ItemActionModal from '../components/ItemActionModal'
 import CustomToolbar from '../components/Schedule/CustomToolbar'
 import SolidEventCard from '../components/Schedule/SolidEventCard'
 import TimeBands from '../components/Schedule/TimeBands'
+import RecurrenceScopeModal from '../components/Schedule/RecurrenceScopeModal'
+import DayPlanModal from '../components/Schedule/DayPlanModal'
+import ConfirmModal from '../components/common/ConfirmModal'
+import Toast from '../components/Toast'
 import ErrorBoundary from '../components/ErrorBoundary'
 import EventService from '../services/EventService'
-import { toRBCEvents, createEventFromSlot } from '../utils/eventAdapter'
-import { EVENT_TYPES } from '../utils/scheduleConstants'
+import {
+  toRBCEvents,
+  toRBCBufferEvents,
+  createEventFromSlot,
+  fromRBCRange,
+  isDraggableEvent,
+  isResizableEvent
+} from '../utils/eventAdapter'
+import {
+  findBufferOverlap,
+  describeBufferOverlap
+} from '../utils/scheduleBuffers'
+import { describeConflicts } from '../utils/scheduleConflicts'
+import { importICSFile } from '../utils/calendarSubscriptionManager'
+import { exportScheduleICS } from '../utils/icsExporter'
+import { planDay } from '../utils/autoScheduler'
+import { EVENT_TYPES, RECURRENCE_EDIT_SCOPES } from '../utils/scheduleConstants'
 import { getSettings } from '../utils/settingsManager'
+import { getDisplayTimeZone, toZonedWallClockDate } from '../utils/timezone'
 import 'react-big-calendar/lib/css/react-big-calendar.css'
+import 'react-big-calendar/lib/addons/dragAndDrop/styles.css'
 import '../assets/styles/schedule-rbc.css'
 import '../components/ErrorBoundary.css'
 
@@ -102,11 +124,21 @@ const localizer = dateFnsLocalizer({
   locales: {}
 })
 
+const DragAndDropCalendar = withDragAndDrop(Calendar)
+
 function Schedule() {
   // State management
   const [view, setView] = useState('day')
-  const [date, setDate] = useState(new Date())
+  // Events are projected into the display time zone, so the calendar shows
+  // that zone's wall-clock times as local Dates (including "today" and "now")
+  const [displayTimeZone, setDisplayTimeZone] = useState(() =>
+    getDisplayTimeZone()
+  )
+  const [date, setDate] = useState(() =>
+    toZonedWallClockDate(new Date(), getDisplayTimeZone())
+  )
   const [events, setEvents] = useState([])
+  const [conflicts, setConflicts] = useState({})
   const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState('')
 
@@ -116,6 +148,12 @@ function Schedule() {
   const [selectedEvent, setSelectedEvent] = useState(null)
   const [eventToDelete, setEventToDelete] = useState(null)
   const [showActionModal, setShowActionModal] = useState(false)
+  const [recurringEventToDelete, setRecurringEventToDelete] = useState(null)
+  const [statusMessage, setStatusMessage] = useState('')
+  const [dayPlan, setDayPlan] = useState(null)
+  const [pendingReschedule, setPendingReschedule] = useState(null)
+  const [undoToast, setUndoToast] = useState(null)
+  const icsInputRef = useRef(null)
 
   // Get time format preference from settings (default to 24-hour)
   // Reactive settings: useState + storage listener for cross-tab updates
@@ -132,6 +170,7 @@ function Schedule() {
         if (typeof updatedValue === 'boolean') {
           setUse24HourFormat(updatedValue)
         }
+        setDisplayTimeZone(getDisplayTimeZone())
       } catch (err) {
         console.error(
           'Failed to sync 24-hour format from settings (storage):',
@@ -148,6 +187,7 @@ function Schedule() {
         if (typeof updatedValue === 'boolean') {
           setUse24HourFormat(updatedValue)
         }
+        setDisplayTimeZone(getDisplayTimeZone())
       } catch (err) {
         console.error(
           'Failed to sync 24-hour format from settings (custom event):',
@@ -165,7 +205,12 @@ function Schedule() {
   }, [])
 
   // Convert events to RBC format
-  const rbcEvents = useMemo(() => toRBCEvents(events), [events])
+  const rbcEvents = useMemo(
+    () => toRBCEvents(events, conflicts),
+    [events, conflicts]
+  )
+  // Travel/preparation buffers are drawn as background events in day/week views
+  const rbcBufferEvents = useMemo(() => toRBCBufferEvents(events), [events])
 
   // Load events based on current view and date
   const loadEvents = useCallback(async () => {
@@ -190,7 +235,15 @@ function Schedule() {
         )
       }
 
+      // Conflict badges cover the days of the loaded events
+      const days = loadedEvents.map((event) => event.day).sort()
+      const loadedConflicts =
+        days.length > 0
+          ? await EventService.getConflictsForRange(days[0], days.at(-1))
+          : {}
+
       setEvents(loadedEvents)
+      setConflicts(loadedConflicts)
     } catch (err) {
       console.error('Failed to load events:', err)
       setError('Failed to load events. Please try again.')
@@ -199,10 +252,33 @@ function Schedule() {
     }
   }, [view, date])
 
-  // Load events when view or date changes
+  const getNow = useCallback(
+    () => toZonedWallClockDate(new Date(), displayTimeZone),
+    [displayTimeZone]
+  )
+
+  // Load events when view or date changes, and when the display time zone
+  // changes (events are projected into it when loaded)
   useEffect(() => {
     loadEvents()
-  }, [loadEvents])
+  }, [loadEvents, displayTimeZone])
+
+  // Reload whenever stored events change, whether through this page, a
+  // calendar sync or an import, so every view shows the same data
+  useEffect(() => EventService.subscribe(() => loadEvents()), [loadEvents])
+
+  // Shown in the event form when travel/preparation runs into the previous event
+  const getBufferWarning = useCallback(async (draft) => {
+    const dayEvents = await EventService.getEventsForDate(draft.day)
+    const previous = findBufferOverlap(draft, dayEvents)
+    return previous ? describeBufferOverlap(draft, previous) : null
+  }, [])
+
+  // Shown in the event form when the event overlaps other events
+  const getConflictWarning = useCallback(async (draft) => {
+    const overlapping = await EventService.findConflicts(draft)
+    return overlapping.length > 0 ? describeConflicts(overlapping) : null
+  }, [])
 
   // Event handlers
   const handleSelectSlot = useCallback((slotInfo) => {
@@ -268,15 +344,20 @@ function Schedule() {
         eventData.id &&
         (typeof eventData.id === 'string' || typeof eventData.id === 'number')
 
-      if (isUpdate) {
+      if (eventData.isOccurrence) {
+        console.log('Updating recurring event:', eventData.recurringEventId)
+        await EventService.updateRecurringEvent(
+          eventData,
+          eventData.editScope || RECURRENCE_EDIT_SCOPES.THIS
+        )
+      } else if (isUpdate) {
         console.log('Updating event:', eventData.id)
-        await EventService.updateEvent(eventData.id, eventData)
+        await EventService.updateEvent(eventData)
       } else {
         console.log('Creating new event')
         await EventService.createEvent(eventData)
       }
 
-      await loadEvents()
       setIsModalOpen(false)
       setSelectedEvent(null)
     } catch (err) {
@@ -296,9 +377,16 @@ function Schedule() {
         throw new Error('Event ID is required for deletion')
       }
 
+      // Recurring occurrences ask which occurrences to delete first
+      if (eventToDelete.isOccurrence) {
+        setRecurringEventToDelete(eventToDelete)
+        setShowActionModal(false)
+        setEventToDelete(null)
+        return
+      }
+
       console.log('Deleting event:', eventToDelete.id)
       await EventService.deleteEvent(eventToDelete.id)
-      await loadEvents()
       setShowActionModal(false)
       setEventToDelete(null)
     } catch (err) {
@@ -307,6 +395,22 @@ function Schedule() {
     }
   }
 
+  const handleDeleteRecurringEvent = async (scope) => {
+    try {
+      console.log(
+        'Deleting recurring event:',
+        recurringEventToDelete.recurringEventId,
+        scope
+      )
+      await EventService.deleteRecurringEvent(recurringEventToDelete, scope)
+    } catch (err) {
+      console.error('[Schedule] Failed to delete recurring event:', err)
+      setError('Failed to delete event. Please try again.')
+    } finally {
+      setRecurringEventToDelete(null)
+    }
+  }
+
   const handleEditEvent = () => {
     try {
       if (eventToDelete) {
@@ -336,6 +440,160 @@ function Schedule() {
     }
   }
 
+  const handleImportICS = async (e) => {
+    const file = e.target.files?.[0]
+    // Reset so choosing the same file again triggers another import
+    e.target.value = ''
+    if (!file) return
+
+    try {
+      console.log('Importing .ics file:', file.name)
+      const icsData = await file.text()
+      const { imported, duplicates } = await importICSFile(icsData)
+      setStatusMessage(
+        `Imported ${imported} event${imported === 1 ? '' : 's'}` +
+          (duplicates > 0
+            ? `, skipped ${duplicates} already in your schedule`
+            : '')
+      )
+    } catch (err) {
+      console.error('[Schedule] Failed to import .ics file:', err)
+      setError(
+        'Failed to import calendar file. Please check the file and try again.'
+      )
+    }
+  }
+
+  const handleExportICS = async () => {
+    try {
+      const count = await exportScheduleICS()
+      setStatusMessage(`Exported ${count} event${count === 1 ? '' : 's'}`)
+    } catch (err) {
+      console.error('[Schedule] Failed to export schedule:', err)
+      setError('Failed to export schedule. Please try again.')
+    }
+  }
+
+  const handlePlanDay = async () => {
+    try {
+      const day = format(date, 'yyyy-MM-dd')
+      console.log('Planning day:', day)
+      setDayPlan(await planDay(day))
+    } catch (err) {
+      console.error('[Schedule] Failed to plan day:', err)
+      setError('Failed to plan your day. Please try again.')
+    }
+  }
+
+  const handleAcceptDayPlan = async (items) => {
+    try {
+      for (const item of items) {
+        await EventService.createEvent({
+          title: item.title,
+          type: EVENT_TYPES.TASK,
+          day: item.day,
+          startTime: item.startTime,
+          endTime: item.endTime,
+          taskId: item.taskId
+        })
+      }
+      setStatusMessage(
+        `Scheduled ${items.length} task${items.length === 1 ? '' : 's'}`
+      )
+    } catch (err) {
+      console.error('[Schedule] Failed to apply day plan:', err)
+      setError('Failed to add planned tasks. Please try again.')
+    } finally {
+      setDayPlan(null)
+    }
+  }
+
+  // Drag and drop only reschedules in the time grid (day and week views)
+  const canDragEvent = useCallback(
+    (event) => view !== 'month' && isDraggableEvent(event),
+    [view]
+  )
+  const canResizeEvent = useCallback(
+    (event) => view !== 'month' && isResizableEvent(event),
+    [view]
+  )
+
+  const applyReschedule = async ({ original, rescheduled, isResize }) => {
+    try {
+      let undo
+      if (original.isOccurrence) {
+        // Dragging an occurrence only moves that occurrence
+        console.log('Rescheduling occurrence:', original.occurrenceDay)
+        const detachedId = await EventService.updateRecurringEvent(
+          rescheduled,
+          RECURRENCE_EDIT_SCOPES.THIS
+        )
+        undo = () => EventService.reattachOccurrence(detachedId)
+      } else {
+        console.log('Rescheduling event:', original.id)
+        await EventService.moveEvent(
+          original.id,
+          rescheduled.day,
+          rescheduled.startTime,
+          isResize ? rescheduled.endTime : undefined
+        )
+        undo = () => EventService.updateEvent(original)
+      }
+      setUndoToast({
+        message:
+          `${isResize ? 'Resized' : 'Moved'} "${original.title}" to ` +
+          `${rescheduled.day} ${rescheduled.startTime}–${rescheduled.endTime}`,
+        undo
+      })
+    } catch (err) {
+      console.error('[Schedule] Failed to reschedule event:', err)
+      setError('Failed to reschedule event. Please try again.')
+    }
+  }
+
+  const handleReschedule = async ({ event, start, end }, isResize) => {
+    const original = event.resource?.originalEvent
+    if (!original || event.resource.isLocked) return
+
+    const rescheduled = fromRBCRange(original, { start, end })
+    if (
+      rescheduled.day === original.day &&
+      rescheduled.startTime === original.startTime &&
+      rescheduled.endTime === original.endTime
+    ) {
+      return
+    }
+
+    // Preview conflicts before anything is saved
+    const overlapping = await EventService.findConflicts(rescheduled)
+    const change = { original, rescheduled, isResize }
+    if (overlapping.length > 0) {
+      setPendingReschedule({
+        ...change,
+        warning: describeConflicts(overlapping)
+      })
+      return
+    }
+    await applyReschedule(change)
+  }
+
+  const handleConfirmReschedule = async () => {
+    const change = pendingReschedule
+    setPendingReschedule(null)
+    await applyReschedule(change)
+  }
+
+  const handleUndoReschedule = async () => {
+    try {
+      await undoToast.undo()
+    } catch (err) {
+      console.error('[Schedule] Failed to undo reschedule:', err)
+      setError('Failed to undo the change. Please try again.')
+    }
+  }
+
+  const closeUndoToast = useCallback(() => setUndoToast(null), [])
+
   const handleScheduleEvent = (eventType) => {
     try {
       console.log('Schedule event button clicked:', eventType)
@@ -378,16 +636,23 @@ function Schedule() {
         <div className='schedule-container'>
           <div className='schedule-wrapper'>
             <TimeBands />
-            <Calendar
+            <DragAndDropCalendar
               localizer={localizer}
               events={rbcEvents}
+              backgroundEvents={rbcBufferEvents}
               view={view}
               views={views}
               date={date}
               onNavigate={setDate}
+              getNow={getNow}
               onView={setView}
               onSelectSlot={handleSelectSlot}
               onSelectEvent={handleSelectEvent}
+              onEventDrop={(args) => handleReschedule(args, false)}
+              onEventResize={(args) => handleReschedule(args, true)}
+              draggableAccessor={canDragEvent}
+              resizableAccessor={canResizeEvent}
+              resizable
               selectable
               popup
               step={15}
@@ -402,6 +667,9 @@ function Schedule() {
                     {...props}
                     views={['day', 'week', 'month']}
                     onScheduleEvent={handleScheduleEvent}
+                    onImportICS={() => icsInputRef.current?.click()}
+                    onExportICS={handleExportICS}
+                    onPlanDay={handlePlanDay}
                     EVENT_TYPES={EVENT_TYPES}
                   />
                 ),
@@ -413,7 +681,9 @@ function Schedule() {
                 )
               }}
               eventPropGetter={(event) => ({
-                className: `event-${event.resource?.type || 'task'}`
+                className:
+                  `event-${event.resource?.type || 'task'}` +
+                  (event.resource?.isLocked ? ' event-locked' : '')
               })}
             />
           </div>
@@ -424,6 +694,29 @@ function Schedule() {
             </div>
           )}
 
+          <input
+            ref={icsInputRef}
+            type='file'
+            accept='.ics,text/calendar'
+            onChange={handleImportICS}
+            hidden
+            aria-label='Import .ics file'
+            data-testid='ics-file-input'
+          />
+
+          {statusMessage && (
+            <div className='status-message' role='status'>
+              {statusMessage}
+              <button
+                onClick={() => setStatusMessage('')}
+                className='error-dismiss'
+                aria-label='Dismiss message'
+              >
+                ×
+              </button>
+            </div>
+          )}
+
           {error && (
             <div className='error-message' role='alert'>
               {error}
@@ -445,6 +738,44 @@ function Schedule() {
           onSave={handleSaveEvent}
           eventType={selectedEventType}
           initialData={selectedEvent}
+          getBufferWarning={getBufferWarning}
+          getConflictWarning={getConflictWarning}
+        />
+
+        {/* "Plan my day" preview */}
+        {dayPlan && (
+          <DayPlanModal
+            plan={dayPlan}
+            onAccept={handleAcceptDayPlan}
+            onReject={() => setDayPlan(null)}
+          />
+        )}
+
+        {/* Conflict preview for drag and drop */}
+        <ConfirmModal
+          isOpen={pendingReschedule !== null}
+          title='Reschedule with conflicts?'
+          message={
+            pendingReschedule
+              ? `${pendingReschedule.warning}. Keep the new time anyway?`
+              : ''
+          }
+          confirmText={
+            pendingReschedule?.isResize ? 'Resize anyway' : 'Move anyway'
+          }
+          cancelText='Keep original time'
+          onConfirm={handleConfirmReschedule}
+          onCancel={() => setPendingReschedule(null)}
+        />
+
+        {/* Undo for drag and drop */}
+        <Toast
+          message={undoToast?.message}
+          visible={undoToast !== null}
+          onClose={closeUndoToast}
+          action={
+            undoToast ? { label: 'Undo', onClick: handleUndoReschedule } : null
+          }
         />
 
         {/* Action Modal for Edit/Delete */}
@@ -459,6 +790,14 @@ function Schedule() {
             onDelete={handleDeleteEvent}
           />
         )}
+
+        {/* Scope prompt for deleting recurring events */}
+        <RecurrenceScopeModal
+          isOpen={recurringEventToDelete !== null}
+          title='Delete recurring event'
+          onSelect={handleDeleteRecurringEvent}
+          onCancel={() => setRecurringEventToDelete(null)}
+        />
       </div>
     </ErrorBoundary>
   )
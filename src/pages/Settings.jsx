@@ -1,5 +1,11 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react'
 import { getSettings, updateSetting } from '../utils/settingsManager'
+import { getSupportedTimeZones, getSystemTimeZone } from '../utils/timezone'
+import { getEnergyWindows } from '../utils/autoScheduler'
+import { getDailyCapacity } from '../utils/scheduleAnalytics'
+import { ENERGY_LEVELS } from '../utils/scheduleConstants'
+import { getTaskPromotionSettings } from '../utils/taskDueDates'
+import { getTaskArchiveSettings } from '../utils/taskArchive'
 import {
   isFileSystemAccessSupported,
   requestDirectoryAccess,
@@ -257,6 +263,50 @@ function Settings() {
     [handleKeepCountChange]
   )
 
+  const handleEnergyWindowChange = useCallback(
+    (level, edge, time) => {
+      if (!time) return
+      const energyWindows = getEnergyWindows(settings)
+      const schedule = {
+        ...settings.schedule,
+        energyWindows: {
+          ...energyWindows,
+          [level]: { ...energyWindows[level], [edge]: time }
+        }
+      }
+      setSettingsState({ ...settings, schedule })
+      updateSetting('schedule', schedule)
+      showMessage('Energy windows updated successfully')
+    },
+    [settings, showMessage]
+  )
+
+  const handleDailyCapacityChange = useCallback(
+    (e) => {
+      let hours = parseFloat(e.target.value)
+      if (isNaN(hours) || hours < 1) hours = 1
+      if (hours > 24) hours = 24
+      const schedule = {
+        ...settings.schedule,
+        dailyCapacityMinutes: Math.round(hours * 60)
+      }
+      setSettingsState({ ...settings, schedule })
+      updateSetting('schedule', schedule)
+      showMessage('Daily capacity updated successfully')
+    },
+    [settings, showMessage]
+  )
+
+  const handleTaskSettingsChange = useCallback(
+    (changes, successMessage) => {
+      const tasks = { ...settings.tasks, ...changes }
+      setSettingsState({ ...settings, tasks })
+      updateSetting('tasks', tasks)
+      showMessage(successMessage)
+    },
+    [settings, showMessage]
+  )
+
   const formatTimeSince = (date) => {
     if (!date) return 'Never'
 
@@ -504,6 +554,217 @@ function Settings() {
               Display times in 24-hour format (e.g., 14:00 instead of 2:00 PM)
             </small>
           </div>
+
+          {/* Display Time Zone */}
+          <div className='settings-field'>
+            <label htmlFor='schedule-time-zone' className='settings-label'>
+              Display Time Zone
+            </label>
+            <select
+              id='schedule-time-zone'
+              className='settings-input'
+              value={settings.schedule?.timeZone || ''}
+              onChange={(e) => {
+                const newSettings = {
+                  ...settings,
+                  schedule: {
+                    ...settings.schedule,
+                    timeZone: e.target.value || null
+                  }
+                }
+                setSettingsState(newSettings)
+                updateSetting('schedule', newSettings.schedule)
+                if (typeof window !== 'undefined') {
+                  window.dispatchEvent(new CustomEvent('settingsUpdated'))
+                }
+                showMessage('Time zone updated successfully')
+              }}
+              aria-describedby='time-zone-hint'
+            >
+              <option value=''>Device time zone ({getSystemTimeZone()})</option>
+              {getSupportedTimeZones().map((zone) => (
+                <option key={zone} value={zone}>
+                  {zone}
+                </option>
+              ))}
+            </select>
+            <small id='time-zone-hint' className='settings-hint'>
+              Events keep their own time zone and are shown in this one, so
+              times stay correct when you travel
+            </small>
+          </div>
+
+          {/* Energy Windows for "Plan my day" */}
+          <div className='settings-field'>
+            <span className='settings-label'>Energy Windows</span>
+            {[
+              [ENERGY_LEVELS.HIGH, 'High energy'],
+              [ENERGY_LEVELS.LOW, 'Low energy']
+            ].map(([level, label]) => (
+              <div key={level} className='settings-input-group'>
+                <span>{label}</span>
+                <input
+                  type='time'
+                  className='settings-input'
+                  value={getEnergyWindows(settings)[level].start}
+                  onChange={(e) =>
+                    handleEnergyWindowChange(level, 'start', e.target.value)
+                  }
+                  aria-label={`${label} start`}
+                />
+                <span>to</span>
+                <input
+                  type='time'
+                  className='settings-input'
+                  value={getEnergyWindows(settings)[level].end}
+                  onChange={(e) =>
+                    handleEnergyWindowChange(level, 'end', e.target.value)
+                  }
+                  aria-label={`${label} end`}
+                />
+              </div>
+            ))}
+            <small className='settings-hint'>
+              &quot;Plan my day&quot; puts important tasks into your high-energy
+              hours and the rest into your low-energy hours
+            </small>
+          </div>
+
+          {/* Daily Capacity for the Stats time budget */}
+          <div className='settings-field'>
+            <label htmlFor='daily-capacity' className='settings-label'>
+              Daily Capacity (hours)
+            </label>
+            <input
+              id='daily-capacity'
+              type='number'
+              className='settings-input'
+              min='1'
+              max='24'
+              step='0.5'
+              value={getDailyCapacity(settings) / 60}
+              onChange={handleDailyCapacityChange}
+              aria-describedby='daily-capacity-hint'
+            />
+            <small id='daily-capacity-hint' className='settings-hint'>
+              Days with more planned time than this, buffers included, are
+              flagged as overcommitted on the Stats page
+            </small>
+          </div>
+        </div>
+
+        {/* Task Settings */}
+        <div className='settings-divider'>
+          <h3 className='settings-section-title'>Tasks</h3>
+
+          {/* Promote tasks as their due date nears */}
+          <div className='settings-field'>
+            <label className='settings-checkbox-label'>
+              <input
+                type='checkbox'
+                checked={getTaskPromotionSettings(settings).enabled}
+                onChange={(e) =>
+                  handleTaskSettingsChange(
+                    { autoPromote: e.target.checked },
+                    'Task promotion updated successfully'
+                  )
+                }
+                className='settings-checkbox'
+                aria-describedby='auto-promote-hint'
+              />
+              <strong>Promote Tasks That Are Due Soon</strong>
+            </label>
+            <small id='auto-promote-hint' className='settings-checkbox-hint'>
+              Move tasks from &quot;Schedule&quot; to &quot;Do First&quot; when
+              their due date is close
+            </small>
+          </div>
+
+          <div className='settings-field'>
+            <label htmlFor='promote-within-days' className='settings-label'>
+              Days Before Due Date
+            </label>
+            <input
+              id='promote-within-days'
+              type='number'
+              className='settings-input'
+              min='0'
+              max='30'
+              value={getTaskPromotionSettings(settings).withinDays}
+              disabled={!getTaskPromotionSettings(settings).enabled}
+              onChange={(e) => {
+                const days = parseInt(e.target.value, 10)
+                handleTaskSettingsChange(
+                  {
+                    promoteWithinDays: Math.min(
+                      Math.max(isNaN(days) ? 0 : days, 0),
+                      30
+                    )
+                  },
+                  'Task promotion updated successfully'
+                )
+              }}
+              aria-describedby='promote-within-days-hint'
+            />
+            <small id='promote-within-days-hint' className='settings-hint'>
+              0 promotes tasks on the day they are due
+            </small>
+          </div>
+
+          {/* Move completed tasks to the archive */}
+          <div className='settings-field'>
+            <label className='settings-checkbox-label'>
+              <input
+                type='checkbox'
+                checked={getTaskArchiveSettings(settings).enabled}
+                onChange={(e) =>
+                  handleTaskSettingsChange(
+                    { autoArchive: e.target.checked },
+                    'Task archive updated successfully'
+                  )
+                }
+                className='settings-checkbox'
+                aria-describedby='auto-archive-hint'
+              />
+              <strong>Archive Completed Tasks</strong>
+            </label>
+            <small id='auto-archive-hint' className='settings-checkbox-hint'>
+              Move completed tasks out of the matrix into the archive, where
+              they can be searched and restored
+            </small>
+          </div>
+
+          <div className='settings-field'>
+            <label htmlFor='archive-after-days' className='settings-label'>
+              Days After Completion
+            </label>
+            <input
+              id='archive-after-days'
+              type='number'
+              className='settings-input'
+              min='0'
+              max='90'
+              value={getTaskArchiveSettings(settings).afterDays}
+              disabled={!getTaskArchiveSettings(settings).enabled}
+              onChange={(e) => {
+                const days = parseInt(e.target.value, 10)
+                handleTaskSettingsChange(
+                  {
+                    archiveAfterDays: Math.min(
+                      Math.max(isNaN(days) ? 0 : days, 0),
+                      90
+                    )
+                  },
+                  'Task archive updated successfully'
+                )
+              }}
+              aria-describedby='archive-after-days-hint'
+            />
+            <small id='archive-after-days-hint' className='settings-hint'>
+              0 archives tasks the next time the task list loads after they are
+              completed
+            </small>
+          </div>
         </div>
 
         {/* Other Settings Placeholder */}
@@ -1,15 +1,48 @@
 import React, { useState, useEffect } from 'react'
 import { getStatsByType, isIndexedDBAvailable } from '../utils/indexedDBManager'
+import EventService from '../services/EventService'
+import { formatDurationVerbose } from '../utils/timeUtils'
+import { ANALYTICS_PERIODS, EVENT_TYPES } from '../utils/scheduleConstants'
+import {
+  TASK_ESTIMATE_STAT_TYPE,
+  ESTIMATE_ACCURACY_TOLERANCE
+} from '../utils/taskConstants'
+import { buildEstimationAccuracy } from '../utils/taskTimeTracking'
+import { ROUTINE_TIME_STAT_TYPE } from '../utils/routineHistory'
 import { createLogger } from '../utils/logger'
 
 const logger = createLogger('Stats')
 
+const PERIOD_LABELS = {
+  [ANALYTICS_PERIODS.DAY]: 'Day',
+  [ANALYTICS_PERIODS.WEEK]: 'Week',
+  [ANALYTICS_PERIODS.MONTH]: 'Month'
+}
+
+const TYPE_LABELS = {
+  [EVENT_TYPES.ROUTINE]: 'Routines',
+  [EVENT_TYPES.TASK]: 'Tasks',
+  [EVENT_TYPES.MEETING]: 'Meetings',
+  [EVENT_TYPES.HABIT]: 'Habits',
+  [EVENT_TYPES.BREAK]: 'Breaks',
+  event: 'Calendar events'
+}
+
+const formatMinutes = (minutes) => formatDurationVerbose(minutes * 60) || '0m'
+
+// Actual time as a share of the estimate, e.g. "120%" for tasks that ran over
+const formatRatio = (ratio) => `${Math.round(ratio * 100)}%`
+
 function Stats() {
   const [stats, setStats] = useState({
     taskCompletions: [],
     habitStreaks: [],
-    routineTimes: []
+    routineTimes: [],
+    estimation: buildEstimationAccuracy([])
   })
+  const [todaySummary, setTodaySummary] = useState(null)
+  const [analyticsPeriod, setAnalyticsPeriod] = useState(ANALYTICS_PERIODS.WEEK)
+  const [analytics, setAnalytics] = useState(null)
   const [loading, setLoading] = useState(true)
   const [useIndexedDB, setUseIndexedDB] = useState(false)
 
@@ -25,16 +58,19 @@ function Stats() {
 
       try {
         // Get statistics
-        const [taskStats, habitStats, routineStats] = await Promise.all([
-          getStatsByType('task_completion'),
-          getStatsByType('habit_streak'),
-          getStatsByType('routine_time')
-        ])
+        const [taskStats, habitStats, routineStats, estimateStats] =
+          await Promise.all([
+            getStatsByType('task_completion'),
+            getStatsByType('habit_streak'),
+            getStatsByType(ROUTINE_TIME_STAT_TYPE),
+            getStatsByType(TASK_ESTIMATE_STAT_TYPE)
+          ])
 
         setStats({
           taskCompletions: taskStats,
           habitStreaks: habitStats,
-          routineTimes: routineStats
+          routineTimes: routineStats,
+          estimation: buildEstimationAccuracy(estimateStats)
         })
       } catch (e) {
         logger.error('Failed to load stats:', e)
@@ -46,6 +82,63 @@ function Stats() {
     loadStats()
   }, [])
 
+  // The schedule summary follows edits made on the Schedule page
+  useEffect(() => {
+    if (!isIndexedDBAvailable()) {
+      return
+    }
+
+    let isMounted = true
+    const loadSchedule = async () => {
+      const summary = await EventService.getTodaySummary()
+      if (isMounted) {
+        setTodaySummary(summary)
+      }
+    }
+
+    loadSchedule()
+    const unsubscribe = EventService.subscribe(loadSchedule)
+    return () => {
+      isMounted = false
+      unsubscribe()
+    }
+  }, [])
+
+  // Time budget for the selected period, also following schedule edits
+  useEffect(() => {
+    if (!isIndexedDBAvailable()) {
+      return
+    }
+
+    let isMounted = true
+    const loadAnalytics = async () => {
+      const result = await EventService.getScheduleAnalytics(analyticsPeriod)
+      if (isMounted) {
+        setAnalytics(result)
+      }
+    }
+
+    loadAnalytics()
+    const unsubscribe = EventService.subscribe(loadAnalytics)
+    return () => {
+      isMounted = false
+      unsubscribe()
+    }
+  }, [analyticsPeriod])
+
+  const hasScheduledEvents = todaySummary?.totalEvents > 0
+  const hasTimeBudget =
+    analytics?.totals.planned > 0 || analytics?.totals.actual > 0
+  // Once another period was picked the switcher stays, even for empty periods
+  const showTimeBudget =
+    Boolean(analytics) &&
+    (hasTimeBudget || analyticsPeriod !== ANALYTICS_PERIODS.WEEK)
+  const budgetTypes = analytics
+    ? Object.entries(analytics.byType).filter(
+        ([, time]) => time.planned > 0 || time.actual > 0
+      )
+    : []
+
   if (loading) {
     return (
       <div className='card'>
@@ -91,7 +184,10 @@ function Stats() {
       <div className='card-b'>
         {stats.taskCompletions.length === 0 &&
         stats.habitStreaks.length === 0 &&
-        stats.routineTimes.length === 0 ? (
+        stats.routineTimes.length === 0 &&
+        stats.estimation.tasks === 0 &&
+        !hasScheduledEvents &&
+        !showTimeBudget ? (
           <div>
             <p>No statistics available yet.</p>
             <p className='small'>
@@ -100,6 +196,127 @@ function Stats() {
           </div>
         ) : (
           <div>
+            {hasScheduledEvents && (
+              <div style={{ marginBottom: '1.5rem' }}>
+                <h3 style={{ marginBottom: '0.5rem' }}>
+                  Today&apos;s Schedule
+                </h3>
+                <p className='small'>
+                  Events: {todaySummary.totalEvents}
+                  {todaySummary.totalDuration > 0 &&
+                    ` · Planned: ${formatDurationVerbose(todaySummary.totalDuration * 60)}`}
+                </p>
+              </div>
+            )}
+
+            {showTimeBudget && (
+              <div style={{ marginBottom: '1.5rem' }}>
+                <h3 style={{ marginBottom: '0.5rem' }}>Time Budget</h3>
+                <div
+                  role='group'
+                  aria-label='Time budget period'
+                  style={{ display: 'flex', gap: '0.5rem' }}
+                >
+                  {Object.entries(PERIOD_LABELS).map(([period, label]) => (
+                    <button
+                      key={period}
+                      type='button'
+                      className={`btn btn-secondary${analyticsPeriod === period ? ' active' : ''}`}
+                      onClick={() => setAnalyticsPeriod(period)}
+                      aria-pressed={analyticsPeriod === period}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                <p className='small'>
+                  {analytics.startDate === analytics.endDate
+                    ? analytics.startDate
+                    : `${analytics.startDate} – ${analytics.endDate}`}
+                  {` · Planned: ${formatMinutes(analytics.totals.planned)}`}
+                  {` · Actual: ${formatMinutes(analytics.totals.actual)}`}
+                </p>
+                {!hasTimeBudget && (
+                  <p className='small'>Nothing planned in this period.</p>
+                )}
+                {budgetTypes.length > 0 && (
+                  <table
+                    className='small'
+                    aria-label='Planned versus actual time'
+                  >
+                    <thead>
+                      <tr>
+                        <th scope='col'>Type</th>
+                        <th scope='col'>Planned</th>
+                        <th scope='col'>Actual</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {budgetTypes.map(([type, time]) => (
+                        <tr key={type}>
+                          <th scope='row'>{TYPE_LABELS[type] || type}</th>
+                          <td>{formatMinutes(time.planned)}</td>
+                          <td>{formatMinutes(time.actual)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+                {analytics.overcommittedDays.length > 0 && (
+                  <div role='status'>
+                    <p className='small'>
+                      ⚠️ Overcommitted (more than{' '}
+                      {formatMinutes(analytics.capacityMinutes)} planned
+                      including buffers):
+                    </p>
+                    <ul className='small'>
+                      {analytics.days
+                        .filter((entry) => entry.overcommitted)
+                        .map((entry) => (
+                          <li key={entry.day}>
+                            {entry.day} ·{' '}
+                            {formatMinutes(entry.planned + entry.buffers)}
+                          </li>
+                        ))}
+                    </ul>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {stats.estimation.tasks > 0 && (
+              <div style={{ marginBottom: '1.5rem' }}>
+                <h3 style={{ marginBottom: '0.5rem' }}>Estimation Accuracy</h3>
+                <p className='small'>
+                  {`Tasks took ${formatRatio(stats.estimation.ratio)} of their estimate`}
+                  {` · Within ${formatRatio(ESTIMATE_ACCURACY_TOLERANCE)}: ${stats.estimation.accurate} of ${stats.estimation.tasks}`}
+                </p>
+                <table
+                  className='small'
+                  aria-label='Estimated versus actual time by week'
+                >
+                  <thead>
+                    <tr>
+                      <th scope='col'>Week of</th>
+                      <th scope='col'>Estimated</th>
+                      <th scope='col'>Actual</th>
+                      <th scope='col'>Accuracy</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {stats.estimation.weeks.map((week) => (
+                      <tr key={week.weekStart}>
+                        <th scope='row'>{week.weekStart}</th>
+                        <td>{formatMinutes(week.estimated)}</td>
+                        <td>{formatMinutes(week.actual)}</td>
+                        <td>{formatRatio(week.ratio)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
             {stats.taskCompletions.length > 0 && (
               <div style={{ marginBottom: '1.5rem' }}>
                 <h3 style={{ marginBottom: '0.5rem' }}>Task Completions</h3>
@@ -1,16 +1,90 @@
-import React, { useState } from 'react'
+import React, { useState, useCallback } from 'react'
 import { useTasksState } from '../hooks/useTasksState'
 import { useDragAndDrop } from '../hooks/useDragAndDrop'
 import TaskForm from '../components/Tasks/TaskForm'
 import TaskQuadrant from '../components/Tasks/TaskQuadrant'
+import TaskArchive from '../components/Tasks/TaskArchive'
+import TaskBulkActions from '../components/Tasks/TaskBulkActions'
+import FilterModal from '../components/Tasks/FilterModal'
+import Toast from '../components/Toast'
+import Icon from '../components/common/Icon'
+import { getTaskDueStatus } from '../utils/taskDueDates'
+import { TASK_DUE_STATUS } from '../utils/taskConstants'
+import {
+  bulkCompleteTasks,
+  bulkDeleteTasks,
+  bulkMoveTasks,
+  bulkSetDueDate,
+  bulkAddTag,
+  bulkScheduleTasks
+} from '../utils/taskBulkActions'
+import {
+  getTaskLabels,
+  hasTaskFilters,
+  matchesTaskFilters
+} from '../utils/taskTags'
+import { parseQuickCapture, toQuickCaptureEvent } from '../utils/quickCapture'
+import { createEvent, deleteEvents } from '../utils/scheduleManager'
+import { deleteTasks } from '../utils/tasksManager'
+import { getTodayInTimeZone } from '../utils/timezone'
+import { createLogger } from '../utils/logger'
+
+const logger = createLogger('Tasks')
+
+// Views of the matrix by due date; null shows every task
+const DUE_FILTERS = [
+  { status: null, label: 'All' },
+  { status: TASK_DUE_STATUS.DUE_TODAY, label: 'Due today' },
+  { status: TASK_DUE_STATUS.OVERDUE, label: 'Overdue' }
+]
 
 function Tasks() {
-  const { tasks, addTask, toggleTask, deleteTask, editTask, moveTask } =
-    useTasksState()
+  const {
+    tasks,
+    addTask,
+    toggleTask,
+    deleteTask,
+    editTask,
+    moveTask,
+    addSubtask,
+    toggleSubtask,
+    deleteSubtask,
+    setCompleteWithSubtasks,
+    setRecurrence,
+    setDueDate,
+    setEstimate,
+    setTags,
+    setProject,
+    startTimer,
+    stopTimer,
+    restoreTask,
+    runBulkAction
+  } = useTasksState()
 
   // Form state
   const [newTask, setNewTask] = useState('')
   const [selectedQuadrant, setSelectedQuadrant] = useState('urgent_important')
+  const [newDueDate, setNewDueDate] = useState('')
+  const [newDueTime, setNewDueTime] = useState('')
+  const [newEstimate, setNewEstimate] = useState('')
+
+  // Due date view
+  const [dueFilter, setDueFilter] = useState(null)
+
+  // Tag and project filters
+  const [taskFilters, setTaskFilters] = useState({ tags: [], project: null })
+  const [showFilterModal, setShowFilterModal] = useState(false)
+
+  // Archive of completed tasks, loaded only while shown
+  const [showArchive, setShowArchive] = useState(false)
+
+  // Multi-select: IDs in the order they were picked, and the task a
+  // Shift-click range starts from
+  const [selectedIds, setSelectedIds] = useState([])
+  const [selectionAnchor, setSelectionAnchor] = useState(null)
+
+  // Result of the last bulk action or quick-captured event, offering its undo
+  const [undoToast, setUndoToast] = useState(null)
 
   // Editing state
   const [editingTask, setEditingTask] = useState(null)
@@ -20,12 +94,52 @@ function Tasks() {
   const { handleDragStart, handleDragOver, handleDrop } =
     useDragAndDrop(moveTask)
 
+  // What the quick capture reads from the task text, previewed while typing
+  const capture = newTask.trim() ? parseQuickCapture(newTask) : null
+
+  const resetForm = () => {
+    setNewTask('')
+    setNewDueDate('')
+    setNewDueTime('')
+    setNewEstimate('')
+  }
+
+  // Text with a time of day also goes to the schedule, as an event linked to
+  // the task; undoing it takes back both
+  const addCapturedEvent = async (event, taskId) => {
+    try {
+      const id = await createEvent({ ...event, taskId })
+      setUndoToast({
+        message: `Added "${event.title}" to the schedule at ${event.startTime}`,
+        undo: async () => {
+          await deleteTasks([taskId])
+          await deleteEvents([id])
+        }
+      })
+    } catch (e) {
+      logger.error('Failed to add event:', e)
+      setUndoToast({ message: 'Could not add the event to the schedule' })
+    }
+  }
+
   const handleAddTask = (e) => {
     e.preventDefault()
-    if (!newTask.trim()) return
+    if (!capture?.text) return
 
-    addTask(selectedQuadrant, newTask)
-    setNewTask('')
+    // Fields read from the text win over the form fields
+    const quadrant = capture.quadrant || selectedQuadrant
+    const task = addTask(quadrant, capture.text, {
+      dueDate: capture.dueDate || newDueDate || null,
+      dueTime: capture.dueDate ? capture.dueTime : newDueTime || null,
+      estimatedMinutes:
+        capture.estimatedMinutes || Math.round(Number(newEstimate)) || null,
+      tags: capture.tags
+    })
+    const event = toQuickCaptureEvent(capture)
+    if (event) {
+      addCapturedEvent(event, task.id)
+    }
+    resetForm()
   }
 
   const startEditTask = (quadrant, task) => {
@@ -76,6 +190,101 @@ function Tasks() {
     }
   ]
 
+  const now = new Date()
+  const countDue = (status) =>
+    Object.values(tasks)
+      .flat()
+      .filter((task) => getTaskDueStatus(task, now) === status).length
+  const visibleTasks = (quadrant) =>
+    tasks[quadrant].filter(
+      (task) =>
+        (!dueFilter || getTaskDueStatus(task, now) === dueFilter) &&
+        matchesTaskFilters(task, taskFilters)
+    )
+  const labels = getTaskLabels(Object.values(tasks).flat())
+  const isFiltered = hasTaskFilters(taskFilters)
+
+  const applyTaskFilters = (filters) => {
+    setTaskFilters(filters)
+    setShowFilterModal(false)
+  }
+
+  const closeFilterModal = useCallback(() => setShowFilterModal(false), [])
+
+  // Tasks in matrix order as shown, for ranges and "select all"
+  const shownIds = quadrants.flatMap((quadrant) =>
+    visibleTasks(quadrant.key).map((task) => task.id)
+  )
+  // Tasks that were deleted, archived or filtered out drop from the selection
+  const selection = selectedIds.filter((id) => shownIds.includes(id))
+
+  // Ctrl/Cmd-click or Space toggles a task, Shift adds the range from the
+  // task picked last
+  const selectTask = (taskId, { range = false } = {}) => {
+    const from = shownIds.indexOf(selectionAnchor)
+    const to = shownIds.indexOf(taskId)
+    if (range && from !== -1 && to !== -1) {
+      const ids = shownIds.slice(Math.min(from, to), Math.max(from, to) + 1)
+      setSelectedIds((prev) => [
+        ...prev,
+        ...ids.filter((id) => !prev.includes(id))
+      ])
+    } else {
+      setSelectedIds((prev) =>
+        prev.includes(taskId)
+          ? prev.filter((id) => id !== taskId)
+          : [...prev, taskId]
+      )
+    }
+    setSelectionAnchor(taskId)
+  }
+
+  const clearSelection = () => {
+    setSelectedIds([])
+    setSelectionAnchor(null)
+  }
+
+  const handleBulkAction = async (action) => {
+    try {
+      const result = await runBulkAction(() => action(selection))
+      clearSelection()
+      setUndoToast(result)
+    } catch (e) {
+      logger.error('Bulk action failed:', e)
+      setUndoToast({ message: 'Could not change the selected tasks' })
+    }
+  }
+
+  const handleUndoBulkAction = async () => {
+    try {
+      await runBulkAction(undoToast.undo)
+    } catch (e) {
+      logger.error('Failed to undo bulk action:', e)
+    }
+  }
+
+  const closeUndoToast = useCallback(() => setUndoToast(null), [])
+
+  // Shortcuts: Space toggles the focused task, Ctrl/Cmd+A selects every shown
+  // task, Escape clears the selection and Delete removes the selected tasks
+  const handleMatrixKeyDown = (e) => {
+    if (e.target.closest('input, select, textarea')) return
+
+    const isTask = Boolean(e.target.dataset?.taskId)
+    if (e.key === ' ' && isTask) {
+      e.preventDefault()
+      selectTask(e.target.dataset.taskId, { range: e.shiftKey })
+    } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'a') {
+      e.preventDefault()
+      setSelectedIds(shownIds)
+    } else if (e.key === 'Escape' && selection.length > 0) {
+      clearSelection()
+    } else if (e.key === 'Delete' && selection.length > 0) {
+      e.preventDefault()
+      handleBulkAction(bulkDeleteTasks)
+    }
+  }
+
   return (
     <div className='tasks-container'>
       <div className='card'>
@@ -85,20 +294,132 @@ function Tasks() {
         <div className='card-b'>
           <TaskForm
             newTask={newTask}
+            capture={capture}
             selectedQuadrant={selectedQuadrant}
+            newDueDate={newDueDate}
+            newDueTime={newDueTime}
+            newEstimate={newEstimate}
             onTaskChange={setNewTask}
             onQuadrantChange={setSelectedQuadrant}
+            onDueDateChange={setNewDueDate}
+            onDueTimeChange={setNewDueTime}
+            onEstimateChange={setNewEstimate}
             onSubmit={handleAddTask}
           />
+          <div
+            className='task-due-filter'
+            role='group'
+            aria-label='Show tasks by due date'
+          >
+            {DUE_FILTERS.map(({ status, label }) => (
+              <button
+                key={label}
+                type='button'
+                className='btn'
+                aria-pressed={dueFilter === status}
+                onClick={() => setDueFilter(status)}
+              >
+                {label}
+                {status && ` (${countDue(status)})`}
+              </button>
+            ))}
+          </div>
+          <div className='task-filter-bar'>
+            <button
+              type='button'
+              className='btn btn-secondary'
+              onClick={() => setShowFilterModal(true)}
+              aria-label='Filter tasks'
+            >
+              🔍 Filter
+              {isFiltered && (
+                <span className='task-filter-dot' aria-label='Filters active' />
+              )}
+            </button>
+            {taskFilters.tags.map((tag) => (
+              <span key={tag} className='filter-chip'>
+                #{tag}
+                <button
+                  type='button'
+                  className='btn-cancel'
+                  onClick={() =>
+                    setTaskFilters((prev) => ({
+                      ...prev,
+                      tags: prev.tags.filter((t) => t !== tag)
+                    }))
+                  }
+                  aria-label={`Remove tag filter "${tag}"`}
+                >
+                  <Icon name='x' />
+                </button>
+              </span>
+            ))}
+            {taskFilters.project && (
+              <span className='filter-chip'>
+                Project: {taskFilters.project}
+                <button
+                  type='button'
+                  className='btn-cancel'
+                  onClick={() =>
+                    setTaskFilters((prev) => ({ ...prev, project: null }))
+                  }
+                  aria-label='Remove project filter'
+                >
+                  <Icon name='x' />
+                </button>
+              </span>
+            )}
+            {isFiltered && (
+              <button
+                type='button'
+                className='btn'
+                onClick={() => setTaskFilters({ tags: [], project: null })}
+              >
+                Clear filters
+              </button>
+            )}
+          </div>
         </div>
       </div>
 
-      <div className='eisenhower-matrix'>
+      <FilterModal
+        isOpen={showFilterModal}
+        currentFilters={taskFilters}
+        tags={labels.tags}
+        projects={labels.projects}
+        onApply={applyTaskFilters}
+        onClose={closeFilterModal}
+      />
+
+      {selection.length > 0 && (
+        <TaskBulkActions
+          count={selection.length}
+          onComplete={() => handleBulkAction(bulkCompleteTasks)}
+          onDelete={() => handleBulkAction(bulkDeleteTasks)}
+          onMove={(quadrant) =>
+            handleBulkAction((ids) => bulkMoveTasks(ids, quadrant))
+          }
+          onSetDueDate={(dueDate) =>
+            handleBulkAction((ids) => bulkSetDueDate(ids, dueDate))
+          }
+          onAddTag={(tag) => handleBulkAction((ids) => bulkAddTag(ids, tag))}
+          onSchedule={() =>
+            handleBulkAction((ids) =>
+              bulkScheduleTasks(ids, getTodayInTimeZone())
+            )
+          }
+          onClear={clearSelection}
+        />
+      )}
+
+      {/* Selection shortcuts for the task items inside */}
+      {/* eslint-disable-next-line jsx-a11y/no-static-element-interactions */}
+      <div className='eisenhower-matrix' onKeyDown={handleMatrixKeyDown}>
         {quadrants.map((quadrant) => (
           <TaskQuadrant
             key={quadrant.key}
             quadrant={quadrant}
-            tasks={tasks[quadrant.key]}
+            tasks={visibleTasks(quadrant.key)}
             editingTask={editingTask}
             editText={editText}
             onToggle={toggleTask}
@@ -110,10 +431,55 @@ function Tasks() {
             onDragStart={handleDragStart}
             onDragOver={handleDragOver}
             onDrop={handleDrop}
+            onAddSubtask={addSubtask}
+            onToggleSubtask={toggleSubtask}
+            onDeleteSubtask={deleteSubtask}
+            onCompleteWithSubtasksChange={setCompleteWithSubtasks}
+            onRecurrenceChange={setRecurrence}
+            onDueDateChange={setDueDate}
+            onEstimateChange={setEstimate}
+            onTagsChange={setTags}
+            onProjectChange={setProject}
+            projects={labels.projects}
+            onStartTimer={startTimer}
+            onStopTimer={stopTimer}
+            selectedIds={selection}
+            onSelect={selectTask}
           />
         ))}
       </div>
 
+      <div className='card'>
+        <div className='card-h'>
+          <strong>Archive</strong>
+          <button
+            type='button'
+            className='btn'
+            onClick={() => setShowArchive((shown) => !shown)}
+            aria-expanded={showArchive}
+            aria-controls='task-archive'
+          >
+            {showArchive ? 'Hide archive' : 'Show archive'}
+          </button>
+        </div>
+        {showArchive && (
+          <div id='task-archive' className='card-b'>
+            <TaskArchive onRestore={restoreTask} />
+          </div>
+        )}
+      </div>
+
+      <Toast
+        message={undoToast?.message}
+        visible={undoToast !== null}
+        onClose={closeUndoToast}
+        action={
+          undoToast?.undo
+            ? { label: 'Undo', onClick: handleUndoBulkAction }
+            : null
+        }
+      />
+
       <div className='tasks-info'>
         <p className='small'>
           <strong>Tip:</strong> Drag tasks between quadrants to reorganize them.
@@ -1,16 +1,29 @@
 /**
  * EventService - Centralized event data access layer
- * Single source of truth for all schedule event operations
+ * Page-facing API over the schedule repository (utils/scheduleManager),
+ * which owns the event schema, storage and change notifications
  */
 
 import {
   createEvent as createEventDB,
   getEventsForDay,
   getEventsForRange,
+  getAllEvents as getAllEventsDB,
   updateEvent as updateEventDB,
-  deleteEvent as deleteEventDB
+  deleteEvent as deleteEventDB,
+  deleteEvents,
+  updateRecurringEvent as updateRecurringEventDB,
+  deleteRecurringEvent as deleteRecurringEventDB,
+  checkConflicts as checkConflictsDB,
+  findEventConflicts,
+  getConflictsForRange as getConflictsForRangeDB,
+  getAvailableSlots as getAvailableSlotsDB,
+  getTodaySummary as getTodaySummaryDB,
+  moveEvent as moveEventDB,
+  reattachOccurrence as reattachOccurrenceDB,
+  subscribeToScheduleChanges
 } from '../utils/scheduleManager'
-import { STORES, getAll, deleteById } from '../utils/indexedDBManager'
+import { getScheduleAnalytics as getScheduleAnalyticsDB } from '../utils/scheduleAnalytics'
 import logger from '../utils/logger'
 
 /**
@@ -165,6 +178,55 @@ class EventService {
     }
   }
 
+  /**
+   * Update an occurrence of a recurring event
+   * @param {object} occurrence - Edited occurrence (must include recurringEventId and occurrenceDay)
+   * @param {string} scope - 'this', 'following' or 'all'
+   * @returns {Promise<number>} ID of the event holding the edits
+   */
+  async updateRecurringEvent(occurrence, scope) {
+    try {
+      if (!occurrence.recurringEventId) {
+        throw new Error('Recurring event ID is required for update')
+      }
+      return await updateRecurringEventDB(occurrence, scope)
+    } catch (error) {
+      logger.error('EventService.updateRecurringEvent error:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Move or resize an event (drag and drop in the calendar)
+   * @param {number} id - Event ID
+   * @param {string} day - New day (YYYY-MM-DD) in the display time zone
+   * @param {string} startTime - New start time (HH:MM)
+   * @param {string} [endTime] - New end time (HH:MM); without it the event keeps its length
+   * @returns {Promise<object>} Updated event
+   */
+  async moveEvent(id, day, startTime, endTime) {
+    try {
+      return await moveEventDB(id, day, startTime, endTime)
+    } catch (error) {
+      logger.error('EventService.moveEvent error:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Hand an occurrence edited on its own back to its series
+   * @param {number} id - ID of the detached event
+   * @returns {Promise<void>}
+   */
+  async reattachOccurrence(id) {
+    try {
+      return await reattachOccurrenceDB(id)
+    } catch (error) {
+      logger.error('EventService.reattachOccurrence error:', error)
+      throw error
+    }
+  }
+
   /**
    * Delete an event by ID
    * @param {number} eventId - Event ID to delete
@@ -174,30 +236,145 @@ class EventService {
     return await deleteEventDB(eventId)
   }
 
+  /**
+   * Delete an occurrence of a recurring event
+   * @param {object} occurrence - Occurrence (must include recurringEventId and occurrenceDay)
+   * @param {string} scope - 'this', 'following' or 'all'
+   * @returns {Promise<void>}
+   */
+  async deleteRecurringEvent(occurrence, scope) {
+    try {
+      return await deleteRecurringEventDB(occurrence, scope)
+    } catch (error) {
+      logger.error('EventService.deleteRecurringEvent error:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Find events overlapping a time range on a day
+   * @param {string} day - Day (YYYY-MM-DD)
+   * @param {string} startTime - Start time (HH:MM)
+   * @param {string} endTime - End time (HH:MM)
+   * @param {number} [excludeEventId] - Event ID to leave out (the event being edited)
+   * @returns {Promise<Array>} Conflicting events
+   */
+  async checkConflicts(day, startTime, endTime, excludeEventId = null) {
+    try {
+      return await checkConflictsDB(
+        this._normalizeDateString(day),
+        startTime,
+        endTime,
+        excludeEventId
+      )
+    } catch (error) {
+      logger.error('EventService.checkConflicts error:', error)
+      return []
+    }
+  }
+
+  /**
+   * Find events overlapping an event or draft, across days and time zones
+   * @param {object} event - Event or draft (day, startTime, endTime, buffers)
+   * @returns {Promise<Array>} Conflicting events, earliest first
+   */
+  async findConflicts(event) {
+    try {
+      return await findEventConflicts(event)
+    } catch (error) {
+      logger.error('EventService.findConflicts error:', error)
+      return []
+    }
+  }
+
+  /**
+   * Get the conflicts of all events in a date range
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @returns {Promise<object>} Conflicting events keyed by event key
+   */
+  async getConflictsForRange(startDate, endDate) {
+    try {
+      return await getConflictsForRangeDB(
+        this._normalizeDateString(startDate),
+        this._normalizeDateString(endDate)
+      )
+    } catch (error) {
+      logger.error('EventService.getConflictsForRange error:', error)
+      return {}
+    }
+  }
+
+  /**
+   * Get free time slots on a day
+   * @param {string} day - Day (YYYY-MM-DD)
+   * @param {number} [duration] - Minimum slot length in minutes
+   * @returns {Promise<Array>} Available slots
+   */
+  async getAvailableSlots(day, duration) {
+    try {
+      return await getAvailableSlotsDB(this._normalizeDateString(day), duration)
+    } catch (error) {
+      logger.error('EventService.getAvailableSlots error:', error)
+      return []
+    }
+  }
+
+  /**
+   * Get today's schedule summary (today in the display time zone)
+   * @returns {Promise<object|null>} Summary, or null if it could not be loaded
+   */
+  async getTodaySummary() {
+    try {
+      return await getTodaySummaryDB()
+    } catch (error) {
+      logger.error('EventService.getTodaySummary error:', error)
+      return null
+    }
+  }
+
+  /**
+   * Get planned versus actual time per event type for a day, week or month
+   * @param {string} period - One of ANALYTICS_PERIODS
+   * @param {string|Date} [referenceDay] - Day within the period (defaults to today in the display time zone)
+   * @returns {Promise<object|null>} Analytics, or null if they could not be loaded
+   */
+  async getScheduleAnalytics(period, referenceDay) {
+    try {
+      return await getScheduleAnalyticsDB(
+        period,
+        referenceDay && this._normalizeDateString(referenceDay)
+      )
+    } catch (error) {
+      logger.error('EventService.getScheduleAnalytics error:', error)
+      return null
+    }
+  }
+
+  /**
+   * Subscribe to changes made to schedule events anywhere in the app
+   * @param {function({type: string, ids: Array}): void} listener - Called after each change
+   * @returns {function(): void} Unsubscribe function
+   */
+  subscribe(listener) {
+    return subscribeToScheduleChanges(listener)
+  }
+
   /**
    * Clear all test data events
    * @returns {Promise<number>} Number of events deleted
    */
   async clearTestData() {
     try {
-      const allEvents = await getAll(STORES.SCHEDULE)
+      const allEvents = await getAllEventsDB()
       const safeEvents = Array.isArray(allEvents) ? allEvents : []
-      const testEvents = safeEvents.filter(
-        (event) => event && event.isTestData === true
-      )
-
-      // Delete in parallel for better performance, track success/failure
-      const results = await Promise.allSettled(
-        testEvents
-          .filter((event) => event && typeof event.id !== 'undefined')
-          .map((event) => deleteById(STORES.SCHEDULE, event.id))
-      )
+      const testEventIds = safeEvents
+        .filter((event) => event && event.isTestData === true)
+        .filter((event) => typeof event.id !== 'undefined')
+        .map((event) => event.id)
 
-      // Return count of successful deletions
-      const successCount = results.filter(
-        (r) => r.status === 'fulfilled'
-      ).length
-      return successCount
+      // Deleted in one batch so subscribers reload once
+      return await deleteEvents(testEventIds)
     } catch (error) {
       logger.error('EventService.clearTestData error:', error)
       return 0
@@ -209,7 +386,7 @@ class EventService {
    * @returns {Promise<Array>} All events
    */
   async getAllEvents() {
-    return await getAll(STORES.SCHEDULE)
+    return await getAllEventsDB()
   }
 
   // ========== Private Helper Methods ==========
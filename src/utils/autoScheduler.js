@@ -0,0 +1,219 @@
+/**
+ * Auto Scheduler - "Plan my day"
+ * Places unscheduled tasks into the free time of a day. Tasks are taken in
+ * Eisenhower order (quadrant, then due date) and important tasks go to the
+ * user's high-energy hours first, the rest to the low-energy hours.
+ * The result is only a proposal; nothing is stored until the user accepts it.
+ */
+
+import { getAllTasks } from './scheduleHelpers'
+import { getAllEvents, getAvailableSlots } from './scheduleManager'
+import { getSettings } from './settingsManager'
+import {
+  getDisplayTimeZone,
+  getTodayInTimeZone,
+  getZonedDayTime
+} from './timezone'
+import { timeToMinutes, minutesToTime } from './timeUtils'
+import {
+  AUTO_SCHEDULE_STEP_MINUTES,
+  DEFAULT_ENERGY_WINDOWS,
+  DEFAULT_TASK_ESTIMATE_MINUTES,
+  ENERGY_LEVELS
+} from './scheduleConstants'
+
+/**
+ * Get the user's energy windows, falling back to the defaults per level
+ * @param {object} [settings] - Settings to read (defaults to the stored settings)
+ * @returns {object} Windows keyed by ENERGY_LEVELS value ({start, end} in HH:MM)
+ */
+export function getEnergyWindows(settings = getSettings()) {
+  const configured = settings?.schedule?.energyWindows || {}
+  return Object.fromEntries(
+    Object.values(ENERGY_LEVELS).map((level) => [
+      level,
+      configured[level]?.start && configured[level]?.end
+        ? configured[level]
+        : DEFAULT_ENERGY_WINDOWS[level]
+    ])
+  )
+}
+
+/**
+ * Get how long a task is planned for
+ * @param {object} task - Task
+ * @returns {{duration: number, isEstimated: boolean}} Minutes, and whether the task had an estimate
+ */
+export function getTaskEstimate(task) {
+  const estimate = Number(task.estimatedMinutes)
+  return estimate > 0
+    ? { duration: estimate, isEstimated: true }
+    : { duration: DEFAULT_TASK_ESTIMATE_MINUTES, isEstimated: false }
+}
+
+/**
+ * Order tasks for planning: quadrant priority, then due date (tasks without
+ * one last), then oldest first
+ * @param {Array<object>} tasks - Tasks from getAllTasks
+ * @returns {Array<object>} Sorted copy
+ */
+export function sortTasksForPlanning(tasks) {
+  return [...tasks].sort((a, b) => {
+    if (a.priority !== b.priority) {
+      return a.priority - b.priority
+    }
+    if ((a.dueDate || null) !== (b.dueDate || null)) {
+      if (!a.dueDate) return 1
+      if (!b.dueDate) return -1
+      return a.dueDate < b.dueDate ? -1 : 1
+    }
+    return String(a.createdAt || '').localeCompare(String(b.createdAt || ''))
+  })
+}
+
+/**
+ * Cut free slots at energy window boundaries
+ * @param {Array<{startTime: string, endTime: string}>} slots - Free slots
+ * @param {object} energyWindows - Windows keyed by energy level
+ * @returns {Array<{start: number, end: number, energy: string|null}>} Segments in minutes, in time order
+ */
+export function splitSlotsByEnergy(slots, energyWindows) {
+  const windows = Object.entries(energyWindows).map(([energy, window]) => ({
+    energy,
+    start: timeToMinutes(window.start),
+    end: timeToMinutes(window.end)
+  }))
+
+  const segments = []
+  for (const slot of slots) {
+    const slotStart = timeToMinutes(slot.startTime)
+    const slotEnd = slotStart + slot.duration
+    const cuts = [slotStart, slotEnd]
+    for (const window of windows) {
+      for (const edge of [window.start, window.end]) {
+        if (edge > slotStart && edge < slotEnd) cuts.push(edge)
+      }
+    }
+    const sortedCuts = [...new Set(cuts)].sort((a, b) => a - b)
+    for (let i = 0; i < sortedCuts.length - 1; i++) {
+      const start = sortedCuts[i]
+      const window = windows.find((w) => start >= w.start && start < w.end)
+      segments.push({
+        start,
+        end: sortedCuts[i + 1],
+        energy: window ? window.energy : null
+      })
+    }
+  }
+  return segments
+}
+
+/**
+ * Build a day plan from tasks and free slots
+ * @param {object} options - Planning input
+ * @param {string} options.day - Day being planned (YYYY-MM-DD)
+ * @param {Array<object>} options.tasks - Unscheduled tasks
+ * @param {Array<object>} options.slots - Free slots from getAvailableSlots
+ * @param {object} options.energyWindows - Windows keyed by energy level
+ * @param {number} [options.earliestStart] - No task starts before this minute of the day
+ * @returns {{day: string, items: Array<object>, unplaced: Array<object>}} Proposed events and tasks that did not fit
+ */
+export function buildDayPlan({
+  day,
+  tasks,
+  slots,
+  energyWindows,
+  earliestStart = 0
+}) {
+  const segments = splitSlotsByEnergy(slots, energyWindows).map((segment) => ({
+    ...segment,
+    cursor: segment.start
+  }))
+  const items = []
+  const unplaced = []
+
+  for (const task of sortTasksForPlanning(tasks)) {
+    const { duration, isEstimated } = getTaskEstimate(task)
+    const preferred = task.isImportant ? ENERGY_LEVELS.HIGH : ENERGY_LEVELS.LOW
+    const rank = (segment) =>
+      segment.energy === preferred ? 0 : segment.energy === null ? 1 : 2
+
+    const candidates = segments
+      .map((segment) => {
+        const from = Math.max(segment.cursor, earliestStart)
+        const start =
+          Math.ceil(from / AUTO_SCHEDULE_STEP_MINUTES) *
+          AUTO_SCHEDULE_STEP_MINUTES
+        return { segment, start }
+      })
+      .filter(({ segment, start }) => start + duration <= segment.end)
+      .sort((a, b) => rank(a.segment) - rank(b.segment) || a.start - b.start)
+
+    const proposal = {
+      taskId: task.id,
+      title: task.text || task.title || 'Untitled task',
+      quadrant: task.quadrant,
+      quadrantLabel: task.quadrantLabel,
+      dueDate: task.dueDate || null,
+      duration,
+      isEstimated
+    }
+
+    if (candidates.length === 0) {
+      unplaced.push(proposal)
+      continue
+    }
+
+    const { segment, start } = candidates[0]
+    segment.cursor = start + duration
+    items.push({
+      ...proposal,
+      day,
+      startTime: minutesToTime(start),
+      endTime: minutesToTime(start + duration),
+      energy: segment.energy
+    })
+  }
+
+  items.sort((a, b) => a.startTime.localeCompare(b.startTime))
+  return { day, items, unplaced }
+}
+
+/**
+ * Propose a plan for a day
+ * Tasks already linked to an event today or later are left out, unless they
+ * were picked explicitly, and today's plan never starts in the past
+ * @param {string} day - Day to plan (YYYY-MM-DD, display time zone)
+ * @param {Date} [now] - Reference instant
+ * @param {object} [options={}]
+ * @param {Array<string>} [options.taskIds] - Plan only these tasks
+ * @returns {Promise<{day: string, items: Array<object>, unplaced: Array<object>}>} Proposed plan
+ */
+export async function planDay(day, now = new Date(), { taskIds } = {}) {
+  const timeZone = getDisplayTimeZone()
+  const today = getTodayInTimeZone(timeZone, now)
+  const events = await getAllEvents()
+  const scheduledTaskIds = new Set(
+    events
+      .filter((event) => event.taskId && event.day >= today)
+      .map((event) => event.taskId)
+  )
+  const tasks = (await getAllTasks()).filter((task) =>
+    taskIds ? taskIds.includes(task.id) : !scheduledTaskIds.has(task.id)
+  )
+  const slots = await getAvailableSlots(day, AUTO_SCHEDULE_STEP_MINUTES)
+
+  let earliestStart = 0
+  if (day === today) {
+    const { time } = getZonedDayTime(now, timeZone)
+    earliestStart = timeToMinutes(time)
+  }
+
+  return buildDayPlan({
+    day,
+    tasks,
+    slots,
+    energyWindows: getEnergyWindows(),
+    earliestStart
+  })
+}
@@ -5,12 +5,32 @@
 
 /* global AbortController */
 
-import { put, getAll, deleteById, openDB, STORES } from './indexedDBManager'
+import { put, getAll, deleteById, STORES } from './indexedDBManager'
 import { normalizeEntity, updateMetadata } from './idGenerator'
 import { createLogger } from './logger'
-import { createEvent } from './scheduleManager'
+import {
+  createEvent,
+  updateEvent,
+  deleteEvents,
+  getAllEvents
+} from './scheduleManager'
 import { sanitizeText } from './sanitization'
-import { DEFAULT_EVENT_DURATION_MINUTES } from './scheduleConstants'
+import {
+  DEFAULT_EVENT_DURATION_MINUTES,
+  CALENDAR_SYNC_PAST_DAYS,
+  CALENDAR_SYNC_FUTURE_DAYS,
+  MAX_CALENDAR_SYNC_DAYS,
+  ICS_UID_DOMAIN,
+  ICS_TRAVEL_TIME_PROPERTY,
+  ICS_PREPARATION_TIME_PROPERTY,
+  ICS_BUFFER_PROPERTY
+} from './scheduleConstants'
+import { MS_PER_DAY } from './timeConstants'
+import {
+  getDisplayTimeZone,
+  getZonedDayTime,
+  isValidTimeZone
+} from './timezone'
 import ical from 'node-ical'
 
 const logger = createLogger('CalendarSubscription')
@@ -19,6 +39,29 @@ const logger = createLogger('CalendarSubscription')
 const DEFAULT_EVENT_DURATION_MILLISECONDS =
   DEFAULT_EVENT_DURATION_MINUTES * 60 * 1000
 
+// Limit on occurrences generated per recurring event to prevent memory exhaustion
+const MAX_OCCURRENCES_PER_EVENT = 1000
+
+// Calendar ID recorded on events imported from .ics files
+const ICS_IMPORT_CALENDAR_ID = 'ics-import'
+
+/**
+ * Get the key node-ical uses for a custom X- property
+ * @param {string} property - Property name including the "X-" prefix
+ * @returns {string} Parsed component key
+ */
+const toParsedPropertyKey = (property) => property.replace(/^X-/, '')
+
+/**
+ * Read a non-negative minute count from a custom property value
+ * @param {*} value - Raw property value
+ * @returns {number|undefined} Minutes, or undefined if missing or invalid
+ */
+const parseMinutesProperty = (value) => {
+  const minutes = parseInt(value, 10)
+  return Number.isNaN(minutes) || minutes < 0 ? undefined : minutes
+}
+
 /**
  * Add or update a calendar subscription
  * @param {object} subscription - Subscription data
@@ -83,37 +126,67 @@ export async function deleteCalendarSubscription(id) {
   await deleteById(STORES.CALENDAR_SUBSCRIPTIONS, id)
 
   // Delete all events from this calendar
-  const db = await openDB()
-  return new Promise((resolve, reject) => {
-    const transaction = db.transaction(STORES.SCHEDULE, 'readwrite')
-    const store = transaction.objectStore(STORES.SCHEDULE)
-    const request = store.openCursor()
-
-    request.onerror = () => reject(request.error)
-    request.onsuccess = (event) => {
-      const cursor = event.target.result
-      if (cursor) {
-        const scheduleEvent = cursor.value
-        if (scheduleEvent.externalCalendarId === id) {
-          cursor.delete()
-        }
-        cursor.continue()
-      }
-    }
+  const allEvents = await getAllEvents()
+  await deleteEvents(
+    allEvents
+      .filter((event) => event.externalCalendarId === id)
+      .map((event) => event.id)
+  )
+}
 
-    transaction.oncomplete = () => {
-      db.close()
-      resolve()
-    }
+/**
+ * Convert a node-ical VEVENT component to our simplified event format
+ * @param {object} component - VEVENT parsed by node-ical
+ * @returns {object} Simplified event
+ */
+function toParsedICSEvent(component) {
+  const event = {
+    summary: sanitizeText(component.summary || ''),
+    description: sanitizeText(component.description || ''),
+    location: sanitizeText(component.location || ''),
+    uid: component.uid,
+    dtstart: component.start,
+    dtend: component.end
+  }
+
+  // Zone of the DTSTART TZID (node-ical maps Windows zone names to IANA ids)
+  if (component.start?.tz) {
+    event.timeZone = component.start.tz
+  }
+  if (component.start?.dateOnly) {
+    event.allDay = true
+  }
+
+  if (component.status) {
+    event.status = String(component.status).toUpperCase()
+  }
 
-    transaction.onerror = () => {
-      db.close()
-      const error =
-        transaction.error ||
-        new Error('Failed to delete calendar subscription events.')
-      reject(error)
+  // Buffers written by our own exporter
+  const travelTime = parseMinutesProperty(
+    component[toParsedPropertyKey(ICS_TRAVEL_TIME_PROPERTY)]
+  )
+  const preparationTime = parseMinutesProperty(
+    component[toParsedPropertyKey(ICS_PREPARATION_TIME_PROPERTY)]
+  )
+  if (travelTime !== undefined) event.travelTime = travelTime
+  if (preparationTime !== undefined) event.preparationTime = preparationTime
+
+  const bufferType = component[toParsedPropertyKey(ICS_BUFFER_PROPERTY)]
+  if (bufferType) {
+    event.bufferType = String(bufferType)
+  }
+
+  // Recurrence data is kept only for recurring masters so plain events stay simple
+  if (component.rrule) {
+    event.rrule = component.rrule
+    event.exdates = Object.keys(component.exdate || {})
+    event.recurrences = {}
+    for (const [key, override] of Object.entries(component.recurrences || {})) {
+      event.recurrences[key] = toParsedICSEvent(override)
     }
-  })
+  }
+
+  return event
 }
 
 /**
@@ -124,7 +197,9 @@ export async function deleteCalendarSubscription(id) {
  * Note: Uses node-ical library for full RFC 5545 compliance, including:
  * - Line folding (RFC 5545 section 3.1) — properly handles long lines split with leading space/tab
  * - Complex timezone handling (VTIMEZONE) with proper TZID parameter support
- * - Recurrence rules (RRULE, EXDATE, etc.) - note: recurrence expansion not included
+ * - Recurrence rules (RRULE, EXDATE, RECURRENCE-ID) - recurring events keep their
+ *   `rrule`, `exdates` and `recurrences` (overridden instances); use expandICSEvents
+ *   to turn them into individual occurrences
  * - Proper date/time parsing and validation
  *
  * The node-ical library is MIT-licensed and provides robust, standards-compliant ICS parsing.
@@ -161,14 +236,7 @@ export function parseICS(icsData) {
         }
 
         // Convert to our simplified event format
-        const event = {
-          summary: sanitizeText(component.summary || ''),
-          description: sanitizeText(component.description || ''),
-          location: sanitizeText(component.location || ''),
-          uid: component.uid,
-          dtstart: component.start,
-          dtend: component.end
-        }
+        const event = toParsedICSEvent(component)
 
         // Only include events with required fields (summary and valid start date)
         if (event.summary && event.dtstart) {
@@ -184,6 +252,117 @@ export function parseICS(icsData) {
   }
 }
 
+/**
+ * Expand recurring ICS events into individual occurrences within a window
+ * - EXDATE entries are skipped
+ * - Instances overridden by a RECURRENCE-ID component use the override's data
+ *   (cancelled overrides are skipped)
+ * - Every occurrence carries `recurrenceId`, the ISO start of the original instance,
+ *   so it keeps the same identity when an override moves it
+ * Non-recurring events are passed through unchanged.
+ * @param {Array<object>} icsEvents - Events returned by parseICS
+ * @param {Date} windowStart - Start of the expansion window (inclusive)
+ * @param {Date} windowEnd - End of the expansion window (inclusive)
+ * @returns {Array<object>} Flat list of events and occurrences
+ */
+export function expandICSEvents(icsEvents, windowStart, windowEnd) {
+  const expanded = []
+
+  for (const icsEvent of icsEvents) {
+    if (!icsEvent.rrule) {
+      expanded.push(icsEvent)
+      continue
+    }
+
+    const { rrule, exdates, recurrences, ...baseEvent } = icsEvent
+    const durationMs =
+      icsEvent.dtend instanceof Date
+        ? icsEvent.dtend.getTime() - icsEvent.dtstart.getTime()
+        : DEFAULT_EVENT_DURATION_MILLISECONDS
+
+    let occurrenceStarts
+    try {
+      occurrenceStarts = rrule.between(windowStart, windowEnd, true)
+    } catch (error) {
+      logger.warn('Failed to expand recurring event, keeping first instance', {
+        uid: icsEvent.uid,
+        error: error.message
+      })
+      expanded.push(baseEvent)
+      continue
+    }
+
+    if (occurrenceStarts.length > MAX_OCCURRENCES_PER_EVENT) {
+      logger.warn(
+        `Recurring event exceeds ${MAX_OCCURRENCES_PER_EVENT} occurrences in sync window. Truncating.`,
+        { uid: icsEvent.uid }
+      )
+      occurrenceStarts = occurrenceStarts.slice(0, MAX_OCCURRENCES_PER_EVENT)
+    }
+
+    const excluded = new Set(exdates)
+
+    for (const start of occurrenceStarts) {
+      const recurrenceId = start.toISOString()
+      const dateKey = recurrenceId.slice(0, 10)
+      if (excluded.has(recurrenceId) || excluded.has(dateKey)) {
+        continue
+      }
+
+      const override = recurrences[recurrenceId] || recurrences[dateKey]
+      if (override) {
+        if (override.status === 'CANCELLED') continue
+        const overrideStart = override.dtstart || start
+        expanded.push({
+          ...baseEvent,
+          ...override,
+          uid: icsEvent.uid,
+          dtstart: overrideStart,
+          dtend:
+            override.dtend || new Date(overrideStart.getTime() + durationMs),
+          recurrenceId
+        })
+        continue
+      }
+
+      expanded.push({
+        ...baseEvent,
+        dtstart: start,
+        dtend: new Date(start.getTime() + durationMs),
+        recurrenceId
+      })
+    }
+  }
+
+  return expanded
+}
+
+/**
+ * Get the window in which a subscription's recurring events are expanded
+ * @param {object} subscription - Calendar subscription
+ * @param {number} [subscription.syncPastDays] - Days before today to include
+ * @param {number} [subscription.syncFutureDays] - Days after today to include
+ * @param {Date} [now] - Reference time (defaults to current time)
+ * @returns {{start: Date, end: Date}} Sync window
+ */
+export function getSyncWindow(subscription, now = new Date()) {
+  const clampDays = (value, fallback) =>
+    Number.isInteger(value) && value >= 0
+      ? Math.min(value, MAX_CALENDAR_SYNC_DAYS)
+      : fallback
+
+  const pastDays = clampDays(subscription.syncPastDays, CALENDAR_SYNC_PAST_DAYS)
+  const futureDays = clampDays(
+    subscription.syncFutureDays,
+    CALENDAR_SYNC_FUTURE_DAYS
+  )
+
+  return {
+    start: new Date(now.getTime() - pastDays * MS_PER_DAY),
+    end: new Date(now.getTime() + futureDays * MS_PER_DAY)
+  }
+}
+
 /**
  * Convert ICS event to schedule event format
  * @param {object} icsEvent - Parsed ICS event from node-ical
@@ -191,6 +370,12 @@ export function parseICS(icsData) {
  * @returns {object|null} Schedule event data or null if invalid
  */
 function convertICSEventToScheduleEvent(icsEvent, calendarId) {
+  // Linked travel/preparation blocks from our exporter are folded back into
+  // their parent event's buffers instead of becoming separate events
+  if (icsEvent.bufferType) {
+    return null
+  }
+
   // Validate dates (node-ical returns Date objects directly)
   if (!icsEvent.dtstart || !(icsEvent.dtstart instanceof Date)) {
     logger.warn('ICS event missing or invalid start time', { event: icsEvent })
@@ -211,28 +396,185 @@ function convertICSEventToScheduleEvent(icsEvent, calendarId) {
     )
   }
 
-  // Format date as YYYY-MM-DD using local time
-  const year = startDate.getFullYear()
-  const month = String(startDate.getMonth() + 1).padStart(2, '0')
-  const date = String(startDate.getDate()).padStart(2, '0')
-  const day = `${year}-${month}-${date}`
+  // Keep the event's own zone so it renders correctly wherever the user is.
+  // Floating and all-day times (no zone) follow the display time zone.
+  const timeZone =
+    !icsEvent.allDay && isValidTimeZone(icsEvent.timeZone)
+      ? icsEvent.timeZone
+      : getDisplayTimeZone()
+
+  let day
+  let startTime
+  let endTime
+  let endDay
+  if (icsEvent.allDay) {
+    // node-ical creates all-day dates at local midnight
+    const toLocalDay = (date) =>
+      `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+    day = toLocalDay(startDate)
+    // DTEND is exclusive; the event ends on the day before it
+    endDay = toLocalDay(
+      new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate() - 1)
+    )
+    startTime = `${String(startDate.getHours()).padStart(2, '0')}:${String(startDate.getMinutes()).padStart(2, '0')}`
+    endTime = `${String(endDate.getHours()).padStart(2, '0')}:${String(endDate.getMinutes()).padStart(2, '0')}`
+  } else {
+    const zonedStart = getZonedDayTime(startDate, timeZone)
+    const zonedEnd = getZonedDayTime(endDate, timeZone)
+    day = zonedStart.day
+    startTime = zonedStart.time
+    endDay = zonedEnd.day
+    endTime = zonedEnd.time
+  }
 
-  // Format times as HH:MM in local timezone
-  const startTime = `${String(startDate.getHours()).padStart(2, '0')}:${String(startDate.getMinutes()).padStart(2, '0')}`
-  const endTime = `${String(endDate.getHours()).padStart(2, '0')}:${String(endDate.getMinutes()).padStart(2, '0')}`
+  // Stable identity so resyncs update events in place: the UID, plus the
+  // original instance start for occurrences of recurring events
+  const baseEventId = icsEvent.uid || `${calendarId}-${startDate.toISOString()}`
+  const externalEventId = icsEvent.recurrenceId
+    ? `${baseEventId}::${icsEvent.recurrenceId}`
+    : baseEventId
 
-  return {
+  const scheduleEvent = {
     title: icsEvent.summary || 'Untitled Event',
     day,
     startTime,
     endTime,
+    endDay,
+    allDay: Boolean(icsEvent.allDay),
+    duration: Math.round((endDate.getTime() - startDate.getTime()) / 60000),
+    timeZone,
+    startsAt: startDate.toISOString(),
+    endsAt: endDate.toISOString(),
     description: icsEvent.description || '',
     location: icsEvent.location || '',
     type: 'event',
     isExternal: true,
     externalCalendarId: calendarId,
-    externalEventId: icsEvent.uid || `${calendarId}-${Date.now()}`
+    externalEventId
+  }
+  if (icsEvent.travelTime !== undefined) {
+    scheduleEvent.travelTime = icsEvent.travelTime
+  }
+  if (icsEvent.preparationTime !== undefined) {
+    scheduleEvent.preparationTime = icsEvent.preparationTime
+  }
+
+  return scheduleEvent
+}
+
+/**
+ * Import events from a local .ics file into the schedule
+ * Imported events belong to the user (they are not tied to a subscription).
+ * Recurring events are expanded within the default sync window. Events are
+ * skipped as duplicates when their UID was already imported or when they
+ * were exported from this schedule and the original event still exists.
+ * @param {string} icsData - Raw ICS data
+ * @returns {Promise<{imported: number, duplicates: number, skipped: number}>} Import counts
+ */
+export async function importICSFile(icsData) {
+  if (typeof icsData !== 'string' || !icsData.includes('BEGIN:VCALENDAR')) {
+    throw new Error('File is not a valid iCalendar (.ics) file')
+  }
+
+  const icsEvents = parseICS(icsData)
+  const { start, end } = getSyncWindow({})
+  const expanded = expandICSEvents(icsEvents, start, end)
+
+  const existingEvents = await getAllEvents()
+  const knownExternalIds = new Set(
+    existingEvents.map((event) => event.externalEventId).filter(Boolean)
+  )
+  const exportedUIDs = new Set(
+    existingEvents.map((event) => `${event.id}@${ICS_UID_DOMAIN}`)
+  )
+
+  let imported = 0
+  let duplicates = 0
+  let skipped = 0
+
+  for (const icsEvent of expanded) {
+    const converted = convertICSEventToScheduleEvent(
+      icsEvent,
+      ICS_IMPORT_CALENDAR_ID
+    )
+    if (!converted) {
+      skipped++
+      continue
+    }
+
+    if (
+      knownExternalIds.has(converted.externalEventId) ||
+      exportedUIDs.has(icsEvent.uid)
+    ) {
+      duplicates++
+      continue
+    }
+
+    await createEvent({
+      ...converted,
+      isExternal: false,
+      externalCalendarId: null
+    })
+    knownExternalIds.add(converted.externalEventId)
+    imported++
   }
+
+  logger.log('Imported .ics file', { imported, duplicates, skipped })
+  return { imported, duplicates, skipped }
+}
+
+/**
+ * Write synced events for a calendar, updating existing events in place
+ * Events are matched by externalEventId; events no longer in the feed (and
+ * duplicates left by earlier syncs) are removed.
+ * @param {string} calendarId - Calendar subscription ID
+ * @param {Array<object>} scheduleEvents - Converted schedule events
+ * @returns {Promise<{created: number, updated: number, removed: number}>} Sync counts
+ */
+async function upsertCalendarEvents(calendarId, scheduleEvents) {
+  const allEvents = await getAllEvents()
+  const existingByExternalId = new Map()
+  const staleEvents = []
+
+  for (const event of allEvents) {
+    if (event.externalCalendarId !== calendarId) continue
+    if (
+      event.externalEventId &&
+      !existingByExternalId.has(event.externalEventId)
+    ) {
+      existingByExternalId.set(event.externalEventId, event)
+    } else {
+      staleEvents.push(event)
+    }
+  }
+
+  const seen = new Set()
+  let created = 0
+  let updated = 0
+
+  for (const scheduleEvent of scheduleEvents) {
+    // Feeds occasionally repeat a UID; keep the first instance
+    if (seen.has(scheduleEvent.externalEventId)) continue
+    seen.add(scheduleEvent.externalEventId)
+
+    const existing = existingByExternalId.get(scheduleEvent.externalEventId)
+    if (existing) {
+      await updateEvent({ ...existing, ...scheduleEvent })
+      updated++
+    } else {
+      await createEvent(scheduleEvent)
+      created++
+    }
+  }
+
+  for (const [externalEventId, event] of existingByExternalId) {
+    if (!seen.has(externalEventId)) {
+      staleEvents.push(event)
+    }
+  }
+  await deleteEvents(staleEvents.map((event) => event.id))
+
+  return { created, updated, removed: staleEvents.length }
 }
 
 /**
@@ -428,50 +770,17 @@ export async function syncCalendar(subscriptionId) {
       clearTimeout(timeoutId)
     }
 
-    // Delete old events from this calendar
-    const db = await openDB()
-    await new Promise((resolve, reject) => {
-      const transaction = db.transaction(STORES.SCHEDULE, 'readwrite')
-      const store = transaction.objectStore(STORES.SCHEDULE)
-      const request = store.openCursor()
-
-      request.onerror = () => reject(request.error)
-      request.onsuccess = (event) => {
-        const cursor = event.target.result
-        if (cursor) {
-          const scheduleEvent = cursor.value
-          if (scheduleEvent.externalCalendarId === subscriptionId) {
-            cursor.delete()
-          }
-          cursor.continue()
-        }
-      }
-
-      transaction.oncomplete = () => {
-        db.close()
-        resolve()
-      }
-
-      transaction.onerror = () => {
-        db.close()
-        const error =
-          transaction.error ||
-          new Error('Failed to delete old calendar events during sync.')
-        reject(error)
-      }
-    })
-
-    // Add new events
-    for (const icsEvent of icsEvents) {
-      const scheduleEvent = convertICSEventToScheduleEvent(
-        icsEvent,
-        subscriptionId
+    // Expand recurring events inside the sync window, then write them
+    const { start, end } = getSyncWindow(subscription)
+    const scheduleEvents = expandICSEvents(icsEvents, start, end)
+      .map((icsEvent) =>
+        convertICSEventToScheduleEvent(icsEvent, subscriptionId)
       )
       // Skip invalid events
-      if (scheduleEvent) {
-        await createEvent(scheduleEvent)
-      }
-    }
+      .filter(Boolean)
+
+    const counts = await upsertCalendarEvents(subscriptionId, scheduleEvents)
+    logger.log(`Calendar ${subscription.name} sync results`, counts)
 
     // Update sync status
     await updateCalendarSubscription({
@@ -0,0 +1,59 @@
+/**
+ * Command Palette
+ * Fuzzy matching and ranking of the places the global command palette can
+ * jump to. A query that appears in a name as typed ranks above one whose
+ * letters are only found in order, so "sched" finds Schedule first while
+ * "buy milk" falls through to the capture actions.
+ */
+
+// Scores at or above this mean the query appears in the name as typed
+export const EXACT_MATCH_SCORE = 100
+
+const isWordStart = (text, index) =>
+  index === 0 || /[\s\-_/]/.test(text[index - 1])
+
+/**
+ * Score how well a query matches a name
+ * @param {string} query - Text typed into the palette
+ * @param {string} name - Name of a page, routine, note or habit
+ * @returns {number|null} Higher is better; null when the letters of the query are not all found in order
+ */
+export function fuzzyScore(query, name) {
+  const needle = query.trim().toLowerCase()
+  const text = String(name ?? '').toLowerCase()
+  if (!needle) return 0
+
+  const index = text.indexOf(needle)
+  if (index !== -1) {
+    // Earlier and word-start matches first, shorter names break ties
+    return (
+      EXACT_MATCH_SCORE +
+      (isWordStart(text, index) ? 50 : 0) +
+      Math.max(0, 30 - index) -
+      Math.min(text.length, 20) / 20
+    )
+  }
+
+  let score = 0
+  let position = -1
+  for (const char of needle.replace(/\s+/g, '')) {
+    const found = text.indexOf(char, position + 1)
+    if (found === -1) return null
+    score += found === position + 1 ? 3 : isWordStart(text, found) ? 2 : 1
+    position = found
+  }
+  return Math.min(score, EXACT_MATCH_SCORE - 1)
+}
+
+/**
+ * Rank palette items against a query
+ * @param {Array<{name: string}>} items - Palette items
+ * @param {string} query - Text typed into the palette
+ * @returns {Array<object>} Matching items with their score, best first
+ */
+export function rankPaletteItems(items, query) {
+  return items
+    .map((item) => ({ ...item, score: fuzzyScore(query, item.name) }))
+    .filter((item) => item.score !== null)
+    .sort((a, b) => b.score - a.score)
+}
@@ -3,17 +3,41 @@
  * Converts between our event data model and RBC's expected format
  */
 
-import { parseISO, parse, format, addDays } from 'date-fns'
+import { parseISO, parse, format, addDays, addMinutes } from 'date-fns'
+import { getEventBuffers, findBufferOverlap } from './scheduleBuffers'
+import { getEventKey } from './scheduleConflicts'
+import { shiftDay, diffInDays } from './recurrence'
 import { createLogger } from './logger'
 
 const logger = createLogger('EventAdapter')
 
+/**
+ * Build the RBC fields that do not depend on the event's times
+ * @param {Object} event - Event from EventService
+ * @param {Array} conflicts - Events overlapping this one
+ * @returns {Object} RBC id, title and resource
+ */
+const toRBCFields = (event, conflicts) => ({
+  id: event.id,
+  title: event.title,
+  resource: {
+    type: event.type,
+    travelTime: event.travelTime || 0,
+    preparationTime: event.preparationTime || 0,
+    conflicts: conflicts.map((conflict) => conflict.title),
+    // Events from subscribed calendars are read-only
+    isLocked: Boolean(event.isExternal),
+    originalEvent: event
+  }
+})
+
 /**
  * Convert our event format to React Big Calendar format
  * @param {Object} event - Event from EventService
+ * @param {Array} [conflicts] - Events overlapping this one
  * @returns {Object} Event in RBC format
  */
-export const toRBCEvent = (event) => {
+export const toRBCEvent = (event, conflicts = []) => {
   try {
     if (!event) {
       logger.error('toRBCEvent: event is null or undefined')
@@ -28,9 +52,28 @@ export const toRBCEvent = (event) => {
       return null
     }
 
+    // RBC ends all-day events at the start of the day after their last day
+    if (event.allDay) {
+      const lastDay = event.endDay ? parseISO(event.endDay) : dayDate
+      if (Number.isNaN(lastDay.getTime())) {
+        return null
+      }
+      return {
+        ...toRBCFields(event, conflicts),
+        start: dayDate,
+        end: addDays(lastDay, 1),
+        allDay: true
+      }
+    }
+
     // Parse start and end times (HH:mm format)
+    // Multi-day events end at their end time on their end day
     const startTime = parse(event.startTime, 'HH:mm', dayDate)
-    let endTime = parse(event.endTime, 'HH:mm', dayDate)
+    let endTime = parse(
+      event.endTime,
+      'HH:mm',
+      event.endDay ? parseISO(event.endDay) : dayDate
+    )
 
     // Validate parsed times
     if (Number.isNaN(startTime.getTime()) || Number.isNaN(endTime.getTime())) {
@@ -45,16 +88,10 @@ export const toRBCEvent = (event) => {
     }
 
     return {
-      id: event.id,
-      title: event.title,
+      ...toRBCFields(event, conflicts),
       start: startTime,
       end: endTime,
-      resource: {
-        type: event.type,
-        travelTime: event.travelTime || 0,
-        preparationTime: event.preparationTime || 0,
-        originalEvent: event
-      }
+      allDay: false
     }
   } catch (error) {
     logger.error('Error converting event to RBC format:', error, event)
@@ -65,15 +102,64 @@ export const toRBCEvent = (event) => {
 /**
  * Convert multiple events to RBC format
  * @param {Array} events - Array of events from EventService
+ * @param {Object} [conflicts] - Conflicting events keyed by event key (EventService.getConflictsForRange)
  * @returns {Array} Array of events in RBC format
  */
-export const toRBCEvents = (events) => {
+export const toRBCEvents = (events, conflicts = {}) => {
   if (!Array.isArray(events)) {
     logger.error('toRBCEvents: events is not an array', events)
     return []
   }
 
-  return events.map(toRBCEvent).filter(Boolean) // Remove any null results from conversion errors
+  return events
+    .map((event) =>
+      toRBCEvent(event, (event && conflicts[getEventKey(event)]) || [])
+    )
+    .filter(Boolean) // Remove any null results from conversion errors
+}
+
+/**
+ * Convert the travel and preparation buffers of events to RBC background events
+ * Each buffer becomes a block ending where the next one (or the event) starts.
+ * Buffers that run into the previous event on the same day are flagged.
+ * @param {Array} events - Array of events from EventService
+ * @returns {Array} Background events in RBC format
+ */
+export const toRBCBufferEvents = (events) => {
+  if (!Array.isArray(events)) {
+    logger.error('toRBCBufferEvents: events is not an array', events)
+    return []
+  }
+
+  return events.flatMap((event) => {
+    const buffers = event ? getEventBuffers(event) : []
+    if (buffers.length === 0) {
+      return []
+    }
+
+    const dayDate = parseISO(event.day)
+    if (Number.isNaN(dayDate.getTime())) {
+      return []
+    }
+
+    const previous = findBufferOverlap(
+      event,
+      events.filter((other) => other && other.day === event.day)
+    )
+    return buffers.map((buffer) => ({
+      id: `${event.id}-${buffer.type}-${event.day}`,
+      title: `${buffer.label}: ${event.title}`,
+      start: addMinutes(dayDate, buffer.start),
+      end: addMinutes(dayDate, buffer.end),
+      resource: {
+        type: event.type,
+        bufferType: buffer.type,
+        minutes: buffer.minutes,
+        overlapsEvent: previous ? previous.title : null,
+        originalEvent: event
+      }
+    }))
+  })
 }
 
 /**
@@ -101,3 +187,44 @@ export const createEventFromSlot = (slotInfo) => {
     return null
   }
 }
+
+/**
+ * Check whether an RBC event can be dragged to another time
+ * @param {Object} rbcEvent - Event in RBC format
+ * @returns {boolean} False for read-only events
+ */
+export const isDraggableEvent = (rbcEvent) =>
+  Boolean(rbcEvent?.resource?.originalEvent) && !rbcEvent.resource.isLocked
+
+/**
+ * Check whether an RBC event can be resized by its edges
+ * All-day and multi-day events are only moved, so they keep their length
+ * in days
+ * @param {Object} rbcEvent - Event in RBC format
+ * @returns {boolean} False for read-only, all-day and multi-day events
+ */
+export const isResizableEvent = (rbcEvent) => {
+  if (!isDraggableEvent(rbcEvent)) return false
+  const { allDay, endDay } = rbcEvent.resource.originalEvent
+  return !allDay && !endDay
+}
+
+/**
+ * Apply a drag-and-drop move or resize from RBC to an event
+ * Multi-day events keep their length in days
+ * @param {Object} event - Event from EventService (display time zone)
+ * @param {Object} range - New start and end Dates from RBC
+ * @returns {Object} Event with the new day and times
+ */
+export const fromRBCRange = (event, { start, end }) => {
+  const day = format(start, 'yyyy-MM-dd')
+  return {
+    ...event,
+    day,
+    startTime: format(start, 'HH:mm'),
+    endTime: format(end, 'HH:mm'),
+    endDay: event.endDay
+      ? shiftDay(day, diffInDays(event.day, event.endDay))
+      : null
+  }
+}
@@ -0,0 +1,388 @@
+/**
+ * iCalendar Exporter
+ * Writes Aurorae schedule events to a standards-compliant .ics file (RFC 5545)
+ */
+
+import { getAllEvents } from './scheduleManager'
+import { createLogger } from './logger'
+import { isRecurringEvent, shiftDay } from './recurrence'
+import { isValidTimeZone, zonedDayTimeToDate } from './timezone'
+import {
+  ICS_PRODUCT_ID,
+  ICS_UID_DOMAIN,
+  ICS_TRAVEL_TIME_PROPERTY,
+  ICS_PREPARATION_TIME_PROPERTY,
+  ICS_BUFFER_PROPERTY,
+  ICS_BUFFER_TYPES
+} from './scheduleConstants'
+import { URL_REVOKE_TIMEOUT_MS } from './timeConstants'
+
+const logger = createLogger('ICSExporter')
+
+// RFC 5545 section 3.1: content lines SHOULD NOT exceed 75 octets
+const MAX_LINE_OCTETS = 75
+
+const MS_PER_MINUTE = 60 * 1000
+
+/**
+ * Escape a TEXT property value (RFC 5545 section 3.3.11)
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeICSText(text) {
+  return String(text ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+}
+
+/**
+ * Fold a content line so no physical line exceeds 75 octets
+ * Continuation lines start with a single space
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line joined with CRLF
+ */
+export function foldICSLine(line) {
+  const parts = []
+  let current = ''
+  let octets = 0
+
+  for (const char of line) {
+    const codePoint = char.codePointAt(0)
+    const charOctets =
+      codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1
+    if (octets + charOctets > limit) {
+      parts.push(current)
+      current = ''
+      octets = 0
+    }
+    current += char
+    octets += charOctets
+  }
+  parts.push(current)
+
+  return parts.join('\r\n ')
+}
+
+/**
+ * Format a Date as a UTC DATE-TIME value (e.g. 20250115T090000Z)
+ * @param {Date} date - Date to format
+ * @returns {string} iCalendar UTC date-time
+ */
+export function formatICSDateTime(date) {
+  return date
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '')
+}
+
+/**
+ * Convert a schedule day and time to a Date
+ * Events without a stored time zone use the device's local time
+ * @param {string} day - Day in YYYY-MM-DD format
+ * @param {string} time - Time in HH:MM format
+ * @param {string} [timeZone] - IANA time zone of the event
+ * @returns {Date} Instant
+ */
+function toEventDate(day, time, timeZone) {
+  if (isValidTimeZone(timeZone)) {
+    return zonedDayTimeToDate(day, time || '00:00', timeZone)
+  }
+  const [year, month, date] = day.split('-').map(Number)
+  const [hours, minutes] = (time || '00:00').split(':').map(Number)
+  return new Date(year, month - 1, date, hours, minutes)
+}
+
+/**
+ * Get the start and end instants of a schedule event
+ * Events whose end time is before their start time run past midnight
+ * @param {object} event - Schedule event
+ * @returns {{start: Date, end: Date}} Event interval
+ */
+function getEventInterval(event) {
+  const { day, startTime, timeZone } = event
+  const endTime = event.endTime || startTime
+  const start = toEventDate(day, startTime, timeZone)
+  const endDay = endTime < startTime ? shiftDay(day, 1) : day
+  return { start, end: toEventDate(endDay, endTime, timeZone) }
+}
+
+/**
+ * Build the UID for an exported event
+ * @param {string|number} id - Schedule event ID
+ * @param {string} [suffix] - Suffix for linked buffer events
+ * @returns {string} Globally unique identifier
+ */
+export function getEventUID(id, suffix = '') {
+  return `${id}${suffix ? `-${suffix}` : ''}@${ICS_UID_DOMAIN}`
+}
+
+/**
+ * Convert a stored RRULE to one valid for a UTC DATE-TIME DTSTART
+ * UNTIL must use the same value type as DTSTART, so date-only UNTIL
+ * values become the end of that day in the event's time zone
+ * @param {string} rrule - Stored RRULE (without the "RRULE:" prefix)
+ * @param {string} [timeZone] - IANA time zone of the event
+ * @returns {string} Exportable RRULE
+ */
+function toExportRRule(rrule, timeZone) {
+  return rrule.replace(/UNTIL=(\d{4})(\d{2})(\d{2})(?!T)/, (_, y, m, d) => {
+    const lastMinute = toEventDate(`${y}-${m}-${d}`, '23:59', timeZone)
+    const endOfDay = new Date(lastMinute.getTime() + 59 * 1000)
+    return `UNTIL=${formatICSDateTime(endOfDay)}`
+  })
+}
+
+/**
+ * Build the recurrence lines for a recurring master
+ * @param {object} event - Recurring master event
+ * @param {Set<string>} overriddenDays - Days replaced by a RECURRENCE-ID event
+ * @returns {Array<string>} RRULE and EXDATE lines
+ */
+function getRecurrenceLines(event, overriddenDays) {
+  const lines = [
+    `RRULE:${toExportRRule(event.recurrence.rrule, event.timeZone)}`
+  ]
+  for (const day of event.exceptions || []) {
+    // Overridden instances are exported as their own component instead
+    if (overriddenDays.has(day)) continue
+    lines.push(
+      `EXDATE:${formatICSDateTime(toEventDate(day, event.startTime, event.timeZone))}`
+    )
+  }
+  return lines
+}
+
+/**
+ * Build linked VEVENTs covering an event's preparation and travel buffers
+ * Buffers are exported as busy blocks so other calendars see the time as
+ * taken: preparation first, then travel up to the event start
+ * @param {object} event - Schedule event
+ * @param {object} options - Buffer options
+ * @param {string} options.parentUID - UID of the event the buffers belong to
+ * @param {Date} options.start - Event start
+ * @param {string} options.dtstamp - DTSTAMP value for this export
+ * @returns {Array<string>} Content lines
+ */
+function buildBufferComponents(event, { parentUID, start, dtstamp }) {
+  const travelTime = event.travelTime || 0
+  const preparationTime = event.preparationTime || 0
+  const travelStart = new Date(start.getTime() - travelTime * MS_PER_MINUTE)
+  const buffers = [
+    {
+      type: ICS_BUFFER_TYPES.PREPARATION,
+      label: 'Preparation',
+      minutes: preparationTime,
+      start: new Date(travelStart.getTime() - preparationTime * MS_PER_MINUTE),
+      end: travelStart
+    },
+    {
+      type: ICS_BUFFER_TYPES.TRAVEL,
+      label: 'Travel',
+      minutes: travelTime,
+      start: travelStart,
+      end: start
+    }
+  ]
+
+  const lines = []
+  for (const buffer of buffers) {
+    if (buffer.minutes <= 0) continue
+    const offsetMs = start.getTime() - buffer.start.getTime()
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${getEventUID(event.id, buffer.type)}`,
+      `DTSTAMP:${dtstamp}`,
+      `DTSTART:${formatICSDateTime(buffer.start)}`,
+      `DTEND:${formatICSDateTime(buffer.end)}`,
+      `SUMMARY:${escapeICSText(`${buffer.label}: ${event.title || 'Untitled Event'}`)}`,
+      `RELATED-TO;RELTYPE=PARENT:${parentUID}`,
+      `${ICS_BUFFER_PROPERTY}:${buffer.type}`
+    )
+    if (isRecurringEvent(event)) {
+      lines.push(
+        `RRULE:${toExportRRule(event.recurrence.rrule, event.timeZone)}`
+      )
+      // Buffer series skip every exception; detached occurrences export
+      // their own buffers
+      for (const day of event.exceptions || []) {
+        const instanceStart = toEventDate(day, event.startTime, event.timeZone)
+        lines.push(
+          `EXDATE:${formatICSDateTime(new Date(instanceStart.getTime() - offsetMs))}`
+        )
+      }
+    }
+    lines.push('END:VEVENT')
+  }
+
+  return lines
+}
+
+/**
+ * Build the VEVENT (and linked buffer VEVENTs) for a schedule event
+ * @param {object} event - Schedule event
+ * @param {object} context - Export context
+ * @param {string} context.dtstamp - DTSTAMP value for this export
+ * @param {Map} context.mastersById - Recurring masters keyed by ID
+ * @param {Map} context.overriddenDaysByMaster - Detached days keyed by master ID
+ * @returns {Array<string>} Content lines
+ */
+function buildEventComponents(event, context) {
+  const { dtstamp, mastersById, overriddenDaysByMaster } = context
+  const { start, end } = getEventInterval(event)
+  const travelTime = event.travelTime || 0
+  const preparationTime = event.preparationTime || 0
+
+  // Detached occurrences override one instance of their series
+  const master =
+    event.recurringEventId && event.originalDay
+      ? mastersById.get(event.recurringEventId)
+      : null
+  const uid = getEventUID(master ? master.id : event.id)
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${dtstamp}`,
+    `DTSTART:${formatICSDateTime(start)}`,
+    `DTEND:${formatICSDateTime(end)}`,
+    `SUMMARY:${escapeICSText(event.title || 'Untitled Event')}`
+  ]
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeICSText(event.description)}`)
+  }
+  if (event.location) {
+    lines.push(`LOCATION:${escapeICSText(event.location)}`)
+  }
+  if (event.type) {
+    lines.push(`CATEGORIES:${escapeICSText(event.type)}`)
+  }
+  if (isRecurringEvent(event)) {
+    lines.push(
+      ...getRecurrenceLines(
+        event,
+        overriddenDaysByMaster.get(event.id) || new Set()
+      )
+    )
+  }
+  if (master) {
+    lines.push(
+      `RECURRENCE-ID:${formatICSDateTime(toEventDate(event.originalDay, master.startTime, master.timeZone))}`
+    )
+  }
+  if (travelTime > 0) {
+    lines.push(`${ICS_TRAVEL_TIME_PROPERTY}:${travelTime}`)
+  }
+  if (preparationTime > 0) {
+    lines.push(`${ICS_PREPARATION_TIME_PROPERTY}:${preparationTime}`)
+  }
+
+  // Remind the user when it is time to start getting ready
+  const bufferMinutes = travelTime + preparationTime
+  if (bufferMinutes > 0) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `TRIGGER:-PT${bufferMinutes}M`,
+      `DESCRIPTION:${escapeICSText(`Get ready for ${event.title || 'your event'}`)}`,
+      'END:VALARM'
+    )
+  }
+  lines.push('END:VEVENT')
+
+  lines.push(
+    ...buildBufferComponents(event, { parentUID: uid, start, dtstamp })
+  )
+
+  return lines
+}
+
+/**
+ * Build an iCalendar document from schedule events
+ * Recurring events are written as RRULE/EXDATE series and detached
+ * occurrences as RECURRENCE-ID overrides. External (subscribed) events
+ * are skipped because they belong to another calendar.
+ * @param {Array<object>} events - Stored schedule events (not expanded)
+ * @param {object} [options] - Export options
+ * @param {string} [options.calendarName] - Calendar display name
+ * @param {Date} [options.now] - Timestamp used for DTSTAMP
+ * @returns {string} iCalendar data with CRLF line endings
+ */
+export function buildICS(events, { calendarName = 'Aurorae Haven', now } = {}) {
+  const dtstamp = formatICSDateTime(now || new Date())
+  const ownEvents = (events || []).filter(
+    (event) => event && !event.isExternal && event.day && event.startTime
+  )
+
+  const mastersById = new Map()
+  for (const event of ownEvents) {
+    if (isRecurringEvent(event)) {
+      mastersById.set(event.id, event)
+    }
+  }
+
+  const overriddenDaysByMaster = new Map()
+  for (const event of ownEvents) {
+    if (mastersById.has(event.recurringEventId) && event.originalDay) {
+      const days =
+        overriddenDaysByMaster.get(event.recurringEventId) || new Set()
+      days.add(event.originalDay)
+      overriddenDaysByMaster.set(event.recurringEventId, days)
+    }
+  }
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICS_PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeICSText(calendarName)}`
+  ]
+  for (const event of ownEvents) {
+    try {
+      lines.push(
+        ...buildEventComponents(event, {
+          dtstamp,
+          mastersById,
+          overriddenDaysByMaster
+        })
+      )
+    } catch (error) {
+      logger.warn('Skipping event that could not be exported', {
+        id: event.id,
+        error: error.message
+      })
+    }
+  }
+  lines.push('END:VCALENDAR')
+
+  return lines.map(foldICSLine).join('\r\n') + '\r\n'
+}
+
+/**
+ * Export the whole schedule as an .ics file download
+ * @returns {Promise<number>} Number of events exported
+ */
+export async function exportScheduleICS() {
+  const events = await getAllEvents()
+  const icsData = buildICS(events)
+
+  const blob = new Blob([icsData], { type: 'text/calendar;charset=utf-8' })
+  const url = URL.createObjectURL(blob)
+  const date = new Date().toISOString().split('T')[0]
+
+  const a = document.createElement('a')
+  a.href = url
+  a.download = `aurorae_schedule_${date}.ics`
+  document.body.appendChild(a)
+  a.click()
+  a.remove()
+  setTimeout(() => URL.revokeObjectURL(url), URL_REVOKE_TIMEOUT_MS)
+
+  return events.filter((event) => !event.isExternal).length
+}
@@ -8,7 +8,7 @@ import { generateMetadata } from './idGenerator'
 const logger = createLogger('IndexedDB')
 
 const DB_NAME = 'aurorae_haven_db'
-const DB_VERSION = 3
+const DB_VERSION = 5
 
 // Object store names
 export const STORES = {
@@ -21,7 +21,8 @@ export const STORES = {
   FILE_REFS: 'file_refs',
   BACKUPS: 'backups',
   TEMPLATES: 'templates',
-  CALENDAR_SUBSCRIPTIONS: 'calendar_subscriptions'
+  CALENDAR_SUBSCRIPTIONS: 'calendar_subscriptions',
+  ROUTINE_RUNS: 'routine_runs'
 }
 
 /**
@@ -40,14 +41,19 @@ export function openDB() {
       const db = event.target.result
 
       // Create object stores if they don't exist
-      if (!db.objectStoreNames.contains(STORES.TASKS)) {
-        const taskStore = db.createObjectStore(STORES.TASKS, {
-          keyPath: 'id',
-          autoIncrement: true
-        })
-        taskStore.createIndex('timestamp', 'timestamp', { unique: false })
-        taskStore.createIndex('status', 'status', { unique: false })
-      }
+      const taskStore = db.objectStoreNames.contains(STORES.TASKS)
+        ? event.target.transaction.objectStore(STORES.TASKS)
+        : db.createObjectStore(STORES.TASKS, {
+            keyPath: 'id',
+            autoIncrement: true
+          })
+      // Version 4 added the quadrant and dueDate indexes to existing stores
+      const taskIndexes = ['timestamp', 'status', 'quadrant', 'dueDate']
+      taskIndexes.forEach((field) => {
+        if (!taskStore.indexNames.contains(field)) {
+          taskStore.createIndex(field, field, { unique: false })
+        }
+      })
 
       if (!db.objectStoreNames.contains(STORES.ROUTINES)) {
         const routineStore = db.createObjectStore(STORES.ROUTINES, {
@@ -138,6 +144,11 @@ export function openDB() {
           unique: false
         })
       }
+
+      // Version 5: checkpoint of the routine run in progress
+      if (!db.objectStoreNames.contains(STORES.ROUTINE_RUNS)) {
+        db.createObjectStore(STORES.ROUTINE_RUNS, { keyPath: 'id' })
+      }
     }
   })
 }
@@ -325,6 +336,41 @@ export async function getByIndex(storeName, indexName, value) {
   })
 }
 
+/**
+ * Get items whose index value lies within a range
+ * Either bound may be null for an open-ended range; records without a value
+ * for the index are never returned
+ * @param {string} storeName
+ * @param {string} indexName
+ * @param {*} lower - Lowest value (inclusive) or null
+ * @param {*} upper - Highest value (inclusive) or null
+ * @returns {Promise<Array>}
+ */
+export async function getByIndexRange(storeName, indexName, lower, upper) {
+  /* global IDBKeyRange */
+  let range = null
+  if (lower != null && upper != null) {
+    range = IDBKeyRange.bound(lower, upper)
+  } else if (lower != null) {
+    range = IDBKeyRange.lowerBound(lower)
+  } else if (upper != null) {
+    range = IDBKeyRange.upperBound(upper)
+  }
+
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, 'readonly')
+    const store = transaction.objectStore(storeName)
+    const index = store.index(indexName)
+    const request = index.getAll(range)
+
+    request.onerror = () => reject(request.error)
+    request.onsuccess = () => resolve(request.result || [])
+
+    transaction.oncomplete = () => db.close()
+  })
+}
+
 /**
  * ARC-DAT-02: Add file reference with metadata
  * @param {string} fileName
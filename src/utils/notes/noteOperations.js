@@ -7,6 +7,9 @@ import { createLogger } from '../logger'
 
 const logger = createLogger('NoteOperations')
 
+// Window event dispatched when notes are saved from outside the Brain Dump page
+export const NOTES_CHANGED_EVENT = 'notesChanged'
+
 /**
  * Create a new note object
  * @returns {Object} - New note object with default properties
@@ -143,3 +146,19 @@ export function loadNotesFromStorage() {
     return []
   }
 }
+
+/**
+ * Add a note to the stored notes
+ * Used to capture a note without opening Brain Dump; an open Brain Dump page
+ * reloads its notes when told through NOTES_CHANGED_EVENT
+ * @param {Object} fields - Note fields such as title and content
+ * @returns {Object} - Created note
+ */
+export function addNoteToStorage(fields) {
+  const note = { ...createNewNote(), ...fields }
+  saveNotesToStorage([...loadNotesFromStorage(), note])
+  window.dispatchEvent(
+    new CustomEvent(NOTES_CHANGED_EVENT, { detail: { ids: [note.id] } })
+  )
+  return note
+}
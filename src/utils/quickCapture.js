@@ -0,0 +1,201 @@
+/**
+ * Quick Capture
+ * Reads a line typed into the task form, such as
+ * "call dentist tomorrow 3pm #health !urgent 15m", into the fields of a task:
+ * due day, tags, quadrant and estimate. A line with a time of day becomes a
+ * schedule event as well as a task. Parsing is plain pattern matching on words, so it
+ * works offline; words that are not understood stay in the task text.
+ */
+
+import { shiftDay } from './recurrence'
+import { getTodayInTimeZone } from './timezone'
+import { normalizeTag } from './taskTags'
+import { timeToMinutes, minutesToTime } from './timeUtils'
+import {
+  DEFAULT_EVENT_DURATION_MINUTES,
+  EVENT_TYPES
+} from './scheduleConstants'
+
+// Quadrant markers, by urgency/importance and by the quadrant's action
+const PRIORITY_MARKERS = {
+  urgent: 'urgent_important',
+  do: 'urgent_important',
+  1: 'urgent_important',
+  important: 'not_urgent_important',
+  schedule: 'not_urgent_important',
+  2: 'not_urgent_important',
+  delegate: 'urgent_not_important',
+  3: 'urgent_not_important',
+  later: 'not_urgent_not_important',
+  eliminate: 'not_urgent_not_important',
+  4: 'not_urgent_not_important'
+}
+
+// Sunday first, as returned by Date#getUTCDay; full name, then short forms
+const WEEKDAYS = [
+  ['sunday', 'sun'],
+  ['monday', 'mon'],
+  ['tuesday', 'tue', 'tues'],
+  ['wednesday', 'wed'],
+  ['thursday', 'thu', 'thur', 'thurs'],
+  ['friday', 'fri'],
+  ['saturday', 'sat']
+]
+
+// Short weekday forms are everyday words too ("fix sun visor", "sat exam
+// prep"), so they only name a day after one of these
+const SHORT_WEEKDAY_PREFIXES = ['on', 'by', 'next']
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const CLOCK_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/
+const MERIDIEM_PATTERN = /^(1[0-2]|0?[1-9])(?::([0-5]\d))?(am|pm)$/
+const ESTIMATE_PATTERN =
+  /^(?:(\d+(?:\.\d+)?)(?:h|hrs?|hours?))?(?:(\d+)(?:m|mins?|minutes?))?$/
+const MINUTES_PER_DAY = 24 * 60
+
+function getWeekday(word, allowShort = false) {
+  return WEEKDAYS.findIndex(
+    ([name, ...short]) => word === name || (allowShort && short.includes(word))
+  )
+}
+
+// Next date falling on a weekday; today counts
+function nextWeekday(today, weekday) {
+  const current = new Date(`${today}T00:00:00Z`).getUTCDay()
+  return shiftDay(today, (weekday - current + 7) % 7)
+}
+
+// Day named by a single word: today, tomorrow, a weekday or YYYY-MM-DD
+function parseRelativeDay(word, today, allowShort = false) {
+  if (!word) return null
+  if (word === 'today' || word === 'tonight') return today
+  if (word === 'tomorrow' || word === 'tmrw') return shiftDay(today, 1)
+  const weekday = getWeekday(word, allowShort)
+  if (weekday !== -1) return nextWeekday(today, weekday)
+  // Shifting by no days rolls impossible dates such as 2026-02-30 over
+  return DAY_PATTERN.test(word) && shiftDay(word, 0) === word ? word : null
+}
+
+function parseClock(word) {
+  if (!word) return null
+  if (word === 'noon') return '12:00'
+  if (word === 'midnight') return '00:00'
+  const clock = word.match(CLOCK_PATTERN)
+  if (clock) return `${clock[1].padStart(2, '0')}:${clock[2]}`
+  const meridiem = word.match(MERIDIEM_PATTERN)
+  if (!meridiem) return null
+  const hours = (Number(meridiem[1]) % 12) + (meridiem[3] === 'pm' ? 12 : 0)
+  return `${String(hours).padStart(2, '0')}:${meridiem[2] || '00'}`
+}
+
+function parseEstimate(word) {
+  const match = word.match(ESTIMATE_PATTERN)
+  if (!match || (!match[1] && !match[2])) return null
+  const minutes = Number(match[1] || 0) * 60 + Number(match[2] || 0)
+  return minutes > 0 ? Math.round(minutes) : null
+}
+
+/**
+ * Read the fields of a task out of a line of text
+ * @param {string} input - Text typed into the task form
+ * @param {string} [today] - Today (YYYY-MM-DD, display time zone)
+ * @returns {{text: string, dueDate: string|null, dueTime: string|null, tags: Array<string>, quadrant: string|null, estimatedMinutes: number|null}} Parsed fields; text is what is left once they are taken out
+ */
+export function parseQuickCapture(input, today = getTodayInTimeZone()) {
+  const words = String(input ?? '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+  const parsed = {
+    dueDate: null,
+    dueTime: null,
+    tags: [],
+    quadrant: null,
+    estimatedMinutes: null
+  }
+  const text = []
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i].toLowerCase()
+    const next = words[i + 1]?.toLowerCase()
+    const afterPrefix = SHORT_WEEKDAY_PREFIXES.includes(
+      words[i - 1]?.toLowerCase()
+    )
+
+    // Connecting words go along with the date or time they introduce
+    if (
+      ['on', 'at', 'by'].includes(word) &&
+      (parseRelativeDay(next, today, SHORT_WEEKDAY_PREFIXES.includes(word)) ||
+        parseClock(next))
+    ) {
+      continue
+    }
+
+    if (word.startsWith('#') && normalizeTag(word)) {
+      const tag = normalizeTag(words[i])
+      if (!parsed.tags.includes(tag)) parsed.tags.push(tag)
+    } else if (word.startsWith('!') && PRIORITY_MARKERS[word.slice(1)]) {
+      parsed.quadrant = PRIORITY_MARKERS[word.slice(1)]
+    } else if (parseRelativeDay(word, today, afterPrefix)) {
+      parsed.dueDate = parseRelativeDay(word, today, afterPrefix)
+    } else if (word === 'next' && next === 'week') {
+      // Monday of next week
+      parsed.dueDate = nextWeekday(shiftDay(today, 1), 1)
+      i++
+    } else if (word === 'next' && getWeekday(next, true) !== -1) {
+      // The weekday in the week after the coming one
+      parsed.dueDate = shiftDay(
+        nextWeekday(shiftDay(today, 1), getWeekday(next, true)),
+        7
+      )
+      i++
+    } else if (word === 'in' && /^\d+$/.test(next || '')) {
+      const unit = words[i + 2]?.toLowerCase()
+      if (/^days?$/.test(unit) || /^weeks?$/.test(unit)) {
+        parsed.dueDate = shiftDay(
+          today,
+          Number(next) * (unit.startsWith('week') ? 7 : 1)
+        )
+        i += 2
+      } else {
+        text.push(words[i])
+      }
+    } else if (parseClock(word)) {
+      parsed.dueTime = parseClock(word)
+    } else if (parseEstimate(word)) {
+      parsed.estimatedMinutes = parseEstimate(word)
+    } else {
+      text.push(words[i])
+    }
+  }
+
+  // A time without a day means today
+  if (parsed.dueTime && !parsed.dueDate) {
+    parsed.dueDate = today
+  }
+  return { text: text.join(' '), ...parsed }
+}
+
+/**
+ * Turn a parsed line with a time of day into a schedule event
+ * The event lasts as long as the estimate, or an hour, and runs past
+ * midnight when it has to; it is kept under a day
+ * @param {object} parsed - Result of parseQuickCapture
+ * @returns {object|null} Event data for createEvent, or null without a time
+ */
+export function toQuickCaptureEvent(parsed) {
+  if (!parsed.dueTime || !parsed.dueDate) return null
+  const start = timeToMinutes(parsed.dueTime)
+  const duration = Math.min(
+    parsed.estimatedMinutes || DEFAULT_EVENT_DURATION_MINUTES,
+    MINUTES_PER_DAY - 1
+  )
+  const end = (start + duration) % MINUTES_PER_DAY
+  return {
+    title: parsed.text,
+    type: EVENT_TYPES.TASK,
+    day: parsed.dueDate,
+    startTime: parsed.dueTime,
+    endTime: minutesToTime(end)
+  }
+}
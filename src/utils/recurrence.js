@@ -0,0 +1,633 @@
+/**
+ * Recurrence Utilities
+ * Parses, builds and expands RFC 5545 RRULE strings for recurring schedule events
+ *
+ * Expansion works on local calendar days (YYYY-MM-DD) rather than instants, so a
+ * 09:00 standup stays at 09:00 across DST transitions. Supported rule parts:
+ * FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT, UNTIL, BYDAY (with
+ * optional ordinals such as 1MO or -1FR), BYMONTHDAY and BYMONTH. WKST is accepted
+ * but ignored - weeks always start on Monday, matching the calendar view.
+ */
+
+import {
+  RECURRENCE_FREQUENCIES,
+  RRULE_WEEKDAYS,
+  MAX_RECURRENCE_ITERATIONS
+} from './scheduleConstants'
+
+const SUPPORTED_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY']
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const BYDAY_PATTERN = /^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/
+const DAYS_PER_WEEK = 7
+const MONTHS_PER_YEAR = 12
+
+// ========== Day arithmetic (UTC-based to stay clear of DST) ==========
+
+function dayToDate(day) {
+  const [year, month, date] = day.split('-').map(Number)
+  return new Date(Date.UTC(year, month - 1, date))
+}
+
+function dateToDay(date) {
+  return date.toISOString().slice(0, 10)
+}
+
+function addDaysUTC(date, days) {
+  const result = new Date(date.getTime())
+  result.setUTCDate(result.getUTCDate() + days)
+  return result
+}
+
+// Monday = 0 ... Sunday = 6
+function weekdayIndex(date) {
+  return (date.getUTCDay() + 6) % DAYS_PER_WEEK
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate()
+}
+
+/**
+ * Shift a YYYY-MM-DD day by a number of days
+ * @param {string} day - Day in YYYY-MM-DD format
+ * @param {number} days - Days to add (can be negative)
+ * @returns {string} Shifted day in YYYY-MM-DD format
+ */
+export function shiftDay(day, days) {
+  return dateToDay(addDaysUTC(dayToDate(day), days))
+}
+
+/**
+ * Number of calendar days from one day to another
+ * @param {string} fromDay - Day in YYYY-MM-DD format
+ * @param {string} toDay - Day in YYYY-MM-DD format
+ * @returns {number} Day difference (negative if toDay is before fromDay)
+ */
+export function diffInDays(fromDay, toDay) {
+  return Math.round(
+    (dayToDate(toDay).getTime() - dayToDate(fromDay).getTime()) / 86400000
+  )
+}
+
+// ========== RRULE parsing and formatting ==========
+
+function parsePositiveInteger(value, part) {
+  const parsed = Number(value)
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new Error(`Invalid RRULE ${part}: ${value}`)
+  }
+  return parsed
+}
+
+/**
+ * Parse an RRULE string into a rule object
+ * Accepts strings with or without the leading "RRULE:" property name
+ * @param {string} rrule - RFC 5545 recurrence rule
+ * @returns {object} Parsed rule
+ * @throws {Error} If the rule is malformed or uses unsupported parts
+ */
+export function parseRRule(rrule) {
+  if (typeof rrule !== 'string' || !rrule.trim()) {
+    throw new Error('RRULE must be a non-empty string')
+  }
+
+  const rule = {
+    freq: null,
+    interval: 1,
+    byDay: [],
+    byMonthDay: [],
+    byMonth: [],
+    count: null,
+    until: null
+  }
+
+  const body = rrule.trim().replace(/^RRULE:/i, '')
+  for (const part of body.split(';')) {
+    if (!part) continue
+    const [rawKey, value] = part.split('=')
+    if (!value) {
+      throw new Error(`Invalid RRULE part: ${part}`)
+    }
+    const key = rawKey.toUpperCase()
+
+    switch (key) {
+      case 'FREQ': {
+        const freq = value.toUpperCase()
+        if (!SUPPORTED_FREQUENCIES.includes(freq)) {
+          throw new Error(`Unsupported RRULE frequency: ${value}`)
+        }
+        rule.freq = freq
+        break
+      }
+      case 'INTERVAL':
+        rule.interval = parsePositiveInteger(value, key)
+        break
+      case 'COUNT':
+        rule.count = parsePositiveInteger(value, key)
+        break
+      case 'UNTIL': {
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})/)
+        if (!match) {
+          throw new Error(`Invalid RRULE UNTIL: ${value}`)
+        }
+        rule.until = `${match[1]}-${match[2]}-${match[3]}`
+        break
+      }
+      case 'BYDAY':
+        rule.byDay = value.split(',').map((token) => {
+          const match = token.toUpperCase().match(BYDAY_PATTERN)
+          if (!match) {
+            throw new Error(`Invalid RRULE BYDAY: ${token}`)
+          }
+          return {
+            weekday: RRULE_WEEKDAYS.indexOf(match[2]),
+            ordinal: match[1] ? Number(match[1]) : null
+          }
+        })
+        break
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map((token) => {
+          const parsed = Number(token)
+          if (
+            !Number.isInteger(parsed) ||
+            parsed === 0 ||
+            Math.abs(parsed) > 31
+          ) {
+            throw new Error(`Invalid RRULE BYMONTHDAY: ${token}`)
+          }
+          return parsed
+        })
+        break
+      case 'BYMONTH':
+        rule.byMonth = value.split(',').map((token) => {
+          const parsed = Number(token)
+          if (!Number.isInteger(parsed) || parsed < 1 || parsed > 12) {
+            throw new Error(`Invalid RRULE BYMONTH: ${token}`)
+          }
+          return parsed
+        })
+        break
+      case 'WKST':
+        // Weeks always start on Monday in Aurorae Haven
+        break
+      default:
+        throw new Error(`Unsupported RRULE part: ${key}`)
+    }
+  }
+
+  if (!rule.freq) {
+    throw new Error('RRULE is missing FREQ')
+  }
+  if (rule.count && rule.until) {
+    throw new Error('RRULE cannot combine COUNT and UNTIL')
+  }
+
+  return rule
+}
+
+/**
+ * Format a parsed rule back into a canonical RRULE string (without "RRULE:")
+ * @param {object} rule - Rule as returned by parseRRule
+ * @returns {string} RRULE string
+ */
+export function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`]
+  if (rule.interval && rule.interval > 1) {
+    parts.push(`INTERVAL=${rule.interval}`)
+  }
+  if (rule.byDay && rule.byDay.length > 0) {
+    const days = rule.byDay.map(
+      ({ weekday, ordinal }) => `${ordinal ?? ''}${RRULE_WEEKDAYS[weekday]}`
+    )
+    parts.push(`BYDAY=${days.join(',')}`)
+  }
+  if (rule.byMonthDay && rule.byMonthDay.length > 0) {
+    parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`)
+  }
+  if (rule.byMonth && rule.byMonth.length > 0) {
+    parts.push(`BYMONTH=${rule.byMonth.join(',')}`)
+  }
+  if (rule.count) {
+    parts.push(`COUNT=${rule.count}`)
+  }
+  if (rule.until) {
+    parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`)
+  }
+  return parts.join(';')
+}
+
+// ========== Recurrence model (what the event editor stores) ==========
+
+/**
+ * Check whether an event carries a recurrence rule
+ * @param {object} event - Schedule event
+ * @returns {boolean} True if the event is the master of a recurring series
+ */
+export function isRecurringEvent(event) {
+  return Boolean(event && event.recurrence && event.recurrence.rrule)
+}
+
+/**
+ * Build an RRULE string from the recurrence editor model
+ * @param {object} recurrence - Recurrence editor values
+ * @param {string} recurrence.frequency - One of RECURRENCE_FREQUENCIES
+ * @param {number} [recurrence.interval] - Repeat every N periods
+ * @param {Array<string>} [recurrence.byDay] - Weekday codes for weekly rules ('MO', 'TU', ...)
+ * @param {string} [recurrence.until] - Last possible day (YYYY-MM-DD)
+ * @param {number} [recurrence.count] - Maximum number of occurrences
+ * @param {string} [recurrence.rrule] - Raw RRULE for the 'custom' frequency
+ * @returns {string} RRULE string
+ */
+export function buildRRule(recurrence) {
+  if (recurrence.frequency === RECURRENCE_FREQUENCIES.CUSTOM) {
+    return formatRRule(parseRRule(recurrence.rrule || ''))
+  }
+
+  const freqByFrequency = {
+    [RECURRENCE_FREQUENCIES.DAILY]: 'DAILY',
+    [RECURRENCE_FREQUENCIES.WEEKLY]: 'WEEKLY',
+    [RECURRENCE_FREQUENCIES.MONTHLY]: 'MONTHLY'
+  }
+  const freq = freqByFrequency[recurrence.frequency]
+  if (!freq) {
+    throw new Error(`Unknown recurrence frequency: ${recurrence.frequency}`)
+  }
+
+  const byDay =
+    recurrence.frequency === RECURRENCE_FREQUENCIES.WEEKLY
+      ? RRULE_WEEKDAYS.filter((code) => (recurrence.byDay || []).includes(code))
+      : []
+
+  return formatRRule({
+    freq,
+    interval: Number.isInteger(recurrence.interval) ? recurrence.interval : 1,
+    byDay: byDay.map((code) => ({
+      weekday: RRULE_WEEKDAYS.indexOf(code),
+      ordinal: null
+    })),
+    byMonthDay: [],
+    byMonth: [],
+    count: recurrence.count || null,
+    until: recurrence.until || null
+  })
+}
+
+/**
+ * Normalize recurrence editor values into the stored recurrence shape
+ * @param {object|string|null} recurrence - Editor values, raw RRULE string or null
+ * @returns {object|null} Stored recurrence ({frequency, interval, byDay, until, count, rrule}) or null
+ * @throws {Error} If the resulting rule is invalid
+ */
+export function normalizeRecurrence(recurrence) {
+  if (!recurrence) return null
+  if (typeof recurrence === 'string') {
+    return normalizeRecurrence({
+      frequency: RECURRENCE_FREQUENCIES.CUSTOM,
+      rrule: recurrence
+    })
+  }
+  if (recurrence.frequency === RECURRENCE_FREQUENCIES.NONE) return null
+
+  const frequency = recurrence.frequency || RECURRENCE_FREQUENCIES.CUSTOM
+  const interval =
+    Number.isInteger(recurrence.interval) && recurrence.interval > 0
+      ? recurrence.interval
+      : 1
+  const byDay = Array.isArray(recurrence.byDay)
+    ? RRULE_WEEKDAYS.filter((code) => recurrence.byDay.includes(code))
+    : []
+  const until = DAY_PATTERN.test(recurrence.until || '')
+    ? recurrence.until
+    : null
+  const count =
+    Number.isInteger(recurrence.count) && recurrence.count > 0 && !until
+      ? recurrence.count
+      : null
+
+  const rrule = buildRRule({
+    frequency,
+    interval,
+    byDay,
+    until,
+    count,
+    rrule: recurrence.rrule
+  })
+  const parsed = parseRRule(rrule)
+
+  return {
+    frequency,
+    interval: parsed.interval,
+    byDay,
+    until: parsed.until,
+    count: parsed.count,
+    rrule
+  }
+}
+
+/**
+ * Describe a recurrence in plain language for display
+ * @param {object|null} recurrence - Stored recurrence
+ * @returns {string} Description such as "Every 2 weeks on Mon, Wed"
+ */
+export function describeRecurrence(recurrence) {
+  if (!recurrence || !recurrence.rrule) return 'Does not repeat'
+
+  let rule
+  try {
+    rule = parseRRule(recurrence.rrule)
+  } catch {
+    return 'Custom recurrence'
+  }
+
+  const units = {
+    DAILY: ['day', 'Daily'],
+    WEEKLY: ['week', 'Weekly'],
+    MONTHLY: ['month', 'Monthly'],
+    YEARLY: ['year', 'Yearly']
+  }
+  const [unit, adverb] = units[rule.freq]
+  let text = rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : adverb
+
+  if (rule.byDay.length > 0) {
+    const names = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']
+    const days = rule.byDay.map(({ weekday, ordinal }) =>
+      ordinal ? `${ordinal} ${names[weekday]}` : names[weekday]
+    )
+    text += ` on ${days.join(', ')}`
+  }
+  if (rule.byMonthDay.length > 0) {
+    text += ` on day ${rule.byMonthDay.join(', ')}`
+  }
+  if (rule.count) {
+    text += `, ${rule.count} times`
+  }
+  if (rule.until) {
+    text += ` until ${rule.until}`
+  }
+  return text
+}
+
+// ========== Expansion ==========
+
+function getPeriodStart(rule, start, periodIndex) {
+  switch (rule.freq) {
+    case 'DAILY':
+      return addDaysUTC(start, periodIndex)
+    case 'WEEKLY':
+      return addDaysUTC(
+        start,
+        periodIndex * DAYS_PER_WEEK - weekdayIndex(start)
+      )
+    case 'MONTHLY':
+      return new Date(
+        Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + periodIndex, 1)
+      )
+    default:
+      return new Date(Date.UTC(start.getUTCFullYear() + periodIndex, 0, 1))
+  }
+}
+
+function matchesMonth(rule, date) {
+  return (
+    rule.byMonth.length === 0 || rule.byMonth.includes(date.getUTCMonth() + 1)
+  )
+}
+
+function getMonthCandidates(rule, year, month, start) {
+  const monthLength = daysInMonth(year, month)
+  let dates
+
+  if (rule.byMonthDay.length > 0) {
+    dates = rule.byMonthDay
+      .map((n) => (n > 0 ? n : monthLength + n + 1))
+      .filter((n) => n >= 1 && n <= monthLength)
+  } else if (rule.byDay.length > 0) {
+    dates = rule.byDay.flatMap(({ weekday, ordinal }) => {
+      const matching = []
+      for (let date = 1; date <= monthLength; date++) {
+        if (weekdayIndex(new Date(Date.UTC(year, month, date))) === weekday) {
+          matching.push(date)
+        }
+      }
+      if (!ordinal) return matching
+      const picked = ordinal > 0 ? matching[ordinal - 1] : matching.at(ordinal)
+      return picked ? [picked] : []
+    })
+  } else {
+    dates = [start.getUTCDate()].filter((n) => n <= monthLength)
+  }
+
+  let candidates = [...new Set(dates)]
+    .sort((a, b) => a - b)
+    .map((date) => new Date(Date.UTC(year, month, date)))
+
+  // BYMONTHDAY combined with BYDAY narrows the month days to those weekdays
+  if (rule.byMonthDay.length > 0 && rule.byDay.length > 0) {
+    const weekdays = rule.byDay.map(({ weekday }) => weekday)
+    candidates = candidates.filter((date) =>
+      weekdays.includes(weekdayIndex(date))
+    )
+  }
+  return candidates
+}
+
+function getPeriodCandidates(rule, start, periodIndex) {
+  const periodStart = getPeriodStart(rule, start, periodIndex)
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const weekdays = rule.byDay.map(({ weekday }) => weekday)
+      const matches =
+        (weekdays.length === 0 ||
+          weekdays.includes(weekdayIndex(periodStart))) &&
+        (rule.byMonthDay.length === 0 ||
+          rule.byMonthDay.includes(periodStart.getUTCDate())) &&
+        matchesMonth(rule, periodStart)
+      return matches ? [periodStart] : []
+    }
+    case 'WEEKLY': {
+      const weekdays =
+        rule.byDay.length > 0
+          ? [...new Set(rule.byDay.map(({ weekday }) => weekday))]
+          : [weekdayIndex(start)]
+      return weekdays
+        .sort((a, b) => a - b)
+        .map((weekday) => addDaysUTC(periodStart, weekday))
+        .filter((date) => matchesMonth(rule, date))
+    }
+    case 'MONTHLY':
+      if (!matchesMonth(rule, periodStart)) return []
+      return getMonthCandidates(
+        rule,
+        periodStart.getUTCFullYear(),
+        periodStart.getUTCMonth(),
+        start
+      )
+    default: {
+      const months =
+        rule.byMonth.length > 0
+          ? [...rule.byMonth].sort((a, b) => a - b).map((m) => m - 1)
+          : [start.getUTCMonth()]
+      return months.flatMap((month) =>
+        getMonthCandidates(rule, periodStart.getUTCFullYear(), month, start)
+      )
+    }
+  }
+}
+
+// Index of the first period that can contain rangeStart (used to skip ahead)
+function getFirstRelevantPeriod(rule, start, rangeStart) {
+  if (rule.count || rangeStart <= start) return 0
+
+  let elapsed
+  switch (rule.freq) {
+    case 'DAILY':
+      elapsed = Math.floor((rangeStart - start) / 86400000)
+      break
+    case 'WEEKLY':
+      elapsed = Math.floor(
+        (rangeStart - getPeriodStart(rule, start, 0)) /
+          (DAYS_PER_WEEK * 86400000)
+      )
+      break
+    case 'MONTHLY':
+      elapsed =
+        (rangeStart.getUTCFullYear() - start.getUTCFullYear()) *
+          MONTHS_PER_YEAR +
+        rangeStart.getUTCMonth() -
+        start.getUTCMonth()
+      break
+    default:
+      elapsed = rangeStart.getUTCFullYear() - start.getUTCFullYear()
+  }
+  return Math.max(0, Math.floor(elapsed / rule.interval))
+}
+
+/**
+ * Expand a recurrence rule into the days it occurs on within a range
+ * Only the requested range is materialised; COUNT rules are walked from the
+ * series start so the count stays correct.
+ * @param {string} rrule - RRULE string
+ * @param {string} startDay - First day of the series (YYYY-MM-DD)
+ * @param {string} rangeStart - Range start, inclusive (YYYY-MM-DD)
+ * @param {string} rangeEnd - Range end, inclusive (YYYY-MM-DD)
+ * @param {Array<string>} [exceptions] - Days removed from the series (EXDATE)
+ * @returns {Array<string>} Occurrence days in ascending order
+ */
+export function expandRecurrence(
+  rrule,
+  startDay,
+  rangeStart,
+  rangeEnd,
+  exceptions = []
+) {
+  const rule = parseRRule(rrule)
+  const start = dayToDate(startDay)
+  const from = dayToDate(rangeStart)
+  const to = dayToDate(rangeEnd)
+  const until = rule.until ? dayToDate(rule.until) : null
+  const excluded = new Set(exceptions)
+  const occurrences = []
+
+  if (to < start) return occurrences
+
+  let generated = 0
+  const firstPeriod = getFirstRelevantPeriod(rule, start, from)
+
+  for (
+    let period = firstPeriod;
+    period < firstPeriod + MAX_RECURRENCE_ITERATIONS;
+    period++
+  ) {
+    const periodIndex = period * rule.interval
+    const periodStart = getPeriodStart(rule, start, periodIndex)
+    if (periodStart > to || (until && periodStart > until)) break
+
+    for (const candidate of getPeriodCandidates(rule, start, periodIndex)) {
+      if (candidate < start) continue
+      if (until && candidate > until) return occurrences
+      generated++
+      if (rule.count && generated > rule.count) return occurrences
+      if (candidate > to) return occurrences
+
+      const day = dateToDay(candidate)
+      if (candidate >= from && !excluded.has(day)) {
+        occurrences.push(day)
+      }
+    }
+  }
+
+  return occurrences
+}
+
+/**
+ * Expand a recurring event into concrete occurrences within a range
+ * Occurrences keep the master's id and fields, with the occurrence day applied
+ * @param {object} event - Recurring master event
+ * @param {string} rangeStart - Range start, inclusive (YYYY-MM-DD)
+ * @param {string} rangeEnd - Range end, inclusive (YYYY-MM-DD)
+ * @returns {Array<object>} Occurrence events
+ */
+export function expandEventOccurrences(event, rangeStart, rangeEnd) {
+  if (!isRecurringEvent(event)) return []
+
+  return expandRecurrence(
+    event.recurrence.rrule,
+    event.day,
+    rangeStart,
+    rangeEnd,
+    event.exceptions || []
+  ).map((day) => ({
+    ...event,
+    day,
+    // Multi-day occurrences keep the series' length in days
+    ...(event.endDay && {
+      endDay: shiftDay(event.endDay, diffInDays(event.day, day))
+    }),
+    recurringEventId: event.id,
+    occurrenceDay: day,
+    isOccurrence: true
+  }))
+}
+
+/**
+ * Split a recurrence at a given occurrence day
+ * Used for "this and following" edits: the original series stops before splitDay
+ * and a new series continues from it, keeping any COUNT limit consistent.
+ * @param {object} recurrence - Stored recurrence of the original series
+ * @param {string} seriesStartDay - First day of the original series (YYYY-MM-DD)
+ * @param {string} splitDay - First day of the new series (YYYY-MM-DD)
+ * @returns {{before: object|null, after: object|null}} Recurrences for both halves (null when empty)
+ */
+export function splitRecurrence(recurrence, seriesStartDay, splitDay) {
+  const rule = parseRRule(recurrence.rrule)
+  const elapsed = expandRecurrence(
+    recurrence.rrule,
+    seriesStartDay,
+    seriesStartDay,
+    shiftDay(splitDay, -1)
+  ).length
+
+  const toRecurrence = (partial) => {
+    const rrule = formatRRule({ ...rule, ...partial })
+    return { ...recurrence, until: partial.until, count: partial.count, rrule }
+  }
+
+  if (rule.count) {
+    const remaining = rule.count - elapsed
+    return {
+      before:
+        elapsed > 0 ? toRecurrence({ count: elapsed, until: null }) : null,
+      after:
+        remaining > 0 ? toRecurrence({ count: remaining, until: null }) : null
+    }
+  }
+
+  return {
+    before:
+      elapsed > 0
+        ? toRecurrence({ count: null, until: shiftDay(splitDay, -1) })
+        : null,
+    after: toRecurrence({ count: null, until: rule.until })
+  }
+}
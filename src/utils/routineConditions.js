@@ -0,0 +1,194 @@
+/**
+ * Routine Step Conditions
+ * A step can carry a condition that decides at run time whether it runs:
+ * certain weekdays, a time of day, the user's energy level, or a yes/no
+ * question asked when the step comes up. Steps can also share a group:
+ * an optional group is offered as a whole, and in a choice group the user
+ * picks the one step to do.
+ *
+ * Step shape:
+ *   condition: {type: 'weekday', days: [1, 3]}            (0 = Sunday)
+ *              {type: 'timeOfDay', from: '06:00', to: '09:00'}
+ *              {type: 'energy', levels: ['low']}
+ *              {type: 'prompt', question: 'Is it raining?'}
+ *   group:     {id: 'group_cardio', type: 'choice', label: 'Cardio'}
+ */
+
+import { getZonedDayTime } from './timezone'
+
+export const STEP_CONDITION_TYPES = {
+  WEEKDAY: 'weekday',
+  TIME_OF_DAY: 'timeOfDay',
+  ENERGY: 'energy',
+  PROMPT: 'prompt'
+}
+
+export const STEP_GROUP_TYPES = {
+  OPTIONAL: 'optional',
+  CHOICE: 'choice'
+}
+
+// Energy levels a step can be limited to (same values as step energy tags)
+export const STEP_ENERGY_LEVELS = ['low', 'medium', 'high']
+
+export const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+
+/**
+ * Check whether a time falls in a range; ranges may wrap past midnight
+ * @param {string} time - Time (HH:MM)
+ * @param {string} from - Range start (HH:MM, inclusive)
+ * @param {string} to - Range end (HH:MM, exclusive)
+ * @returns {boolean} True if the time is in the range
+ */
+export function isTimeInRange(time, from, to) {
+  return from <= to ? time >= from && time < to : time >= from || time < to
+}
+
+/**
+ * Describe the moment a step comes up, for evaluating its condition
+ * Outside the user's high and low energy windows the energy level is medium.
+ * @param {number} now - Current time (ms)
+ * @param {object} energyWindows - Windows keyed by energy level ({start, end} in HH:MM)
+ * @param {string} timeZone - IANA time zone
+ * @returns {{weekday: number, time: string, energy: string}} Weekday (0 = Sunday), time (HH:MM) and energy level
+ */
+export function getConditionContext(now, energyWindows, timeZone) {
+  const { day, time } = getZonedDayTime(now, timeZone)
+  const energy =
+    Object.keys(energyWindows).find((level) =>
+      isTimeInRange(time, energyWindows[level].start, energyWindows[level].end)
+    ) || 'medium'
+  return {
+    weekday: new Date(`${day}T00:00:00Z`).getUTCDay(),
+    time,
+    energy
+  }
+}
+
+/**
+ * Evaluate a step condition
+ * @param {object} [condition] - Step condition
+ * @param {object} context - From getConditionContext
+ * @param {boolean} [answer] - The user's answer, for prompt conditions
+ * @returns {boolean|null} Whether the step runs, or null while a prompt is unanswered
+ */
+export function evaluateStepCondition(condition, context, answer) {
+  if (!condition) return true
+  switch (condition.type) {
+    case STEP_CONDITION_TYPES.WEEKDAY:
+      return condition.days.includes(context.weekday)
+    case STEP_CONDITION_TYPES.TIME_OF_DAY:
+      return isTimeInRange(context.time, condition.from, condition.to)
+    case STEP_CONDITION_TYPES.ENERGY:
+      return condition.levels.includes(context.energy)
+    case STEP_CONDITION_TYPES.PROMPT:
+      return answer === undefined ? null : Boolean(answer)
+    default:
+      return true
+  }
+}
+
+/**
+ * Describe a step condition for display
+ * @param {object} condition - Step condition
+ * @returns {string} e.g. "Only on Mon, Wed"
+ */
+export function describeStepCondition(condition) {
+  switch (condition.type) {
+    case STEP_CONDITION_TYPES.WEEKDAY:
+      return `Only on ${[...condition.days]
+        .sort((a, b) => a - b)
+        .map((day) => WEEKDAY_NAMES[day])
+        .join(', ')}`
+    case STEP_CONDITION_TYPES.TIME_OF_DAY:
+      return `Only between ${condition.from} and ${condition.to}`
+    case STEP_CONDITION_TYPES.ENERGY:
+      return `Only on ${condition.levels.join(' or ')} energy`
+    case STEP_CONDITION_TYPES.PROMPT:
+      return `Ask: ${condition.question}`
+    default:
+      return ''
+  }
+}
+
+/**
+ * Validate a step condition
+ * @param {object} condition - Step condition
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateStepCondition(condition) {
+  if (typeof condition !== 'object') {
+    return ['Step condition must be an object']
+  }
+
+  switch (condition.type) {
+    case STEP_CONDITION_TYPES.WEEKDAY:
+      return Array.isArray(condition.days) &&
+        condition.days.length > 0 &&
+        condition.days.every(
+          (day) => Number.isInteger(day) && day >= 0 && day <= 6
+        )
+        ? []
+        : ['Weekday condition needs at least one day (0-6)']
+    case STEP_CONDITION_TYPES.TIME_OF_DAY:
+      return TIME_PATTERN.test(condition.from) &&
+        TIME_PATTERN.test(condition.to) &&
+        condition.from !== condition.to
+        ? []
+        : ['Time of day condition needs two different times (HH:MM)']
+    case STEP_CONDITION_TYPES.ENERGY:
+      return Array.isArray(condition.levels) &&
+        condition.levels.length > 0 &&
+        condition.levels.every((level) => STEP_ENERGY_LEVELS.includes(level))
+        ? []
+        : ['Energy condition needs at least one of: low, medium, high']
+    case STEP_CONDITION_TYPES.PROMPT:
+      return typeof condition.question === 'string' &&
+        condition.question.trim() !== ''
+        ? []
+        : ['Prompt condition needs a question']
+    default:
+      return [
+        'Step condition type must be: weekday, timeOfDay, energy, or prompt'
+      ]
+  }
+}
+
+/**
+ * Validate a step group
+ * @param {object} group - Step group
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateStepGroup(group) {
+  const errors = []
+  if (typeof group !== 'object') {
+    return ['Step group must be an object']
+  }
+  if (!group.id) {
+    errors.push('Step group must have an ID')
+  }
+  if (!Object.values(STEP_GROUP_TYPES).includes(group.type)) {
+    errors.push('Step group type must be: optional or choice')
+  }
+  if (!group.label || group.label.trim() === '') {
+    errors.push('Step group must have a label')
+  }
+  return errors
+}
+
+/**
+ * Build a step group; steps with the same type and label share the group
+ * @param {string} type - STEP_GROUP_TYPES value
+ * @param {string} label - Group label
+ * @returns {{id: string, type: string, label: string}} Step group
+ */
+export function createStepGroup(type, label) {
+  const name = label.trim()
+  return {
+    id: `group_${type}_${name.toLowerCase().replace(/\s+/g, '-')}`,
+    type,
+    label: name
+  }
+}
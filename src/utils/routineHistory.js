@@ -0,0 +1,237 @@
+/**
+ * Routine History
+ * Every finished routine run is saved to the STATS store as a routine_time
+ * record: planned versus actual time per step, skips with their reasons and
+ * pauses. Schedule analytics counts its minutes as actual routine time. The
+ * history tab of the Routines page reads the records back to point out steps
+ * that keep running over or getting skipped, and to suggest step durations
+ * closer to how long the steps really take.
+ */
+
+import { saveStats, getStatsByType } from './indexedDBManager'
+import { getActiveSeconds } from './routineRunner'
+import { getTodayInTimeZone } from './timezone'
+
+export const ROUTINE_TIME_STAT_TYPE = 'routine_time'
+
+// A step is flagged once it has run this often...
+export const PROBLEM_STEP_MIN_RUNS = 3
+// ...and overran or was skipped in at least this share of those runs
+export const PROBLEM_STEP_RATE = 0.5
+
+/**
+ * Turn a finished run into a routine_time record
+ * @param {object} state - Final runner state
+ * @param {object} [options={}]
+ * @param {string} [options.status='completed'] - 'completed' or 'cancelled'
+ * @param {number} [options.endedAt=Date.now()] - End of the run (ms)
+ * @returns {object} Record data for saveStats
+ */
+export function buildRoutineRunRecord(
+  state,
+  { status = 'completed', endedAt = Date.now() } = {}
+) {
+  const { routine } = state
+  const activeSeconds = getActiveSeconds(state, endedAt)
+  const pauses = state.pauses || []
+  const excludedSteps = state.excludedSteps || []
+
+  return {
+    routineId: state.routineId,
+    routineTitle: routine.title || routine.name,
+    status,
+    startedAt: state.startedAt,
+    endedAt,
+    minutes: Math.round(activeSeconds / 60),
+    // Steps left out by their conditions or groups were not planned for
+    plannedSeconds: routine.steps
+      .filter(
+        (step, index) =>
+          !excludedSteps.some((excluded) => excluded.stepIndex === index)
+      )
+      .reduce((sum, step) => sum + (step.duration || 0), 0),
+    actualSeconds: activeSeconds,
+    steps: state.logs.map((log) => ({
+      stepIndex: log.stepIndex,
+      stepId: log.stepId || null,
+      label: log.stepLabel,
+      status: log.status,
+      plannedSeconds: log.plannedDuration || 0,
+      actualSeconds: log.actualDuration || 0,
+      reason: log.reason || null
+    })),
+    pauses,
+    pausedSeconds: pauses.reduce((sum, pause) => sum + pause.duration, 0),
+    date: getTodayInTimeZone(undefined, new Date(state.startedAt))
+  }
+}
+
+/**
+ * Save a finished run
+ * Runs in which no step was completed or skipped are not kept
+ * @param {object} state - Final runner state
+ * @param {object} [options] - See buildRoutineRunRecord
+ * @returns {Promise<number|null>} Stats record ID, or null when nothing was saved
+ */
+export async function recordRoutineRun(state, options) {
+  if (!state?.logs?.length) return null
+  return saveStats(
+    ROUTINE_TIME_STAT_TYPE,
+    buildRoutineRunRecord(state, options)
+  )
+}
+
+/**
+ * Get recorded runs, newest first
+ * Routine time recorded before runs had steps is left out
+ * @param {string} [routineId] - Only runs of this routine
+ * @returns {Promise<Array<object>>} routine_time records
+ */
+export async function getRoutineRuns(routineId) {
+  const records = await getStatsByType(ROUTINE_TIME_STAT_TYPE)
+  return records
+    .filter((record) => Array.isArray(record.steps))
+    .filter((record) => !routineId || record.routineId === routineId)
+    .sort((a, b) => b.startedAt - a.startedAt)
+}
+
+/**
+ * Per-step planned versus actual time across runs
+ * Steps are matched by ID, or by label for steps without one
+ * @param {Array<object>} runs - routine_time records
+ * @returns {Array<object>} One entry per routine step, flagged steps first
+ */
+export function getStepAnalytics(runs) {
+  const byStep = new Map()
+
+  for (const run of runs) {
+    for (const step of run.steps) {
+      const key = `${run.routineId}:${step.stepId || step.label}`
+      if (!byStep.has(key)) {
+        byStep.set(key, {
+          key,
+          routineId: run.routineId,
+          routineTitle: run.routineTitle,
+          label: step.label,
+          runs: 0,
+          completed: 0,
+          overruns: 0,
+          skips: 0,
+          plannedSeconds: step.plannedSeconds,
+          totalActualSeconds: 0,
+          skipReasons: []
+        })
+      }
+      const entry = byStep.get(key)
+      entry.runs++
+      if (step.status === 'skipped') {
+        entry.skips++
+        if (step.reason && !entry.skipReasons.includes(step.reason)) {
+          entry.skipReasons.push(step.reason)
+        }
+      } else {
+        entry.completed++
+        entry.totalActualSeconds += step.actualSeconds
+        if (step.actualSeconds > step.plannedSeconds) entry.overruns++
+      }
+    }
+  }
+
+  return [...byStep.values()]
+    .map(({ totalActualSeconds, ...entry }) => {
+      const overrunRate = entry.completed ? entry.overruns / entry.completed : 0
+      const skipRate = entry.skips / entry.runs
+      const isFlagged = entry.runs >= PROBLEM_STEP_MIN_RUNS
+      return {
+        ...entry,
+        averageActualSeconds: entry.completed
+          ? Math.round(totalActualSeconds / entry.completed)
+          : null,
+        overrunRate,
+        skipRate,
+        oftenOverruns: isFlagged && overrunRate >= PROBLEM_STEP_RATE,
+        oftenSkipped: isFlagged && skipRate >= PROBLEM_STEP_RATE
+      }
+    })
+    .sort(
+      (a, b) =>
+        Number(b.oftenOverruns || b.oftenSkipped) -
+          Number(a.oftenOverruns || a.oftenSkipped) ||
+        Math.max(b.overrunRate, b.skipRate) -
+          Math.max(a.overrunRate, a.skipRate)
+    )
+}
+
+// Duration suggestions use the median of a step's most recent completions...
+export const SUGGESTION_RUN_COUNT = 5
+// ...need at least this many of them...
+export const SUGGESTION_MIN_RUNS = 3
+// ...and are only made when they move the step by at least this much
+export const SUGGESTION_MIN_CHANGE_SECONDS = 15
+const SUGGESTION_ROUNDING_SECONDS = 5
+// TAB-RTN-21: step timers run from 10 seconds to 2 hours
+const MIN_STEP_SECONDS = 10
+const MAX_STEP_SECONDS = 7200
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+/**
+ * Suggest step durations from how long the steps actually took
+ * Skipped steps do not count. Logged steps are matched by ID, or by label for
+ * runs recorded before the step had one.
+ * @param {object} routine - Routine with its current steps
+ * @param {Array<object>} runs - routine_time records
+ * @returns {Array<{stepId: string|null, label: string, currentSeconds: number, suggestedSeconds: number, sampleCount: number}>} One entry per step worth changing
+ */
+export function suggestStepDurations(routine, runs) {
+  const recentFirst = runs
+    .filter((run) => run.routineId === routine.id)
+    .sort((a, b) => b.startedAt - a.startedAt)
+
+  const isSameStep = (logged, step) =>
+    logged.stepId && step.id
+      ? logged.stepId === step.id
+      : logged.label === step.label
+
+  return routine.steps
+    .map((step) => {
+      const samples = recentFirst
+        .flatMap((run) =>
+          run.steps.filter(
+            (logged) =>
+              isSameStep(logged, step) && logged.status === 'completed'
+          )
+        )
+        .slice(0, SUGGESTION_RUN_COUNT)
+        .map((logged) => logged.actualSeconds)
+      if (samples.length < SUGGESTION_MIN_RUNS) return null
+
+      const rounded =
+        Math.round(median(samples) / SUGGESTION_ROUNDING_SECONDS) *
+        SUGGESTION_ROUNDING_SECONDS
+      const suggestedSeconds = Math.min(
+        MAX_STEP_SECONDS,
+        Math.max(MIN_STEP_SECONDS, rounded)
+      )
+      if (
+        Math.abs(suggestedSeconds - step.duration) <
+        SUGGESTION_MIN_CHANGE_SECONDS
+      ) {
+        return null
+      }
+      return {
+        stepId: step.id || null,
+        label: step.label,
+        currentSeconds: step.duration,
+        suggestedSeconds,
+        sampleCount: samples.length
+      }
+    })
+    .filter(Boolean)
+}
@@ -0,0 +1,172 @@
+/**
+ * Nested Routines
+ * A step can include another routine by ID instead of having a timer of its
+ * own: {id, label, routineRef: 'routine_123'}. The reference is resolved
+ * whenever the routine runs, so edits to the included routine carry over to
+ * every routine that includes it. A routine may not include itself, directly
+ * or through other routines.
+ */
+
+/**
+ * Check whether a step includes another routine
+ * @param {object} step - Routine step
+ * @returns {boolean} True for a routine reference step
+ */
+export function isRoutineReference(step) {
+  return Boolean(step?.routineRef)
+}
+
+const indexById = (routines) =>
+  new Map(routines.map((routine) => [routine.id, routine]))
+
+/**
+ * Total duration of steps, following routine references
+ * References to missing routines, or back into a routine already being
+ * counted, add nothing.
+ * @param {Array<object>} steps - Routine steps
+ * @param {Array<object>} [routines=[]] - Routines the steps may reference
+ * @returns {number} Total duration in seconds
+ */
+export function getStepsDuration(steps, routines = []) {
+  const lookup = indexById(routines)
+  const sum = (list, seen) =>
+    list.reduce((total, step) => {
+      if (!isRoutineReference(step)) return total + (step.duration || 0)
+      const child = lookup.get(step.routineRef)
+      if (!child || seen.includes(child.id)) return total
+      return total + sum(child.steps || [], [...seen, child.id])
+    }, 0)
+  return sum(steps, [])
+}
+
+/**
+ * Find a chain of references that leads back to a routine already on it
+ * @param {string} routineId - Routine whose steps are checked
+ * @param {Array<object>} steps - Its (new) steps
+ * @param {Array<object>} routines - Other routines the steps may reference
+ * @returns {Array<string>|null} Routine IDs along the cycle, ending with the repeated one, or null
+ */
+export function findRoutineCycle(routineId, steps, routines) {
+  const lookup = indexById(routines)
+  const visit = (list, path) => {
+    for (const step of list) {
+      if (!isRoutineReference(step)) continue
+      const childId = step.routineRef
+      if (path.includes(childId)) return [...path, childId]
+      const child = lookup.get(childId)
+      const cycle = child && visit(child.steps || [], [...path, childId])
+      if (cycle) return cycle
+    }
+    return null
+  }
+  return visit(steps, [routineId])
+}
+
+/**
+ * Replace routine reference steps with the steps of the routines they include
+ * Included steps get an ID made of the reference step IDs and their own, and
+ * a nesting list: one {stepId, routineId, title} entry per level, outermost
+ * first. Group IDs get the same prefix, so each inclusion of a routine is
+ * answered on its own. Steps stored without an ID stand in with their
+ * position. References to missing routines are dropped.
+ * @param {object} routine - Routine to run
+ * @param {Array<object>} routines - Routines it may reference
+ * @returns {object} Routine with a flat list of steps
+ */
+export function expandRoutineSteps(routine, routines) {
+  const lookup = indexById(routines)
+  const stepKey = (step, index) => step.id || `step_${index}`
+  const expand = (list, nesting, seen) =>
+    list.flatMap((step, index) => {
+      if (!isRoutineReference(step)) {
+        if (nesting.length === 0) return [step]
+        const path = nesting.map((level) => level.stepId)
+        return [
+          {
+            ...step,
+            id: [...path, stepKey(step, index)].join('/'),
+            ...(step.group && {
+              group: { ...step.group, id: [...path, step.group.id].join('/') }
+            }),
+            nesting
+          }
+        ]
+      }
+      const child = lookup.get(step.routineRef)
+      if (!child || seen.includes(child.id)) return []
+      return expand(
+        child.steps || [],
+        [
+          ...nesting,
+          {
+            stepId: stepKey(step, index),
+            routineId: child.id,
+            title: child.title || child.name || step.label
+          }
+        ],
+        [...seen, child.id]
+      )
+    })
+
+  return { ...routine, steps: expand(routine.steps || [], [], [routine.id]) }
+}
+
+/**
+ * Where a step of an expanded routine sits inside the routines that include it
+ * @param {Array<object>} steps - Steps from expandRoutineSteps
+ * @param {number} index - Step index
+ * @returns {Array<{title: string, position: number, count: number}>} One entry per nesting level, outermost first; empty for a top-level step
+ */
+export function getNestingProgress(steps, index) {
+  const nesting = steps[index]?.nesting || []
+  return nesting.map((level, depth) => {
+    const path = nesting.slice(0, depth + 1).map((entry) => entry.stepId)
+    const inLevel = steps
+      .map((step, stepIndex) => ({ step, stepIndex }))
+      .filter(({ step }) =>
+        path.every((stepId, i) => step.nesting?.[i]?.stepId === stepId)
+      )
+    return {
+      title: level.title,
+      position: inLevel.findIndex(({ stepIndex }) => stepIndex === index) + 1,
+      count: inLevel.length
+    }
+  })
+}
+
+/**
+ * Get the routines a set of routines includes, directly or further down
+ * @param {Array<object>} selected - Routines to start from
+ * @param {Array<object>} routines - All routines
+ * @returns {Array<object>} Included routines that are not in the selection
+ */
+export function collectReferencedRoutines(selected, routines) {
+  const lookup = indexById(routines)
+  const found = new Map()
+  const selectedIds = new Set(selected.map((routine) => routine.id))
+  const visit = (routine) => {
+    for (const step of routine.steps || []) {
+      if (!isRoutineReference(step)) continue
+      const child = lookup.get(step.routineRef)
+      if (!child || selectedIds.has(child.id) || found.has(child.id)) continue
+      found.set(child.id, child)
+      visit(child)
+    }
+  }
+  selected.forEach(visit)
+  return [...found.values()]
+}
+
+/**
+ * Point routine references at new routine IDs
+ * @param {Array<object>} steps - Routine steps
+ * @param {Map<string, string>} idMap - Old routine ID to new routine ID
+ * @returns {Array<object>} Steps with references updated
+ */
+export function remapRoutineReferences(steps, idMap) {
+  return steps.map((step) =>
+    isRoutineReference(step) && idMap.has(step.routineRef)
+      ? { ...step, routineRef: idMap.get(step.routineRef) }
+      : step
+  )
+}
@@ -2,6 +2,15 @@
 // Handles step progression, timer countdown, XP calculation, and logging
 
 import { formatDurationDisplay } from './timeUtils'
+import { getEnergyWindows } from './autoScheduler'
+import { getDisplayTimeZone } from './timezone'
+import {
+  evaluateStepCondition,
+  describeStepCondition,
+  getConditionContext,
+  STEP_CONDITION_TYPES,
+  STEP_GROUP_TYPES
+} from './routineConditions'
 
 /**
  * Calculate XP for completing a step
@@ -84,19 +93,170 @@ export function formatTime(seconds, options = {}) {
  * @returns {Object} Initial runner state
  */
 export function createRunnerState(routine) {
+  const startedAt = Date.now()
+  return enterStep(
+    {
+      routineId: routine.id,
+      routine,
+      currentStepIndex: 0,
+      isRunning: false,
+      isPaused: false,
+      remainingSeconds: routine.steps[0]?.duration || 0,
+      startedAt,
+      pausedAt: null,
+      totalPausedTime: 0,
+      stepStartOffset: 0,
+      completedSteps: [],
+      skippedSteps: [],
+      excludedSteps: [],
+      answers: {},
+      pendingQuestion: null,
+      pauses: [],
+      logs: []
+    },
+    0,
+    startedAt
+  )
+}
+
+/**
+ * Decide what happens to a step when the run reaches it
+ * Group questions come before the step's own condition. Choice groups only
+ * offer the steps whose weekday, time or energy condition holds.
+ * @param {Object} state - Runner state
+ * @param {number} index - Step index
+ * @param {Object} context - From getConditionContext
+ * @returns {{run: true}|{exclude: string}|{question: Object}} Run it, leave it out (with the reason), or ask first
+ */
+export function getStepDecision(state, index, context) {
+  const { steps } = state.routine
+  const { group, condition } = steps[index]
+  const answers = state.answers || {}
+
+  if (group) {
+    const groupAnswer = answers[`group:${group.id}`]
+    const isChoice = group.type === STEP_GROUP_TYPES.CHOICE
+
+    if (groupAnswer === undefined) {
+      if (!isChoice) {
+        return {
+          question: {
+            kind: STEP_GROUP_TYPES.OPTIONAL,
+            stepIndex: index,
+            groupId: group.id,
+            label: group.label
+          }
+        }
+      }
+      const options = steps
+        .map((step, stepIndex) => ({ step, stepIndex }))
+        .filter(
+          ({ step, stepIndex }) =>
+            stepIndex >= index &&
+            step.group?.id === group.id &&
+            evaluateStepCondition(step.condition, context, true)
+        )
+        .map(({ step, stepIndex }) => ({
+          stepIndex,
+          label: step.label,
+          duration: step.duration
+        }))
+      if (options.length > 0) {
+        return {
+          question: {
+            kind: STEP_GROUP_TYPES.CHOICE,
+            stepIndex: index,
+            groupId: group.id,
+            label: group.label,
+            options
+          }
+        }
+      }
+      return { exclude: `Nothing to choose in ${group.label}` }
+    }
+
+    if (isChoice && groupAnswer !== index) {
+      return { exclude: `Chose another step in ${group.label}` }
+    }
+    if (!isChoice && !groupAnswer) {
+      return { exclude: `Left out ${group.label}` }
+    }
+  }
+
+  const runs = evaluateStepCondition(
+    condition,
+    context,
+    answers[`step:${index}`]
+  )
+  if (runs === null) {
+    return {
+      question: {
+        kind: 'prompt',
+        stepIndex: index,
+        label: condition.question
+      }
+    }
+  }
+  if (runs) return { run: true }
+  return {
+    exclude:
+      condition.type === STEP_CONDITION_TYPES.PROMPT
+        ? `Answered no to "${condition.question}"`
+        : describeStepCondition(condition)
+  }
+}
+
+/**
+ * Move the run to the first step from an index that applies right now
+ * Steps whose condition does not hold are left out; a step that needs an
+ * answer becomes current with its question pending.
+ * @param {Object} state - Runner state
+ * @param {number} fromIndex - First step index to consider
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {Object} Updated state
+ */
+function enterStep(state, fromIndex, now = Date.now()) {
+  const { steps } = state.routine
+  const context = getConditionContext(
+    now,
+    getEnergyWindows(),
+    getDisplayTimeZone()
+  )
+  let next = state
+
+  for (let index = fromIndex; index < steps.length; index++) {
+    const decision = getStepDecision(next, index, context)
+    if (decision.exclude) {
+      next = {
+        ...next,
+        excludedSteps: [
+          ...(next.excludedSteps || []),
+          {
+            stepIndex: index,
+            stepId: steps[index].id,
+            stepLabel: steps[index].label,
+            reason: decision.exclude
+          }
+        ]
+      }
+      continue
+    }
+    return {
+      ...next,
+      currentStepIndex: index,
+      remainingSeconds: steps[index].duration,
+      stepStartOffset: getActiveSeconds(next, now),
+      pendingQuestion: decision.question || null
+    }
+  }
+
+  // Routine complete
   return {
-    routineId: routine.id,
-    routine,
-    currentStepIndex: 0,
+    ...next,
     isRunning: false,
     isPaused: false,
-    remainingSeconds: routine.steps[0]?.duration || 0,
-    startedAt: Date.now(),
-    pausedAt: null,
-    totalPausedTime: 0,
-    completedSteps: [],
-    skippedSteps: [],
-    logs: []
+    currentStepIndex: steps.length,
+    pendingQuestion: null
   }
 }
 
@@ -106,24 +266,60 @@ export function createRunnerState(routine) {
  * @returns {Object} Updated state
  */
 export function advanceStep(state) {
-  const nextIndex = state.currentStepIndex + 1
-  const hasNextStep = nextIndex < state.routine.steps.length
+  // Moving on ends a pause, so the paused time is not counted as active
+  const resumed = state.isPaused && state.pausedAt ? togglePause(state) : state
+  return enterStep({ ...resumed, isPaused: false }, state.currentStepIndex + 1)
+}
 
-  if (!hasNextStep) {
-    // Routine complete
-    return {
-      ...state,
-      isRunning: false,
-      currentStepIndex: nextIndex
-    }
-  }
+/**
+ * Preview the step after the current one
+ * Steps already known to be left out are passed over, as are the other steps
+ * of a group whose question is pending. Steps that still depend on an answer
+ * are shown.
+ * @param {Object} state - Current runner state
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {Object|null} Next step, or null at the end of the routine
+ */
+export function getNextStep(state, now = Date.now()) {
+  const { steps } = state.routine
+  const pendingGroupId = state.pendingQuestion?.groupId
+  const context = getConditionContext(
+    now,
+    getEnergyWindows(),
+    getDisplayTimeZone()
+  )
 
-  return {
-    ...state,
-    currentStepIndex: nextIndex,
-    remainingSeconds: state.routine.steps[nextIndex].duration,
-    isPaused: false
+  for (let index = state.currentStepIndex + 1; index < steps.length; index++) {
+    if (pendingGroupId && steps[index].group?.id === pendingGroupId) continue
+    if (!getStepDecision(state, index, context).exclude) return steps[index]
   }
+  return null
+}
+
+/**
+ * Answer the question pending on the current step
+ * Optional groups and prompts take yes (true) or no (false); choice groups
+ * take the index of the chosen step.
+ * @param {Object} state - Current runner state
+ * @param {boolean|number} answer - The user's answer
+ * @returns {Object} Updated state
+ */
+export function answerQuestion(state, answer) {
+  const question = state.pendingQuestion
+  if (!question) return state
+
+  const key =
+    question.kind === 'prompt'
+      ? `step:${question.stepIndex}`
+      : `group:${question.groupId}`
+  return enterStep(
+    {
+      ...state,
+      answers: { ...state.answers, [key]: answer },
+      pendingQuestion: null
+    },
+    question.stepIndex
+  )
 }
 
 /**
@@ -133,6 +329,7 @@ export function advanceStep(state) {
  * @returns {Object} Updated state
  */
 export function completeStep(state) {
+  if (state.pendingQuestion) return state
   const currentStep = state.routine.steps[state.currentStepIndex]
   const now = Date.now()
   const completedOnTime = state.remainingSeconds > 0
@@ -140,13 +337,14 @@ export function completeStep(state) {
 
   const stepLog = {
     stepIndex: state.currentStepIndex,
+    stepId: currentStep.id,
     stepLabel: currentStep.label,
     status: 'completed',
     completedOnTime,
     xp,
     completedAt: now,
     plannedDuration: currentStep.duration,
-    actualDuration: currentStep.duration - state.remainingSeconds
+    actualDuration: getStepSeconds(state, now)
   }
 
   return advanceStep({
@@ -167,16 +365,19 @@ export function completeStep(state) {
  * @returns {Object} Updated state
  */
 export function skipStep(state, reason = '') {
+  if (state.pendingQuestion) return state
   const currentStep = state.routine.steps[state.currentStepIndex]
   const now = Date.now()
 
   const stepLog = {
     stepIndex: state.currentStepIndex,
+    stepId: currentStep.id,
     stepLabel: currentStep.label,
     status: 'skipped',
     reason,
     skippedAt: now,
-    plannedDuration: currentStep.duration
+    plannedDuration: currentStep.duration,
+    actualDuration: getStepSeconds(state, now)
   }
 
   return advanceStep({
@@ -202,7 +403,16 @@ export function togglePause(state) {
       ...state,
       isPaused: false,
       pausedAt: null,
-      totalPausedTime: state.totalPausedTime + pauseDuration
+      totalPausedTime: state.totalPausedTime + pauseDuration,
+      pauses: [
+        ...(state.pauses || []),
+        {
+          stepIndex: state.currentStepIndex,
+          pausedAt: state.pausedAt,
+          resumedAt: now,
+          duration: Math.round(pauseDuration / 1000)
+        }
+      ]
     }
   } else {
     // Pause
@@ -220,7 +430,7 @@ export function togglePause(state) {
  * @returns {Object} Updated state with decremented timer
  */
 export function tickTimer(state) {
-  if (state.isPaused || !state.isRunning) {
+  if (state.isPaused || !state.isRunning || state.pendingQuestion) {
     return state
   }
 
@@ -234,6 +444,51 @@ export function tickTimer(state) {
   }
 }
 
+/**
+ * Seconds the routine has been running, leaving out time spent paused
+ * @param {Object} state - Runner state
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {number} Active seconds since the run started
+ */
+export function getActiveSeconds(state, now = Date.now()) {
+  const end = state.isPaused && state.pausedAt ? state.pausedAt : now
+  const activeMs = end - state.startedAt - (state.totalPausedTime || 0)
+  return Math.max(0, Math.floor(activeMs / 1000))
+}
+
+/**
+ * Seconds spent on the current step, leaving out time spent paused
+ * @param {Object} state - Runner state
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {number} Active seconds since the step started
+ */
+export function getStepSeconds(state, now = Date.now()) {
+  return Math.max(
+    0,
+    getActiveSeconds(state, now) - (state.stepStartOffset || 0)
+  )
+}
+
+/**
+ * Restore a run saved before a reload
+ * The step timer is recomputed from startedAt and totalPausedTime, so time
+ * that passed while the app was closed counts against the current step
+ * unless the run was paused.
+ * @param {Object} saved - Runner state as checkpointed
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {Object} Runner state with an up-to-date step timer
+ */
+export function restoreRunnerState(saved, now = Date.now()) {
+  const step = saved.routine.steps[saved.currentStepIndex]
+  return {
+    ...saved,
+    remainingSeconds: Math.max(
+      0,
+      (step?.duration || 0) - getStepSeconds(saved, now)
+    )
+  }
+}
+
 /**
  * Calculate routine progress percentage
  * @param {Object} state - Current runner state
@@ -241,18 +496,24 @@ export function tickTimer(state) {
  */
 export function calculateProgress(state) {
   const totalSteps = state.routine.steps.length
-  const completedCount = state.completedSteps.length + state.skippedSteps.length
+  const completedCount =
+    state.completedSteps.length +
+    state.skippedSteps.length +
+    (state.excludedSteps?.length || 0)
   return Math.round((completedCount / totalSteps) * 100)
 }
 
 /**
  * Check if routine is complete
  * @param {Object} state - Current runner state
- * @returns {boolean} True if all steps completed/skipped
+ * @returns {boolean} True if all steps completed/skipped/left out
  */
 export function isRoutineComplete(state) {
   const totalSteps = state.routine.steps.length
-  const processedSteps = state.completedSteps.length + state.skippedSteps.length
+  const processedSteps =
+    state.completedSteps.length +
+    state.skippedSteps.length +
+    (state.excludedSteps?.length || 0)
   return processedSteps >= totalSteps
 }
 
@@ -263,7 +524,9 @@ export function isRoutineComplete(state) {
  * @returns {Object} Summary data
  */
 export function getRoutineSummary(state) {
-  const totalSteps = state.routine.steps.length
+  // Steps left out by their conditions or groups were never part of the run
+  const excludedSteps = state.excludedSteps || []
+  const totalSteps = state.routine.steps.length - excludedSteps.length
   const completedCount = state.completedSteps.length
   const skippedCount = state.skippedSteps.length
   const onTimeCount = state.completedSteps.filter(
@@ -274,10 +537,12 @@ export function getRoutineSummary(state) {
 
   const xpBreakdown = calculateTotalXP(state.completedSteps, totalSteps)
 
-  const plannedDuration = state.routine.steps.reduce(
-    (sum, step) => sum + step.duration,
-    0
-  )
+  const plannedDuration = state.routine.steps
+    .filter(
+      (step, index) =>
+        !excludedSteps.some((excluded) => excluded.stepIndex === index)
+    )
+    .reduce((sum, step) => sum + step.duration, 0)
   const actualDuration = Math.floor((Date.now() - state.startedAt) / 1000)
 
   return {
@@ -289,6 +554,7 @@ export function getRoutineSummary(state) {
     xpBreakdown,
     plannedDuration,
     actualDuration,
-    steps: state.logs
+    steps: state.logs,
+    excludedSteps
   }
 }
@@ -10,6 +10,15 @@ import {
   STORES
 } from './indexedDBManager'
 import { normalizeEntity, updateMetadata, generateStepId } from './idGenerator'
+import { validateStepCondition, validateStepGroup } from './routineConditions'
+import {
+  isRoutineReference,
+  getStepsDuration,
+  findRoutineCycle,
+  expandRoutineSteps,
+  collectReferencedRoutines,
+  remapRoutineReferences
+} from './routineNesting'
 
 /**
  * Create a new routine
@@ -21,13 +30,12 @@ export async function createRoutine(routine) {
   const newRoutine = normalizeEntity(
     {
       ...routine,
-      steps: routine.steps || [],
-      totalDuration: calculateTotalDuration(routine.steps || [])
+      steps: routine.steps || []
     },
     { idPrefix: 'routine' }
   )
-  await put(STORES.ROUTINES, newRoutine)
-  return newRoutine.id
+  const saved = await putRoutineWithSteps(newRoutine)
+  return saved.id
 }
 
 /**
@@ -50,10 +58,11 @@ export async function createRoutineBatch(routines) {
   const baseTimestamp = Date.now()
   const newRoutines = routines.map((routine, index) => {
     // Prepare common fields for normalization
+    const steps = withStepIds(routine.steps || [])
     const routineData = {
       ...routine,
-      steps: routine.steps || [],
-      totalDuration: calculateTotalDuration(routine.steps || [])
+      steps,
+      totalDuration: calculateTotalDuration(steps)
     }
 
     // If routine lacks an ID, generate unique ID with index suffix to prevent collisions
@@ -64,6 +73,15 @@ export async function createRoutineBatch(routines) {
     return normalizeEntity(routineData)
   })
 
+  // Routines in the batch may include each other or stored routines
+  if (newRoutines.some((r) => r.steps.some(isRoutineReference))) {
+    const pool = [...(await getAll(STORES.ROUTINES)), ...newRoutines]
+    for (const routine of newRoutines) {
+      assertNoRoutineCycle(routine, pool)
+      routine.totalDuration = calculateTotalDuration(routine.steps, pool)
+    }
+  }
+
   // Use batch operation for efficiency
   await putBatch(STORES.ROUTINES, newRoutines)
 
@@ -130,29 +148,119 @@ export async function getRoutine(id) {
   return await getById(STORES.ROUTINES, id)
 }
 
+/**
+ * Get a routine ready to run
+ * Steps that include other routines are replaced by those routines' current
+ * steps (see expandRoutineSteps)
+ * @param {string} id - Routine ID
+ * @returns {Promise<object>} Routine data with a flat list of steps
+ */
+export async function getRunnableRoutine(id) {
+  const routine = await getById(STORES.ROUTINES, id)
+  if (!routine?.steps?.some(isRoutineReference)) return routine
+  return expandRoutineSteps(routine, await getAll(STORES.ROUTINES))
+}
+
 /**
  * Update routine
  * @param {object} routine - Updated routine data
  * @returns {Promise<string>} Routine ID
  */
 export async function updateRoutine(routine) {
-  // TODO: Add validation and recalculate total duration
-  const updated = updateMetadata({
-    ...routine,
-    totalDuration: calculateTotalDuration(routine.steps || [])
-  })
-  await put(STORES.ROUTINES, updated)
+  // TODO: Add validation
+  const updated = await putRoutineWithSteps(
+    updateMetadata({ ...routine, steps: routine.steps || [] })
+  )
   return updated.id
 }
 
 /**
  * Delete routine
+ * Routines that included it keep the reference step, which no longer runs
  * @param {string} id - Routine ID
  * @returns {Promise<void>}
  */
 export async function deleteRoutine(id) {
   // TODO: Add confirmation and cascade delete from schedule
-  return await deleteById(STORES.ROUTINES, id)
+  await deleteById(STORES.ROUTINES, id)
+  await refreshIncludingRoutines(await getAll(STORES.ROUTINES))
+}
+
+/**
+ * Throw if a routine's steps would make it include itself
+ * @param {object} routine - Routine with its new steps
+ * @param {Array<object>} routines - Routines its steps may reference
+ */
+function assertNoRoutineCycle(routine, routines) {
+  const others = routines.filter((r) => r.id !== routine.id)
+  const cycle = findRoutineCycle(routine.id, routine.steps, others)
+  if (cycle) {
+    const titles = new Map(
+      [routine, ...others].map((r) => [r.id, r.title || r.name || r.id])
+    )
+    throw new Error(
+      `Routine cannot include itself: ${cycle.map((id) => titles.get(id) || id).join(' → ')}`
+    )
+  }
+}
+
+/**
+ * Bring the total duration of routines that include others up to date
+ * @param {Array<object>} routines - All stored routines
+ * @returns {Promise<void>}
+ */
+async function refreshIncludingRoutines(routines) {
+  const stale = routines
+    .filter((routine) => (routine.steps || []).some(isRoutineReference))
+    .map((routine) => ({
+      ...routine,
+      totalDuration: calculateTotalDuration(routine.steps, routines)
+    }))
+    .filter(
+      (routine) =>
+        routine.totalDuration !==
+        routines.find((r) => r.id === routine.id).totalDuration
+    )
+  if (stale.length > 0) {
+    await putBatch(STORES.ROUTINES, stale)
+  }
+}
+
+/**
+ * Give steps without an ID one, so runs, history and included routines can
+ * tell them apart
+ * @param {Array<object>} steps - Routine steps
+ * @returns {Array<object>} Steps that all have an ID
+ */
+function withStepIds(steps) {
+  return steps.map((step) =>
+    step.id ? step : { ...step, id: generateStepId() }
+  )
+}
+
+/**
+ * Store a routine whose steps may have changed
+ * Rejects steps that would make the routine include itself, totals the
+ * duration through included routines and updates the routines that include
+ * this one. Steps without an ID get one.
+ * @param {object} routine - Routine to store
+ * @returns {Promise<object>} Stored routine
+ */
+async function putRoutineWithSteps(routine) {
+  const others = (await getAll(STORES.ROUTINES)).filter(
+    (r) => r.id !== routine.id
+  )
+  assertNoRoutineCycle(routine, others)
+
+  const steps = withStepIds(routine.steps || [])
+  const saved = {
+    ...routine,
+    steps,
+    totalDuration: calculateTotalDuration(steps, others)
+  }
+  await put(STORES.ROUTINES, saved)
+  await refreshIncludingRoutines([...others, saved])
+  return saved
 }
 
 /**
@@ -171,16 +279,15 @@ export async function addStep(routineId, step) {
   const newStep = {
     ...step,
     id: step.id || generateStepId(),
-    order: routine.steps.length,
-    duration: step.duration || 60 // Default 60 seconds
+    order: routine.steps.length
+  }
+  // Steps that include a routine take their time from it
+  if (!isRoutineReference(step)) {
+    newStep.duration = step.duration || 60 // Default 60 seconds
   }
 
   routine.steps.push(newStep)
-  routine.totalDuration = calculateTotalDuration(routine.steps)
-
-  const updated = updateMetadata(routine)
-  await put(STORES.ROUTINES, updated)
-  return updated
+  return putRoutineWithSteps(updateMetadata(routine))
 }
 
 /**
@@ -214,10 +321,7 @@ export async function updateStep(routineId, stepId, updates) {
     ...updates
   }
 
-  routine.totalDuration = calculateTotalDuration(routine.steps)
-  const updated = updateMetadata(routine)
-  await put(STORES.ROUTINES, updated)
-  return updated
+  return putRoutineWithSteps(updateMetadata(routine))
 }
 
 /**
@@ -236,11 +340,8 @@ export async function removeStep(routineId, stepId) {
   routine.steps.forEach((step, index) => {
     step.order = index
   })
-  routine.totalDuration = calculateTotalDuration(routine.steps)
 
-  const updated = updateMetadata(routine)
-  await put(STORES.ROUTINES, updated)
-  return updated
+  return putRoutineWithSteps(updateMetadata(routine))
 }
 
 /**
@@ -277,10 +378,7 @@ export async function duplicateStep(routineId, stepId) {
     step.order = index
   })
 
-  routine.totalDuration = calculateTotalDuration(routine.steps)
-  const updated = updateMetadata(routine)
-  await put(STORES.ROUTINES, updated)
-  return updated
+  return putRoutineWithSteps(updateMetadata(routine))
 }
 
 /**
@@ -316,15 +414,19 @@ export async function reorderStep(routineId, stepId, newOrder) {
 
 /**
  * Calculate total duration of steps
+ * Steps that include a routine count that routine's steps
  * @param {Array} steps - Array of steps
+ * @param {Array<object>} [routines=[]] - Routines the steps may include
  * @returns {number} Total duration in seconds
  */
-function calculateTotalDuration(steps) {
-  return steps.reduce((total, step) => total + (step.duration || 0), 0)
+function calculateTotalDuration(steps, routines = []) {
+  return getStepsDuration(steps, routines)
 }
 
 /**
  * Clone routine as template
+ * Included routines are shared, not copied: the clone picks up later edits
+ * to them just like the original
  * @param {string} routineId - Routine ID to clone
  * @param {string} newName - Name for cloned routine
  * @returns {Promise<string>} New routine ID
@@ -346,30 +448,63 @@ export async function cloneRoutine(routineId, newName) {
   const cloned = normalizeEntity(
     {
       ...routineData,
+      steps: (routine.steps || []).map((step) => ({ ...step })),
       name: newName || `${routine.name} (Copy)`
     },
     { idPrefix: 'routine' }
   )
 
-  await put(STORES.ROUTINES, cloned)
-  return cloned.id
+  const saved = await putRoutineWithSteps(cloned)
+  return saved.id
+}
+
+// Only one routine runs at a time, so a single checkpoint is kept
+const ACTIVE_RUN_ID = 'active'
+
+/**
+ * Checkpoint the routine run in progress
+ * Lets a run survive a reload or a tab crash; see getActiveRoutineState
+ * @param {object} state - Runner state from routineRunner
+ * @returns {Promise<void>}
+ */
+export async function saveRoutineState(state) {
+  await put(STORES.ROUTINE_RUNS, {
+    ...state,
+    id: ACTIVE_RUN_ID,
+    checkpointAt: Date.now()
+  })
+}
+
+/**
+ * Get the checkpointed run, whichever routine it belongs to
+ * @returns {Promise<object|null>} Runner state as saved, or null when no run is in progress
+ */
+export async function getActiveRoutineState() {
+  const saved = await getById(STORES.ROUTINE_RUNS, ACTIVE_RUN_ID)
+  if (!saved) return null
+
+  const state = { ...saved }
+  delete state.id
+  delete state.checkpointAt
+  return state
 }
 
 /**
  * Get routine execution state
  * @param {string} routineId - Routine ID
- * @returns {object} Execution state (for timer integration)
+ * @returns {Promise<object|null>} Checkpointed runner state of the routine, or null when it is not running
  */
-export function getRoutineState(routineId) {
-  // TODO: Implement timer state management
-  return {
-    routineId,
-    currentStepIndex: 0,
-    isRunning: false,
-    isPaused: false,
-    elapsedTime: 0,
-    startedAt: null
-  }
+export async function getRoutineState(routineId) {
+  const state = await getActiveRoutineState()
+  return state?.routineId === routineId ? state : null
+}
+
+/**
+ * Drop the checkpoint once a run is finished or cancelled
+ * @returns {Promise<void>}
+ */
+export async function clearRoutineState() {
+  await deleteById(STORES.ROUTINE_RUNS, ACTIVE_RUN_ID)
 }
 
 /**
@@ -441,7 +576,7 @@ export function filterRoutines(routines, filters = {}) {
  */
 export async function startRoutine(routineId) {
   // TODO: Implement routine execution with timer
-  const routine = await getById(STORES.ROUTINES, routineId)
+  const routine = await getRunnableRoutine(routineId)
   if (!routine) {
     throw new Error('Routine not found')
   }
@@ -461,6 +596,9 @@ export async function startRoutine(routineId) {
  * Export routines to JSON format.
  * TAB-RTN-47: Export routine data including id, title, tags, steps, etc.
  *
+ * Routines included by the exported ones are exported with them, so the
+ * references still resolve after an import.
+ *
  * @param {Array<string>} routineIds - Routine IDs to export (empty = all routines)
  * @returns {Promise<Object>} Resolves to an object with the following properties:
  *   - version {string}: Export format version (e.g., "1.0")
@@ -481,10 +619,14 @@ export async function startRoutine(routineId) {
  */
 export async function exportRoutines(routineIds = []) {
   const allRoutines = await getAll(STORES.ROUTINES)
-  const routinesToExport =
+  const selected =
     routineIds.length > 0
       ? allRoutines.filter((r) => routineIds.includes(r.id))
       : allRoutines
+  const routinesToExport = [
+    ...selected,
+    ...collectReferencedRoutines(selected, allRoutines)
+  ]
 
   return {
     version: '1.0',
@@ -522,6 +664,18 @@ export async function importRoutines(data) {
     errors: []
   }
 
+  // Routines are read first and stored afterwards, so that references to
+  // routines whose ID changed on import can be pointed at the new ID
+  const accepted = []
+  const idMap = new Map()
+  const reportError = (routine, error) => {
+    results.errors.push({
+      routine: routine.name || routine.title || 'Unknown',
+      error: error.message
+    })
+    results.skipped++
+  }
+
   for (const routine of data.routines) {
     try {
       // Validate routine has required fields
@@ -537,7 +691,7 @@ export async function importRoutines(data) {
         // Generate new ID if missing
         routineToSave = {
           ...routine,
-          id: `routine_${timestamp}_${results.imported}`
+          id: `routine_${timestamp}_${accepted.length}`
         }
       } else {
         // Check for ID collision
@@ -546,38 +700,55 @@ export async function importRoutines(data) {
           // Regenerate ID on collision while preserving all other data
           routineToSave = {
             ...routine,
-            id: `routine_${timestamp}_${results.imported}`,
+            id: `routine_${timestamp}_${accepted.length}`,
             importedAt: new Date().toISOString()
           }
+          idMap.set(routine.id, routineToSave.id)
         }
       }
 
       // Ensure routine has required structure
-      const normalizedRoutine = {
+      accepted.push({
         ...routineToSave,
-        steps: routineToSave.steps || [],
-        totalDuration: calculateTotalDuration(routineToSave.steps || []),
+        steps: withStepIds(routineToSave.steps || []),
         timestamp: routineToSave.timestamp || new Date().toISOString(),
         createdAt: routineToSave.createdAt || new Date().toISOString()
-      }
+      })
+    } catch (error) {
+      reportError(routine, error)
+    }
+  }
+
+  const imported = accepted.map((routine) => ({
+    ...routine,
+    steps: remapRoutineReferences(routine.steps, idMap)
+  }))
+  const pool = [...(await getAll(STORES.ROUTINES)), ...imported]
 
-      await put(STORES.ROUTINES, normalizedRoutine)
+  for (const routine of imported) {
+    try {
+      assertNoRoutineCycle(routine, pool)
+      await put(STORES.ROUTINES, {
+        ...routine,
+        totalDuration: calculateTotalDuration(routine.steps, pool)
+      })
       results.imported++
     } catch (error) {
-      results.errors.push({
-        routine: routine.name || routine.title || 'Unknown',
-        error: error.message
-      })
-      results.skipped++
+      reportError(routine, error)
     }
   }
 
+  // Stored routines may include routines that only now exist
+  await refreshIncludingRoutines(await getAll(STORES.ROUTINES))
+
   return results
 }
 
 /**
  * Validate step structure
  * TAB-RTN-21: Timer validation (10 seconds minimum, 2 hours maximum)
+ * Conditions and groups are checked as described in routineConditions;
+ * steps that include a routine (routineNesting) have no timer of their own
  * @param {object} step - Step to validate
  * @returns {object} Validation result {valid, errors}
  */
@@ -589,6 +760,22 @@ export function validateStep(step) {
     errors.push('Step must have a label')
   }
 
+  if (isRoutineReference(step)) {
+    // Steps that include a routine take their time from it
+    if (typeof step.routineRef !== 'string') {
+      errors.push('Included routine must be given by its ID')
+    }
+    if (step.condition || step.group) {
+      errors.push(
+        'A step that includes a routine cannot have a condition or group'
+      )
+    }
+    return {
+      valid: errors.length === 0,
+      errors
+    }
+  }
+
   // Duration validation (TAB-RTN-21: 10s to 2h)
   if (!step.duration) {
     errors.push('Step must have a duration')
@@ -606,6 +793,14 @@ export function validateStep(step) {
     }
   }
 
+  // Run-time condition and optional/choice group (optional)
+  if (step.condition) {
+    errors.push(...validateStepCondition(step.condition))
+  }
+  if (step.group) {
+    errors.push(...validateStepGroup(step.group))
+  }
+
   return {
     valid: errors.length === 0,
     errors
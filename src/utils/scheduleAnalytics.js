@@ -0,0 +1,226 @@
+/**
+ * Schedule Analytics
+ * Planned versus actual time per event type for a day, week or month.
+ * Planned time is measured from scheduled events, actual time comes from
+ * stats records written when work is tracked. Events count towards the day
+ * they start on, and days whose planned time plus buffers exceeds the daily
+ * capacity are flagged as overcommitted.
+ */
+
+import { getEventsForRange } from './scheduleManager'
+import { getStatsByDateRange, saveStats } from './indexedDBManager'
+import { getSettings } from './settingsManager'
+import { getEventMinutes } from './scheduleConflicts'
+import { getBufferMinutes } from './scheduleBuffers'
+import { shiftDay } from './recurrence'
+import { getTodayInTimeZone } from './timezone'
+import {
+  ANALYTICS_PERIODS,
+  EVENT_TYPES,
+  DEFAULT_DAILY_CAPACITY_MINUTES,
+  SCHEDULE_TIME_STAT_TYPE
+} from './scheduleConstants'
+import { ROUTINE_TIME_STAT_TYPE } from './routineHistory'
+
+/**
+ * Get the first and last day of the period containing a day
+ * Weeks start on Monday (ISO 8601), like the Schedule week view
+ * @param {string} period - One of ANALYTICS_PERIODS
+ * @param {string} referenceDay - Day within the period (YYYY-MM-DD)
+ * @returns {{startDate: string, endDate: string}} Inclusive range
+ */
+export function getPeriodRange(period, referenceDay) {
+  switch (period) {
+    case ANALYTICS_PERIODS.DAY:
+      return { startDate: referenceDay, endDate: referenceDay }
+    case ANALYTICS_PERIODS.WEEK: {
+      const weekday =
+        (new Date(`${referenceDay}T00:00:00Z`).getUTCDay() + 6) % 7
+      const startDate = shiftDay(referenceDay, -weekday)
+      return { startDate, endDate: shiftDay(startDate, 6) }
+    }
+    case ANALYTICS_PERIODS.MONTH: {
+      const [year, month] = referenceDay.split('-').map(Number)
+      // Day 0 of the next month is the last day of this one
+      const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate()
+      const prefix = referenceDay.slice(0, 7)
+      return {
+        startDate: `${prefix}-01`,
+        endDate: `${prefix}-${String(lastDay).padStart(2, '0')}`
+      }
+    }
+    default:
+      throw new Error(`Unknown analytics period: ${period}`)
+  }
+}
+
+/**
+ * Get the planned time per day above which a day is overcommitted
+ * @param {object} [settings] - App settings (defaults to the stored settings)
+ * @returns {number} Minutes
+ */
+export function getDailyCapacity(settings = getSettings()) {
+  return (
+    settings.schedule?.dailyCapacityMinutes || DEFAULT_DAILY_CAPACITY_MINUTES
+  )
+}
+
+/**
+ * Read the event type and minutes of a stats record
+ * @param {object} record - Stats record
+ * @returns {{eventType: string, minutes: number, date: string}|null} Null for records without tracked time
+ */
+export function toActualTime(record) {
+  // Routine runner records count as actual routine time
+  const eventType =
+    record.eventType ||
+    (record.type === ROUTINE_TIME_STAT_TYPE ? EVENT_TYPES.ROUTINE : null)
+  if (!eventType || !(record.minutes > 0)) return null
+  return { eventType, minutes: record.minutes, date: record.date }
+}
+
+function createTypeTotals() {
+  return Object.fromEntries(
+    Object.values(EVENT_TYPES).map((type) => [type, { planned: 0, actual: 0 }])
+  )
+}
+
+// Types outside EVENT_TYPES (e.g. imported calendar events) get a row too
+function addToType(byType, type, field, minutes) {
+  if (!byType[type]) {
+    byType[type] = { planned: 0, actual: 0 }
+  }
+  byType[type][field] += minutes
+}
+
+/**
+ * Total planned and actual time per event type and day
+ * @param {object} options
+ * @param {string} options.startDate - First day (YYYY-MM-DD)
+ * @param {string} options.endDate - Last day (YYYY-MM-DD)
+ * @param {Array<object>} options.events - Events in the display time zone
+ * @param {Array<{eventType: string, minutes: number, date: string}>} [options.actuals] - Tracked time
+ * @param {number} [options.capacityMinutes] - Overcommitment threshold per day
+ * @returns {object} Totals per type, per day and for the whole range
+ */
+export function buildScheduleAnalytics({
+  startDate,
+  endDate,
+  events,
+  actuals = [],
+  capacityMinutes = DEFAULT_DAILY_CAPACITY_MINUTES
+}) {
+  const days = new Map()
+  for (let day = startDate; day <= endDate; day = shiftDay(day, 1)) {
+    days.set(day, {
+      day,
+      planned: 0,
+      actual: 0,
+      buffers: 0,
+      byType: createTypeTotals(),
+      overcommitted: false
+    })
+  }
+
+  const byType = createTypeTotals()
+  const totals = { planned: 0, actual: 0, buffers: 0 }
+
+  events.forEach((event) => {
+    // Events that started before the range were counted on their own day
+    const entry = days.get(event.day)
+    if (!entry || event.allDay) return
+
+    const minutes = getEventMinutes(event)
+    const buffers = getBufferMinutes(event)
+    entry.planned += minutes
+    entry.buffers += buffers
+    addToType(entry.byType, event.type, 'planned', minutes)
+    addToType(byType, event.type, 'planned', minutes)
+    totals.planned += minutes
+    totals.buffers += buffers
+  })
+
+  actuals.forEach(({ eventType, minutes, date }) => {
+    const entry = days.get(date)
+    if (!entry) return
+
+    entry.actual += minutes
+    addToType(entry.byType, eventType, 'actual', minutes)
+    addToType(byType, eventType, 'actual', minutes)
+    totals.actual += minutes
+  })
+
+  const dayList = [...days.values()].map((entry) => ({
+    ...entry,
+    overcommitted: entry.planned + entry.buffers > capacityMinutes
+  }))
+
+  return {
+    startDate,
+    endDate,
+    capacityMinutes,
+    byType,
+    totals,
+    days: dayList,
+    overcommittedDays: dayList
+      .filter((entry) => entry.overcommitted)
+      .map((entry) => entry.day)
+  }
+}
+
+/**
+ * Get planned versus actual time for the period containing a day
+ * @param {string} [period] - One of ANALYTICS_PERIODS (defaults to week)
+ * @param {string} [referenceDay] - Day within the period (defaults to today in the display time zone)
+ * @returns {Promise<object>} Analytics, see buildScheduleAnalytics, plus the period
+ */
+export async function getScheduleAnalytics(
+  period = ANALYTICS_PERIODS.WEEK,
+  referenceDay = getTodayInTimeZone()
+) {
+  const { startDate, endDate } = getPeriodRange(period, referenceDay)
+  const [events, records] = await Promise.all([
+    getEventsForRange(startDate, endDate),
+    getStatsByDateRange(startDate, endDate)
+  ])
+
+  return {
+    period,
+    ...buildScheduleAnalytics({
+      startDate,
+      endDate,
+      events,
+      actuals: records.map(toActualTime).filter(Boolean),
+      capacityMinutes: getDailyCapacity()
+    })
+  }
+}
+
+/**
+ * Record time actually spent on scheduled work
+ * @param {object} entry
+ * @param {string} entry.eventType - One of EVENT_TYPES
+ * @param {number} entry.minutes - Time spent
+ * @param {string} [entry.day] - Day the time was spent (defaults to today in the display time zone)
+ * @param {string|number} [entry.eventId] - Schedule event the time belongs to
+ * @returns {Promise<number>} Stats record ID
+ */
+export async function recordActualTime({
+  eventType,
+  minutes,
+  day = getTodayInTimeZone(),
+  eventId = null
+}) {
+  if (!eventType) {
+    throw new Error('Event type is required')
+  }
+  if (!(minutes > 0)) {
+    throw new Error('Actual time must be a positive number of minutes')
+  }
+  return saveStats(SCHEDULE_TIME_STAT_TYPE, {
+    eventType,
+    minutes,
+    eventId,
+    date: day
+  })
+}
@@ -0,0 +1,113 @@
+/**
+ * Schedule Buffers
+ * Travel and preparation time blocked out before events
+ * Times are minutes from the start of the event's day; buffers before an
+ * early event can start before midnight (negative minutes) and overnight
+ * events end after the next midnight (more than a day of minutes).
+ */
+
+import {
+  EVENT_BUFFER_TYPES,
+  MINUTES_PER_HOUR,
+  HOURS_PER_DAY
+} from './scheduleConstants'
+import { timeToMinutes, minutesToTime } from './timeUtils'
+
+const MINUTES_PER_DAY = MINUTES_PER_HOUR * HOURS_PER_DAY
+
+const BUFFER_LABELS = {
+  [EVENT_BUFFER_TYPES.PREPARATION]: 'Preparation',
+  [EVENT_BUFFER_TYPES.TRAVEL]: 'Travel'
+}
+
+/**
+ * Get the total buffer time before an event
+ * @param {object} event - Schedule event
+ * @returns {number} Travel plus preparation time in minutes
+ */
+export function getBufferMinutes(event) {
+  return (event.travelTime || 0) + (event.preparationTime || 0)
+}
+
+/**
+ * Get the minutes an event keeps busy, buffers included
+ * @param {object} event - Schedule event (startTime/endTime in HH:MM)
+ * @returns {{start: number, eventStart: number, end: number}} Minutes from the event day's midnight
+ */
+export function getBusyMinutes(event) {
+  const eventStart = timeToMinutes(event.startTime)
+  let end = timeToMinutes(event.endTime || event.startTime)
+  if (end < eventStart) {
+    end += MINUTES_PER_DAY
+  }
+  return { start: eventStart - getBufferMinutes(event), eventStart, end }
+}
+
+/**
+ * Get the buffer blocks in front of an event
+ * @param {object} event - Schedule event
+ * @returns {Array<{type: string, label: string, minutes: number, start: number, end: number}>} Blocks in time order
+ */
+export function getEventBuffers(event) {
+  const { eventStart } = getBusyMinutes(event)
+  const travelStart = eventStart - (event.travelTime || 0)
+  const buffers = [
+    {
+      type: EVENT_BUFFER_TYPES.PREPARATION,
+      minutes: event.preparationTime || 0,
+      start: travelStart - (event.preparationTime || 0),
+      end: travelStart
+    },
+    {
+      type: EVENT_BUFFER_TYPES.TRAVEL,
+      minutes: event.travelTime || 0,
+      start: travelStart,
+      end: eventStart
+    }
+  ]
+  return buffers
+    .filter((buffer) => buffer.minutes > 0)
+    .map((buffer) => ({ ...buffer, label: BUFFER_LABELS[buffer.type] }))
+}
+
+/**
+ * Find the earlier event that an event's buffers run into
+ * Only events starting before the event itself count as "previous"; overlaps
+ * with events inside the event's own time are ordinary conflicts.
+ * @param {object} event - Event whose buffers are checked
+ * @param {Array<object>} events - Other events on the same day
+ * @returns {object|null} The overlapped event ending last, or null
+ */
+export function findBufferOverlap(event, events) {
+  if (getBufferMinutes(event) === 0) {
+    return null
+  }
+
+  const { start, eventStart } = getBusyMinutes(event)
+  let overlapped = null
+  let overlappedEnd = -Infinity
+  for (const other of events) {
+    if (other === event || (event.id && other.id === event.id)) continue
+    const otherStart = timeToMinutes(other.startTime)
+    const { end } = getBusyMinutes(other)
+    if (otherStart < eventStart && end > start && end > overlappedEnd) {
+      overlapped = other
+      overlappedEnd = end
+    }
+  }
+  return overlapped
+}
+
+/**
+ * Describe a buffer overlap for warnings
+ * @param {object} event - Event whose buffers overlap
+ * @param {object} previous - Event the buffers run into
+ * @returns {string} Warning text
+ */
+export function describeBufferOverlap(event, previous) {
+  const bufferStart = minutesToTime(getBusyMinutes(event).start)
+  return (
+    `Travel and preparation start at ${bufferStart}, ` +
+    `before "${previous.title}" ends at ${previous.endTime}`
+  )
+}
@@ -0,0 +1,224 @@
+/**
+ * Schedule Conflicts
+ * Overlap detection on absolute time intervals. Wall-clock fields are turned
+ * into UTC instants in the event's zone, so events crossing midnight,
+ * multi-day and all-day events and events in other time zones all compare
+ * correctly. Travel and preparation buffers count as busy time.
+ */
+
+import { shiftDay } from './recurrence'
+import {
+  getDisplayTimeZone,
+  isValidTimeZone,
+  zonedDayTimeToDate
+} from './timezone'
+import { getBufferMinutes } from './scheduleBuffers'
+
+const MS_PER_MINUTE = 60 * 1000
+
+// Conflicts listed by name in warnings before the rest are counted
+const MAX_NAMED_CONFLICTS = 2
+
+/**
+ * Get the UTC start and end of an event from its wall-clock fields
+ * Without a later end day, events whose end time is before their start time
+ * end on the next day
+ * @param {string} day - Day (YYYY-MM-DD)
+ * @param {string} startTime - Start time (HH:MM)
+ * @param {string} endTime - End time (HH:MM)
+ * @param {string} timeZone - IANA time zone the fields are expressed in
+ * @param {string|null} [endDay] - Day the event ends on, for multi-day events
+ * @returns {{start: Date, end: Date}} UTC instants
+ */
+export function getEventInstants(
+  day,
+  startTime,
+  endTime,
+  timeZone,
+  endDay = null
+) {
+  const start = zonedDayTimeToDate(day, startTime, timeZone)
+  let lastDay = day
+  if (endDay && endDay > day) {
+    lastDay = endDay
+  } else if (endTime && endTime < startTime) {
+    lastDay = shiftDay(day, 1)
+  }
+  const end = zonedDayTimeToDate(lastDay, endTime || startTime, timeZone)
+  return { start, end }
+}
+
+/**
+ * Get the UTC start and end of an all-day event
+ * All-day events take their days whole: from midnight of the first day to
+ * midnight after the last one (endDay is inclusive)
+ * @param {string} day - First day (YYYY-MM-DD)
+ * @param {string|null} endDay - Last day, for events taking several days
+ * @param {string} timeZone - IANA time zone the days are in
+ * @returns {{start: Date, end: Date}} UTC instants
+ */
+export function getAllDayInstants(day, endDay, timeZone) {
+  const lastDay = endDay && endDay > day ? endDay : day
+  return {
+    start: zonedDayTimeToDate(day, '00:00', timeZone),
+    end: zonedDayTimeToDate(shiftDay(lastDay, 1), '00:00', timeZone)
+  }
+}
+
+/**
+ * Get the zone an event's day and times are expressed in
+ * Projected events use the display zone, stored events their own zone and
+ * drafts without either the display zone
+ * @param {object} event - Schedule event
+ * @returns {string} IANA time zone
+ */
+function getWallClockTimeZone(event) {
+  if (isValidTimeZone(event.displayTimeZone)) return event.displayTimeZone
+  if (isValidTimeZone(event.timeZone)) return event.timeZone
+  return getDisplayTimeZone()
+}
+
+/**
+ * Get the absolute time an event takes, buffers excluded
+ * @param {object} event - Schedule event, stored or projected
+ * @returns {{start: number, end: number}} Epoch milliseconds
+ */
+export function getEventInterval(event) {
+  if (event.allDay) {
+    const { start, end } = getAllDayInstants(
+      event.day,
+      event.endDay,
+      getWallClockTimeZone(event)
+    )
+    return { start: start.getTime(), end: end.getTime() }
+  }
+  const { start, end } = getEventInstants(
+    event.day,
+    event.startTime,
+    event.endTime,
+    getWallClockTimeZone(event),
+    event.endDay
+  )
+  return { start: start.getTime(), end: end.getTime() }
+}
+
+/**
+ * Get the length of an event from its absolute start and end
+ * All-day events mark days rather than take time, so they count as zero
+ * @param {object} event - Schedule event, stored or projected
+ * @returns {number} Minutes
+ */
+export function getEventMinutes(event) {
+  if (event.allDay) return 0
+  const { start, end } = getEventInterval(event)
+  return Math.round((end - start) / MS_PER_MINUTE)
+}
+
+/**
+ * Get the time an event keeps busy, buffers included
+ * @param {object} event - Schedule event, stored or projected
+ * @returns {{start: number, end: number}} Epoch milliseconds
+ */
+export function getBusyInterval(event) {
+  const { start, end } = getEventInterval(event)
+  return {
+    start: start - getBufferMinutes(event) * MS_PER_MINUTE,
+    end
+  }
+}
+
+/**
+ * Get a key that identifies an event or a single occurrence of a series
+ * @param {object} event - Schedule event
+ * @returns {string} Key
+ */
+export function getEventKey(event) {
+  return event.occurrenceDay
+    ? `${event.id}@${event.occurrenceDay}`
+    : String(event.id)
+}
+
+function isSameEvent(a, b) {
+  return (
+    a === b ||
+    (a.id != null && b.id != null && getEventKey(a) === getEventKey(b))
+  )
+}
+
+function overlaps(a, b) {
+  return a.start < b.end && b.start < a.end
+}
+
+/**
+ * Find the events that overlap an event
+ * @param {object} event - Event or draft to check
+ * @param {Array<object>} events - Events to check against
+ * @returns {Array<object>} Overlapping events, earliest first
+ */
+export function findConflicts(event, events) {
+  const interval = getBusyInterval(event)
+  return events
+    .filter((other) => !isSameEvent(event, other))
+    .map((other) => ({ other, interval: getBusyInterval(other) }))
+    .filter(({ interval: otherInterval }) => overlaps(interval, otherInterval))
+    .sort((a, b) => a.interval.start - b.interval.start)
+    .map(({ other }) => other)
+}
+
+/**
+ * Find every pair of overlapping events
+ * @param {Array<object>} events - Events to check
+ * @returns {Map<string, Array<object>>} Overlapping events keyed by getEventKey (events without conflicts are left out)
+ */
+export function getConflictMap(events) {
+  const sorted = events
+    .map((event) => ({ event, interval: getBusyInterval(event) }))
+    .sort((a, b) => a.interval.start - b.interval.start)
+
+  const conflicts = new Map()
+  const addConflict = (event, other) => {
+    const key = getEventKey(event)
+    conflicts.set(key, [...(conflicts.get(key) || []), other])
+  }
+
+  for (let i = 0; i < sorted.length; i++) {
+    const current = sorted[i]
+    // Sorted by start, so the scan stops at the first event starting later
+    for (let j = i + 1; j < sorted.length; j++) {
+      const next = sorted[j]
+      if (next.interval.start >= current.interval.end) break
+      if (
+        !isSameEvent(current.event, next.event) &&
+        overlaps(current.interval, next.interval)
+      ) {
+        addConflict(current.event, next.event)
+        addConflict(next.event, current.event)
+      }
+    }
+  }
+  return conflicts
+}
+
+/**
+ * Describe conflicting events for warnings
+ * @param {Array<object>} conflicts - Conflicting events (display zone)
+ * @returns {string} Warning text
+ */
+export function describeConflicts(conflicts) {
+  const names = conflicts
+    .slice(0, MAX_NAMED_CONFLICTS)
+    .map((event) =>
+      event.allDay
+        ? `"${event.title}" (all day)`
+        : `"${event.title}" (${event.day} ${event.startTime}–${event.endTime})`
+    )
+  const remaining = conflicts.length - names.length
+  if (remaining > 0) {
+    names.push(`${remaining} other event${remaining === 1 ? '' : 's'}`)
+  }
+  const list =
+    names.length > 1
+      ? `${names.slice(0, -1).join(', ')} and ${names.at(-1)}`
+      : names[0]
+  return `Overlaps ${list}`
+}
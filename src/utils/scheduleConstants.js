@@ -35,6 +35,34 @@ export const DEFAULT_EVENT_DURATION_MINUTES = 60
 export const BUSINESS_HOURS_START = '08:00'
 export const BUSINESS_HOURS_END = '22:00'
 
+// "Plan my day" auto-scheduler
+export const ENERGY_LEVELS = {
+  HIGH: 'high',
+  LOW: 'low'
+}
+// Hours of the day the user has the most/least energy (HH:MM, user-editable)
+export const DEFAULT_ENERGY_WINDOWS = {
+  [ENERGY_LEVELS.HIGH]: { start: '09:00', end: '12:00' },
+  [ENERGY_LEVELS.LOW]: { start: '14:00', end: '16:00' }
+}
+// Duration used for tasks without an estimate (in minutes)
+export const DEFAULT_TASK_ESTIMATE_MINUTES = 30
+// Planned tasks start on this grid, matching the calendar's 15-minute slots
+export const AUTO_SCHEDULE_STEP_MINUTES = 15
+
+// Schedule analytics (planned vs actual time)
+export const ANALYTICS_PERIODS = {
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month'
+}
+// Planned time per day, buffers included, above which a day is overcommitted
+// (in minutes, user-editable)
+export const DEFAULT_DAILY_CAPACITY_MINUTES = 8 * 60
+// Stats record type for time actually spent on scheduled work
+// Records carry eventType, minutes and date (YYYY-MM-DD)
+export const SCHEDULE_TIME_STAT_TYPE = 'schedule_time'
+
 // Time conversion constants
 export const MINUTES_PER_HOUR = 60
 export const HOURS_PER_DAY = 24
@@ -49,3 +77,64 @@ export const DEFAULT_PREPARATION_TIME_MINUTES = 0
 // Maximum allowed travel and preparation times (in minutes)
 export const MAX_TRAVEL_TIME_MINUTES = 180 // 3 hours
 export const MAX_PREPARATION_TIME_MINUTES = 180 // 3 hours
+
+// Buffers blocked out before an event, in time order: preparation, then
+// travel, then the event itself
+export const EVENT_BUFFER_TYPES = {
+  PREPARATION: 'preparation',
+  TRAVEL: 'travel'
+}
+
+// Recurrence frequencies offered by the event recurrence editor
+// 'custom' accepts a raw RFC 5545 RRULE string
+export const RECURRENCE_FREQUENCIES = {
+  NONE: 'none',
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+  CUSTOM: 'custom'
+}
+
+// Scope of an edit or delete applied to one occurrence of a recurring event
+export const RECURRENCE_EDIT_SCOPES = {
+  THIS: 'this',
+  FOLLOWING: 'following',
+  ALL: 'all'
+}
+
+// RFC 5545 weekday codes, ordered Monday first (European week start)
+export const RRULE_WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU']
+
+// Safety limit on recurrence periods walked while expanding a single series
+export const MAX_RECURRENCE_ITERATIONS = 10000
+
+// Window (in days around today) in which recurring subscription events are expanded
+export const CALENDAR_SYNC_PAST_DAYS = 30
+export const CALENDAR_SYNC_FUTURE_DAYS = 180
+export const MAX_CALENDAR_SYNC_DAYS = 3650 // ~10 years, matches EventService range limit
+
+// iCalendar (.ics) import/export
+export const ICS_PRODUCT_ID = '-//Aurorae Haven//Schedule//EN'
+export const ICS_UID_DOMAIN = 'aurorae-haven'
+// Custom properties used to round-trip travel/preparation buffers
+// (node-ical exposes X- properties without the "X-" prefix)
+export const ICS_TRAVEL_TIME_PROPERTY = 'X-AURORAE-TRAVEL-TIME'
+export const ICS_PREPARATION_TIME_PROPERTY = 'X-AURORAE-PREPARATION-TIME'
+export const ICS_BUFFER_PROPERTY = 'X-AURORAE-BUFFER'
+export const ICS_BUFFER_TYPES = EVENT_BUFFER_TYPES
+
+// Version of the stored schedule event schema; older records are migrated on read
+// 1: day/startTime/endTime only, 2: adds timeZone, startsAt/endsAt and recurrence,
+// 3: all-day events store their last day as endDay instead of the day after
+export const SCHEDULE_SCHEMA_VERSION = 3
+
+// Window event dispatched after the schedule repository changes stored events
+export const SCHEDULE_CHANGED_EVENT = 'scheduleChanged'
+
+// Kinds of change reported with SCHEDULE_CHANGED_EVENT
+export const SCHEDULE_CHANGE_TYPES = {
+  CREATED: 'created',
+  UPDATED: 'updated',
+  DELETED: 'deleted',
+  MIGRATED: 'migrated'
+}
@@ -2,7 +2,7 @@
  * Schedule Helpers - Utilities for searching and selecting routines/tasks for scheduling
  *
  * This module provides functions to:
- * - Fetch and filter tasks from localStorage (Eisenhower matrix format)
+ * - Fetch and filter tasks from the task store (Eisenhower matrix format)
  * - Search through routines stored in IndexedDB
  * - Search through routine templates/libraries when no routines found
  * - Sort and prioritize items with Important tasks at the top
@@ -12,6 +12,8 @@
 import { getRoutines, createRoutine } from './routinesManager'
 import { getAllTemplates } from './templatesManager'
 import { getPredefinedTemplates } from './predefinedTemplates'
+import { getTasks } from './tasksManager'
+import { TASK_QUADRANTS } from './taskConstants'
 import { createLogger } from './logger'
 
 const logger = createLogger('ScheduleHelpers')
@@ -54,12 +56,12 @@ function sortItemsByPriority(items) {
 }
 
 /**
- * Get all available tasks from localStorage (Eisenhower matrix format)
+ * Get all available tasks from the task store (Eisenhower matrix format)
  * Tasks are stored in four quadrants based on urgency and importance.
  *
  * @param {Object} [options={}] - Configuration options
  * @param {boolean} [options.includeCompleted=false] - Whether to include completed tasks
- * @returns {Array<Object>} Array of tasks with quadrant information and metadata
+ * @returns {Promise<Array<Object>>} Array of tasks with quadrant information and metadata
  * @returns {string} return[].id - Task ID
  * @returns {string} return[].text - Task text/description
  * @returns {string} return[].quadrant - Quadrant key (e.g., 'urgent_important')
@@ -71,68 +73,28 @@ function sortItemsByPriority(items) {
  *
  * @example
  * // Get only incomplete tasks
- * const tasks = getAllTasks()
+ * const tasks = await getAllTasks()
  *
  * @example
  * // Get all tasks including completed ones
- * const allTasks = getAllTasks({ includeCompleted: true })
+ * const allTasks = await getAllTasks({ includeCompleted: true })
  */
-export function getAllTasks(options = {}) {
+export async function getAllTasks(options = {}) {
   const { includeCompleted = false } = options
 
   try {
-    const tasksStr = localStorage.getItem('aurorae_tasks')
-    if (!tasksStr) return []
-
-    const tasksData = JSON.parse(tasksStr)
-    const allTasks = []
-
-    // Define quadrant priorities and labels
-    const quadrants = [
-      {
-        key: 'urgent_important',
-        label: 'Urgent & Important',
-        priority: 1,
-        isImportant: true
-      },
-      {
-        key: 'not_urgent_important',
-        label: 'Not Urgent & Important',
-        priority: 2,
-        isImportant: true
-      },
-      {
-        key: 'urgent_not_important',
-        label: 'Urgent & Not Important',
-        priority: 3,
-        isImportant: false
-      },
-      {
-        key: 'not_urgent_not_important',
-        label: 'Not Urgent & Not Important',
-        priority: 4,
-        isImportant: false
+    const tasks = await getTasks({ includeCompleted })
+    return tasks.map((task) => {
+      const quadrant = TASK_QUADRANTS.find(({ key }) => key === task.quadrant)
+      return {
+        ...task,
+        quadrant: quadrant.key,
+        quadrantLabel: quadrant.label,
+        priority: quadrant.priority,
+        isImportant: quadrant.isImportant,
+        type: 'task'
       }
-    ]
-
-    // Flatten tasks from all quadrants with metadata
-    for (const quadrant of quadrants) {
-      const tasks = tasksData[quadrant.key] || []
-      tasks.forEach((task) => {
-        if (includeCompleted || !task.completed) {
-          allTasks.push({
-            ...task,
-            quadrant: quadrant.key,
-            quadrantLabel: quadrant.label,
-            priority: quadrant.priority,
-            isImportant: quadrant.isImportant,
-            type: 'task'
-          })
-        }
-      })
-    }
-
-    return allTasks
+    })
   } catch (e) {
     logger.error('Failed to load tasks:', e)
     return []
@@ -315,7 +277,7 @@ export async function searchRoutinesAndTasks(query, eventType = null) {
 
   // Fetch tasks if needed
   if (!eventType || eventType === 'task') {
-    const tasks = getAllTasks()
+    const tasks = await getAllTasks()
     const normalizedQuery = query.toLowerCase().trim()
 
     tasks.forEach((task) => {
@@ -440,7 +402,7 @@ export async function getAllRoutinesAndTasks(eventType = null) {
 
   // Fetch tasks if needed
   if (!eventType || eventType === 'task') {
-    const tasks = getAllTasks()
+    const tasks = await getAllTasks()
     tasks.forEach((task) => {
       items.push({
         id: task.id,
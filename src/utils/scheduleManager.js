@@ -1,17 +1,324 @@
-// Schedule Manager - Feature stub for calendar and time blocking
+// Schedule Manager - Repository for schedule events
+// The only module that reads or writes the SCHEDULE store; EventService and
+// the calendar import/export utilities go through it
 // TODO: Implement full schedule functionality with time blocking
 
-import { put, getAll, getByIndex, deleteById, STORES } from './indexedDBManager'
+import {
+  put,
+  putBatch,
+  getAll,
+  getById,
+  deleteById,
+  STORES
+} from './indexedDBManager'
 import {
   DEFAULT_EVENT_DURATION_MINUTES,
+  RECURRENCE_EDIT_SCOPES,
   BUSINESS_HOURS_START,
   BUSINESS_HOURS_END,
   DEFAULT_TRAVEL_TIME_MINUTES,
-  DEFAULT_PREPARATION_TIME_MINUTES
+  DEFAULT_PREPARATION_TIME_MINUTES,
+  SCHEDULE_SCHEMA_VERSION,
+  SCHEDULE_CHANGED_EVENT,
+  SCHEDULE_CHANGE_TYPES,
+  MINUTES_PER_HOUR,
+  HOURS_PER_DAY
 } from './scheduleConstants'
-import { ISO_DATE_START_INDEX, ISO_DATE_END_INDEX } from './timeConstants'
 import { normalizeEntity, updateMetadata } from './idGenerator'
-import { calculateDuration, addDuration } from './timeUtils'
+import { calculateDuration, timeToMinutes, minutesToTime } from './timeUtils'
+import {
+  isRecurringEvent,
+  normalizeRecurrence,
+  expandEventOccurrences,
+  splitRecurrence,
+  diffInDays,
+  shiftDay
+} from './recurrence'
+import {
+  getDisplayTimeZone,
+  getTodayInTimeZone,
+  getZonedDayTime,
+  isValidTimeZone
+} from './timezone'
+import { getBusyMinutes } from './scheduleBuffers'
+import {
+  getEventInstants,
+  getAllDayInstants,
+  getConflictMap,
+  findConflicts,
+  getEventMinutes
+} from './scheduleConflicts'
+import { createLogger } from './logger'
+
+const logger = createLogger('ScheduleManager')
+
+const MINUTES_PER_DAY = MINUTES_PER_HOUR * HOURS_PER_DAY
+
+// Fields that only exist on expanded occurrences and must never be persisted
+// displayTimeZone marks events whose day/times were projected for display
+const OCCURRENCE_FIELDS = [
+  'isOccurrence',
+  'occurrenceDay',
+  'editScope',
+  'displayTimeZone'
+]
+
+function stripOccurrenceFields(event) {
+  const stored = { ...event }
+  OCCURRENCE_FIELDS.forEach((field) => delete stored[field])
+  return stored
+}
+
+/**
+ * Prepare an event for storage
+ * Times edited in the display time zone are converted back to the event's
+ * own zone, then the zone and UTC instants (startsAt/endsAt) are recorded.
+ * New events without a zone take the display time zone. All-day events float:
+ * their days are kept as entered in every zone.
+ * @param {object} event - Event data
+ * @returns {object} Event with timeZone, startsAt and endsAt
+ */
+function toStoredTimes(event) {
+  const timeZone = isValidTimeZone(event.timeZone)
+    ? event.timeZone
+    : getDisplayTimeZone()
+  const stored = { ...event, timeZone }
+  if (!event.day || !event.startTime) {
+    return stored
+  }
+
+  const inputZone = isValidTimeZone(event.displayTimeZone)
+    ? event.displayTimeZone
+    : timeZone
+  const { start, end } = event.allDay
+    ? getAllDayInstants(event.day, event.endDay, timeZone)
+    : getEventInstants(
+        event.day,
+        event.startTime,
+        event.endTime,
+        inputZone,
+        event.endDay
+      )
+
+  if (inputZone !== timeZone && !event.allDay) {
+    const zonedStart = getZonedDayTime(start, timeZone)
+    const zonedEnd = getZonedDayTime(end, timeZone)
+    stored.day = zonedStart.day
+    stored.startTime = zonedStart.time
+    stored.endTime = zonedEnd.time
+    if (event.endDay) {
+      stored.endDay = zonedEnd.day
+    }
+  }
+  stored.startsAt = start.toISOString()
+  stored.endsAt = end.toISOString()
+  delete stored.displayTimeZone
+  return stored
+}
+
+/**
+ * Project an event's wall-clock fields into the display time zone
+ * Events without a zone or times, and all-day events, are left as is
+ * @param {object} event - Stored event or expanded occurrence
+ * @param {string} displayTimeZone - IANA time zone to display in
+ * @returns {object} Event whose day/startTime/endTime are in the display zone
+ */
+function projectToTimeZone(event, displayTimeZone) {
+  if (!isValidTimeZone(event.timeZone) || !event.day || !event.startTime) {
+    return event
+  }
+  if (event.timeZone === displayTimeZone || event.allDay) {
+    return { ...event, displayTimeZone }
+  }
+
+  const { start, end } = getEventInstants(
+    event.day,
+    event.startTime,
+    event.endTime,
+    event.timeZone,
+    event.endDay
+  )
+  const zonedStart = getZonedDayTime(start, displayTimeZone)
+  const zonedEnd = getZonedDayTime(end, displayTimeZone)
+  return {
+    ...event,
+    day: zonedStart.day,
+    startTime: zonedStart.time,
+    endTime: zonedEnd.time,
+    ...(event.endDay && { endDay: zonedEnd.day }),
+    displayTimeZone
+  }
+}
+
+/**
+ * Bring an event to the current schema
+ * Fills defaults, normalizes the recurrence and records the event's zone and
+ * UTC instants. Used for new, updated and migrated records alike.
+ * @param {object} event - Event data (stored record or editor values)
+ * @returns {object} Event ready to be stored
+ */
+export function normalizeScheduleEvent(event) {
+  return stripOccurrenceFields(
+    toStoredTimes({
+      ...event,
+      type: event.type || 'task', // 'task', 'routine', 'break', 'meeting'
+      duration:
+        event.duration || calculateDuration(event.startTime, event.endTime),
+      travelTime: event.travelTime ?? DEFAULT_TRAVEL_TIME_MINUTES,
+      preparationTime:
+        event.preparationTime ?? DEFAULT_PREPARATION_TIME_MINUTES,
+      allDay: event.allDay || false,
+      // Only multi-day events keep an end day; others end on day (or the
+      // next day when they cross midnight). All-day events end on the last
+      // day they take
+      endDay: event.endDay && event.endDay > event.day ? event.endDay : null,
+      isExternal: event.isExternal || false,
+      externalCalendarId: event.externalCalendarId || null,
+      recurrence: normalizeRecurrence(event.recurrence),
+      exceptions: Array.isArray(event.exceptions) ? event.exceptions : [],
+      schemaVersion: SCHEDULE_SCHEMA_VERSION
+    })
+  )
+}
+
+/**
+ * Move the end of all-day events stored before schema 3 to their last day
+ * Those records kept the exclusive end of calendar files (the day after)
+ * @param {object} record - Stored record
+ * @returns {object} Record with an inclusive end day
+ */
+function upgradeAllDayEnd(record) {
+  if (!record.allDay || !record.endDay || record.schemaVersion >= 3) {
+    return record
+  }
+  return { ...record, endDay: shiftDay(record.endDay, -1) }
+}
+
+/**
+ * Rewrite records stored with an older schema
+ * Records that cannot be normalized are logged and left untouched
+ * @param {Array<object>} records - Outdated records
+ * @returns {Promise<Array<object>>} Migrated records
+ */
+async function migrateRecords(records) {
+  const migrated = []
+  for (const record of records) {
+    try {
+      migrated.push(normalizeScheduleEvent(upgradeAllDayEnd(record)))
+    } catch (error) {
+      logger.warn('Cannot migrate schedule event:', record.id, error)
+    }
+  }
+  await putBatch(STORES.SCHEDULE, migrated)
+  return migrated
+}
+
+/**
+ * Load every stored event, migrating outdated records on the way
+ * Records can arrive in an old shape at any time (backup imports, the
+ * localStorage migration), so the check runs on each load
+ * @returns {Promise<Array<object>>} Stored events in the current schema
+ */
+async function loadStoredEvents() {
+  const records = await getAll(STORES.SCHEDULE)
+  const outdated = records.filter(
+    (record) => record.schemaVersion !== SCHEDULE_SCHEMA_VERSION
+  )
+  if (outdated.length === 0) {
+    return records
+  }
+
+  const migrated = new Map(
+    (await migrateRecords(outdated)).map((event) => [event.id, event])
+  )
+  return records.map((record) => migrated.get(record.id) || record)
+}
+
+/**
+ * Migrate all stored events to the current schema
+ * @returns {Promise<number>} Number of records migrated
+ */
+export async function migrateScheduleEvents() {
+  const records = await getAll(STORES.SCHEDULE)
+  const migrated = await migrateRecords(
+    records.filter((record) => record.schemaVersion !== SCHEDULE_SCHEMA_VERSION)
+  )
+  return migrated.length
+}
+
+/**
+ * Tell subscribers that stored events changed
+ * @param {string} type - One of SCHEDULE_CHANGE_TYPES
+ * @param {Array<number|string>} ids - IDs of the affected events
+ */
+function notifyScheduleChange(type, ids) {
+  if (typeof window === 'undefined' || ids.length === 0) {
+    return
+  }
+  window.dispatchEvent(
+    new CustomEvent(SCHEDULE_CHANGED_EVENT, { detail: { type, ids } })
+  )
+}
+
+/**
+ * Subscribe to changes of stored schedule events
+ * @param {function({type: string, ids: Array}): void} listener - Called after each change
+ * @returns {function(): void} Unsubscribe function
+ */
+export function subscribeToScheduleChanges(listener) {
+  if (typeof window === 'undefined') {
+    return () => {}
+  }
+  const handleChange = (e) => listener(e.detail)
+  window.addEventListener(SCHEDULE_CHANGED_EVENT, handleChange)
+  return () => window.removeEventListener(SCHEDULE_CHANGED_EVENT, handleChange)
+}
+
+/**
+ * Get stored events and occurrences touching a range of stored days
+ * Multi-day events that start before the range are included
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day (YYYY-MM-DD)
+ * @returns {Promise<Array>} Events in their own time zone
+ */
+async function getStoredEventsInRange(from, to) {
+  const allEvents = await loadStoredEvents()
+
+  const singleEvents = allEvents.filter(
+    (event) =>
+      !isRecurringEvent(event) &&
+      event.day <= to &&
+      (event.endDay || event.day) >= from
+  )
+  const occurrences = allEvents
+    .filter((event) => isRecurringEvent(event) && event.day <= to)
+    .flatMap((event) => expandEventOccurrences(event, from, to))
+
+  return [...singleEvents, ...occurrences]
+}
+
+/**
+ * Get events and occurrences whose display days overlap a range
+ * Stored days are in each event's own zone and can differ from the display
+ * day by one, so one extra day is loaded on each side before projecting.
+ * @param {string} startDate - First display day (YYYY-MM-DD)
+ * @param {string} endDate - Last display day (YYYY-MM-DD)
+ * @returns {Promise<Array>} Projected events
+ */
+async function getProjectedEvents(startDate, endDate) {
+  const displayTimeZone = getDisplayTimeZone()
+  const events = await getStoredEventsInRange(
+    shiftDay(startDate, -1),
+    shiftDay(endDate, 1)
+  )
+
+  return events
+    .map((event) => projectToTimeZone(event, displayTimeZone))
+    .filter(
+      (event) =>
+        event.day <= endDate && (event.endDay || event.day) >= startDate
+    )
+}
 
 /**
  * Create a schedule event
@@ -25,66 +332,62 @@ import { calculateDuration, addDuration } from './timeUtils'
  * @param {number} [event.preparationTime] - Preparation time in minutes (optional)
  * @param {boolean} [event.isExternal] - Whether this is an external calendar event (optional)
  * @param {string} [event.externalCalendarId] - ID of external calendar source (optional)
+ * @param {string} [event.timeZone] - IANA zone of day/startTime/endTime (defaults to the display zone)
+ * @param {boolean} [event.allDay] - Whether the event takes whole days (optional)
+ * @param {string} [event.endDay] - Day a multi-day event ends on; for all-day events its last day (YYYY-MM-DD, optional)
+ * @param {object|string} [event.recurrence] - Recurrence editor values or raw RRULE (optional)
+ * @param {Array<string>} [event.exceptions] - Days excluded from the recurrence (optional)
  * @returns {Promise<number>} Event ID
  */
 export async function createEvent(event) {
   // TODO: Implement event validation and conflict detection
-  const newEvent = normalizeEntity({
-    ...event,
-    type: event.type || 'task', // 'task', 'routine', 'break', 'meeting'
-    day:
-      event.day ||
-      new Date().toISOString().slice(ISO_DATE_START_INDEX, ISO_DATE_END_INDEX),
-    startTime: event.startTime,
-    endTime: event.endTime,
-    duration:
-      event.duration || calculateDuration(event.startTime, event.endTime),
-    travelTime: event.travelTime ?? DEFAULT_TRAVEL_TIME_MINUTES,
-    preparationTime: event.preparationTime ?? DEFAULT_PREPARATION_TIME_MINUTES,
-    isExternal: event.isExternal || false,
-    externalCalendarId: event.externalCalendarId || null
-  })
-  return await put(STORES.SCHEDULE, newEvent)
+  const newEvent = normalizeScheduleEvent(
+    normalizeEntity({
+      ...event,
+      day:
+        event.day ||
+        getTodayInTimeZone(event.displayTimeZone || event.timeZone || undefined)
+    })
+  )
+  const id = await put(STORES.SCHEDULE, newEvent)
+  notifyScheduleChange(SCHEDULE_CHANGE_TYPES.CREATED, [id])
+  return id
 }
 
 /**
  * Get events for a specific day
- * @param {string} day - ISO date string (YYYY-MM-DD)
+ * Recurring events are expanded into their occurrence on that day, and all
+ * events are shown in the display time zone
+ * @param {string} day - ISO date string (YYYY-MM-DD) in the display time zone
  * @returns {Promise<Array>} Array of events
  */
 export async function getEventsForDay(day) {
   // TODO: Implement sorting by start time
-  return await getByIndex(STORES.SCHEDULE, 'day', day)
+  return await getProjectedEvents(day, day)
 }
 
 /**
  * Get events for date range
- * @param {string} startDate - Start date (YYYY-MM-DD)
- * @param {string} endDate - End date (YYYY-MM-DD)
+ * Recurring events are expanded lazily: only occurrences inside the range are built
+ * @param {string} startDate - Start date (YYYY-MM-DD) in the display time zone
+ * @param {string} endDate - End date (YYYY-MM-DD) in the display time zone
  * @returns {Promise<Array>} Array of events
  */
 export async function getEventsForRange(startDate, endDate) {
   // TODO: Implement efficient date range query
-  const allEvents = await getAll(STORES.SCHEDULE)
-  return allEvents.filter(
-    (event) => event.day >= startDate && event.day <= endDate
-  )
+  return await getProjectedEvents(startDate, endDate)
 }
 
 /**
- * Get events for current week
+ * Get events for the week containing a day
+ * Weeks start on Monday (ISO 8601), like the Schedule week view
+ * @param {string} [referenceDay] - Day within the week (defaults to today in the display time zone)
  * @returns {Promise<Array>} Array of events
  */
-export async function getEventsForWeek() {
-  // TODO: Implement week calculation
-  const today = new Date()
-  const startOfWeek = new Date(today)
-  startOfWeek.setDate(today.getDate() - today.getDay())
-  const endOfWeek = new Date(startOfWeek)
-  endOfWeek.setDate(startOfWeek.getDate() + 6)
-
-  const startDate = startOfWeek.toISOString().split('T')[0]
-  const endDate = endOfWeek.toISOString().split('T')[0]
+export async function getEventsForWeek(referenceDay = getTodayInTimeZone()) {
+  const weekday = (new Date(`${referenceDay}T00:00:00Z`).getUTCDay() + 6) % 7
+  const startDate = shiftDay(referenceDay, -weekday)
+  const endDate = shiftDay(startDate, 6)
 
   return await getEventsForRange(startDate, endDate)
 }
@@ -96,14 +399,132 @@ export async function getEventsForWeek() {
  */
 export async function updateEvent(event) {
   // TODO: Add conflict detection and validation
-  const updated = updateMetadata({
-    ...event,
-    duration:
-      event.duration || calculateDuration(event.startTime, event.endTime),
-    travelTime: event.travelTime ?? DEFAULT_TRAVEL_TIME_MINUTES,
-    preparationTime: event.preparationTime ?? DEFAULT_PREPARATION_TIME_MINUTES
-  })
-  return await put(STORES.SCHEDULE, updated)
+  if (event.isOccurrence) {
+    throw new Error(
+      'Cannot update a recurring occurrence directly, use updateRecurringEvent'
+    )
+  }
+  const id = await put(
+    STORES.SCHEDULE,
+    updateMetadata(normalizeScheduleEvent(event))
+  )
+  notifyScheduleChange(SCHEDULE_CHANGE_TYPES.UPDATED, [id])
+  return id
+}
+
+/**
+ * Load the master event of a recurring series
+ * @param {number} seriesId - Master event ID
+ * @returns {Promise<object>} Master event
+ * @throws {Error} If the master event does not exist or is not recurring
+ */
+async function getSeriesMaster(seriesId) {
+  const master = await getById(STORES.SCHEDULE, seriesId)
+  if (!master || !isRecurringEvent(master)) {
+    throw new Error('Recurring event not found')
+  }
+  return master
+}
+
+/**
+ * Update one occurrence of a recurring event
+ * - 'this': the occurrence is detached into a standalone event and excluded from the series
+ * - 'following': the series ends before the occurrence and a new series starts with the edits
+ * - 'all': the edits are applied to the whole series (day changes shift the series start)
+ * @param {object} occurrence - Edited occurrence (must carry recurringEventId and occurrenceDay)
+ * @param {string} scope - One of RECURRENCE_EDIT_SCOPES
+ * @returns {Promise<number>} ID of the event that now holds the edits
+ */
+export async function updateRecurringEvent(occurrence, scope) {
+  const master = await getSeriesMaster(occurrence.recurringEventId)
+  const { occurrenceDay } = occurrence
+  if (!occurrenceDay) {
+    throw new Error('Occurrence day is required to update a recurring event')
+  }
+
+  // Strip identity fields so the edits can be re-applied to other records.
+  // Times are converted back to the series' zone so day shifts line up with
+  // occurrenceDay, which is always expressed in that zone
+  const edits = stripOccurrenceFields(
+    toStoredTimes({ ...occurrence, timeZone: master.timeZone })
+  )
+  delete edits.id
+  delete edits.recurringEventId
+  delete edits.exceptions
+
+  switch (scope) {
+    case RECURRENCE_EDIT_SCOPES.THIS: {
+      await updateEvent({
+        ...master,
+        exceptions: [...new Set([...(master.exceptions || []), occurrenceDay])]
+      })
+      return await createEvent({
+        ...master,
+        ...edits,
+        id: undefined,
+        recurrence: null,
+        exceptions: [],
+        recurringEventId: master.id,
+        originalDay: occurrenceDay
+      })
+    }
+    case RECURRENCE_EDIT_SCOPES.FOLLOWING: {
+      if (occurrenceDay <= master.day) {
+        return await updateRecurringEvent(
+          occurrence,
+          RECURRENCE_EDIT_SCOPES.ALL
+        )
+      }
+      const { before, after } = splitRecurrence(
+        master.recurrence,
+        master.day,
+        occurrenceDay
+      )
+      if (before) {
+        await updateEvent({
+          ...master,
+          recurrence: before,
+          exceptions: (master.exceptions || []).filter(
+            (day) => day < occurrenceDay
+          )
+        })
+      } else {
+        await deleteEvent(master.id)
+      }
+      // Keep the remaining COUNT/UNTIL unless the rule itself was edited
+      const editedRecurrence = normalizeRecurrence(edits.recurrence)
+      const ruleChanged =
+        'recurrence' in edits &&
+        editedRecurrence?.rrule !== master.recurrence.rrule
+      const dayShift = diffInDays(occurrenceDay, edits.day || occurrenceDay)
+      return await createEvent({
+        ...master,
+        ...edits,
+        id: undefined,
+        day: edits.day || occurrenceDay,
+        recurrence: ruleChanged ? editedRecurrence : after,
+        exceptions: (master.exceptions || [])
+          .filter((day) => day >= occurrenceDay)
+          .map((day) => shiftDay(day, dayShift))
+      })
+    }
+    case RECURRENCE_EDIT_SCOPES.ALL: {
+      const dayShift = diffInDays(occurrenceDay, edits.day || occurrenceDay)
+      return await updateEvent({
+        ...master,
+        ...edits,
+        id: master.id,
+        day: shiftDay(master.day, dayShift),
+        recurrence:
+          'recurrence' in edits ? edits.recurrence : master.recurrence,
+        exceptions: (master.exceptions || []).map((day) =>
+          shiftDay(day, dayShift)
+        )
+      })
+    }
+    default:
+      throw new Error(`Invalid recurrence edit scope: ${scope}`)
+  }
 }
 
 /**
@@ -112,73 +533,249 @@ export async function updateEvent(event) {
  * @returns {Promise<void>}
  */
 export async function deleteEvent(id) {
-  // TODO: Add confirmation for recurring events
-  return await deleteById(STORES.SCHEDULE, id)
+  await deleteById(STORES.SCHEDULE, id)
+  notifyScheduleChange(SCHEDULE_CHANGE_TYPES.DELETED, [id])
+}
+
+/**
+ * Delete several events with a single change notification
+ * Deletions are independent: one failure does not stop the others
+ * @param {Array<number|string>} ids - Event IDs
+ * @returns {Promise<number>} Number of events deleted
+ */
+export async function deleteEvents(ids) {
+  const results = await Promise.allSettled(
+    ids.map((id) => deleteById(STORES.SCHEDULE, id))
+  )
+  const deleted = ids.filter(
+    (_, index) => results[index].status === 'fulfilled'
+  )
+  notifyScheduleChange(SCHEDULE_CHANGE_TYPES.DELETED, deleted)
+  return deleted.length
 }
 
 /**
- * Move event to different day/time
+ * Get every stored event without expanding recurrences or projecting times
+ * (use sparingly, prefer the day and range queries)
+ * @returns {Promise<Array>} Stored events
+ */
+export async function getAllEvents() {
+  return await loadStoredEvents()
+}
+
+/**
+ * Delete one occurrence of a recurring event
+ * - 'this': the occurrence day is added to the series exceptions
+ * - 'following': the series ends before the occurrence
+ * - 'all': the series and its detached occurrences are deleted
+ * @param {object} occurrence - Occurrence (must carry recurringEventId and occurrenceDay)
+ * @param {string} scope - One of RECURRENCE_EDIT_SCOPES
+ * @returns {Promise<void>}
+ */
+export async function deleteRecurringEvent(occurrence, scope) {
+  const master = await getSeriesMaster(occurrence.recurringEventId)
+  const { occurrenceDay } = occurrence
+
+  switch (scope) {
+    case RECURRENCE_EDIT_SCOPES.THIS:
+      await updateEvent({
+        ...master,
+        exceptions: [...new Set([...(master.exceptions || []), occurrenceDay])]
+      })
+      return
+    case RECURRENCE_EDIT_SCOPES.FOLLOWING: {
+      const { before } = splitRecurrence(
+        master.recurrence,
+        master.day,
+        occurrenceDay
+      )
+      if (before) {
+        await updateEvent({
+          ...master,
+          recurrence: before,
+          exceptions: (master.exceptions || []).filter(
+            (day) => day < occurrenceDay
+          )
+        })
+        return
+      }
+      return await deleteRecurringEvent(occurrence, RECURRENCE_EDIT_SCOPES.ALL)
+    }
+    case RECURRENCE_EDIT_SCOPES.ALL: {
+      const allEvents = await loadStoredEvents()
+      const detached = allEvents.filter(
+        (event) => event.recurringEventId === master.id
+      )
+      await deleteEvents([...detached.map((event) => event.id), master.id])
+      return
+    }
+    default:
+      throw new Error(`Invalid recurrence edit scope: ${scope}`)
+  }
+}
+
+/**
+ * Move or resize an event
+ * The new day and times are picked in the display time zone. Without a new
+ * end time the end moves as far as the start, so overnight and multi-day
+ * events keep their length.
  * @param {number} id - Event ID
  * @param {string} newDay - New day (YYYY-MM-DD)
  * @param {string} newStartTime - New start time (HH:MM)
+ * @param {string} [newEndTime] - New end time (HH:MM), to resize the event
  * @returns {Promise<object>} Updated event
+ * @throws {Error} If the event does not exist or belongs to a subscribed calendar
  */
-export async function moveEvent(id, newDay, newStartTime) {
-  // TODO: Implement drag-and-drop logic with conflict detection
-  const events = await getAll(STORES.SCHEDULE)
-  const event = events.find((e) => e.id === id)
+export async function moveEvent(id, newDay, newStartTime, newEndTime = null) {
+  const event = await getById(STORES.SCHEDULE, id)
 
   if (!event) {
     throw new Error('Event not found')
   }
+  if (event.isExternal) {
+    throw new Error('Events from subscribed calendars are read-only')
+  }
 
-  const duration = event.duration || DEFAULT_EVENT_DURATION_MINUTES
-  const newEndTime = addDuration(newStartTime, duration)
+  const displayTimeZone = getDisplayTimeZone()
+  let endTime = newEndTime
+  let endDay = null
+  if (!newEndTime) {
+    // Minutes from the shown day's midnight, past midnight for later end days
+    const shown = projectToTimeZone(event, displayTimeZone)
+    const { eventStart, end } = getBusyMinutes(shown)
+    const shownEnd = shown.endDay
+      ? diffInDays(shown.day, shown.endDay) * MINUTES_PER_DAY +
+        timeToMinutes(shown.endTime)
+      : end
+    const newEnd =
+      diffInDays(shown.day, newDay) * MINUTES_PER_DAY +
+      timeToMinutes(newStartTime) +
+      (shownEnd - eventStart)
+    endTime = minutesToTime(
+      ((newEnd % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY
+    )
+    if (shown.endDay) {
+      endDay = shiftDay(shown.day, Math.floor(newEnd / MINUTES_PER_DAY))
+    }
+  }
 
-  const updated = updateMetadata({
-    ...event,
-    day: newDay,
-    startTime: newStartTime,
-    endTime: newEndTime
-  })
+  const updated = updateMetadata(
+    normalizeScheduleEvent({
+      ...event,
+      day: newDay,
+      startTime: newStartTime,
+      endTime,
+      endDay,
+      displayTimeZone
+    })
+  )
 
   await put(STORES.SCHEDULE, updated)
+  notifyScheduleChange(SCHEDULE_CHANGE_TYPES.UPDATED, [id])
   return updated
 }
 
 /**
- * Check for scheduling conflicts
+ * Undo a 'this' edit of a recurring occurrence
+ * The detached event is deleted and its day is handed back to the series
+ * @param {number} id - ID of the detached event (as returned by updateRecurringEvent)
+ * @returns {Promise<void>}
+ * @throws {Error} If the event is not a detached occurrence
+ */
+export async function reattachOccurrence(id) {
+  const detached = await getById(STORES.SCHEDULE, id)
+  if (!detached?.recurringEventId || !detached.originalDay) {
+    throw new Error('Detached occurrence not found')
+  }
+
+  const master = await getSeriesMaster(detached.recurringEventId)
+  await updateEvent({
+    ...master,
+    exceptions: (master.exceptions || []).filter(
+      (day) => day !== detached.originalDay
+    )
+  })
+  await deleteEvent(id)
+}
+
+/**
+ * Find the stored events an event or draft overlaps
+ * Compares absolute time, so events crossing midnight, multi-day and all-day
+ * events, external calendar events and buffers on either side all count.
+ * Two days are loaded on each side to cover zone differences, overnight
+ * events and buffers reaching into the previous day.
+ * @param {object} event - Event or draft (day/startTime/endTime in its displayTimeZone or timeZone, else the display zone)
+ * @returns {Promise<Array>} Conflicting events in the display time zone, earliest first
+ */
+export async function findEventConflicts(event) {
+  const displayTimeZone = getDisplayTimeZone()
+  const events = await getStoredEventsInRange(
+    shiftDay(event.day, -2),
+    shiftDay(event.endDay || event.day, 2)
+  )
+  return findConflicts(event, events).map((conflict) =>
+    projectToTimeZone(conflict, displayTimeZone)
+  )
+}
+
+/**
+ * Get the conflicts of every event whose display day falls in a range
+ * @param {string} startDate - First display day (YYYY-MM-DD)
+ * @param {string} endDate - Last display day (YYYY-MM-DD)
+ * @returns {Promise<object>} Conflicting events (display zone) keyed by event key, see getEventKey
+ */
+export async function getConflictsForRange(startDate, endDate) {
+  const displayTimeZone = getDisplayTimeZone()
+  const events = await getStoredEventsInRange(
+    shiftDay(startDate, -2),
+    shiftDay(endDate, 2)
+  )
+  const conflicts = {}
+  for (const [key, others] of getConflictMap(events)) {
+    conflicts[key] = others.map((other) =>
+      projectToTimeZone(other, displayTimeZone)
+    )
+  }
+  return conflicts
+}
+
+/**
+ * Check for scheduling conflicts of a time range in the display time zone
+ * Travel and preparation buffers count as busy time, both for the range being
+ * checked and for the events it is compared with
  * @param {string} day - Day to check (YYYY-MM-DD)
  * @param {string} startTime - Start time (HH:MM)
- * @param {string} endTime - End time (HH:MM)
+ * @param {string} endTime - End time (HH:MM, before startTime for overnight ranges)
  * @param {number} excludeEventId - Event ID to exclude from check
+ * @param {object} [buffers] - Buffers in front of the range being checked
+ * @param {number} [buffers.travelTime] - Travel time in minutes
+ * @param {number} [buffers.preparationTime] - Preparation time in minutes
  * @returns {Promise<Array>} Array of conflicting events
  */
 export async function checkConflicts(
   day,
   startTime,
   endTime,
-  excludeEventId = null
+  excludeEventId = null,
+  buffers = {}
 ) {
-  // TODO: Implement comprehensive conflict detection
-  const events = await getEventsForDay(day)
-
-  return events.filter((event) => {
-    if (excludeEventId && event.id === excludeEventId) {
-      return false
-    }
-
-    // Check if times overlap
-    return (
-      (startTime >= event.startTime && startTime < event.endTime) ||
-      (endTime > event.startTime && endTime <= event.endTime) ||
-      (startTime <= event.startTime && endTime >= event.endTime)
-    )
+  const conflicts = await findEventConflicts({
+    day,
+    startTime,
+    endTime,
+    ...buffers
   })
+  return conflicts.filter(
+    (event) => !excludeEventId || event.id !== excludeEventId
+  )
 }
 
 /**
  * Get available time slots for a day
+ * Events block the time of their travel and preparation buffers as well.
+ * Events from the day before that run past midnight, and buffers of early
+ * events the next day, block the part that falls on this day. All-day
+ * events do not block time.
  * @param {string} day - Day (YYYY-MM-DD)
  * @param {number} duration - Minimum duration needed (minutes)
  * @returns {Promise<Array>} Array of available slots
@@ -188,39 +785,47 @@ export async function getAvailableSlots(
   duration = DEFAULT_EVENT_DURATION_MINUTES
 ) {
   // TODO: Implement slot calculation with business hours
-  const events = await getEventsForDay(day)
+  const events = await getProjectedEvents(shiftDay(day, -1), shiftDay(day, 1))
   const slots = []
 
-  // Simple implementation: find gaps between events
-  const sortedEvents = events.sort((a, b) =>
-    a.startTime.localeCompare(b.startTime)
-  )
+  // Busy minutes measured from this day's midnight
+  const busyRanges = events
+    .filter((event) => !event.allDay)
+    .map((event) => {
+      const offset = diffInDays(day, event.day) * MINUTES_PER_DAY
+      const busy = getBusyMinutes(event)
+      const extraDays = event.endDay ? diffInDays(event.day, event.endDay) : 0
+      return {
+        start: busy.start + offset,
+        end: busy.end + offset + extraDays * MINUTES_PER_DAY
+      }
+    })
+    .filter((busy) => busy.end > 0 && busy.start < MINUTES_PER_DAY)
+    .sort((a, b) => a.start - b.start)
 
-  let currentTime = BUSINESS_HOURS_START
-  const endOfDay = BUSINESS_HOURS_END
+  let currentMinutes = timeToMinutes(BUSINESS_HOURS_START)
+  const endOfDay = timeToMinutes(BUSINESS_HOURS_END)
 
-  for (const event of sortedEvents) {
-    const gapDuration = calculateDuration(currentTime, event.startTime)
+  const addSlot = (from, to) => {
+    const gapDuration = Math.min(to, endOfDay) - from
     if (gapDuration >= duration) {
       slots.push({
-        startTime: currentTime,
-        endTime: event.startTime,
+        startTime: minutesToTime(from),
+        endTime: minutesToTime(from + gapDuration),
         duration: gapDuration
       })
     }
-    currentTime = event.endTime
   }
 
-  // Check remaining time at end of day
-  const finalGap = calculateDuration(currentTime, endOfDay)
-  if (finalGap >= duration) {
-    slots.push({
-      startTime: currentTime,
-      endTime: endOfDay,
-      duration: finalGap
-    })
+  for (const busy of busyRanges) {
+    addSlot(currentMinutes, busy.start)
+    // Overlapping events must not move the cursor backwards
+    currentMinutes = Math.max(currentMinutes, busy.end)
   }
 
+  // Check remaining time at end of day
+  addSlot(currentMinutes, endOfDay)
+
   return slots
 }
 
@@ -230,11 +835,13 @@ export async function getAvailableSlots(
  */
 export async function getTodaySummary() {
   // TODO: Implement comprehensive summary
-  const today = new Date().toISOString().split('T')[0]
+  // "Today" is the current date in the display time zone, not in UTC
+  const today = getTodayInTimeZone()
   const events = await getEventsForDay(today)
 
+  // Measured from start and end, since stored durations go stale on edits
   const totalDuration = events.reduce(
-    (sum, event) => sum + (event.duration || 0),
+    (sum, event) => sum + getEventMinutes(event),
     0
   )
   const byType = events.reduce((acc, event) => {
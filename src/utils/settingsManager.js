@@ -1,6 +1,14 @@
 // Settings Manager - Feature stub for app configuration
 // TODO: Implement full settings management with validation
 import { tryCatch } from './errorHandler'
+import {
+  DEFAULT_ENERGY_WINDOWS,
+  DEFAULT_DAILY_CAPACITY_MINUTES
+} from './scheduleConstants'
+import {
+  DEFAULT_PROMOTE_WITHIN_DAYS,
+  DEFAULT_ARCHIVE_AFTER_DAYS
+} from './taskConstants'
 
 const SETTINGS_KEY = 'aurorae_settings'
 
@@ -36,7 +44,16 @@ const DEFAULT_SETTINGS = {
     debugMode: false
   },
   schedule: {
-    use24HourFormat: true // Default to 24-hour format (neurodivergent-friendly, clearer)
+    use24HourFormat: true, // Default to 24-hour format (neurodivergent-friendly, clearer)
+    timeZone: null, // IANA zone the schedule is shown in; null follows the device
+    energyWindows: DEFAULT_ENERGY_WINDOWS, // Used by "Plan my day"
+    dailyCapacityMinutes: DEFAULT_DAILY_CAPACITY_MINUTES // Overcommitment threshold
+  },
+  tasks: {
+    autoPromote: false, // Move "Schedule" tasks to "Do First" as their due date nears
+    promoteWithinDays: DEFAULT_PROMOTE_WITHIN_DAYS, // Days before the due date
+    autoArchive: true, // Move completed tasks to the archive
+    archiveAfterDays: DEFAULT_ARCHIVE_AFTER_DAYS // Days after completion
   }
 }
 
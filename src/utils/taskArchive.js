@@ -0,0 +1,85 @@
+/**
+ * Task Archive
+ * Decides when completed tasks move out of the matrix into the archive and
+ * filters the archive by text, quadrant and completion day. Completion days
+ * are read in the display time zone, like due dates.
+ */
+
+import { DEFAULT_ARCHIVE_AFTER_DAYS } from './taskConstants'
+import { getTodayInTimeZone } from './timezone'
+import { shiftDay } from './recurrence'
+import { getSettings } from './settingsManager'
+
+/**
+ * Get the auto-archive settings
+ * @param {object} [settings] - App settings (defaults to the stored settings)
+ * @returns {{enabled: boolean, afterDays: number}} Whether completed tasks are archived, and how many days after completion
+ */
+export function getTaskArchiveSettings(settings = getSettings()) {
+  const afterDays = settings.tasks?.archiveAfterDays
+  return {
+    enabled: settings.tasks?.autoArchive !== false,
+    afterDays:
+      Number.isInteger(afterDays) && afterDays >= 0
+        ? afterDays
+        : DEFAULT_ARCHIVE_AFTER_DAYS
+  }
+}
+
+/**
+ * Get the day a task was completed
+ * @param {object} task - Task
+ * @returns {string|null} Day (YYYY-MM-DD) or null for open tasks
+ */
+export function getCompletionDay(task) {
+  if (!task.completed || !Number.isFinite(task.completedAt)) return null
+  return getTodayInTimeZone(undefined, new Date(task.completedAt))
+}
+
+/**
+ * Check whether a completed task has stayed in the matrix long enough
+ * Counts whole days, so with 1 a task completed yesterday is archived today
+ * @param {object} task - Task
+ * @param {string} today - Today (YYYY-MM-DD)
+ * @param {number} afterDays - Days after completion
+ * @returns {boolean} Whether to archive the task
+ */
+export function shouldArchiveTask(task, today, afterDays) {
+  const completionDay = getCompletionDay(task)
+  return (
+    !task.archivedAt &&
+    Boolean(completionDay) &&
+    completionDay <= shiftDay(today, -afterDays)
+  )
+}
+
+/**
+ * Filter archived tasks
+ * @param {Array<object>} tasks - Archived tasks
+ * @param {object} [filters={}]
+ * @param {string} [filters.query] - Text to find in the task text or its steps
+ * @param {string} [filters.quadrant] - Quadrant key
+ * @param {string} [filters.from] - First completion day (YYYY-MM-DD)
+ * @param {string} [filters.to] - Last completion day (YYYY-MM-DD)
+ * @returns {Array<object>} Matching tasks, most recently completed first
+ */
+export function filterArchivedTasks(
+  tasks,
+  { query = '', quadrant = null, from = null, to = null } = {}
+) {
+  const needle = query.trim().toLowerCase()
+  return tasks
+    .filter((task) => {
+      const day = getCompletionDay(task)
+      return (
+        (!quadrant || task.quadrant === quadrant) &&
+        (!from || (day && day >= from)) &&
+        (!to || (day && day <= to)) &&
+        (!needle ||
+          [task.text, ...(task.subtasks || []).map((s) => s.text)].some(
+            (text) => text.toLowerCase().includes(needle)
+          ))
+      )
+    })
+    .sort((a, b) => (b.completedAt || 0) - (a.completedAt || 0))
+}
@@ -0,0 +1,179 @@
+/**
+ * Task Bulk Actions
+ * Actions on several selected tasks at once: complete, delete, move, set a
+ * due date, add a tag and send to the schedule. Each action keeps the tasks
+ * as they were saved before the change and returns an undo that puts them
+ * back (and removes anything the action created) in a single step.
+ */
+
+import {
+  getTask,
+  updateTasks,
+  deleteTasks,
+  setTaskCompleted,
+  restoreTaskSnapshots
+} from './tasksManager'
+import { finishTaskTimeWithUndo } from './taskTimeTracking'
+import { normalizeTag } from './taskTags'
+import { planDay } from './autoScheduler'
+import { createEvent, deleteEvents } from './scheduleManager'
+import { EVENT_TYPES } from './scheduleConstants'
+import { TASK_QUADRANTS } from './taskConstants'
+import { createLogger } from './logger'
+
+const logger = createLogger('TaskBulkActions')
+
+const describeCount = (count) => `${count} task${count === 1 ? '' : 's'}`
+
+async function takeSnapshots(ids) {
+  return (await Promise.all(ids.map(getTask))).filter(Boolean)
+}
+
+/**
+ * Complete the open tasks among the selected ones
+ * Timers stop and repeating tasks get their next instance, as when a single
+ * task is checked off; undo removes those instances and the time records
+ * saved again
+ * @param {Array<string>} ids - Task IDs
+ * @param {number} [completedAt] - Completion time (epoch ms)
+ * @returns {Promise<{message: string, undo: function(): Promise<void>}>} Result
+ */
+export async function bulkCompleteTasks(ids, completedAt = Date.now()) {
+  const snapshots = (await takeSnapshots(ids)).filter((task) => !task.completed)
+  const createdIds = []
+  const timeUndos = []
+  for (const task of snapshots) {
+    const { undo } = await finishTaskTimeWithUndo(task.id, completedAt)
+    timeUndos.push(undo)
+    const { next } = await setTaskCompleted(task.id, true, completedAt)
+    if (next) createdIds.push(next.id)
+  }
+  logger.log(`Completed ${snapshots.length} tasks`)
+  return {
+    message: `Completed ${describeCount(snapshots.length)}`,
+    undo: async () => {
+      for (const undo of timeUndos) {
+        await undo()
+      }
+      await restoreTaskSnapshots(snapshots, createdIds)
+    }
+  }
+}
+
+/**
+ * Delete the selected tasks
+ * @param {Array<string>} ids - Task IDs
+ * @returns {Promise<{message: string, undo: function(): Promise<void>}>} Result
+ */
+export async function bulkDeleteTasks(ids) {
+  const snapshots = await takeSnapshots(ids)
+  await deleteTasks(snapshots.map((task) => task.id))
+  logger.log(`Deleted ${snapshots.length} tasks`)
+  return {
+    message: `Deleted ${describeCount(snapshots.length)}`,
+    undo: () => restoreTaskSnapshots(snapshots)
+  }
+}
+
+/**
+ * Move the selected tasks to the end of a quadrant
+ * @param {Array<string>} ids - Task IDs
+ * @param {string} quadrant - Quadrant key
+ * @returns {Promise<{message: string, undo: function(): Promise<void>}>} Result
+ */
+export async function bulkMoveTasks(ids, quadrant) {
+  const target = TASK_QUADRANTS.find(({ key }) => key === quadrant)
+  if (!target) {
+    throw new Error(`Unknown quadrant: ${quadrant}`)
+  }
+  const snapshots = (await takeSnapshots(ids)).filter(
+    (task) => task.quadrant !== quadrant
+  )
+  await updateTasks(
+    snapshots.map((task) => task.id),
+    () => ({ quadrant })
+  )
+  return {
+    message: `Moved ${describeCount(snapshots.length)} to ${target.label}`,
+    undo: () => restoreTaskSnapshots(snapshots)
+  }
+}
+
+/**
+ * Set or clear the due date of the selected tasks
+ * @param {Array<string>} ids - Task IDs
+ * @param {string|null} dueDate - Due day (YYYY-MM-DD) or null to clear
+ * @param {string|null} [dueTime] - Due time (HH:MM)
+ * @returns {Promise<{message: string, undo: function(): Promise<void>}>} Result
+ */
+export async function bulkSetDueDate(ids, dueDate, dueTime = null) {
+  const snapshots = await takeSnapshots(ids)
+  await updateTasks(
+    snapshots.map((task) => task.id),
+    () => ({ dueDate: dueDate || null, dueTime: dueDate ? dueTime : null })
+  )
+  return {
+    message: dueDate
+      ? `Set the due date of ${describeCount(snapshots.length)}`
+      : `Cleared the due date of ${describeCount(snapshots.length)}`,
+    undo: () => restoreTaskSnapshots(snapshots)
+  }
+}
+
+/**
+ * Add a tag to the selected tasks that do not have it yet
+ * @param {Array<string>} ids - Task IDs
+ * @param {string} tag - Tag, with or without a leading #
+ * @returns {Promise<{message: string, undo: function(): Promise<void>}>} Result
+ */
+export async function bulkAddTag(ids, tag) {
+  const name = normalizeTag(tag)
+  if (!name) {
+    throw new Error('Tag is required')
+  }
+  const snapshots = (await takeSnapshots(ids)).filter(
+    (task) => !(task.tags || []).includes(name)
+  )
+  await updateTasks(
+    snapshots.map((task) => task.id),
+    (task) => ({ tags: [...(task.tags || []), name] })
+  )
+  return {
+    message: `Tagged ${describeCount(snapshots.length)} with #${name}`,
+    undo: () => restoreTaskSnapshots(snapshots)
+  }
+}
+
+/**
+ * Put the selected tasks into the free time of a day
+ * Uses the "Plan my day" placement; tasks that do not fit are left out
+ * @param {Array<string>} ids - Task IDs
+ * @param {string} day - Day (YYYY-MM-DD, display time zone)
+ * @param {Date} [now] - Reference instant
+ * @returns {Promise<{message: string, undo: function(): Promise<void>}>} Result; undo removes the events
+ */
+export async function bulkScheduleTasks(ids, day, now = new Date()) {
+  const { items, unplaced } = await planDay(day, now, { taskIds: ids })
+  const eventIds = []
+  for (const item of items) {
+    eventIds.push(
+      await createEvent({
+        title: item.title,
+        type: EVENT_TYPES.TASK,
+        day: item.day,
+        startTime: item.startTime,
+        endTime: item.endTime,
+        taskId: item.taskId
+      })
+    )
+  }
+  logger.log(`Scheduled ${items.length} tasks on ${day}`)
+  return {
+    message:
+      `Scheduled ${describeCount(items.length)} on ${day}` +
+      (unplaced.length > 0 ? ` · ${unplaced.length} did not fit` : ''),
+    undo: async () => {
+      await deleteEvents(eventIds)
+    }
+  }
+}
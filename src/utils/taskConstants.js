@@ -0,0 +1,120 @@
+/**
+ * Task Constants
+ * Eisenhower matrix quadrants and the values used by the task repository
+ */
+
+// Quadrants of the Eisenhower matrix, most pressing first
+export const TASK_QUADRANTS = [
+  {
+    key: 'urgent_important',
+    label: 'Urgent & Important',
+    priority: 1,
+    isImportant: true
+  },
+  {
+    key: 'not_urgent_important',
+    label: 'Not Urgent & Important',
+    priority: 2,
+    isImportant: true
+  },
+  {
+    key: 'urgent_not_important',
+    label: 'Urgent & Not Important',
+    priority: 3,
+    isImportant: false
+  },
+  {
+    key: 'not_urgent_not_important',
+    label: 'Not Urgent & Not Important',
+    priority: 4,
+    isImportant: false
+  }
+]
+
+// Quadrant for tasks stored without one
+export const DEFAULT_TASK_QUADRANT = 'urgent_important'
+
+// Completion state stored next to `completed`; booleans cannot be index keys
+// Archived tasks are completed tasks moved out of the matrix
+export const TASK_STATUS = {
+  OPEN: 'open',
+  COMPLETED: 'completed',
+  ARCHIVED: 'archived'
+}
+
+// Version of the stored task schema; older records are normalized on read
+// 1: one record per task with quadrant, status and order
+// 2: adds subtasks and completeWithSubtasks
+// 3: adds recurrence and completionHistory
+// 4: adds dueTime and promotedAt
+// 5: adds estimatedMinutes, actualMinutes and timerStartedAt
+// 6: adds archivedAt and the archived status
+// 7: adds tags and project
+export const TASKS_SCHEMA_VERSION = 7
+
+// Where an open task stands against its due date
+export const TASK_DUE_STATUS = {
+  NONE: 'none',
+  UPCOMING: 'upcoming',
+  DUE_TODAY: 'due_today',
+  OVERDUE: 'overdue'
+}
+
+// Quadrant a task is promoted from when its due date gets close, and to
+export const TASK_PROMOTION = {
+  FROM: 'not_urgent_important',
+  TO: 'urgent_important'
+}
+
+// Default for how many days ahead of its due date a task is promoted
+export const DEFAULT_PROMOTE_WITHIN_DAYS = 1
+
+// Default for how many days completed tasks stay in the matrix before they
+// move to the archive
+export const DEFAULT_ARCHIVE_AFTER_DAYS = 7
+
+// Stats record type written for each task that moves to the archive
+export const TASK_COMPLETION_STAT_TYPE = 'task_completion'
+
+// Stats record types written by task time tracking (saved with saveStats)
+// task_time: one timed work session, counted as actual task time on Stats
+// task_estimate: estimated versus actual minutes of a completed task
+export const TASK_TIME_STAT_TYPE = 'task_time'
+export const TASK_ESTIMATE_STAT_TYPE = 'task_estimate'
+
+// How far actual time may differ from the estimate (as a share of the
+// estimate) for the estimate to count as accurate
+export const ESTIMATE_ACCURACY_TOLERANCE = 0.25
+
+// Ways a recurring task picks the due date of its next instance
+export const TASK_RECURRENCE_TYPES = {
+  EVERY_N_DAYS: 'every_n_days',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+  AFTER_COMPLETION: 'after_completion'
+}
+
+// Short weekday names for weekly rules, keyed by RFC 5545 weekday code
+export const TASK_WEEKDAY_LABELS = {
+  MO: 'Mon',
+  TU: 'Tue',
+  WE: 'Wed',
+  TH: 'Thu',
+  FR: 'Fri',
+  SA: 'Sat',
+  SU: 'Sun'
+}
+
+// localStorage key of the whole-matrix blob used before tasks moved to IndexedDB
+export const LEGACY_TASKS_STORAGE_KEY = 'aurorae_tasks'
+
+// Window event dispatched after the task repository changes stored tasks
+export const TASKS_CHANGED_EVENT = 'tasksChanged'
+
+// Kinds of change reported with TASKS_CHANGED_EVENT
+export const TASK_CHANGE_TYPES = {
+  CREATED: 'created',
+  UPDATED: 'updated',
+  DELETED: 'deleted',
+  MIGRATED: 'migrated'
+}
@@ -0,0 +1,133 @@
+/**
+ * Task Due Dates
+ * Classifies tasks against their due day and optional due time, formats due
+ * dates for display and decides which tasks get promoted from "Schedule" to
+ * "Do First" as their due date nears. "Today" and "now" are read in the
+ * display time zone, like the schedule.
+ */
+
+import {
+  TASK_DUE_STATUS,
+  TASK_PROMOTION,
+  DEFAULT_PROMOTE_WITHIN_DAYS
+} from './taskConstants'
+import { shiftDay } from './recurrence'
+import { getZonedDayTime, getDisplayTimeZone } from './timezone'
+import { getSettings } from './settingsManager'
+
+const TIME_PATTERN = /^\d{2}:\d{2}$/
+
+/**
+ * Get the day a task is due
+ * Due dates from templates are ISO timestamps; only their day counts
+ * @param {object} task - Task
+ * @returns {string|null} Due day (YYYY-MM-DD) or null
+ */
+export function getTaskDueDay(task) {
+  return task.dueDate ? String(task.dueDate).slice(0, 10) : null
+}
+
+/**
+ * Check a due time value
+ * @param {*} time - Value to check
+ * @returns {boolean} Whether it is a HH:MM time
+ */
+export function isDueTime(time) {
+  return typeof time === 'string' && TIME_PATTERN.test(time)
+}
+
+/**
+ * Work out where an open task stands against its due date
+ * A task due today with a time that has passed is overdue
+ * @param {object} task - Task
+ * @param {Date} [now] - Reference instant
+ * @returns {string} One of TASK_DUE_STATUS
+ */
+export function getTaskDueStatus(task, now = new Date()) {
+  const dueDay = getTaskDueDay(task)
+  if (!dueDay || task.completed) return TASK_DUE_STATUS.NONE
+
+  const { day: today, time } = getZonedDayTime(now, getDisplayTimeZone())
+  if (dueDay < today) return TASK_DUE_STATUS.OVERDUE
+  if (dueDay > today) return TASK_DUE_STATUS.UPCOMING
+  return task.dueTime && task.dueTime < time
+    ? TASK_DUE_STATUS.OVERDUE
+    : TASK_DUE_STATUS.DUE_TODAY
+}
+
+/**
+ * Order tasks by due day, then due time (tasks without a time last)
+ * @param {object} a - Task
+ * @param {object} b - Task
+ * @returns {number} Sort order
+ */
+export function compareTaskDue(a, b) {
+  return (
+    (getTaskDueDay(a) || '').localeCompare(getTaskDueDay(b) || '') ||
+    (a.dueTime || '99:99').localeCompare(b.dueTime || '99:99')
+  )
+}
+
+/**
+ * Describe when a task is due for display
+ * @param {object} task - Task
+ * @param {Date} [now] - Reference instant
+ * @returns {string} Description such as "Today 14:00" or "Mar 20", empty without a due date
+ */
+export function describeTaskDue(task, now = new Date()) {
+  const dueDay = getTaskDueDay(task)
+  if (!dueDay) return ''
+
+  const today = getZonedDayTime(now, getDisplayTimeZone()).day
+  let label
+  if (dueDay === today) {
+    label = 'Today'
+  } else if (dueDay === shiftDay(today, 1)) {
+    label = 'Tomorrow'
+  } else if (dueDay === shiftDay(today, -1)) {
+    label = 'Yesterday'
+  } else {
+    label = new Date(`${dueDay}T00:00:00Z`).toLocaleDateString(undefined, {
+      month: 'short',
+      day: 'numeric',
+      ...(dueDay.slice(0, 4) !== today.slice(0, 4) && { year: 'numeric' }),
+      timeZone: 'UTC'
+    })
+  }
+  return task.dueTime ? `${label} ${task.dueTime}` : label
+}
+
+/**
+ * Get the auto-promotion settings
+ * @param {object} [settings] - App settings (defaults to the stored settings)
+ * @returns {{enabled: boolean, withinDays: number}} Whether tasks are promoted, and how many days before their due date
+ */
+export function getTaskPromotionSettings(settings = getSettings()) {
+  const withinDays = settings.tasks?.promoteWithinDays
+  return {
+    enabled: Boolean(settings.tasks?.autoPromote),
+    withinDays:
+      Number.isInteger(withinDays) && withinDays >= 0
+        ? withinDays
+        : DEFAULT_PROMOTE_WITHIN_DAYS
+  }
+}
+
+/**
+ * Check whether a task should move from "Schedule" to "Do First"
+ * A task is promoted once; moved back to "Schedule", it stays there
+ * @param {object} task - Task
+ * @param {string} today - Today (YYYY-MM-DD)
+ * @param {number} withinDays - Days before the due date that count as close
+ * @returns {boolean} Whether to promote the task
+ */
+export function shouldPromoteTask(task, today, withinDays) {
+  const dueDay = getTaskDueDay(task)
+  return (
+    task.quadrant === TASK_PROMOTION.FROM &&
+    !task.completed &&
+    !task.promotedAt &&
+    Boolean(dueDay) &&
+    dueDay <= shiftDay(today, withinDays)
+  )
+}
@@ -0,0 +1,207 @@
+/**
+ * Task Recurrence
+ * Rules for tasks that come back once they are done ("water plants", "pay
+ * rent"). Completing an instance of a recurring task creates the next one
+ * with the next due date; the completion is added to `completionHistory`,
+ * which moves along to the open instance. Days are YYYY-MM-DD strings in the
+ * display time zone.
+ */
+
+import { TASK_RECURRENCE_TYPES, TASK_WEEKDAY_LABELS } from './taskConstants'
+import { RRULE_WEEKDAYS } from './scheduleConstants'
+import { shiftDay, diffInDays } from './recurrence'
+import { getTodayInTimeZone } from './timezone'
+
+const DAYS_PER_WEEK = 7
+const MAX_DAY_OF_MONTH = 31
+
+// Fields that belong to one instance and are not copied to the next
+const INSTANCE_FIELDS = [
+  'id',
+  'order',
+  'createdAt',
+  'updatedAt',
+  'timestamp',
+  'nextTaskId',
+  'actualMinutes',
+  'timerStartedAt',
+  'promotedAt'
+]
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0
+}
+
+// Due dates from templates can be ISO timestamps; only the day counts here
+function toDay(value) {
+  return value ? String(value).slice(0, 10) : null
+}
+
+function getWeekdayCode(day) {
+  const [year, month, date] = day.split('-').map(Number)
+  const weekday = new Date(Date.UTC(year, month - 1, date)).getUTCDay()
+  return RRULE_WEEKDAYS[(weekday + 6) % DAYS_PER_WEEK]
+}
+
+// Short months use their last day, so "monthly on the 31st" never skips one
+function getMonthDay(year, monthIndex, dayOfMonth) {
+  const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate()
+  return new Date(Date.UTC(year, monthIndex, Math.min(dayOfMonth, lastDay)))
+    .toISOString()
+    .slice(0, 10)
+}
+
+/**
+ * Bring a recurrence rule to its stored shape
+ * Rules that cannot produce a next date are dropped
+ * @param {object|null} recurrence - Rule from the editor or a stored record
+ * @param {string} recurrence.type - One of TASK_RECURRENCE_TYPES
+ * @param {number} [recurrence.interval] - Days between instances (every N days, after completion)
+ * @param {Array<string>} [recurrence.weekdays] - Weekday codes for weekly rules ('MO', 'TU', ...)
+ * @param {number} [recurrence.dayOfMonth] - Day of the month for monthly rules (1-31)
+ * @returns {object|null} Stored rule or null
+ */
+export function normalizeTaskRecurrence(recurrence) {
+  if (!recurrence) return null
+
+  switch (recurrence.type) {
+    case TASK_RECURRENCE_TYPES.EVERY_N_DAYS:
+    case TASK_RECURRENCE_TYPES.AFTER_COMPLETION:
+      return {
+        type: recurrence.type,
+        interval: isPositiveInteger(recurrence.interval)
+          ? recurrence.interval
+          : 1
+      }
+    case TASK_RECURRENCE_TYPES.WEEKLY: {
+      const weekdays = Array.isArray(recurrence.weekdays)
+        ? RRULE_WEEKDAYS.filter((code) => recurrence.weekdays.includes(code))
+        : []
+      return weekdays.length > 0 ? { type: recurrence.type, weekdays } : null
+    }
+    case TASK_RECURRENCE_TYPES.MONTHLY:
+      return isPositiveInteger(recurrence.dayOfMonth) &&
+        recurrence.dayOfMonth <= MAX_DAY_OF_MONTH
+        ? { type: recurrence.type, dayOfMonth: recurrence.dayOfMonth }
+        : null
+    default:
+      return null
+  }
+}
+
+/**
+ * Bring stored completion history to its current shape
+ * @param {Array<object>} [history] - Stored entries
+ * @returns {Array<{completedAt: number, dueDate: string|null}>} History, oldest first
+ */
+export function normalizeCompletionHistory(history) {
+  if (!Array.isArray(history)) return []
+  return history
+    .filter((entry) => entry && Number.isFinite(entry.completedAt))
+    .map((entry) => ({
+      completedAt: entry.completedAt,
+      dueDate: entry.dueDate || null
+    }))
+}
+
+/**
+ * Work out the due date of the next instance
+ * Fixed schedules (every N days, weekly, monthly) continue from the due date
+ * but never land on or before the day the task was done, so a late
+ * completion does not create an instance that is already overdue.
+ * @param {object} recurrence - Stored rule
+ * @param {object} instance - Completed instance
+ * @param {string|null} instance.dueDate - Its due date (a day or ISO timestamp)
+ * @param {number} instance.completedAt - Completion time (epoch milliseconds)
+ * @returns {string} Next due day (YYYY-MM-DD)
+ */
+export function getNextDueDate(recurrence, { dueDate, completedAt }) {
+  const completedOn = getTodayInTimeZone(undefined, new Date(completedAt))
+  const scheduledOn = toDay(dueDate) || completedOn
+  const after = scheduledOn > completedOn ? scheduledOn : completedOn
+
+  switch (recurrence.type) {
+    case TASK_RECURRENCE_TYPES.AFTER_COMPLETION:
+      return shiftDay(completedOn, recurrence.interval)
+    case TASK_RECURRENCE_TYPES.EVERY_N_DAYS: {
+      const periods =
+        Math.floor(diffInDays(scheduledOn, after) / recurrence.interval) + 1
+      return shiftDay(scheduledOn, periods * recurrence.interval)
+    }
+    case TASK_RECURRENCE_TYPES.WEEKLY: {
+      let day = shiftDay(after, 1)
+      while (!recurrence.weekdays.includes(getWeekdayCode(day))) {
+        day = shiftDay(day, 1)
+      }
+      return day
+    }
+    case TASK_RECURRENCE_TYPES.MONTHLY: {
+      const [year, month] = after.split('-').map(Number)
+      const thisMonth = getMonthDay(year, month - 1, recurrence.dayOfMonth)
+      return thisMonth > after
+        ? thisMonth
+        : getMonthDay(year, month, recurrence.dayOfMonth)
+    }
+    default:
+      throw new Error(`Unknown task recurrence: ${recurrence.type}`)
+  }
+}
+
+/**
+ * Build the next instance of a recurring task
+ * The new instance keeps the text, quadrant, rule and steps (reopened) and
+ * takes over the completion history with this completion added
+ * @param {object} task - Instance being completed
+ * @param {number} completedAt - Completion time (epoch milliseconds)
+ * @returns {object} Task data for the next instance, without ID or position
+ */
+export function createNextOccurrence(task, completedAt) {
+  const carriedOver = Object.fromEntries(
+    Object.entries(task).filter(([key]) => !INSTANCE_FIELDS.includes(key))
+  )
+  return {
+    ...carriedOver,
+    completed: false,
+    completedAt: null,
+    dueDate: getNextDueDate(task.recurrence, {
+      dueDate: task.dueDate,
+      completedAt
+    }),
+    subtasks: (task.subtasks || []).map((subtask) => ({
+      ...subtask,
+      completed: false
+    })),
+    completionHistory: [
+      ...normalizeCompletionHistory(task.completionHistory),
+      { completedAt, dueDate: task.dueDate || null }
+    ]
+  }
+}
+
+/**
+ * Describe a recurrence rule in plain language for display
+ * @param {object|null} recurrence - Stored rule
+ * @returns {string} Description such as "Weekly on Mon, Thu"
+ */
+export function describeTaskRecurrence(recurrence) {
+  if (!recurrence) return 'Does not repeat'
+
+  switch (recurrence.type) {
+    case TASK_RECURRENCE_TYPES.EVERY_N_DAYS:
+      return recurrence.interval === 1
+        ? 'Every day'
+        : `Every ${recurrence.interval} days`
+    case TASK_RECURRENCE_TYPES.WEEKLY:
+      return `Weekly on ${recurrence.weekdays
+        .map((code) => TASK_WEEKDAY_LABELS[code])
+        .join(', ')}`
+    case TASK_RECURRENCE_TYPES.MONTHLY:
+      return `Monthly on day ${recurrence.dayOfMonth}`
+    case TASK_RECURRENCE_TYPES.AFTER_COMPLETION:
+      return recurrence.interval === 1
+        ? '1 day after completion'
+        : `${recurrence.interval} days after completion`
+    default:
+      return 'Does not repeat'
+  }
+}
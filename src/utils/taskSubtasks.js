@@ -0,0 +1,75 @@
+/**
+ * Task Subtasks
+ * Checklist steps inside an Eisenhower task. Each subtask has its own
+ * completion state; a task can optionally complete itself once every
+ * subtask is done (`completeWithSubtasks`). Pure helpers shared by the task
+ * repository and the tasks hook.
+ */
+
+import { v4 as generateSecureUUID } from 'uuid'
+
+/**
+ * Bring stored subtasks to the current shape
+ * Entries without text are dropped, missing IDs are generated
+ * @param {Array<object>} [subtasks] - Stored subtasks
+ * @returns {Array<{id: string, text: string, completed: boolean}>} Subtasks
+ */
+export function normalizeSubtasks(subtasks) {
+  if (!Array.isArray(subtasks)) return []
+  return subtasks
+    .filter((subtask) => subtask && String(subtask.text ?? '').trim())
+    .map((subtask) => ({
+      ...subtask,
+      id: subtask.id || generateSecureUUID(),
+      text: String(subtask.text).trim(),
+      completed: Boolean(subtask.completed)
+    }))
+}
+
+/**
+ * Create a new, open subtask
+ * @param {string} text - Subtask text
+ * @returns {{id: string, text: string, completed: boolean}} Subtask
+ */
+export function createSubtask(text) {
+  if (!text || !text.trim()) {
+    throw new Error('Subtask text is required')
+  }
+  return { id: generateSecureUUID(), text: text.trim(), completed: false }
+}
+
+/**
+ * Count done subtasks
+ * @param {object} task - Task
+ * @returns {{done: number, total: number}} Progress
+ */
+export function getSubtaskProgress(task) {
+  const subtasks = task.subtasks || []
+  return {
+    done: subtasks.filter((subtask) => subtask.completed).length,
+    total: subtasks.length
+  }
+}
+
+/**
+ * Get the fields to save after a task's subtasks or auto-complete setting change
+ * With `completeWithSubtasks` on, the task is complete exactly when it has
+ * subtasks and all of them are done; otherwise its own state is kept
+ * @param {object} task - Task before the change
+ * @param {object} changes - New `subtasks` and/or `completeWithSubtasks`
+ * @param {number} [now] - Completion time to record (epoch milliseconds)
+ * @returns {object} Changes, with `completed`/`completedAt` when completion follows
+ */
+export function applySubtaskChanges(task, changes, now = Date.now()) {
+  const next = { ...task, ...changes }
+  if (!next.completeWithSubtasks) return changes
+
+  const { done, total } = getSubtaskProgress(next)
+  const completed = total > 0 && done === total
+  if (completed === Boolean(task.completed)) return changes
+  return {
+    ...changes,
+    completed,
+    completedAt: completed ? now : null
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Task Tags
+ * Tags and projects on tasks, and the tag/project filter of the Tasks page.
+ * A task has any number of tags and at most one project; tags are stored
+ * without their leading # and compared as typed.
+ */
+
+/**
+ * Clean up a tag typed by the user
+ * @param {string} tag - Tag, with or without a leading #
+ * @returns {string} Tag without # and surrounding spaces
+ */
+export function normalizeTag(tag) {
+  return String(tag ?? '')
+    .trim()
+    .replace(/^#+/, '')
+    .trim()
+}
+
+/**
+ * Clean up a list of tags
+ * Accepts an array or a comma separated string, as typed in the tag field
+ * @param {Array<string>|string} tags - Tags
+ * @returns {Array<string>} Non-empty tags without duplicates, in input order
+ */
+export function normalizeTaskTags(tags) {
+  const list = typeof tags === 'string' ? tags.split(',') : tags
+  if (!Array.isArray(list)) return []
+  return [...new Set(list.map(normalizeTag).filter(Boolean))]
+}
+
+/**
+ * Clean up a project name
+ * @param {string} project - Project name
+ * @returns {string|null} Trimmed name, or null when empty
+ */
+export function normalizeProject(project) {
+  return String(project ?? '').trim() || null
+}
+
+/**
+ * Collect the tags and projects used by a set of tasks
+ * @param {Array<object>} tasks - Tasks
+ * @returns {{tags: Array<string>, projects: Array<string>}} Sorted, without duplicates
+ */
+export function getTaskLabels(tasks) {
+  const tags = new Set(tasks.flatMap((task) => task.tags || []))
+  const projects = new Set(tasks.map((task) => task.project).filter(Boolean))
+  const byName = (a, b) => a.localeCompare(b)
+  return {
+    tags: [...tags].sort(byName),
+    projects: [...projects].sort(byName)
+  }
+}
+
+/**
+ * Check whether any tag or project filter is set
+ * @param {object} [filters={}] - Filters as used by matchesTaskFilters
+ * @returns {boolean} Whether the filters narrow the tasks down
+ */
+export function hasTaskFilters({ tags = [], project = null } = {}) {
+  return tags.length > 0 || Boolean(project)
+}
+
+/**
+ * Check a task against the tag and project filters
+ * @param {object} task - Task
+ * @param {object} [filters={}]
+ * @param {Array<string>} [filters.tags] - Tags; the task needs at least one
+ * @param {string} [filters.project] - Project the task belongs to
+ * @returns {boolean} Whether the task is shown
+ */
+export function matchesTaskFilters(task, { tags = [], project = null } = {}) {
+  return (
+    (tags.length === 0 ||
+      tags.some((tag) => (task.tags || []).includes(tag))) &&
+    (!project || task.project === project)
+  )
+}
@@ -0,0 +1,196 @@
+/**
+ * Task Time Tracking
+ * Start/stop timers on tasks and estimated versus actual time. Every timed
+ * work session is saved to the STATS store as a task_time record (counted as
+ * actual task time by schedule analytics) and added to the task's
+ * actualMinutes. When a task with an estimate is completed, a task_estimate
+ * record keeps both numbers so Stats can show estimation accuracy over time.
+ * Only one timer runs at a time.
+ */
+
+import { saveStats, deleteById, STORES } from './indexedDBManager'
+import { getTask, getTasks, updateTask } from './tasksManager'
+import { getPeriodRange } from './scheduleAnalytics'
+import { getTodayInTimeZone } from './timezone'
+import { createLogger } from './logger'
+import { ANALYTICS_PERIODS, EVENT_TYPES } from './scheduleConstants'
+import {
+  TASK_TIME_STAT_TYPE,
+  TASK_ESTIMATE_STAT_TYPE,
+  ESTIMATE_ACCURACY_TOLERANCE
+} from './taskConstants'
+
+const logger = createLogger('TaskTimeTracking')
+
+const MS_PER_MINUTE = 60 * 1000
+
+/**
+ * Get the whole minutes between two instants
+ * @param {number} startedAt - Start (epoch ms)
+ * @param {number} endedAt - End (epoch ms)
+ * @returns {number} Minutes, rounded, never negative
+ */
+export function getElapsedMinutes(startedAt, endedAt) {
+  return Math.max(0, Math.round((endedAt - startedAt) / MS_PER_MINUTE))
+}
+
+// Stop a task's timer; resolves with the task and the stats records saved
+async function stopTimer(id, now) {
+  const task = await getTask(id)
+  if (!task) {
+    throw new Error('Task not found')
+  }
+  if (!task.timerStartedAt) return { task, statIds: [] }
+
+  const minutes = getElapsedMinutes(task.timerStartedAt, now)
+  const statIds = []
+  if (minutes > 0) {
+    statIds.push(
+      await saveStats(TASK_TIME_STAT_TYPE, {
+        taskId: id,
+        taskText: task.text,
+        eventType: EVENT_TYPES.TASK,
+        minutes,
+        startedAt: task.timerStartedAt,
+        endedAt: now,
+        estimatedMinutes: task.estimatedMinutes,
+        date: getTodayInTimeZone(undefined, new Date(task.timerStartedAt))
+      })
+    )
+  }
+  const updated = await updateTask(id, {
+    timerStartedAt: null,
+    actualMinutes: task.actualMinutes + minutes
+  })
+  return { task: updated, statIds }
+}
+
+/**
+ * Stop a task's timer and record the work session
+ * Sessions shorter than half a minute are dropped
+ * @param {string} id - Task ID
+ * @param {number} [now] - Stop time (epoch ms)
+ * @returns {Promise<object>} Updated task
+ */
+export async function stopTaskTimer(id, now = Date.now()) {
+  return (await stopTimer(id, now)).task
+}
+
+/**
+ * Start a task's timer, stopping any other running timer first
+ * @param {string} id - Task ID
+ * @param {number} [now] - Start time (epoch ms)
+ * @returns {Promise<object>} Updated task
+ */
+export async function startTaskTimer(id, now = Date.now()) {
+  const running = (await getTasks({ includeCompleted: false })).filter(
+    (task) => task.timerStartedAt && task.id !== id
+  )
+  for (const task of running) {
+    await stopTaskTimer(task.id, now)
+  }
+  return updateTask(id, { timerStartedAt: now })
+}
+
+// Close a task's time tracking; resolves with the task and the stats
+// records saved
+async function finishTime(id, now) {
+  const { task, statIds } = await stopTimer(id, now)
+  if (task.estimatedMinutes && task.actualMinutes > 0) {
+    statIds.push(
+      await saveStats(TASK_ESTIMATE_STAT_TYPE, {
+        taskId: id,
+        taskText: task.text,
+        estimatedMinutes: task.estimatedMinutes,
+        actualMinutes: task.actualMinutes,
+        date: getTodayInTimeZone(undefined, new Date(now))
+      })
+    )
+    logger.log(
+      `Task "${task.text}" took ${task.actualMinutes} of ${task.estimatedMinutes} estimated minutes`
+    )
+  }
+  return { task, statIds }
+}
+
+/**
+ * Close the time tracking of a task that is being completed
+ * Stops a running timer and, when the task has an estimate and tracked time,
+ * records estimated versus actual minutes
+ * @param {string} id - Task ID
+ * @param {number} [now] - Completion time (epoch ms)
+ * @returns {Promise<object>} Updated task
+ */
+export async function finishTaskTime(id, now = Date.now()) {
+  return (await finishTime(id, now)).task
+}
+
+/**
+ * Close the time tracking of a task in a completion that can be undone
+ * The undo deletes the stats records saved, so completing the task again
+ * does not count its time twice; the task itself is restored by the caller
+ * @param {string} id - Task ID
+ * @param {number} [now] - Completion time (epoch ms)
+ * @returns {Promise<{task: object, undo: function(): Promise<void>}>} Updated task and the undo
+ */
+export async function finishTaskTimeWithUndo(id, now = Date.now()) {
+  const { task, statIds } = await finishTime(id, now)
+  return {
+    task,
+    undo: async () => {
+      for (const statId of statIds) {
+        await deleteById(STORES.STATS, statId)
+      }
+    }
+  }
+}
+
+function summarize(records) {
+  const estimated = records.reduce((sum, r) => sum + r.estimatedMinutes, 0)
+  const actual = records.reduce((sum, r) => sum + r.actualMinutes, 0)
+  return {
+    tasks: records.length,
+    estimated,
+    actual,
+    ratio: estimated > 0 ? actual / estimated : null,
+    accurate: records.filter(
+      (r) =>
+        Math.abs(r.actualMinutes - r.estimatedMinutes) <=
+        r.estimatedMinutes * ESTIMATE_ACCURACY_TOLERANCE
+    ).length
+  }
+}
+
+/**
+ * Summarize estimated versus actual time, overall and per week
+ * A task reopened and completed again counts once, with its latest record
+ * @param {Array<object>} records - task_estimate stats records
+ * @returns {{tasks: number, estimated: number, actual: number, ratio: number|null, accurate: number, weeks: Array<object>}} Totals, with a ratio above 1 meaning tasks took longer than estimated; weeks carry the same totals plus weekStart, oldest first
+ */
+export function buildEstimationAccuracy(records) {
+  const latest = new Map()
+  records
+    .filter((r) => r.estimatedMinutes > 0 && r.actualMinutes > 0)
+    .forEach((record) => {
+      const previous = latest.get(record.taskId)
+      if (!previous || record.timestamp >= previous.timestamp) {
+        latest.set(record.taskId, record)
+      }
+    })
+
+  const byWeek = new Map()
+  latest.forEach((record) => {
+    const weekStart = getPeriodRange(
+      ANALYTICS_PERIODS.WEEK,
+      record.date
+    ).startDate
+    byWeek.set(weekStart, [...(byWeek.get(weekStart) || []), record])
+  })
+
+  return {
+    ...summarize([...latest.values()]),
+    weeks: [...byWeek.keys()]
+      .sort()
+      .map((weekStart) => ({ weekStart, ...summarize(byWeek.get(weekStart)) }))
+  }
+}
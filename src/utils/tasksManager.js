@@ -0,0 +1,702 @@
+// Tasks Manager - Repository for Eisenhower matrix tasks
+// The only module that reads or writes the TASKS store. Each task is its own
+// record, so edits write a single task instead of the whole matrix. Tasks
+// saved before the move to IndexedDB are migrated from localStorage the first
+// time the store is read.
+
+import { v4 as generateSecureUUID } from 'uuid'
+import {
+  put,
+  putBatch,
+  getAll,
+  getById,
+  getByIndex,
+  getByIndexRange,
+  deleteById,
+  saveStats,
+  STORES
+} from './indexedDBManager'
+import {
+  TASK_QUADRANTS,
+  DEFAULT_TASK_QUADRANT,
+  TASK_STATUS,
+  TASKS_SCHEMA_VERSION,
+  LEGACY_TASKS_STORAGE_KEY,
+  TASKS_CHANGED_EVENT,
+  TASK_CHANGE_TYPES,
+  TASK_DUE_STATUS,
+  TASK_PROMOTION,
+  TASK_COMPLETION_STAT_TYPE
+} from './taskConstants'
+import { normalizeEntity, updateMetadata } from './idGenerator'
+import { normalizeSubtasks } from './taskSubtasks'
+import {
+  normalizeTaskRecurrence,
+  normalizeCompletionHistory,
+  createNextOccurrence
+} from './taskRecurrence'
+import {
+  isDueTime,
+  getTaskDueStatus,
+  compareTaskDue,
+  shouldPromoteTask
+} from './taskDueDates'
+import {
+  shouldArchiveTask,
+  getCompletionDay,
+  filterArchivedTasks
+} from './taskArchive'
+import { normalizeTaskTags, normalizeProject } from './taskTags'
+import { getTodayInTimeZone } from './timezone'
+import { shiftDay } from './recurrence'
+import { createLogger } from './logger'
+
+const logger = createLogger('TasksManager')
+
+// Shared by concurrent reads so the legacy blob is only migrated once
+let pendingLegacyMigration = null
+
+function isQuadrant(key) {
+  return TASK_QUADRANTS.some((quadrant) => quadrant.key === key)
+}
+
+function getQuadrantPriority(key) {
+  return TASK_QUADRANTS.find((quadrant) => quadrant.key === key).priority
+}
+
+function byMatrixOrder(a, b) {
+  return (
+    getQuadrantPriority(a.quadrant) - getQuadrantPriority(b.quadrant) ||
+    a.order - b.order
+  )
+}
+
+/**
+ * Create an empty Eisenhower matrix
+ * @returns {Object<string, Array>} Empty task list per quadrant key
+ */
+export function createEmptyMatrix() {
+  return Object.fromEntries(TASK_QUADRANTS.map(({ key }) => [key, []]))
+}
+
+function getStatus(completed, archivedAt) {
+  if (archivedAt) return TASK_STATUS.ARCHIVED
+  return completed ? TASK_STATUS.COMPLETED : TASK_STATUS.OPEN
+}
+
+/**
+ * Bring a task to the current schema
+ * `completed` stays the source of truth; `status` mirrors it for the index,
+ * with archived tasks (always completed) in a status of their own
+ * @param {object} task - Stored record or new task data
+ * @returns {object} Task ready to be stored
+ */
+export function normalizeTask(task) {
+  const completed = Boolean(
+    task.completed ??
+    (task.status === TASK_STATUS.COMPLETED ||
+      task.status === TASK_STATUS.ARCHIVED)
+  )
+  const archivedAt = completed ? (task.archivedAt ?? null) : null
+  return {
+    ...task,
+    text: String(task.text ?? task.title ?? '').trim(),
+    quadrant: isQuadrant(task.quadrant) ? task.quadrant : DEFAULT_TASK_QUADRANT,
+    completed,
+    status: getStatus(completed, archivedAt),
+    completedAt: completed ? (task.completedAt ?? null) : null,
+    archivedAt,
+    dueDate: task.dueDate || null,
+    dueTime: task.dueDate && isDueTime(task.dueTime) ? task.dueTime : null,
+    promotedAt: task.promotedAt ?? null,
+    order: Number.isFinite(task.order) ? task.order : 0,
+    subtasks: normalizeSubtasks(task.subtasks),
+    completeWithSubtasks: Boolean(task.completeWithSubtasks),
+    recurrence: normalizeTaskRecurrence(task.recurrence),
+    completionHistory: normalizeCompletionHistory(task.completionHistory),
+    nextTaskId: task.nextTaskId ?? null,
+    estimatedMinutes:
+      Number(task.estimatedMinutes) > 0
+        ? Math.round(Number(task.estimatedMinutes))
+        : null,
+    actualMinutes:
+      Number(task.actualMinutes) > 0 ? Number(task.actualMinutes) : 0,
+    timerStartedAt: Number.isFinite(task.timerStartedAt)
+      ? task.timerStartedAt
+      : null,
+    tags: normalizeTaskTags(task.tags),
+    project: normalizeProject(task.project),
+    schemaVersion: TASKS_SCHEMA_VERSION
+  }
+}
+
+/**
+ * Tell subscribers that stored tasks changed
+ * @param {string} type - One of TASK_CHANGE_TYPES
+ * @param {Array<number|string>} ids - IDs of the affected tasks
+ */
+function notifyTaskChange(type, ids) {
+  if (typeof window === 'undefined' || ids.length === 0) {
+    return
+  }
+  window.dispatchEvent(
+    new CustomEvent(TASKS_CHANGED_EVENT, { detail: { type, ids } })
+  )
+}
+
+/**
+ * Subscribe to changes of stored tasks
+ * @param {function({type: string, ids: Array}): void} listener - Called after each change
+ * @returns {function(): void} Unsubscribe function
+ */
+export function subscribeToTaskChanges(listener) {
+  if (typeof window === 'undefined') {
+    return () => {}
+  }
+  const handleChange = (e) => listener(e.detail)
+  window.addEventListener(TASKS_CHANGED_EVENT, handleChange)
+  return () => window.removeEventListener(TASKS_CHANGED_EVENT, handleChange)
+}
+
+async function migrateLegacyTasks() {
+  const saved = localStorage.getItem(LEGACY_TASKS_STORAGE_KEY)
+  if (!saved) {
+    return 0
+  }
+
+  let matrix
+  try {
+    matrix = JSON.parse(saved)
+  } catch (error) {
+    // Keep the blob so nothing is lost; it can still be exported or fixed
+    logger.error('Cannot parse tasks saved in localStorage:', error)
+    return 0
+  }
+
+  const tasks = TASK_QUADRANTS.flatMap(({ key }) =>
+    (Array.isArray(matrix?.[key]) ? matrix[key] : []).map((task, order) =>
+      normalizeTask({
+        ...task,
+        id: task.id || generateSecureUUID(),
+        quadrant: key,
+        order
+      })
+    )
+  )
+  await putBatch(STORES.TASKS, tasks)
+  localStorage.removeItem(LEGACY_TASKS_STORAGE_KEY)
+  logger.log(`Migrated ${tasks.length} tasks from localStorage`)
+  notifyTaskChange(
+    TASK_CHANGE_TYPES.MIGRATED,
+    tasks.map((task) => task.id)
+  )
+  return tasks.length
+}
+
+/**
+ * Move tasks saved as one localStorage blob into the TASKS store
+ * Runs before every read; once the blob is gone this is a single
+ * localStorage lookup. A blob that cannot be parsed is left in place.
+ * @returns {Promise<number>} Number of tasks migrated
+ */
+export function migrateTasksFromLocalStorage() {
+  if (!pendingLegacyMigration) {
+    pendingLegacyMigration = migrateLegacyTasks().finally(() => {
+      pendingLegacyMigration = null
+    })
+  }
+  return pendingLegacyMigration
+}
+
+/**
+ * Load every stored task, upgrading outdated records on the way
+ * Records can arrive in an old shape through backup imports, and only
+ * upgraded records appear in the quadrant and status indexes
+ * @returns {Promise<Array<object>>} Stored tasks in the current schema
+ */
+async function loadStoredTasks() {
+  await migrateTasksFromLocalStorage()
+  const records = await getAll(STORES.TASKS)
+  const outdated = records.filter(
+    (record) => record.schemaVersion !== TASKS_SCHEMA_VERSION
+  )
+  if (outdated.length === 0) {
+    return records
+  }
+
+  const upgraded = new Map(
+    outdated.map((record) => [record.id, normalizeTask(record)])
+  )
+  await putBatch(STORES.TASKS, [...upgraded.values()])
+  return records.map((record) => upgraded.get(record.id) || record)
+}
+
+/**
+ * Get all tasks in matrix order (quadrant priority, then position)
+ * @param {object} [options={}]
+ * @param {boolean} [options.includeCompleted=true] - Whether to include completed tasks
+ * @param {boolean} [options.includeArchived=false] - Whether to include archived tasks
+ * @returns {Promise<Array<object>>} Tasks
+ */
+export async function getTasks({
+  includeCompleted = true,
+  includeArchived = false
+} = {}) {
+  const tasks = await loadStoredTasks()
+  return tasks
+    .filter((task) => includeCompleted || !task.completed)
+    .filter((task) => includeArchived || !task.archivedAt)
+    .sort(byMatrixOrder)
+}
+
+/**
+ * Get all tasks grouped by quadrant, without archived tasks
+ * @returns {Promise<Object<string, Array>>} Tasks per quadrant key, in position order
+ */
+export async function getTasksMatrix() {
+  const matrix = createEmptyMatrix()
+  const tasks = await getTasks()
+  tasks.forEach((task) => matrix[task.quadrant].push(task))
+  return matrix
+}
+
+/**
+ * Get the tasks of one quadrant, without archived tasks
+ * @param {string} quadrant - Quadrant key
+ * @returns {Promise<Array<object>>} Tasks in position order
+ */
+export async function getTasksByQuadrant(quadrant) {
+  await migrateTasksFromLocalStorage()
+  const tasks = await getByIndex(STORES.TASKS, 'quadrant', quadrant)
+  return tasks
+    .map(normalizeTask)
+    .filter((task) => !task.archivedAt)
+    .sort(byMatrixOrder)
+}
+
+/**
+ * Get open, completed or archived tasks
+ * @param {string} status - One of TASK_STATUS
+ * @returns {Promise<Array<object>>} Tasks in matrix order
+ */
+export async function getTasksByStatus(status) {
+  await migrateTasksFromLocalStorage()
+  const tasks = await getByIndex(STORES.TASKS, 'status', status)
+  return tasks.map(normalizeTask).sort(byMatrixOrder)
+}
+
+/**
+ * Get tasks due within a range of days
+ * Either bound may be omitted; tasks without a due date and archived tasks
+ * are never included. Due dates with a time (ISO timestamps from templates)
+ * count on their day.
+ * @param {string|null} from - First day (YYYY-MM-DD)
+ * @param {string|null} to - Last day (YYYY-MM-DD)
+ * @returns {Promise<Array<object>>} Tasks, earliest due first
+ */
+export async function getTasksDueBetween(from, to) {
+  await migrateTasksFromLocalStorage()
+  // '\uffff' sorts after any time suffix, so the whole last day is included
+  const tasks = await getByIndexRange(
+    STORES.TASKS,
+    'dueDate',
+    from,
+    to ? `${to}\uffff` : to
+  )
+  return tasks.map(normalizeTask).filter((task) => !task.archivedAt)
+}
+
+/**
+ * Get open tasks that are overdue or due today
+ * @param {Date} [now] - Reference instant
+ * @returns {Promise<{overdue: Array<object>, dueToday: Array<object>}>} Tasks, earliest due first
+ */
+export async function getDueTasks(now = new Date()) {
+  const tasks = await getTasksDueBetween(
+    null,
+    getTodayInTimeZone(undefined, now)
+  )
+  const byStatus = (status) =>
+    tasks
+      .filter((task) => getTaskDueStatus(task, now) === status)
+      .sort(compareTaskDue)
+  return {
+    overdue: byStatus(TASK_DUE_STATUS.OVERDUE),
+    dueToday: byStatus(TASK_DUE_STATUS.DUE_TODAY)
+  }
+}
+
+/**
+ * Get a task by ID
+ * @param {number|string} id - Task ID
+ * @returns {Promise<object|undefined>} Task
+ */
+export async function getTask(id) {
+  await migrateTasksFromLocalStorage()
+  return getById(STORES.TASKS, id)
+}
+
+async function getNextOrder(quadrant) {
+  const tasks = await getByIndex(STORES.TASKS, 'quadrant', quadrant)
+  return tasks.reduce(
+    (max, task) =>
+      Number.isFinite(task.order) ? Math.max(max, task.order + 1) : max,
+    0
+  )
+}
+
+function validateNewTask({ quadrant, text }) {
+  if (!isQuadrant(quadrant)) {
+    throw new Error(`Unknown quadrant: ${quadrant}`)
+  }
+  if (!text || !text.trim()) {
+    throw new Error('Task text is required')
+  }
+}
+
+/**
+ * Create several tasks in one transaction
+ * Each task goes to the end of its quadrant, in the order given
+ * @param {Array<object>} tasks - Task data, each with quadrant and text
+ * @returns {Promise<Array<object>>} Created tasks
+ */
+export async function createTasks(tasks) {
+  tasks.forEach(validateNewTask)
+  await migrateTasksFromLocalStorage()
+
+  const nextOrder = {}
+  const newTasks = []
+  for (const task of tasks) {
+    if (nextOrder[task.quadrant] === undefined) {
+      nextOrder[task.quadrant] = await getNextOrder(task.quadrant)
+    }
+    newTasks.push(
+      normalizeTask(
+        normalizeEntity({
+          completed: false,
+          dueDate: null,
+          completedAt: null,
+          ...task,
+          id: task.id || generateSecureUUID(),
+          order: nextOrder[task.quadrant]++
+        })
+      )
+    )
+  }
+  await putBatch(STORES.TASKS, newTasks)
+  notifyTaskChange(
+    TASK_CHANGE_TYPES.CREATED,
+    newTasks.map((task) => task.id)
+  )
+  return newTasks
+}
+
+/**
+ * Create a task at the end of a quadrant
+ * @param {string} quadrant - Quadrant key
+ * @param {object} task - Task data
+ * @param {string} task.text - Task text
+ * @param {string} [task.dueDate] - Due day (YYYY-MM-DD, optional)
+ * @returns {Promise<object>} Created task
+ */
+export async function createTask(quadrant, task) {
+  const [created] = await createTasks([{ ...task, quadrant }])
+  return created
+}
+
+/**
+ * Update a task
+ * Moving a task to another quadrant places it at the end of that quadrant
+ * @param {number|string} id - Task ID
+ * @param {object} changes - Fields to change
+ * @returns {Promise<object>} Updated task
+ */
+export async function updateTask(id, changes) {
+  const existing = await getTask(id)
+  if (!existing) {
+    throw new Error('Task not found')
+  }
+  if (changes.quadrant && !isQuadrant(changes.quadrant)) {
+    throw new Error(`Unknown quadrant: ${changes.quadrant}`)
+  }
+
+  const movesQuadrant =
+    changes.quadrant && changes.quadrant !== existing.quadrant
+  const updated = normalizeTask(
+    updateMetadata({
+      ...existing,
+      ...changes,
+      id,
+      ...(movesQuadrant && { order: await getNextOrder(changes.quadrant) })
+    })
+  )
+  await put(STORES.TASKS, updated)
+  notifyTaskChange(TASK_CHANGE_TYPES.UPDATED, [id])
+  return updated
+}
+
+/**
+ * Update several tasks in one transaction
+ * Tasks moved to another quadrant go to its end, in the order given
+ * @param {Array<number|string>} ids - Task IDs
+ * @param {function(object): object} getChanges - Works out the changes for each task
+ * @returns {Promise<Array<object>>} Updated tasks
+ */
+export async function updateTasks(ids, getChanges) {
+  const existing = await Promise.all(ids.map(getTask))
+  if (existing.some((task) => !task)) {
+    throw new Error('Task not found')
+  }
+
+  const nextOrder = {}
+  const updated = []
+  for (const task of existing) {
+    const changes = getChanges(normalizeTask(task))
+    if (changes.quadrant && !isQuadrant(changes.quadrant)) {
+      throw new Error(`Unknown quadrant: ${changes.quadrant}`)
+    }
+    const movesQuadrant = changes.quadrant && changes.quadrant !== task.quadrant
+    if (movesQuadrant && nextOrder[changes.quadrant] === undefined) {
+      nextOrder[changes.quadrant] = await getNextOrder(changes.quadrant)
+    }
+    updated.push(
+      normalizeTask(
+        updateMetadata({
+          ...task,
+          ...changes,
+          id: task.id,
+          ...(movesQuadrant && { order: nextOrder[changes.quadrant]++ })
+        })
+      )
+    )
+  }
+  await putBatch(STORES.TASKS, updated)
+  notifyTaskChange(TASK_CHANGE_TYPES.UPDATED, ids)
+  return updated
+}
+
+/**
+ * Put tasks back as they were saved, e.g. to undo a bulk change
+ * @param {Array<object>} snapshots - Stored records taken before the change
+ * @param {Array<number|string>} [createdIds=[]] - Tasks the change created, which are deleted
+ * @returns {Promise<void>}
+ */
+export async function restoreTaskSnapshots(snapshots, createdIds = []) {
+  for (const id of createdIds) {
+    await deleteById(STORES.TASKS, id)
+  }
+  await putBatch(STORES.TASKS, snapshots)
+  notifyTaskChange(TASK_CHANGE_TYPES.DELETED, createdIds)
+  notifyTaskChange(
+    TASK_CHANGE_TYPES.UPDATED,
+    snapshots.map((task) => task.id)
+  )
+}
+
+/**
+ * Move "Schedule" tasks whose due date is close to the end of "Do First"
+ * @param {object} options
+ * @param {number} options.withinDays - Days before the due date that count as close
+ * @param {Date} [options.now] - Reference instant
+ * @returns {Promise<Array<object>>} Promoted tasks
+ */
+export async function promoteDueTasks({ withinDays, now = new Date() }) {
+  const today = getTodayInTimeZone(undefined, now)
+  const candidates = (
+    await getTasksDueBetween(null, shiftDay(today, withinDays))
+  ).filter((task) => shouldPromoteTask(task, today, withinDays))
+  if (candidates.length === 0) {
+    return []
+  }
+
+  let order = await getNextOrder(TASK_PROMOTION.TO)
+  const promoted = candidates.sort(compareTaskDue).map((task) =>
+    normalizeTask(
+      updateMetadata({
+        ...task,
+        quadrant: TASK_PROMOTION.TO,
+        order: order++,
+        promotedAt: now.getTime()
+      })
+    )
+  )
+  await putBatch(STORES.TASKS, promoted)
+  logger.log(`Promoted ${promoted.length} tasks that are due soon`)
+  notifyTaskChange(
+    TASK_CHANGE_TYPES.UPDATED,
+    promoted.map((task) => task.id)
+  )
+  return promoted
+}
+
+/**
+ * Move tasks completed long enough ago out of the matrix into the archive
+ * Each archived task is recorded as a task_completion stats entry, counted on
+ * the day it was completed
+ * @param {object} options
+ * @param {number} options.afterDays - Days after completion
+ * @param {Date} [options.now] - Reference instant
+ * @returns {Promise<Array<object>>} Archived tasks
+ */
+export async function archiveCompletedTasks({ afterDays, now = new Date() }) {
+  const today = getTodayInTimeZone(undefined, now)
+  const candidates = (await getTasksByStatus(TASK_STATUS.COMPLETED)).filter(
+    (task) => shouldArchiveTask(task, today, afterDays)
+  )
+  if (candidates.length === 0) {
+    return []
+  }
+
+  const archived = candidates.map((task) =>
+    normalizeTask(updateMetadata({ ...task, archivedAt: now.getTime() }))
+  )
+  await putBatch(STORES.TASKS, archived)
+  for (const task of archived) {
+    await saveStats(TASK_COMPLETION_STAT_TYPE, {
+      taskId: task.id,
+      taskText: task.text,
+      quadrant: task.quadrant,
+      completedAt: task.completedAt,
+      estimatedMinutes: task.estimatedMinutes,
+      actualMinutes: task.actualMinutes,
+      date: getCompletionDay(task)
+    })
+  }
+  logger.log(`Archived ${archived.length} completed tasks`)
+  notifyTaskChange(
+    TASK_CHANGE_TYPES.UPDATED,
+    archived.map((task) => task.id)
+  )
+  return archived
+}
+
+/**
+ * Search the archive
+ * @param {object} [filters] - See filterArchivedTasks
+ * @returns {Promise<Array<object>>} Archived tasks, most recently completed first
+ */
+export async function getArchivedTasks(filters) {
+  return filterArchivedTasks(
+    await getTasksByStatus(TASK_STATUS.ARCHIVED),
+    filters
+  )
+}
+
+/**
+ * Bring an archived task back into the matrix as an open task
+ * It goes to the end of its quadrant; its completion stays in the stats and,
+ * for a repeating task, the next instance is left as it is
+ * @param {number|string} id - Task ID
+ * @returns {Promise<object>} Restored task
+ */
+export async function restoreTask(id) {
+  const existing = await getTask(id)
+  if (!existing?.archivedAt) {
+    throw new Error('Task is not archived')
+  }
+
+  const restored = normalizeTask(
+    updateMetadata({
+      ...existing,
+      completed: false,
+      archivedAt: null,
+      nextTaskId: null,
+      order: await getNextOrder(existing.quadrant)
+    })
+  )
+  await put(STORES.TASKS, restored)
+  notifyTaskChange(TASK_CHANGE_TYPES.UPDATED, [id])
+  return restored
+}
+
+/**
+ * Complete or reopen a task
+ * Completing a recurring task creates its next instance in the same quadrant;
+ * the rule moves to that instance and the completed one links to it.
+ * Reopening the completed instance while the next one is still open removes
+ * the next one again and hands the rule back.
+ * @param {number|string} id - Task ID
+ * @param {boolean} completed - Whether the task is done
+ * @param {number} [completedAt] - Completion time (epoch milliseconds)
+ * @returns {Promise<{task: object, next: object|null}>} Updated task and the instance created for it
+ */
+export async function setTaskCompleted(
+  id,
+  completed,
+  completedAt = Date.now()
+) {
+  const existing = await getTask(id)
+  if (!existing) {
+    throw new Error('Task not found')
+  }
+  const task = normalizeTask(existing)
+
+  if (!completed) {
+    const next = task.nextTaskId ? await getTask(task.nextTaskId) : null
+    if (!next || next.completed) {
+      return {
+        task: await updateTask(id, { completed: false, nextTaskId: null }),
+        next: null
+      }
+    }
+    await deleteTask(next.id)
+    return {
+      task: await updateTask(id, {
+        completed: false,
+        recurrence: next.recurrence,
+        nextTaskId: null
+      }),
+      next: null
+    }
+  }
+
+  if (task.completed || !task.recurrence) {
+    return {
+      task: await updateTask(id, { completed, completedAt }),
+      next: null
+    }
+  }
+
+  const next = normalizeTask(
+    normalizeEntity({
+      ...createNextOccurrence(task, completedAt),
+      id: generateSecureUUID(),
+      order: await getNextOrder(task.quadrant)
+    })
+  )
+  const updated = normalizeTask(
+    updateMetadata({
+      ...task,
+      completed: true,
+      completedAt,
+      recurrence: null,
+      nextTaskId: next.id
+    })
+  )
+  await putBatch(STORES.TASKS, [updated, next])
+  notifyTaskChange(TASK_CHANGE_TYPES.UPDATED, [id])
+  notifyTaskChange(TASK_CHANGE_TYPES.CREATED, [next.id])
+  return { task: updated, next }
+}
+
+/**
+ * Delete a task
+ * @param {number|string} id - Task ID
+ * @returns {Promise<void>}
+ */
+export async function deleteTask(id) {
+  await deleteById(STORES.TASKS, id)
+  notifyTaskChange(TASK_CHANGE_TYPES.DELETED, [id])
+}
+
+/**
+ * Delete several tasks with a single change notification
+ * @param {Array<number|string>} ids - Task IDs
+ * @returns {Promise<void>}
+ */
+export async function deleteTasks(ids) {
+  for (const id of ids) {
+    await deleteById(STORES.TASKS, id)
+  }
+  notifyTaskChange(TASK_CHANGE_TYPES.DELETED, ids)
+}
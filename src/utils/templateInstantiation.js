@@ -5,22 +5,14 @@
 
 import { v4 as generateSecureUUID } from 'uuid'
 import { createRoutine, createRoutineBatch } from './routinesManager'
+import { createTask, createTasks } from './tasksManager'
 import { validateTemplateData } from './validation'
 import { MS_PER_DAY } from './timeConstants'
 import { createLogger } from './logger'
-import { tryCatch, isQuotaExceededError } from './errorHandler'
+import { isQuotaExceededError } from './errorHandler'
 
 const logger = createLogger('TemplateInstantiation')
 
-// Default Eisenhower tasks structure
-// Factory function for default Eisenhower tasks structure to prevent mutation
-const createDefaultEisenhowerTasks = () => ({
-  urgent_important: [],
-  not_urgent_important: [],
-  urgent_not_important: [],
-  not_urgent_not_important: []
-})
-
 /**
  * Create a task object from template data
  * @param {Object} template - Task template object
@@ -41,17 +33,21 @@ function createTaskFromTemplate(template, quadrant = null) {
     createdAt: new Date().toISOString(),
     dueDate,
     completedAt: null,
-    quadrant: taskQuadrant
+    quadrant: taskQuadrant,
+    recurrence: template.recurrence || null,
+    // The template category becomes the task's project
+    tags: template.tags || [],
+    project: template.category || null
   }
 }
 
 /**
  * Instantiate a task from a task template
- * Creates a new independent task in localStorage (aurorae_tasks) from template data
+ * Creates a new independent task in the task store from template data
  * @param {Object} template - Task template object
- * @returns {Object} Created task object with id and quadrant
+ * @returns {Promise<Object>} Created task object with id and quadrant
  */
-export function instantiateTaskFromTemplate(template) {
+export async function instantiateTaskFromTemplate(template) {
   if (!template || template.type !== 'task') {
     throw new Error('Invalid task template')
   }
@@ -75,33 +71,13 @@ export function instantiateTaskFromTemplate(template) {
   // Determine target quadrant (default to urgent_important if not specified)
   const quadrant = template.quadrant || 'urgent_important'
 
-  // Create new independent task
-  const task = createTaskFromTemplate(template, quadrant)
-
-  // Load existing tasks from localStorage
-  const tasks =
-    tryCatch(
-      () => {
-        const savedTasks = localStorage.getItem('aurorae_tasks')
-        return savedTasks
-          ? JSON.parse(savedTasks)
-          : createDefaultEisenhowerTasks()
-      },
-      `Loading tasks for template "${template.title || '[unknown title]'}"`,
-      {
-        showToast: false
-      }
-    ) || createDefaultEisenhowerTasks()
-
-  // Add task to appropriate quadrant
-  if (!tasks[quadrant]) {
-    tasks[quadrant] = []
-  }
-  tasks[quadrant].push(task)
-
-  // Save back to localStorage
+  // Save to the task store
+  let task
   try {
-    localStorage.setItem('aurorae_tasks', JSON.stringify(tasks))
+    task = await createTask(
+      quadrant,
+      createTaskFromTemplate(template, quadrant)
+    )
   } catch (err) {
     logger.error('Failed to save task:', err)
     // Check for quota exceeded error
@@ -203,7 +179,7 @@ export async function instantiateTemplate(template) {
   }
 
   if (template.type === 'task') {
-    const result = instantiateTaskFromTemplate(template)
+    const result = await instantiateTaskFromTemplate(template)
     return {
       type: 'task',
       id: result.task.id,
@@ -256,7 +232,7 @@ export async function instantiateTemplatesBatch(templates) {
 
   const results = []
 
-  // Process task templates (synchronous, but batched in localStorage)
+  // Process task templates (batched in a single task store write)
   if (taskTemplates.length > 0) {
     // Validate all task templates upfront before processing
     for (const template of taskTemplates) {
@@ -278,42 +254,15 @@ export async function instantiateTemplatesBatch(templates) {
       }
     }
 
-    // Load existing tasks once
-    const tasks =
-      tryCatch(
-        () => {
-          const savedTasks = localStorage.getItem('aurorae_tasks')
-          return savedTasks
-            ? JSON.parse(savedTasks)
-            : createDefaultEisenhowerTasks()
-        },
-        'Loading tasks for batch template instantiation',
-        {
-          showToast: false
-        }
-      ) || createDefaultEisenhowerTasks()
-
-    // Create all tasks after validation passes
-    for (const template of taskTemplates) {
-      const quadrant = template.quadrant || 'urgent_important'
-      const task = createTaskFromTemplate(template, quadrant)
-
-      if (!tasks[quadrant]) {
-        tasks[quadrant] = []
-      }
-      tasks[quadrant].push(task)
-
-      results.push({
-        type: 'task',
-        id: task.id,
-        quadrant,
-        task
-      })
-    }
-
-    // Save all tasks once
+    // Create all tasks after validation passes, in one transaction
+    let tasks
     try {
-      localStorage.setItem('aurorae_tasks', JSON.stringify(tasks))
+      tasks = await createTasks(
+        taskTemplates.map((template) => {
+          const quadrant = template.quadrant || 'urgent_important'
+          return createTaskFromTemplate(template, quadrant)
+        })
+      )
     } catch (err) {
       logger.error('Failed to save tasks:', err)
       if (isQuotaExceededError(err)) {
@@ -323,6 +272,15 @@ export async function instantiateTemplatesBatch(templates) {
       }
       throw new Error('Failed to save tasks to storage')
     }
+
+    for (const task of tasks) {
+      results.push({
+        type: 'task',
+        id: task.id,
+        quadrant: task.quadrant,
+        task
+      })
+    }
   }
 
   // Process routine templates using batch operation
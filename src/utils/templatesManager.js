@@ -224,6 +224,7 @@ export async function saveTemplate(template) {
       category: template.category || null,
       quadrant: template.quadrant || null,
       dueOffset: template.dueOffset || null,
+      recurrence: template.recurrence || null,
       // Routine-specific fields
       steps: template.steps || [],
       energyTag: template.energyTag || null,
@@ -0,0 +1,204 @@
+/**
+ * Timezone Utilities
+ * Converts between UTC instants and wall-clock day/time in IANA time zones
+ * Uses the built-in Intl API so DST rules come from the platform's tz database
+ */
+
+import { getSettings } from './settingsManager'
+import { MS_PER_DAY } from './timeConstants'
+
+const FALLBACK_TIME_ZONE = 'UTC'
+
+const MS_PER_MINUTE = 60 * 1000
+
+// Intl.DateTimeFormat construction is expensive, so formatters are cached per zone
+const formatterCache = new Map()
+
+/**
+ * Get a cached formatter that yields numeric date/time parts for a zone
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function getPartsFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      })
+    )
+  }
+  return formatterCache.get(timeZone)
+}
+
+/**
+ * Check whether a string is an IANA time zone supported by the platform
+ * @param {string} timeZone - Time zone to check
+ * @returns {boolean} True if valid
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false
+  }
+  try {
+    getPartsFormatter(timeZone)
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Get the time zone of the device
+ * @returns {string} IANA time zone (falls back to UTC)
+ */
+export function getSystemTimeZone() {
+  try {
+    const { timeZone } = Intl.DateTimeFormat().resolvedOptions()
+    return isValidTimeZone(timeZone) ? timeZone : FALLBACK_TIME_ZONE
+  } catch {
+    return FALLBACK_TIME_ZONE
+  }
+}
+
+/**
+ * Get the time zone the schedule is displayed in
+ * Uses the per-user setting and falls back to the device time zone
+ * @returns {string} IANA time zone
+ */
+export function getDisplayTimeZone() {
+  const configured = getSettings()?.schedule?.timeZone
+  return isValidTimeZone(configured) ? configured : getSystemTimeZone()
+}
+
+/**
+ * Get the time zones offered in the settings picker
+ * @returns {Array<string>} IANA time zones
+ */
+export function getSupportedTimeZones() {
+  if (typeof Intl.supportedValuesOf === 'function') {
+    return Intl.supportedValuesOf('timeZone')
+  }
+  return [FALLBACK_TIME_ZONE, getSystemTimeZone()].filter(
+    (zone, index, zones) => zones.indexOf(zone) === index
+  )
+}
+
+/**
+ * Get the wall-clock date and time of an instant in a time zone
+ * @param {Date|string|number} instant - Instant to convert
+ * @param {string} timeZone - IANA time zone
+ * @returns {{day: string, time: string}} Day (YYYY-MM-DD) and time (HH:MM)
+ */
+export function getZonedDayTime(instant, timeZone) {
+  const date = instant instanceof Date ? instant : new Date(instant)
+  const parts = {}
+  for (const { type, value } of getPartsFormatter(timeZone).formatToParts(
+    date
+  )) {
+    parts[type] = value
+  }
+  return {
+    day: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  }
+}
+
+/**
+ * Get the offset of a time zone from UTC at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in minutes (positive east of UTC)
+ */
+export function getTimeZoneOffsetMinutes(date, timeZone) {
+  const parts = {}
+  for (const { type, value } of getPartsFormatter(timeZone).formatToParts(
+    date
+  )) {
+    parts[type] = Number(value)
+  }
+  const asUTC = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  )
+  // Drop milliseconds: the formatter has second precision
+  const instant = Math.floor(date.getTime() / 1000) * 1000
+  return Math.round((asUTC - instant) / MS_PER_MINUTE)
+}
+
+/**
+ * Convert a wall-clock day and time in a time zone to a UTC instant
+ * Times skipped by a DST change resolve to the same clock time after the
+ * change; repeated times resolve to their first occurrence.
+ * @param {string} day - Day (YYYY-MM-DD)
+ * @param {string} time - Time (HH:MM)
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} UTC instant
+ */
+export function zonedDayTimeToDate(day, time, timeZone) {
+  const [year, month, date] = day.split('-').map(Number)
+  const [hours, minutes] = (time || '00:00').split(':').map(Number)
+  const wallClock = Date.UTC(year, month - 1, date, hours, minutes)
+
+  // A day contains at most one transition, so the offsets a day either side
+  // give every possible answer; keep the ones that read back as the
+  // requested wall-clock time
+  const candidates = [-MS_PER_DAY, MS_PER_DAY].map((shift) => {
+    const offset = getTimeZoneOffsetMinutes(
+      new Date(wallClock + shift),
+      timeZone
+    )
+    return new Date(wallClock - offset * MS_PER_MINUTE)
+  })
+  const matches = candidates.filter((candidate) => {
+    const zoned = getZonedDayTime(candidate, timeZone)
+    return zoned.day === day && zoned.time === time
+  })
+
+  if (matches.length === 0) {
+    // Skipped time: the pre-change offset lands after the change
+    return candidates[0]
+  }
+  return matches.reduce((earliest, candidate) =>
+    candidate < earliest ? candidate : earliest
+  )
+}
+
+/**
+ * Get today's date in a time zone
+ * @param {string} [timeZone] - IANA time zone (defaults to the display time zone)
+ * @param {Date} [now] - Reference instant (defaults to now)
+ * @returns {string} Day (YYYY-MM-DD)
+ */
+export function getTodayInTimeZone(
+  timeZone = getDisplayTimeZone(),
+  now = new Date()
+) {
+  return getZonedDayTime(now, timeZone).day
+}
+
+/**
+ * Convert an instant to a "floating" local Date that shows the wall-clock
+ * time of a time zone. Calendar widgets render local Dates, so this lets
+ * them display another zone's times.
+ * @param {Date} instant - UTC instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Local Date with the zone's wall-clock fields
+ */
+export function toZonedWallClockDate(instant, timeZone) {
+  const { day, time } = getZonedDayTime(instant, timeZone)
+  const [year, month, date] = day.split('-').map(Number)
+  const [hours, minutes] = time.split(':').map(Number)
+  return new Date(year, month - 1, date, hours, minutes)
+}